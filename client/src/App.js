@@ -1,21 +1,93 @@
 // client/src/App.js
 import React, { useEffect, useState, useRef } from "react";
-import { format, differenceInDays } from "date-fns";
+import {
+  Routes,
+  Route,
+  Navigate,
+  NavLink,
+  Link,
+  useLocation,
+  useNavigate,
+  useSearchParams,
+} from "react-router-dom";
+import MemberCard from "./components/MemberCard";
+import Dashboard from "./components/Dashboard";
+import AuditLog from "./components/AuditLog";
+import Payments from "./components/Payments";
+import Lockers from "./components/Lockers";
+import MemberDetail from "./components/MemberDetail";
+import NewMember from "./components/NewMember";
+import CameraScanner from "./components/CameraScanner";
+import useWedgeScanner from "./scan/useWedgeScanner";
+import { parseScan } from "./scan/decoder";
+import { downloadResponse } from "./download";
+import ExportButtons from "./components/ExportButtons";
+import { format } from "date-fns";
+import { networkError, isNetworkError } from "./offline/network";
+import { searchSnapshot } from "./offline/search";
+import {
+  isOfflineSupported,
+  saveSnapshot,
+  loadSnapshot,
+  loadQueue,
+  saveQueue,
+  enqueueCheckIn,
+  loadRejected,
+  saveRejected,
+  clearSnapshot,
+} from "./offline/store";
 import "./index.css";
 
 const API_BASE = process.env.REACT_APP_API_BASE || "http://localhost:5000/api";
+const PAGE_SIZE = 20;
+const SNAPSHOT_REFRESH_MS = 10 * 60 * 1000; // re-download the offline roster every 10 minutes
+// statuses the server refuses a check-in for without an override reason
+const CHECKIN_BLOCKED = {
+  expired: "Membership expired",
+  unknown: "Membership expiry unknown",
+  inactive: "Member is deactivated",
+};
 
 export default function App() {
-  const [data, setData] = useState([]);
-  const [searchTerm, setSearchTerm] = useState("");
+  const location = useLocation();
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [searchTerm, setSearchTerm] = useState(searchParams.get("q") || "");
   const [member, setMember] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [lastCheckIns, setLastCheckIns] = useState({}); // member ID → ISO time of last visit
+  const [highlights, setHighlights] = useState({}); // member ID → { field: [[start, end]] } matched text
+  const [photoVersions, setPhotoVersions] = useState({}); // member ID → updatedAt of the uploaded photo
+  const [page, setPage] = useState(1);
+  const [searching, setSearching] = useState(false);
   const [isLoggedIn, setIsLoggedIn] = useState(false);
+  const [currentUser, setCurrentUser] = useState(null); // { user, role }
+  const canManage = ["admin", "manager"].includes(currentUser?.role);
+  const [sessionChecked, setSessionChecked] = useState(false); // 👈 don't redirect to /login before /me answers
   const [loginForm, setLoginForm] = useState({ username: "", password: "" });
   const [loginError, setLoginError] = useState("");
+  const [lockedUntil, setLockedUntil] = useState(0); // 👈 epoch ms while login is locked out
+  const [now, setNow] = useState(Date.now());
   const [loading, setLoading] = useState(false);
   const [showPassword, setShowPassword] = useState(false); // 👈 for password toggle
+  const [isOffline, setIsOffline] = useState(!navigator.onLine);
+  const [snapshotAt, setSnapshotAt] = useState(null); // ISO time of the offline roster
+  const [queuedCount, setQueuedCount] = useState(0); // check-ins waiting to sync
+  const [rejectedCheckIns, setRejectedCheckIns] = useState([]); // queued check-ins the server refused
+  const [rosterSync, setRosterSync] = useState(null); // { syncedAt, stale } from the last search
+  const [cameraOpen, setCameraOpen] = useState(false);
   const expiryTimerRef = useRef(null);
   const debounceRef = useRef(null); // 👈 for debounce
+  const searchSeqRef = useRef(0); // 👈 ignore responses from outdated searches
+  const refreshPromiseRef = useRef(null); // 👈 share one in-flight refresh between callers
+  const csrfRef = useRef(null); // 👈 promise of the CSRF token (memory only)
+  const plansRef = useRef(null); // 👈 promise of the plans catalogue, loaded when first needed
+  const photoUrlsRef = useRef(new Map()); // 👈 "id:size:version" → promise of an object URL
+  const searchInputRef = useRef(null);
+  const resultsRef = useRef(null);
+  const snapshotRef = useRef(null); // 👈 decrypted offline roster, loaded on demand
+  const isOfflineRef = useRef(isOffline);
+  const syncingRef = useRef(false);
 
   useEffect(() => {
     checkSessionAndLoad();
@@ -26,30 +98,108 @@ export default function App() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
-  async function apiFetch(path, opts = {}) {
-    let token = localStorage.getItem("access_token");
+  useEffect(() => {
+    isOfflineRef.current = isOffline;
+  }, [isOffline]);
+
+  // 👇 tick once a second while the login form is locked out
+  useEffect(() => {
+    if (!lockedUntil) return;
+    const timer = setInterval(() => {
+      setNow(Date.now());
+      if (Date.now() >= lockedUntil) setLockedUntil(0);
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [lockedUntil]);
+
+  // 👇 back online → flush queued check-ins and refresh the snapshot
+  useEffect(() => {
+    const goOnline = () => {
+      setIsOffline(false);
+      if (localStorage.getItem("access_expiry")) {
+        syncQueuedCheckIns();
+        refreshSnapshot();
+      }
+    };
+    const goOffline = () => setIsOffline(true);
+    window.addEventListener("online", goOnline);
+    window.addEventListener("offline", goOffline);
+    return () => {
+      window.removeEventListener("online", goOnline);
+      window.removeEventListener("offline", goOffline);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  useEffect(() => {
+    if (!isLoggedIn) return;
+    const timer = setInterval(() => {
+      if (!isOfflineRef.current) refreshSnapshot();
+    }, SNAPSHOT_REFRESH_MS);
+    return () => clearInterval(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isLoggedIn]);
+
+  // 👇 the session lives in HttpOnly cookies; state-changing requests echo the CSRF token
+  function getCsrfToken() {
+    if (!csrfRef.current) {
+      csrfRef.current = fetch(`${API_BASE}/csrf`, { credentials: "include" })
+        .then((res) => res.json())
+        .then((json) => json.csrfToken || "")
+        .catch((err) => {
+          csrfRef.current = null;
+          throw networkError(err);
+        });
+    }
+    return csrfRef.current;
+  }
+
+  async function apiFetch(path, opts = {}, csrfRetried = false) {
     const expiry = localStorage.getItem("access_expiry");
 
     // if expired → try refresh
     if (expiry && Date.now() > expiry) {
       const ok = await refreshToken();
       if (!ok) throw new Error("Session expired");
-      token = localStorage.getItem("access_token");
     }
 
+    const method = (opts.method || "GET").toUpperCase();
     const headers = {
       ...(opts.headers || {}),
-      "Content-Type": "application/json",
-      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      // 👇 FormData bodies (photo uploads) set their own multipart Content-Type
+      ...(opts.body instanceof FormData
+        ? {}
+        : { "Content-Type": "application/json" }),
+      ...(method !== "GET" && method !== "HEAD"
+        ? { "X-CSRF-Token": await getCsrfToken() }
+        : {}),
     };
 
-    const res = await fetch(`${API_BASE}${path}`, {
-      ...opts,
-      headers,
-    });
+    let res;
+    try {
+      res = await fetch(`${API_BASE}${path}`, {
+        ...opts,
+        headers,
+        credentials: "include",
+      });
+    } catch (err) {
+      throw networkError(err);
+    }
 
-    // if unauthorized → attempt refresh once
-    if (res.status === 401) {
+    // stale CSRF token (e.g. another tab signed in again) → fetch it and retry once
+    if (res.status === 403 && !csrfRetried) {
+      const body = await res
+        .clone()
+        .json()
+        .catch(() => ({}));
+      if (body.code === "csrf") {
+        csrfRef.current = null;
+        return apiFetch(path, opts, true);
+      }
+    }
+
+    // if unauthorized → attempt refresh once (a 401 from /login is just bad credentials)
+    if (res.status === 401 && path !== "/login") {
       const ok = await refreshToken();
       if (ok) {
         return apiFetch(path, opts); // retry with new token
@@ -64,30 +214,54 @@ export default function App() {
   function scheduleAutoLogout(expiresInSec) {
     if (expiryTimerRef.current) clearTimeout(expiryTimerRef.current);
     expiryTimerRef.current = setTimeout(() => {
+      // offline desks keep working; the next online request refreshes the token
+      if (isOfflineRef.current) return;
       alert("Session expired — please login again.");
       setIsLoggedIn(false);
-      setData([]);
+      setCurrentUser(null);
       setMember([]);
+      setTotal(0);
       setSearchTerm("");
     }, Math.max((expiresInSec || 60) * 1000 - 2000, 0));
   }
 
   async function checkSessionAndLoad() {
-    const token = localStorage.getItem("access_token");
-    if (!token) {
+    // tokens used to be kept in localStorage; drop any left from before the cookie sessions
+    localStorage.removeItem("access_token");
+    localStorage.removeItem("refresh_token");
+    // the cookies can't be read from here, so access_expiry is what says a session exists
+    if (!localStorage.getItem("access_expiry")) {
       setIsLoggedIn(false);
+      setSessionChecked(true);
       return;
     }
     setLoading(true);
     try {
-      const r = await apiFetch("/data");
+      const r = await apiFetch("/me");
       if (!r.ok) throw new Error("Not authorized");
-      const json = await r.json();
-      setData(json);
+      setCurrentUser(await r.json());
       setIsLoggedIn(true);
-    } catch {
-      handleLogout();
+      setIsOffline(false);
+      syncQueuedCheckIns();
+      refreshSnapshot();
+    } catch (err) {
+      // 👇 can't reach the server: carry on from the offline snapshot if we have one
+      const snapshot =
+        isNetworkError(err) && isOfflineSupported()
+          ? await loadSnapshot()
+          : null;
+      if (snapshot) {
+        snapshotRef.current = snapshot;
+        setSnapshotAt(snapshot.savedAt);
+        setCurrentUser(snapshot.user);
+        setQueuedCount((await loadQueue()).length);
+        setIsOffline(true);
+        setIsLoggedIn(true);
+      } else {
+        handleLogout();
+      }
     } finally {
+      setSessionChecked(true);
       setLoading(false);
     }
   }
@@ -102,24 +276,29 @@ export default function App() {
         body: JSON.stringify(loginForm),
       });
       if (!res.ok) {
-        const txt = await res.text().catch(() => "");
-        throw new Error(txt || "Login failed");
+        const body = await res.json().catch(() => ({}));
+        if (res.status === 429 && body.retryAfter) {
+          setNow(Date.now());
+          setLockedUntil(Date.now() + body.retryAfter * 1000);
+          return;
+        }
+        throw new Error(body.message || "Login failed");
       }
       const json = await res.json();
+      setLockedUntil(0);
 
-      // 👉 Save tokens in localStorage
-      localStorage.setItem("access_token", json.accessToken);
-      localStorage.setItem("refresh_token", json.refreshToken);
+      // 👉 the tokens arrive as HttpOnly cookies; keep the expiry and the CSRF token
       localStorage.setItem("access_expiry", Date.now() + json.expiresIn * 1000);
+      csrfRef.current = Promise.resolve(json.csrfToken);
 
       scheduleAutoLogout(json.expiresIn);
 
-      const dataRes = await apiFetch("/data");
-      if (!dataRes.ok) throw new Error("Failed to load data");
-      const members = await dataRes.json();
-      setData(members);
+      setCurrentUser({ user: json.user, role: json.role });
       setIsLoggedIn(true);
+      setIsOffline(false);
       setLoginForm({ username: "", password: "" });
+      syncQueuedCheckIns();
+      refreshSnapshot({ user: json.user, role: json.role });
     } catch (err) {
       setLoginError(err.message || "Invalid credentials");
     } finally {
@@ -127,21 +306,39 @@ export default function App() {
     }
   };
 
-  async function refreshToken() {
-    const refresh = localStorage.getItem("refresh_token");
-    if (!refresh) return false;
+  // refresh tokens are single-use on the server, so parallel callers must share one request
+  function refreshToken() {
+    if (!refreshPromiseRef.current) {
+      refreshPromiseRef.current = doRefreshToken().finally(() => {
+        refreshPromiseRef.current = null;
+      });
+    }
+    return refreshPromiseRef.current;
+  }
+
+  async function doRefreshToken() {
+    if (!localStorage.getItem("access_expiry")) return false;
+    let res;
     try {
-      const res = await fetch(`${API_BASE}/refresh`, {
+      res = await fetch(`${API_BASE}/refresh`, {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ refreshToken: refresh }),
+        headers: {
+          "Content-Type": "application/json",
+          "X-CSRF-Token": await getCsrfToken(),
+        },
+        credentials: "include",
       });
+    } catch (err) {
+      // offline is not a rejected session: keep the tokens and let the caller fall back
+      throw networkError(err);
+    }
+    try {
       if (!res.ok) throw new Error("Refresh failed");
       const json = await res.json();
 
-      // save new tokens
-      localStorage.setItem("access_token", json.accessToken);
+      // the refresh cookie is rotated on every call; only the expiry is ours to keep
       localStorage.setItem("access_expiry", Date.now() + json.expiresIn * 1000);
+      csrfRef.current = Promise.resolve(json.csrfToken);
 
       scheduleAutoLogout(json.expiresIn);
       return true;
@@ -153,117 +350,388 @@ export default function App() {
   }
 
   const handleLogout = () => {
-    localStorage.removeItem("access_token");
-    localStorage.removeItem("refresh_token");
+    if (localStorage.getItem("access_expiry")) {
+      // revoke the session and clear its cookies server-side; local state is cleared regardless
+      getCsrfToken()
+        .then((csrfToken) =>
+          fetch(`${API_BASE}/logout`, {
+            method: "POST",
+            headers: {
+              "Content-Type": "application/json",
+              "X-CSRF-Token": csrfToken,
+            },
+            credentials: "include",
+          })
+        )
+        .catch(() => {});
+    }
     localStorage.removeItem("access_expiry");
+    csrfRef.current = null;
+    plansRef.current = null;
+    photoUrlsRef.current.forEach((url) =>
+      url.then(
+        (u) => URL.revokeObjectURL(u),
+        () => {}
+      )
+    );
+    photoUrlsRef.current.clear();
+    setPhotoVersions({});
     setIsLoggedIn(false);
-    setData([]);
+    setCurrentUser(null);
     setMember([]);
+    setTotal(0);
     setSearchTerm("");
+    snapshotRef.current = null;
+    setSnapshotAt(null);
+    setQueuedCount(0);
+    setRejectedCheckIns([]);
+    // 👇 queued check-ins (and rejected ones not yet seen) stay on the device for the next sign-in
+    if (isOfflineSupported()) clearSnapshot().catch(() => {});
     if (expiryTimerRef.current) clearTimeout(expiryTimerRef.current);
   };
 
+  // 👇 keep an encrypted copy of the roster (role-redacted by the server) for offline lookups
+  async function refreshSnapshot(user = currentUser) {
+    if (!isOfflineSupported()) return;
+    try {
+      // 👇 revalidate with the ETag so an unchanged roster costs a 304, not a download
+      const previous = await getSnapshot();
+      const res = await apiFetch("/data", {
+        headers: previous?.etag ? { "If-None-Match": previous.etag } : {},
+      });
+      if (res.status !== 304 && !res.ok) return;
+      const snapshot = {
+        members: res.status === 304 ? previous.members : await res.json(),
+        etag: res.headers.get("ETag") || previous?.etag || null,
+        savedAt: new Date().toISOString(),
+        user,
+      };
+      await saveSnapshot(snapshot);
+      snapshotRef.current = snapshot;
+      setSnapshotAt(snapshot.savedAt);
+    } catch (err) {
+      if (isNetworkError(err)) setIsOffline(true);
+      else console.error("Snapshot error:", err);
+    }
+  }
+
+  async function getSnapshot() {
+    if (!snapshotRef.current && isOfflineSupported()) {
+      snapshotRef.current = await loadSnapshot();
+      if (snapshotRef.current) setSnapshotAt(snapshotRef.current.savedAt);
+    }
+    return snapshotRef.current;
+  }
+
+  function searchOffline(q) {
+    return getSnapshot().then((snapshot) => {
+      const { results, highlights } = snapshot
+        ? searchSnapshot(snapshot.members, q)
+        : { results: [], highlights: {} };
+      setMember(results);
+      setHighlights(highlights);
+      setTotal(results.length);
+      setPage(1);
+    });
+  }
+
+  // 👇 replay check-ins made offline, oldest first; stop at the first network failure.
+  // Returns how many the server rejected this time; those are kept until staff dismiss them.
+  async function syncQueuedCheckIns() {
+    if (!isOfflineSupported() || syncingRef.current) return 0;
+    syncingRef.current = true;
+    let rejectedNow = 0;
+    try {
+      const queue = await loadQueue();
+      const rejected = await loadRejected();
+      while (queue.length > 0) {
+        const item = queue[0];
+        try {
+          const res = await apiFetch(
+            `/members/${encodeURIComponent(item.memberId)}/checkin`,
+            {
+              method: "POST",
+              body: JSON.stringify({
+                overrideReason: item.overrideReason,
+                checkedInAt: item.checkedInAt,
+              }),
+            }
+          );
+          if (!res.ok) {
+            const json = await res.json().catch(() => ({}));
+            rejected.push({
+              ...item,
+              message: json.message || `Rejected (${res.status})`,
+            });
+            rejectedNow++;
+            await saveRejected(rejected);
+          }
+        } catch (err) {
+          if (isNetworkError(err)) break;
+          throw err;
+        }
+        queue.shift();
+        await saveQueue(queue);
+      }
+      setQueuedCount(queue.length);
+      setRejectedCheckIns(rejected);
+    } catch (err) {
+      console.error("Check-in sync error:", err);
+    } finally {
+      syncingRef.current = false;
+    }
+    return rejectedNow;
+  }
+
+  const dismissRejected = () => {
+    setRejectedCheckIns([]);
+    saveRejected([]).catch(() => {});
+  };
+
+  // 👇 back/forward or a pasted /search?q= link → follow the URL
+  useEffect(() => {
+    if (location.pathname !== "/search") return;
+    const q = searchParams.get("q") || "";
+    if (q !== searchTerm.trim()) setSearchTerm(q);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [location]);
+
   // 👇 runs when searchTerm changes, but waits 400ms before applying
   useEffect(() => {
     if (debounceRef.current) clearTimeout(debounceRef.current);
     debounceRef.current = setTimeout(() => {
       handleSubmit();
+      // keep /search?q= in step so searches can be bookmarked and shared
+      if (location.pathname === "/search") {
+        const q = searchTerm.trim();
+        if ((searchParams.get("q") || "") !== q) {
+          setSearchParams(q ? { q } : {}, { replace: true });
+        }
+      }
     }, 400);
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [searchTerm]);
+  }, [searchTerm, isLoggedIn]); // 👈 isLoggedIn: a /search?q= link opened before the session check
 
-  const handleSubmit = () => {
-    if (!searchTerm.trim()) {
+  // 👇 search runs on the server; nextPage > 1 appends to the current results
+  const handleSubmit = async (nextPage = 1) => {
+    const q = searchTerm.trim();
+    const seq = ++searchSeqRef.current;
+    if (!q || !isLoggedIn) {
       setMember([]);
+      setTotal(0);
       return;
     }
 
-    let found = [];
-    if (/^\d+$/.test(searchTerm.trim())) {
-      found = data.find((m) => String(m.ID) === searchTerm.trim());
-    } else {
-      const q = searchTerm.trim().toLowerCase();
-      found = data.filter((m) => (m.Name || "").toLowerCase().includes(q));
+    setSearching(true);
+    if (isOffline) {
+      await searchOffline(q);
+      if (seq === searchSeqRef.current) setSearching(false);
+      return;
+    }
+    try {
+      const params = new URLSearchParams({
+        q,
+        page: nextPage,
+        limit: PAGE_SIZE,
+      });
+      const res = await apiFetch(`/members/search?${params}`);
+      if (!res.ok) throw new Error("Search failed");
+      const json = await res.json();
+      if (seq !== searchSeqRef.current) return;
+
+      setMember((prev) =>
+        nextPage > 1 ? [...prev, ...json.results] : json.results
+      );
+      setLastCheckIns((prev) =>
+        nextPage > 1
+          ? { ...prev, ...json.lastCheckIns }
+          : json.lastCheckIns || {}
+      );
+      setHighlights((prev) =>
+        nextPage > 1 ? { ...prev, ...json.highlights } : json.highlights || {}
+      );
+      setPhotoVersions((prev) => ({ ...prev, ...json.photos }));
+      setTotal(json.total);
+      setPage(json.page);
+      setRosterSync({ syncedAt: json.syncedAt, stale: json.stale });
+    } catch (err) {
+      if (seq !== searchSeqRef.current) return;
+      if (isNetworkError(err)) {
+        setIsOffline(true);
+        await searchOffline(q);
+        return;
+      }
+      console.error("Search error:", err);
+      setMember([]);
+      setTotal(0);
+    } finally {
+      if (seq === searchSeqRef.current) setSearching(false);
     }
-    setMember(found || []);
   };
 
-  const renderCard = (member) => {
-    const expiryDate = new Date(member["Membership Expiry"]);
-    const startDate = new Date(member["Membership Date"]);
-    const today = new Date();
-    const daysLeft = differenceInDays(expiryDate, today);
+  // 👇 detail page data; offline it comes from the snapshot without history
+  const loadMember = async (id) => {
+    if (!isOffline) {
+      try {
+        const res = await apiFetch(`/members/${encodeURIComponent(id)}`);
+        if (res.status === 404) return null;
+        const json = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(json.message || "Failed to load member");
+        return json;
+      } catch (err) {
+        if (!isNetworkError(err)) throw err;
+        setIsOffline(true);
+      }
+    }
+    const snapshot = await getSnapshot();
+    const found = snapshot?.members.find(
+      (m) => String(m.ID ?? "").trim() === String(id).trim()
+    );
+    if (!found) return null;
+    return {
+      member: found,
+      lastCheckIn: lastCheckIns[String(found.ID)] || null,
+      checkIns: [],
+      renewals: [],
+      payments: [],
+      offline: true,
+    };
+  };
 
-    let statusClass = "status-green";
-    if (daysLeft <= 5 && daysLeft > 0) statusClass = "status-yellow";
-    if (daysLeft <= 0) statusClass = "status-red";
+  // 👇 { currency, methods, plans }; shared by every card until the catalogue changes
+  const loadPlans = () => {
+    if (!plansRef.current) {
+      plansRef.current = apiFetch("/plans")
+        .then(async (res) => {
+          const json = await res.json().catch(() => ({}));
+          if (!res.ok) throw new Error(json.message || "Failed to load plans");
+          return json;
+        })
+        .catch((err) => {
+          plansRef.current = null;
+          throw err;
+        });
+    }
+    return plansRef.current;
+  };
 
-    const initials = member["Name"]
-      ? member["Name"]
-          .split(" ")
-          .map((n) => n[0].toUpperCase())
-          .join("")
-      : "U";
+  // 👇 choice is { planId, amount, method } (records a payment) or { months }
+  const handleRenew = async (target, choice) => {
+    const id = encodeURIComponent(target.ID);
+    const res = await apiFetch(
+      choice.planId ? `/members/${id}/payments` : `/members/${id}/renew`,
+      {
+        method: "POST",
+        body: JSON.stringify(choice),
+      }
+    );
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(json.message || "Renewal failed");
 
-    return (
-      <div className={`member-card ${statusClass} card-animate`}>
-        <div className="card-top">
-          {member["Image"] ? (
-            <img src={member["Image"]} alt="User" className="avatar" />
-          ) : (
-            <div className="avatar initials">{initials}</div>
-          )}
-          <div className="member-meta">
-            <h2 className="member-name">{member["Name"]}</h2>
-            <div className="badges">
-              <span
-                className={`badge ${
-                  statusClass === "status-green" ? "badge-active" : ""
-                }`}
-              >
-                {statusClass === "status-green"
-                  ? "Active"
-                  : statusClass === "status-yellow"
-                  ? "Expiring"
-                  : "Expired"}
-              </span>
-              {member["Locker"] && (
-                <span className="badge">Locker {member["Locker"]}</span>
-              )}
-            </div>
-          </div>
-        </div>
+    setMember((prev) =>
+      prev.map((m) => (String(m.ID) === String(target.ID) ? json.member : m))
+    );
+    return json.renewal;
+  };
 
-        <div className="card-body">
-          <div className="info-row">
-            <div className="label">Phone</div>
-            <div className="value">{member["Phone Number"] || "—"}</div>
-          </div>
-          <div className="info-row">
-            <div className="label">Joined</div>
-            <div className="value">
-              {isNaN(startDate) ? "—" : format(startDate, "dd MMM yyyy")}
-            </div>
-          </div>
-          <div className="info-row">
-            <div className="label">Expiry</div>
-            <div className="value">
-              {isNaN(expiryDate) ? "—" : format(expiryDate, "dd MMM yyyy")}
-            </div>
-          </div>
+  // 👇 roster fields this role may set (add/edit forms)
+  const loadMemberFields = async () => {
+    const res = await apiFetch("/members/fields");
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok)
+      throw new Error(json.message || "Failed to load member fields");
+    return json.fields;
+  };
 
-          {daysLeft <= 0 ? (
-            <p className="expired">Membership Expired</p>
-          ) : daysLeft <= 5 ? (
-            <p className="warning">
-              Ends in {daysLeft} days — consider renewal
-            </p>
-          ) : (
-            <p className="healthy">Good for {daysLeft} days</p>
-          )}
-        </div>
-      </div>
+  // 👇 member writes answer { member, version }; a 409 conflict carries the current ones as err.current
+  const writeMember = async (path, method, body) => {
+    const res = await apiFetch(path, { method, body: JSON.stringify(body) });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      const err = new Error(json.message || "Could not save member");
+      if (res.status === 409 && json.version)
+        err.current = { member: json.member, version: json.version };
+      throw err;
+    }
+    setMember((prev) =>
+      prev.map((m) =>
+        String(m.ID) === String(json.member.ID) ? json.member : m
+      )
     );
+    return json;
+  };
+
+  // 👇 id null adds a member; otherwise sends the changed fields with the version they were based on
+  const handleSaveMember = (id, fields, version) =>
+    id
+      ? writeMember(`/members/${encodeURIComponent(id)}`, "PATCH", {
+          version,
+          fields,
+        })
+      : writeMember("/members", "POST", { fields });
+
+  const handleSetActive = (target, version, active) => {
+    const id = encodeURIComponent(target.ID);
+    return active
+      ? writeMember(`/members/${id}/reactivate`, "POST", { version })
+      : writeMember(`/members/${id}`, "DELETE", { version });
+  };
+
+  // 👇 offline: same expiry rule as the server, then queue for later sync
+  const queueCheckIn = async (target, overrideReason) => {
+    const status = target.membership?.status;
+    if (CHECKIN_BLOCKED[status] && !overrideReason) {
+      const err = new Error(CHECKIN_BLOCKED[status]);
+      err.requiresOverride = true;
+      throw err;
+    }
+    if (!isOfflineSupported())
+      throw new Error("Offline check-in not supported");
+
+    const checkIn = {
+      memberId: String(target.ID),
+      memberName: target.Name || "",
+      overrideReason: overrideReason || "",
+      checkedInAt: new Date().toISOString(),
+    };
+    setQueuedCount(await enqueueCheckIn(checkIn));
+    setLastCheckIns((prev) => ({
+      ...prev,
+      [checkIn.memberId]: checkIn.checkedInAt,
+    }));
+    return { at: checkIn.checkedInAt, queued: true };
+  };
+
+  // 👇 throws with err.requiresOverride when the membership has lapsed
+  const handleCheckIn = async (target, overrideReason) => {
+    if (isOffline) return queueCheckIn(target, overrideReason);
+
+    let res;
+    try {
+      res = await apiFetch(
+        `/members/${encodeURIComponent(target.ID)}/checkin`,
+        {
+          method: "POST",
+          body: JSON.stringify(overrideReason ? { overrideReason } : {}),
+        }
+      );
+    } catch (err) {
+      if (!isNetworkError(err)) throw err;
+      setIsOffline(true);
+      return queueCheckIn(target, overrideReason);
+    }
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      const err = new Error(json.message || "Check-in failed");
+      err.requiresOverride = Boolean(json.requiresOverride);
+      throw err;
+    }
+
+    setLastCheckIns((prev) => ({
+      ...prev,
+      [String(target.ID)]: json.checkIn.at,
+    }));
+    return json.checkIn;
   };
 
   const bgStyle = {
@@ -280,121 +748,467 @@ export default function App() {
     pointerEvents: "none",
   };
 
-  return (
-    <>
-      <div style={bgStyle}></div>
-      <div className="container fade-in">
-        {!isLoggedIn ? (
-          <form className="login-form glass-card" onSubmit={handleLogin}>
-            <div className="brand">
-              <img
-                src={`${process.env.PUBLIC_URL}/logo.png`}
-                alt="logo"
-                className="logo"
-              />
-              <h2>Welcome back</h2>
-              <p className="sub">Sign in to access member lookup</p>
-            </div>
+  // 👇 arrow keys move between result cards, Enter checks in, Escape returns to the search box
+  const focusCard = (index) => {
+    const cards = resultsRef.current?.querySelectorAll(".member-card") || [];
+    if (index < 0) searchInputRef.current?.focus();
+    else if (cards[index]) cards[index].focus();
+  };
 
-            <input
-              type="text"
-              placeholder="Username"
-              value={loginForm.username}
-              onChange={(e) =>
-                setLoginForm({ ...loginForm, username: e.target.value })
-              }
-              required
-            />
-
-            {/* 👇 password input with toggle */}
-            <div className="password-wrapper">
-              <input
-                type={showPassword ? "text" : "password"}
-                placeholder="Password"
-                value={loginForm.password}
-                onChange={(e) =>
-                  setLoginForm({ ...loginForm, password: e.target.value })
-                }
-                required
-              />
-              <span
-                className="toggle-password"
-                onClick={() => setShowPassword((prev) => !prev)}
-              >
-                {showPassword ? "🙈" : "👁️"}
+  const handleSearchKeyDown = (e) => {
+    if (e.key === "ArrowDown" || e.key === "Enter") {
+      e.preventDefault();
+      focusCard(0);
+    }
+  };
+
+  const handleResultsKeyDown = (e) => {
+    if (!e.target.classList.contains("member-card")) return; // leave keys inside card inputs alone
+    const cards = [...resultsRef.current.querySelectorAll(".member-card")];
+    const index = cards.indexOf(e.target);
+    if (e.key === "ArrowDown" || e.key === "ArrowRight") focusCard(index + 1);
+    else if (e.key === "ArrowUp" || e.key === "ArrowLeft") focusCard(index - 1);
+    else if (e.key === "Escape") focusCard(-1);
+    else if (e.key === "Enter") {
+      e.target.querySelector('[data-action="checkin"]')?.click();
+    } else return;
+    e.preventDefault();
+  };
+
+  // 👇 a scan jumps straight to that member's page
+  const handleScan = (text) => {
+    const id = parseScan(text);
+    setCameraOpen(false);
+    if (id) navigate(`/members/${encodeURIComponent(id)}`);
+  };
+
+  // 👇 hardware scanners work anywhere in the app once signed in
+  useWedgeScanner(handleScan, isLoggedIn && !cameraOpen);
+
+  // 👇 photos need the session, so they're fetched and shown from object URLs (cached per version)
+  const loadPhoto = (target, version, size = "small") => {
+    const key = `${target.ID}:${size}:${version}`;
+    if (!photoUrlsRef.current.has(key)) {
+      const params = new URLSearchParams({ size, v: version });
+      const url = apiFetch(
+        `/members/${encodeURIComponent(target.ID)}/photo?${params}`
+      )
+        .then((res) => {
+          if (!res.ok) throw new Error("Could not load photo");
+          return res.blob();
+        })
+        .then((blob) => URL.createObjectURL(blob));
+      url.catch(() => photoUrlsRef.current.delete(key));
+      photoUrlsRef.current.set(key, url);
+    }
+    return photoUrlsRef.current.get(key);
+  };
+
+  // 👇 blob from the camera or a file; returns { updatedAt }
+  const handleUploadPhoto = async (target, blob) => {
+    const body = new FormData();
+    body.append("photo", blob, "photo.jpg");
+    const res = await apiFetch(
+      `/members/${encodeURIComponent(target.ID)}/photo`,
+      { method: "POST", body }
+    );
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(json.message || "Could not save photo");
+    setPhotoVersions((prev) => ({
+      ...prev,
+      [String(target.ID)]: json.photo.updatedAt,
+    }));
+    return json.photo;
+  };
+
+  const handleDownloadCard = async (target) => {
+    const res = await apiFetch(
+      `/members/${encodeURIComponent(target.ID)}/card?format=png`
+    );
+    if (!res.ok) {
+      const json = await res.json().catch(() => ({}));
+      throw new Error(json.message || "Could not create card");
+    }
+    await downloadResponse(res, `member-card-${target.ID}.png`);
+  };
+
+  const lockoutSeconds = lockedUntil
+    ? Math.max(0, Math.ceil((lockedUntil - now) / 1000))
+    : 0;
+
+  const searchLink = searchTerm.trim()
+    ? `/search?${new URLSearchParams({ q: searchTerm.trim() })}`
+    : "/search";
+
+  const loginPage = (
+    <form className="login-form glass-card" onSubmit={handleLogin}>
+      <div className="brand">
+        <img
+          src={`${process.env.PUBLIC_URL}/logo.png`}
+          alt="logo"
+          className="logo"
+        />
+        <h2>Welcome back</h2>
+        <p className="sub">Sign in to access member lookup</p>
+      </div>
+
+      <input
+        type="text"
+        placeholder="Username"
+        value={loginForm.username}
+        onChange={(e) =>
+          setLoginForm({ ...loginForm, username: e.target.value })
+        }
+        required
+      />
+
+      {/* 👇 password input with toggle */}
+      <div className="password-wrapper">
+        <input
+          type={showPassword ? "text" : "password"}
+          placeholder="Password"
+          value={loginForm.password}
+          onChange={(e) =>
+            setLoginForm({ ...loginForm, password: e.target.value })
+          }
+          required
+        />
+        <span
+          className="toggle-password"
+          onClick={() => setShowPassword((prev) => !prev)}
+        >
+          {showPassword ? "🙈" : "👁️"}
+        </span>
+      </div>
+
+      <button
+        className="btn-primary"
+        type="submit"
+        disabled={loading || lockoutSeconds > 0}
+      >
+        {loading ? "Signing in..." : "Sign in"}
+      </button>
+      {lockoutSeconds > 0 ? (
+        <p className="error-text">
+          Too many failed attempts. Try again in{" "}
+          {Math.floor(lockoutSeconds / 60)}:
+          {String(lockoutSeconds % 60).padStart(2, "0")}
+        </p>
+      ) : (
+        loginError && <p className="error-text">{loginError}</p>
+      )}
+    </form>
+  );
+
+  const lookupPage = (
+    <main className="lookup-area">
+      {/* 👇 removed search button, input auto triggers search with debounce */}
+      <form className="input-group" onSubmit={(e) => e.preventDefault()}>
+        <div
+          className="search-wrapper"
+          style={{ position: "relative", width: "100%" }}
+        >
+          <input
+            type="text"
+            placeholder="Search by name, ID, phone or locker"
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            onKeyDown={handleSearchKeyDown}
+            ref={searchInputRef}
+            style={{ width: "100%", paddingRight: "2rem" }} // space for the X button
+          />
+          {searchTerm && (
+            <button
+              type="button"
+              onClick={() => {
+                setSearchTerm("");
+                setMember([]); // also clear results
+              }}
+              className="clear-btn"
+              style={{
+                position: "absolute",
+                right: "0.5rem",
+                top: "50%",
+                transform: "translateY(-50%)",
+                border: "none",
+                background: "transparent",
+                cursor: "pointer",
+                fontSize: "1.2rem",
+                color: "#666",
+              }}
+            >
+              ×
+            </button>
+          )}
+        </div>
+        <button
+          type="button"
+          className="logout-button"
+          onClick={() => setCameraOpen(true)}
+          title="Scan a member card with the camera"
+        >
+          Scan
+        </button>
+      </form>
+      {cameraOpen && (
+        <CameraScanner
+          onScan={handleScan}
+          onClose={() => setCameraOpen(false)}
+        />
+      )}
+      <div className="result-area">
+        {loading || (searching && member.length === 0) ? (
+          <p>Loading…</p>
+        ) : member.length > 0 ? (
+          <div className="results-list">
+            <div className="results-toolbar">
+              <span className="label">
+                {total} result{total === 1 ? "" : "s"}
+                {!isOffline && rosterSync?.syncedAt && (
+                  <span className={rosterSync.stale ? "warning" : ""}>
+                    {" "}
+                    · {rosterSync.stale ? "sheet unreachable, " : ""}
+                    synced {format(new Date(rosterSync.syncedAt), "HH:mm")}
+                  </span>
+                )}
               </span>
+              <ExportButtons
+                apiFetch={apiFetch}
+                params={{ q: searchTerm.trim() }}
+              />
+            </div>
+            <div
+              className="results-grid"
+              ref={resultsRef}
+              onKeyDown={handleResultsKeyDown}
+            >
+              {member.map((m) => (
+                <MemberCard
+                  key={m.ID}
+                  member={m}
+                  highlights={highlights[String(m.ID)]}
+                  lastCheckIn={lastCheckIns[String(m.ID)]}
+                  onRenew={handleRenew}
+                  onCheckIn={handleCheckIn}
+                  onDownloadCard={isOffline ? null : handleDownloadCard}
+                  loadPlans={isOffline ? null : loadPlans}
+                  canRenewWithoutPayment={canManage}
+                  photo={photoVersions[String(m.ID)]}
+                  loadPhoto={isOffline ? null : loadPhoto}
+                  onUploadPhoto={isOffline ? null : handleUploadPhoto}
+                />
+              ))}
             </div>
+            {member.length < total && (
+              <button
+                type="button"
+                className="logout-button load-more"
+                disabled={searching}
+                onClick={() => handleSubmit(page + 1)}
+              >
+                {searching
+                  ? "Loading…"
+                  : `Show more (${member.length} of ${total})`}
+              </button>
+            )}
+          </div>
+        ) : (
+          <p className="not-found fade-in">No member found</p>
+        )}
+      </div>
+    </main>
+  );
 
-            <button className="btn-primary" type="submit">
-              {loading ? "Signing in..." : "Sign in"}
+  // 👇 signed-in pages share the header; signed-out visitors go to /login and come back after
+  const requireAuth = (page) => {
+    if (!sessionChecked) return <p>Loading…</p>;
+    if (!isLoggedIn) {
+      return <Navigate to="/login" replace state={{ from: location }} />;
+    }
+    return (
+      <div className="app-shell">
+        <header className="app-header">
+          <h1>Gym Member Lookup</h1>
+          <nav className="view-tabs">
+            <NavLink to={searchLink} className="logout-button">
+              Lookup
+            </NavLink>
+            <NavLink to="/reports" className="logout-button">
+              Dashboard
+            </NavLink>
+            {!isOffline && (
+              <NavLink to="/members/new" className="logout-button">
+                Add member
+              </NavLink>
+            )}
+            {!isOffline && (
+              <NavLink to="/lockers" className="logout-button">
+                Lockers
+              </NavLink>
+            )}
+            {canManage && (
+              <NavLink to="/payments" className="logout-button">
+                Payments
+              </NavLink>
+            )}
+            {currentUser?.role === "admin" && (
+              <NavLink to="/audit" className="logout-button">
+                Audit
+              </NavLink>
+            )}
+          </nav>
+          <div className="header-actions">
+            {currentUser && (
+              <span className="current-user">
+                {currentUser.user} · {currentUser.role}
+              </span>
+            )}
+            <button
+              className="logout-button"
+              onClick={async () => {
+                // 👇 send queued check-ins first and stay signed in if any were rejected
+                if (queuedCount > 0 && !isOffline) {
+                  if ((await syncQueuedCheckIns()) > 0) return;
+                }
+                handleLogout();
+                navigate("/login", { replace: true });
+              }}
+            >
+              Logout
             </button>
-            {loginError && <p className="error-text">{loginError}</p>}
-          </form>
-        ) : (
-          <div className="app-shell">
-            <header className="app-header">
-              <h1>Gym Member Lookup</h1>
-              <div className="header-actions">
-                <button className="logout-button" onClick={handleLogout}>
-                  Logout
-                </button>
-              </div>
-            </header>
-
-            <main className="lookup-area">
-              {/* 👇 removed search button, input auto triggers search with debounce */}
-              <form
-                className="input-group"
-                onSubmit={(e) => e.preventDefault()}
+          </div>
+        </header>
+        {isOffline && (
+          <div className="offline-banner">
+            Offline
+            {snapshotAt
+              ? `, data as of ${format(new Date(snapshotAt), "HH:mm")}`
+              : " — no saved data on this device"}
+            {queuedCount > 0 &&
+              ` · ${queuedCount} check-in${
+                queuedCount === 1 ? "" : "s"
+              } waiting to sync`}
+          </div>
+        )}
+        {rejectedCheckIns.length > 0 && (
+          <section className="report-section">
+            <div className="report-header">
+              <h3>Offline check-ins the server rejected</h3>
+              <button
+                type="button"
+                className="logout-button"
+                onClick={dismissRejected}
               >
-                <div
-                  className="search-wrapper"
-                  style={{ position: "relative", width: "100%" }}
+                Dismiss
+              </button>
+            </div>
+            <ul className="report-list">
+              {rejectedCheckIns.map((item) => (
+                <li
+                  key={`${item.memberId}-${item.checkedInAt}`}
+                  className="report-row status-red"
                 >
-                  <input
-                    type="text"
-                    placeholder="Search by ID or Name"
-                    value={searchTerm}
-                    onChange={(e) => setSearchTerm(e.target.value)}
-                    style={{ width: "100%", paddingRight: "2rem" }} // space for the X button
-                  />
-                  {searchTerm && (
-                    <button
-                      type="button"
-                      onClick={() => {
-                        setSearchTerm("");
-                        setMember([]); // also clear results
-                      }}
-                      className="clear-btn"
-                      style={{
-                        position: "absolute",
-                        right: "0.5rem",
-                        top: "50%",
-                        transform: "translateY(-50%)",
-                        border: "none",
-                        background: "transparent",
-                        cursor: "pointer",
-                        fontSize: "1.2rem",
-                        color: "#666",
-                      }}
-                    >
-                      ×
-                    </button>
-                  )}
-                </div>
-              </form>
-              <div className="result-area">
-                {loading ? (
-                  <p>Loading…</p>
-                ) : member.length > 0 ? (
-                  <div className="results-grid">{member.map(renderCard)}</div>
-                ) : (
-                  <p className="not-found fade-in">No member found</p>
-                )}
-              </div>
-            </main>
-          </div>
+                  <span className="report-expiry">
+                    {format(new Date(item.checkedInAt), "dd MMM, HH:mm")}
+                  </span>
+                  <Link
+                    to={`/members/${encodeURIComponent(item.memberId)}`}
+                    className="report-name"
+                  >
+                    {item.memberName || `#${item.memberId}`}
+                  </Link>
+                  <span className="label">{item.message}</span>
+                </li>
+              ))}
+            </ul>
+          </section>
         )}
+        {page}
+      </div>
+    );
+  };
+
+  const from = location.state?.from;
+  const afterLogin = from ? `${from.pathname}${from.search || ""}` : "/search";
+
+  return (
+    <>
+      <div style={bgStyle}></div>
+      <div className="container fade-in">
+        <Routes>
+          <Route
+            path="/login"
+            element={
+              isLoggedIn ? <Navigate to={afterLogin} replace /> : loginPage
+            }
+          />
+          <Route path="/search" element={requireAuth(lookupPage)} />
+          <Route
+            path="/members/:id"
+            element={requireAuth(
+              <MemberDetail
+                loadMember={loadMember}
+                onRenew={handleRenew}
+                onCheckIn={handleCheckIn}
+                onDownloadCard={handleDownloadCard}
+                loadPlans={isOffline ? null : loadPlans}
+                canRenewWithoutPayment={canManage}
+                loadMemberFields={isOffline ? null : loadMemberFields}
+                loadPhoto={isOffline ? null : loadPhoto}
+                onUploadPhoto={isOffline ? null : handleUploadPhoto}
+                onSaveMember={handleSaveMember}
+                onSetActive={canManage ? handleSetActive : null}
+              />
+            )}
+          />
+          <Route
+            path="/members/new"
+            element={requireAuth(
+              <NewMember
+                loadMemberFields={loadMemberFields}
+                onSaveMember={handleSaveMember}
+              />
+            )}
+          />
+          <Route
+            path="/reports"
+            element={requireAuth(
+              <Dashboard apiFetch={apiFetch} role={currentUser?.role} />
+            )}
+          />
+          <Route
+            path="/lockers"
+            element={requireAuth(
+              <Lockers apiFetch={apiFetch} role={currentUser?.role} />
+            )}
+          />
+          <Route
+            path="/payments"
+            element={requireAuth(
+              canManage ? (
+                <Payments
+                  apiFetch={apiFetch}
+                  onPlansChanged={() => {
+                    plansRef.current = null;
+                  }}
+                />
+              ) : (
+                <Navigate to="/search" replace />
+              )
+            )}
+          />
+          <Route
+            path="/audit"
+            element={requireAuth(
+              currentUser?.role === "admin" ? (
+                <AuditLog apiFetch={apiFetch} />
+              ) : (
+                <Navigate to="/search" replace />
+              )
+            )}
+          />
+          <Route path="*" element={<Navigate to="/search" replace />} />
+        </Routes>
       </div>
     </>
   );
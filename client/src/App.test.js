@@ -1,8 +1,622 @@
-import { render, screen } from '@testing-library/react';
-import App from './App';
+import { render, screen, waitFor, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { MemoryRouter } from "react-router-dom";
+import App from "./App";
+import * as offlineStore from "./offline/store";
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+// 👇 jsdom has no IndexedDB; tests that need offline storage give these an in-memory body
+jest.mock("./offline/store", () => ({
+  isOfflineSupported: jest.fn(() => false),
+  saveSnapshot: jest.fn(),
+  loadSnapshot: jest.fn(),
+  loadQueue: jest.fn(),
+  saveQueue: jest.fn(),
+  enqueueCheckIn: jest.fn(),
+  loadRejected: jest.fn(),
+  saveRejected: jest.fn(),
+  clearSnapshot: jest.fn(),
+}));
+
+const ALICE = {
+  ID: "1",
+  Name: "Alice Smith",
+  "Membership Expiry": "2099-01-01",
+  Locker: "A1",
+  membership: { status: "active", daysLeft: 26000, expiry: "2099-01-01" },
+};
+
+const ROUTER_FUTURE = { v7_startTransition: true, v7_relativeSplatPath: true };
+
+function jsonResponse(status, body) {
+  const res = {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: () => null },
+    json: async () => body,
+    text: async () => JSON.stringify(body),
+    blob: async () => new Blob([JSON.stringify(body)]),
+  };
+  res.clone = () => ({ ...res });
+  return res;
+}
+
+/*
+ * Stand-in for the API: routes maps "METHOD /path" to a handler (or a list of handlers
+ * used in turn) that receives the fetch options and returns [status, body].
+ */
+function mockApi(routes) {
+  const calls = [];
+  global.fetch = jest.fn(async (url, opts = {}) => {
+    const { pathname, search } = new URL(url);
+    const key = `${opts.method || "GET"} ${pathname.replace(/^\/api/, "")}`;
+    calls.push({ key, search, opts });
+    let handler = routes[key];
+    if (Array.isArray(handler))
+      handler = handler.length > 1 ? handler.shift() : handler[0];
+    if (!handler) return jsonResponse(404, { message: "Not found" });
+    const [status, body] = handler(opts, search);
+    return jsonResponse(status, body);
+  });
+  return calls;
+}
+
+function renderAt(path) {
+  return render(
+    <MemoryRouter initialEntries={[path]} future={ROUTER_FUTURE}>
+      <App />
+    </MemoryRouter>
+  );
+}
+
+/* The session itself is in HttpOnly cookies; the client only keeps its expiry */
+function signIn() {
+  localStorage.setItem("access_expiry", String(Date.now() + 15 * 60 * 1000));
+}
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+afterEach(() => {
+  delete global.fetch;
+  jest.restoreAllMocks();
+});
+
+test("signs in and lands on the search page", async () => {
+  const calls = mockApi({
+    "POST /login": (opts) => {
+      const { username, password } = JSON.parse(opts.body);
+      return username === "desk" && password === "secret-pass"
+        ? [
+            200,
+            { user: "desk", role: "desk", expiresIn: 900, csrfToken: "csrf-1" },
+          ]
+        : [401, { message: "Invalid credentials" }];
+    },
+  });
+  const user = userEvent.setup();
+  renderAt("/search");
+
+  await user.type(await screen.findByPlaceholderText("Username"), "desk");
+  await user.type(screen.getByPlaceholderText("Password"), "secret-pass");
+  await user.click(screen.getByRole("button", { name: "Sign in" }));
+
+  expect(
+    await screen.findByPlaceholderText(/Search by name/)
+  ).toBeInTheDocument();
+  expect(screen.getByText("desk · desk")).toBeInTheDocument();
+  expect(localStorage.getItem("access_expiry")).not.toBeNull();
+  expect(localStorage.getItem("access_token")).toBeNull();
+  const [loginCall] = calls.filter((c) => c.key === "POST /login");
+  expect(loginCall.opts.credentials).toBe("include");
+  expect(calls.filter((c) => c.key === "POST /login")).toHaveLength(1);
+});
+
+test("shows the server's message when sign-in fails", async () => {
+  const calls = mockApi({
+    "POST /login": () => [401, { message: "Invalid credentials" }],
+  });
+  const user = userEvent.setup();
+  renderAt("/login");
+
+  await user.type(await screen.findByPlaceholderText("Username"), "desk");
+  await user.type(screen.getByPlaceholderText("Password"), "wrong-pass");
+  await user.click(screen.getByRole("button", { name: "Sign in" }));
+
+  expect(await screen.findByText("Invalid credentials")).toBeInTheDocument();
+  expect(localStorage.getItem("access_expiry")).toBeNull();
+  expect(calls.some((c) => c.key === "POST /refresh")).toBe(false);
+});
+
+test("refreshes an expired access token once and retries the request", async () => {
+  signIn();
+  const calls = mockApi({
+    "GET /me": [
+      () => [401, { message: "Invalid or expired access token" }],
+      () => [200, { user: "desk", role: "desk" }],
+    ],
+    "GET /csrf": () => [200, { csrfToken: "csrf-1" }],
+    "POST /refresh": (opts) => {
+      expect(opts.headers["X-CSRF-Token"]).toBe("csrf-1");
+      return [
+        200,
+        { user: "desk", role: "desk", expiresIn: 900, csrfToken: "csrf-1" },
+      ];
+    },
+  });
+  renderAt("/search");
+
+  expect(await screen.findByText("desk · desk")).toBeInTheDocument();
+  expect(calls.map((c) => c.key)).toEqual([
+    "GET /me",
+    "GET /csrf",
+    "POST /refresh",
+    "GET /me",
+  ]);
+  calls.forEach((c) => expect(c.opts.credentials).toBe("include"));
+});
+
+test("fetches a new CSRF token when the server rejects the old one", async () => {
+  const calls = mockApi({
+    "GET /csrf": [
+      () => [200, { csrfToken: "stale" }],
+      () => [200, { csrfToken: "current" }],
+    ],
+    "POST /login": (opts) =>
+      opts.headers["X-CSRF-Token"] === "current"
+        ? [
+            200,
+            { user: "desk", role: "desk", expiresIn: 900, csrfToken: "next" },
+          ]
+        : [403, { message: "Missing or invalid CSRF token", code: "csrf" }],
+  });
+  const user = userEvent.setup();
+  renderAt("/login");
+
+  await user.type(await screen.findByPlaceholderText("Username"), "desk");
+  await user.type(screen.getByPlaceholderText("Password"), "secret-pass");
+  await user.click(screen.getByRole("button", { name: "Sign in" }));
+
+  expect(await screen.findByText("desk · desk")).toBeInTheDocument();
+  expect(calls.map((c) => c.key)).toEqual([
+    "GET /csrf",
+    "POST /login",
+    "GET /csrf",
+    "POST /login",
+  ]);
+});
+
+test("sends the user back to sign in when the refresh is rejected", async () => {
+  jest.spyOn(console, "error").mockImplementation(() => {}); // "Refresh error: ..."
+  signIn();
+  mockApi({
+    "GET /me": () => [401, { message: "Invalid or expired access token" }],
+    "POST /refresh": () => [401, { message: "Session has been revoked" }],
+    "POST /logout": () => [200, { ok: true }],
+  });
+  renderAt("/members/1");
+
+  expect(
+    await screen.findByRole("button", { name: "Sign in" })
+  ).toBeInTheDocument();
+  expect(localStorage.getItem("access_expiry")).toBeNull();
+});
+
+test("searches as you type and shows matching members", async () => {
+  signIn();
+  const calls = mockApi({
+    "GET /me": () => [200, { user: "desk", role: "desk" }],
+    "GET /members/search": (opts, search) => {
+      const q = new URLSearchParams(search).get("q");
+      return q === "ali"
+        ? [
+            200,
+            {
+              results: [ALICE],
+              total: 1,
+              page: 1,
+              highlights: { 1: { Name: [[0, 3]] } },
+              lastCheckIns: {},
+            },
+          ]
+        : [
+            200,
+            {
+              results: [],
+              total: 0,
+              page: 1,
+              highlights: {},
+              lastCheckIns: {},
+            },
+          ];
+    },
+  });
+  const user = userEvent.setup();
+  renderAt("/search");
+
+  await user.type(await screen.findByPlaceholderText(/Search by name/), "ali");
+
+  const card = await screen.findByLabelText("Alice Smith");
+  expect(within(card).getByText("Ali").tagName).toBe("MARK");
+  expect(screen.getByText("1 result")).toBeInTheDocument();
+  // debounced: one request for the whole word
+  expect(calls.filter((c) => c.key === "GET /members/search")).toHaveLength(1);
+});
+
+test("runs the search from a /search?q= link", async () => {
+  signIn();
+  mockApi({
+    "GET /me": () => [200, { user: "desk", role: "desk" }],
+    "GET /members/search": () => [
+      200,
+      { results: [], total: 0, page: 1, highlights: {}, lastCheckIns: {} },
+    ],
+  });
+  renderAt("/search?q=zed");
+
+  expect(await screen.findByDisplayValue("zed")).toBeInTheDocument();
+  await waitFor(() =>
+    expect(global.fetch).toHaveBeenCalledWith(
+      expect.stringContaining("/members/search?q=zed"),
+      expect.anything()
+    )
+  );
+  expect(await screen.findByText("No member found")).toBeInTheDocument();
+});
+
+test("renewing from the card records a (discounted) payment for a catalogue plan", async () => {
+  signIn();
+  const renewed = {
+    ...ALICE,
+    "Membership Expiry": "2099-02-01",
+    membership: { status: "active", daysLeft: 26031, expiry: "2099-02-01" },
+  };
+  const calls = mockApi({
+    "GET /me": () => [200, { user: "sam", role: "manager" }],
+    "GET /csrf": () => [200, { csrfToken: "csrf-1" }],
+    "GET /members/search": () => [
+      200,
+      { results: [ALICE], total: 1, page: 1, highlights: {}, lastCheckIns: {} },
+    ],
+    "GET /plans": () => [
+      200,
+      {
+        currency: "EUR",
+        methods: ["cash", "card"],
+        plans: [
+          { id: "p1", name: "Monthly", months: 1, days: null, price: 40 },
+          { id: "p12", name: "Annual", months: 12, days: null, price: 400 },
+        ],
+      },
+    ],
+    "POST /members/1/payments": () => [
+      201,
+      {
+        member: renewed,
+        renewal: { newExpiry: "2099-02-01" },
+        payment: { id: "pay-1", amount: 35 },
+      },
+    ],
+  });
+  const user = userEvent.setup();
+  renderAt("/search?q=alice");
+
+  const card = await screen.findByLabelText("Alice Smith");
+  await user.click(within(card).getByRole("button", { name: "Renew" }));
+  const amount = await within(card).findByLabelText("Amount paid");
+  expect(amount).toHaveValue(40);
+  await user.clear(amount);
+  await user.type(amount, "35");
+  await user.selectOptions(
+    within(card).getByLabelText("Payment method"),
+    "card"
+  );
+  await user.click(
+    within(card).getByRole("button", { name: "Record payment" })
+  );
+
+  expect(
+    await within(card).findByText("Renewed until 2099-02-01")
+  ).toBeInTheDocument();
+  const [payment] = calls.filter((c) => c.key === "POST /members/1/payments");
+  expect(JSON.parse(payment.opts.body)).toEqual({
+    planId: "p1",
+    amount: 35,
+    method: "card",
+  });
+});
+
+test("editing a member sends the changed fields with the version it was based on", async () => {
+  signIn();
+  const detail = (member, version) => [
+    200,
+    {
+      member,
+      version,
+      lastCheckIn: null,
+      checkIns: [],
+      renewals: [],
+      payments: [],
+    },
+  ];
+  const calls = mockApi({
+    "GET /me": () => [200, { user: "admin", role: "admin" }],
+    "GET /csrf": () => [200, { csrfToken: "csrf-1" }],
+    "GET /members/1": () => detail(ALICE, "v1"),
+    "GET /members/fields": () => [200, { fields: ["Name", "Locker"] }],
+    "PATCH /members/1": [
+      () => [
+        409,
+        {
+          message: "Someone else changed this member",
+          member: { ...ALICE, Locker: "C3" },
+          version: "v2",
+        },
+      ],
+      () => [200, { member: { ...ALICE, Locker: "B2" }, version: "v3" }],
+    ],
+  });
+  const user = userEvent.setup();
+  renderAt("/members/1");
+
+  await user.click(await screen.findByRole("button", { name: "Edit" }));
+  const locker = await screen.findByLabelText("Locker");
+  expect(screen.queryByLabelText("Phone")).not.toBeInTheDocument();
+  await user.clear(locker);
+  await user.type(locker, "B2");
+  await user.click(screen.getByRole("button", { name: "Save changes" }));
+
+  // 👇 another desk got there first: the form starts again from their values
+  expect(
+    await screen.findByText("Someone else changed this member")
+  ).toBeInTheDocument();
+  await waitFor(() =>
+    expect(screen.getByLabelText("Locker")).toHaveValue("C3")
+  );
+  await user.clear(screen.getByLabelText("Locker"));
+  await user.type(screen.getByLabelText("Locker"), "B2");
+  await user.click(screen.getByRole("button", { name: "Save changes" }));
+
+  await waitFor(() =>
+    expect(screen.queryByLabelText("Locker")).not.toBeInTheDocument()
+  );
+  expect(screen.getAllByText("B2").length).toBeGreaterThan(0);
+  const bodies = calls
+    .filter((c) => c.key === "PATCH /members/1")
+    .map((c) => JSON.parse(c.opts.body));
+  expect(bodies).toEqual([
+    { version: "v1", fields: { Locker: "B2" } },
+    { version: "v2", fields: { Locker: "B2" } },
+  ]);
+});
+
+test("a photo chosen at the desk is uploaded and shown on the card", async () => {
+  signIn();
+  URL.createObjectURL = jest.fn(() => "blob:photo");
+  URL.revokeObjectURL = jest.fn();
+  const calls = mockApi({
+    "GET /me": () => [200, { user: "desk", role: "desk" }],
+    "GET /csrf": () => [200, { csrfToken: "csrf-1" }],
+    "GET /members/1": () => [
+      200,
+      {
+        member: ALICE,
+        version: "v1",
+        photo: null,
+        lastCheckIn: null,
+        checkIns: [],
+        renewals: [],
+        payments: [],
+      },
+    ],
+    "POST /members/1/photo": () => [
+      201,
+      { photo: { updatedAt: "2026-10-19T09:30:00.000Z" } },
+    ],
+    "GET /members/1/photo": () => [200, {}],
+  });
+  const user = userEvent.setup();
+  renderAt("/members/1");
+
+  await user.click(await screen.findByRole("button", { name: "Photo" }));
+  // 👇 no camera in the test browser: the file picker still works
+  expect(
+    await screen.findByText(/Camera not available in this browser/)
+  ).toBeInTheDocument();
+  await user.upload(
+    screen.getByLabelText("Choose file"),
+    new File(["jpeg bytes"], "alice.jpg", { type: "image/jpeg" })
+  );
+  await user.click(screen.getByRole("button", { name: "Use photo" }));
+
+  const avatar = await screen.findByAltText("User");
+  expect(avatar).toHaveAttribute("src", "blob:photo");
+  const [upload] = calls.filter((c) => c.key === "POST /members/1/photo");
+  expect(upload.opts.body.get("photo").size).toBe(10);
+  expect(upload.opts.headers["Content-Type"]).toBeUndefined();
+  expect(upload.opts.headers["X-CSRF-Token"]).toBe("csrf-1");
+  const [download] = calls.filter((c) => c.key === "GET /members/1/photo");
+  expect(download.search).toBe("?size=large&v=2026-10-19T09%3A30%3A00.000Z");
+
+  delete URL.createObjectURL;
+  delete URL.revokeObjectURL;
+});
+
+test("a free locker on the grid is assigned by member ID", async () => {
+  signIn();
+  const grid = (a2Holders) => [
+    200,
+    {
+      overdueAction: "flag",
+      graceDays: 7,
+      counts: {
+        free: a2Holders.length ? 0 : 1,
+        occupied: a2Holders.length ? 1 : 0,
+        overdue: 1,
+        conflict: 0,
+      },
+      lockers: [
+        { label: "A1", area: "", status: "overdue", holders: [ALICE] },
+        {
+          label: "A2",
+          area: "",
+          status: a2Holders.length ? "occupied" : "free",
+          holders: a2Holders,
+        },
+      ],
+      unlisted: [],
+    },
+  ];
+  const bob = { ID: "2", Name: "Bob Jones", membership: { status: "active" } };
+  const calls = mockApi({
+    "GET /me": () => [200, { user: "desk", role: "desk" }],
+    "GET /csrf": () => [200, { csrfToken: "csrf-1" }],
+    "GET /lockers": [() => grid([]), () => grid([bob])],
+    "POST /lockers/A2/assign": () => [
+      200,
+      { locker: "A2", previous: null, member: { ...bob, Locker: "A2" } },
+    ],
+  });
+  const user = userEvent.setup();
+  renderAt("/lockers");
+
+  expect(
+    await screen.findByText("1 free · 0 occupied · 1 overdue")
+  ).toBeInTheDocument();
+  // 👇 desk staff can't bulk-release or change the inventory
+  expect(
+    screen.queryByRole("button", { name: /Release 1 overdue/ })
+  ).not.toBeInTheDocument();
+  expect(screen.queryByText("Add lockers")).not.toBeInTheDocument();
+
+  await user.click(screen.getByRole("button", { name: /^A2/ }));
+  await user.type(screen.getByLabelText("Assign A2 to member ID"), "2");
+  await user.click(screen.getByRole("button", { name: "Assign" }));
+
+  expect(
+    await screen.findByText("A2 assigned to Bob Jones")
+  ).toBeInTheDocument();
+  expect(screen.getByRole("button", { name: /^A2/ })).toHaveTextContent(
+    "Bob Jones"
+  );
+  const [assign] = calls.filter((c) => c.key === "POST /lockers/A2/assign");
+  expect(JSON.parse(assign.opts.body)).toEqual({ memberId: "2" });
+});
+
+test("a manager corrects a payment with a refund entry", async () => {
+  signIn();
+  const payment = {
+    id: "pay-1",
+    at: "2024-05-02T10:00:00.000Z",
+    type: "payment",
+    memberId: "1",
+    memberName: "Alice Smith",
+    planName: "Monthly",
+    amount: 40,
+    currency: "EUR",
+    method: "card",
+    staff: "desk",
+  };
+  const refund = {
+    ...payment,
+    id: "ref-1",
+    type: "refund",
+    refundOf: "pay-1",
+    amount: -40,
+    reference: "charged twice",
+    staff: "manager",
+  };
+  const report = (amount) => [
+    200,
+    {
+      from: "2024-05-01",
+      to: "2024-05-31",
+      currency: "EUR",
+      total: { amount, count: 1 },
+      months: [{ month: "2024-05", amount, count: 1, byPlan: [] }],
+    },
+  ];
+  const ledger = (results) => [
+    200,
+    { total: results.length, totalAmount: 0, page: 1, limit: 25, results },
+  ];
+  const calls = mockApi({
+    "GET /me": () => [200, { user: "manager", role: "manager" }],
+    "GET /csrf": () => [200, { csrfToken: "csrf-1" }],
+    "GET /plans": () => [200, { currency: "EUR", methods: [], plans: [] }],
+    "GET /reports/revenue": [() => report(40), () => report(0)],
+    "GET /payments": [() => ledger([payment]), () => ledger([refund, payment])],
+    "POST /payments/pay-1/refunds": () => [201, { refund }],
+  });
+  const user = userEvent.setup();
+  renderAt("/payments");
+
+  await user.click(await screen.findByRole("button", { name: "Refund" }));
+  await user.type(screen.getByLabelText("Refund reason"), "charged twice");
+  await user.click(screen.getByRole("button", { name: "Record refund" }));
+
+  expect(await screen.findByText("Refund · charged twice")).toBeInTheDocument();
+  // 👇 the refund itself can't be refunded again from its row
+  expect(screen.getAllByRole("button", { name: "Refund" })).toHaveLength(1);
+  const [sent] = calls.filter((c) => c.key === "POST /payments/pay-1/refunds");
+  expect(JSON.parse(sent.opts.body)).toEqual({ reference: "charged twice" });
+});
+
+test("logging out syncs queued check-ins first and shows the ones the server rejected", async () => {
+  signIn();
+  const stored = {
+    queue: [
+      {
+        memberId: "2",
+        memberName: "Bob Jones",
+        overrideReason: "",
+        checkedInAt: "2024-05-02T10:00:00.000Z",
+      },
+    ],
+    rejected: [],
+  };
+  offlineStore.isOfflineSupported.mockReturnValue(true);
+  offlineStore.loadSnapshot.mockResolvedValue(null);
+  offlineStore.saveSnapshot.mockResolvedValue();
+  offlineStore.clearSnapshot.mockResolvedValue();
+  offlineStore.loadQueue.mockImplementation(async () => [...stored.queue]);
+  offlineStore.saveQueue.mockImplementation(async (queue) => {
+    stored.queue = [...queue];
+  });
+  offlineStore.loadRejected.mockImplementation(async () => [
+    ...stored.rejected,
+  ]);
+  offlineStore.saveRejected.mockImplementation(async (items) => {
+    stored.rejected = [...items];
+  });
+  const calls = mockApi({
+    "GET /me": () => [200, { user: "desk", role: "desk" }],
+    "GET /csrf": () => [200, { csrfToken: "csrf-1" }],
+    "GET /data": () => [200, []],
+    // 👇 the sync at sign-in can't reach the server; the one at logout can
+    "POST /members/2/checkin": [
+      () => {
+        throw new TypeError("Failed to fetch");
+      },
+      () => [409, { message: "Membership expired on 2021-01-01" }],
+    ],
+  });
+  const user = userEvent.setup();
+  renderAt("/search");
+
+  await user.click(await screen.findByRole("button", { name: "Logout" }));
+
+  expect(
+    await screen.findByText("Membership expired on 2021-01-01")
+  ).toBeInTheDocument();
+  expect(screen.getByRole("link", { name: "Bob Jones" })).toBeInTheDocument();
+  expect(stored.queue).toEqual([]);
+  expect(calls.some((c) => c.key === "POST /logout")).toBe(false);
+
+  await user.click(screen.getByRole("button", { name: "Dismiss" }));
+  expect(stored.rejected).toEqual([]);
+  await user.click(screen.getByRole("button", { name: "Logout" }));
+
+  expect(await screen.findByPlaceholderText("Username")).toBeInTheDocument();
+  expect(offlineStore.clearSnapshot).toHaveBeenCalled();
 });
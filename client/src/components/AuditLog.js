@@ -0,0 +1,216 @@
+// client/src/components/AuditLog.js
+import React, { useEffect, useState } from "react";
+import { format } from "date-fns";
+
+const ACTIONS = [
+  "search",
+  "view",
+  "export",
+  "report",
+  "renew",
+  "refund",
+  "checkin",
+  "add",
+  "edit",
+  "deactivate",
+  "reactivate",
+];
+const PAGE_SIZE = 50;
+const MAX_IDS_SHOWN = 8;
+
+function describe(entry) {
+  const d = entry.details || {};
+  switch (entry.action) {
+    case "search":
+      return `searched “${d.query}” (${d.total} matches)`;
+    case "export":
+      return `exported ${d.total} members as ${String(d.format).toUpperCase()}`;
+    case "report":
+      return d.report === "payments"
+        ? "viewed payments ledger"
+        : `opened ${d.report} report`;
+    case "view":
+      if (d.scope === "roster") {
+        return d.count === undefined
+          ? "downloaded roster"
+          : `downloaded roster (${d.count} members)`;
+      }
+      return d.scope === "lockers" ? "viewed locker grid" : "viewed member";
+    case "renew":
+      return d.planName
+        ? `renewed to ${d.newExpiry} (paid for ${d.planName})`
+        : `renewed to ${d.newExpiry}`;
+    case "refund":
+      return `refunded ${Math.abs(d.amount)} of a payment`;
+    case "checkin":
+      return d.flagged ? "checked in (override)" : "checked in";
+    case "add":
+      return "added member";
+    case "edit":
+      if (d.lockerAction === "assign") return `assigned locker ${d.locker}`;
+      if (d.lockerAction === "release") return `released locker ${d.locker}`;
+      if (d.lockerAction === "release-overdue")
+        return "released overdue lockers";
+      return `edited ${(d.fields || []).join(", ")}`;
+    case "deactivate":
+      return "deactivated member";
+    case "reactivate":
+      return "reactivated member";
+    default:
+      return entry.action;
+  }
+}
+
+function memberList(ids) {
+  if (!ids.length) return "—";
+  const shown = ids.slice(0, MAX_IDS_SHOWN).map((id) => `#${id}`);
+  const more = ids.length - shown.length;
+  return shown.join(", ") + (more > 0 ? ` +${more} more` : "");
+}
+
+export default function AuditLog({ apiFetch }) {
+  const [filters, setFilters] = useState({
+    user: "",
+    memberId: "",
+    action: "",
+    from: "",
+    to: "",
+  });
+  const [page, setPage] = useState(1);
+  const [data, setData] = useState(null); // { total, page, limit, results }
+  const [error, setError] = useState("");
+
+  const setFilter = (key, value) => {
+    setFilters((prev) => ({ ...prev, [key]: value }));
+    setPage(1);
+  };
+
+  useEffect(() => {
+    const params = new URLSearchParams({ page, limit: PAGE_SIZE });
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value.trim()) params.set(key, value.trim());
+    });
+
+    let cancelled = false;
+    setError("");
+    apiFetch(`/admin/audit?${params}`)
+      .then(async (res) => {
+        const json = await res.json().catch(() => ({}));
+        if (!res.ok)
+          throw new Error(json.message || "Failed to load audit log");
+        if (!cancelled) setData(json);
+      })
+      .catch((err) => !cancelled && setError(err.message));
+    return () => {
+      cancelled = true;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [filters, page]);
+
+  const pages = data ? Math.max(1, Math.ceil(data.total / data.limit)) : 1;
+
+  return (
+    <div className="dashboard fade-in">
+      <section className="report-section">
+        <div className="report-header">
+          <h3>Audit trail{data ? ` (${data.total})` : ""}</h3>
+        </div>
+        <div className="audit-filters">
+          <input
+            type="text"
+            placeholder="Staff username"
+            value={filters.user}
+            onChange={(e) => setFilter("user", e.target.value)}
+          />
+          <input
+            type="text"
+            placeholder="Member ID"
+            value={filters.memberId}
+            onChange={(e) => setFilter("memberId", e.target.value)}
+          />
+          <select
+            value={filters.action}
+            onChange={(e) => setFilter("action", e.target.value)}
+          >
+            <option value="">All actions</option>
+            {ACTIONS.map((a) => (
+              <option key={a} value={a}>
+                {a}
+              </option>
+            ))}
+          </select>
+          <label className="label">
+            from{" "}
+            <input
+              type="date"
+              value={filters.from}
+              onChange={(e) => setFilter("from", e.target.value)}
+              className="days-input"
+            />
+          </label>
+          <label className="label">
+            to{" "}
+            <input
+              type="date"
+              value={filters.to}
+              onChange={(e) => setFilter("to", e.target.value)}
+              className="days-input"
+            />
+          </label>
+        </div>
+
+        {error && <p className="error-text">{error}</p>}
+        {!data ? (
+          !error && <p>Loading…</p>
+        ) : data.results.length === 0 ? (
+          <p className="not-found">No matching audit entries</p>
+        ) : (
+          <ul className="report-list">
+            {data.results.map((entry) => (
+              <li
+                key={`${entry.at}-${entry.requestId}-${entry.action}`}
+                className="report-row"
+              >
+                <span className="report-expiry">
+                  {format(new Date(entry.at), "dd MMM yyyy, HH:mm:ss")}
+                </span>
+                <span className="report-name">
+                  {entry.staff} · {entry.role}
+                </span>
+                <span className="label">{describe(entry)}</span>
+                <span className="value">{memberList(entry.memberIds)}</span>
+                {entry.phoneVisible && (
+                  <span className="badge">phones visible</span>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {pages > 1 && (
+          <div className="renew-confirm">
+            <button
+              type="button"
+              className="logout-button"
+              disabled={page <= 1}
+              onClick={() => setPage(page - 1)}
+            >
+              Newer
+            </button>
+            <span className="label">
+              Page {page} of {pages}
+            </span>
+            <button
+              type="button"
+              className="logout-button"
+              disabled={page >= pages}
+              onClick={() => setPage(page + 1)}
+            >
+              Older
+            </button>
+          </div>
+        )}
+      </section>
+    </div>
+  );
+}
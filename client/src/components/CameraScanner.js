@@ -0,0 +1,78 @@
+// client/src/components/CameraScanner.js
+import React, { useEffect, useRef, useState } from "react";
+import { createDecoder } from "../scan/decoder";
+
+const SCAN_INTERVAL_MS = 250;
+
+/* Camera overlay that calls onScan(text) with the first code it reads */
+export default function CameraScanner({ onScan, onClose }) {
+  const videoRef = useRef(null);
+  const onScanRef = useRef(onScan);
+  onScanRef.current = onScan;
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let stream = null;
+    let timer = null;
+    let stopped = false;
+
+    (async () => {
+      try {
+        if (!navigator.mediaDevices?.getUserMedia) {
+          throw new Error("Camera not available in this browser");
+        }
+        stream = await navigator.mediaDevices.getUserMedia({
+          video: { facingMode: "environment" },
+          audio: false,
+        });
+        if (stopped) {
+          stream.getTracks().forEach((track) => track.stop());
+          return;
+        }
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+        const decode = await createDecoder();
+
+        const tick = async () => {
+          if (stopped) return;
+          const text = await decode(videoRef.current).catch(() => null);
+          if (text && !stopped) {
+            onScanRef.current(text);
+            return;
+          }
+          timer = setTimeout(tick, SCAN_INTERVAL_MS);
+        };
+        tick();
+      } catch (err) {
+        setError(
+          err.name === "NotAllowedError"
+            ? "Camera permission denied"
+            : err.message || "Could not start the camera"
+        );
+      }
+    })();
+
+    // 👇 always release the camera, even if it started after we closed
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+      if (stream) stream.getTracks().forEach((track) => track.stop());
+    };
+  }, []);
+
+  return (
+    <div className="scanner-overlay" onClick={onClose}>
+      <div className="scanner glass-card" onClick={(e) => e.stopPropagation()}>
+        <video ref={videoRef} muted playsInline className="scanner-video" />
+        {error ? (
+          <p className="error-text">{error}</p>
+        ) : (
+          <p className="label">Point the camera at the QR code on the card</p>
+        )}
+        <button type="button" className="logout-button" onClick={onClose}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
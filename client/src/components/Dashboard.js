@@ -0,0 +1,259 @@
+// client/src/components/Dashboard.js
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { format, parseISO } from "date-fns";
+import { STATUS_CLASS, STATUS_LABEL } from "../status";
+import ExportButtons from "./ExportButtons";
+
+function formatExpiry(member) {
+  const expiry = member.membership?.expiry;
+  return expiry ? format(parseISO(expiry), "dd MMM yyyy") : "—";
+}
+
+function daysText({ status, daysLeft }) {
+  if (status === "unknown") return "no expiry date";
+  if (daysLeft > 0) return `${daysLeft} days left`;
+  if (daysLeft === 0) return "expires today";
+  return `${-daysLeft} days ago`;
+}
+
+function MemberRows({ members, emptyText }) {
+  if (!members.length) return <p className="not-found">{emptyText}</p>;
+  return (
+    <ul className="report-list">
+      {members.map((m) => (
+        <li
+          key={m.ID}
+          className={`report-row ${STATUS_CLASS[m.membership.status]}`}
+        >
+          <span className="report-id">#{m.ID}</span>
+          <Link
+            to={`/members/${encodeURIComponent(m.ID)}`}
+            className="report-name"
+          >
+            {m.Name || "—"}
+          </Link>
+          <span className="report-expiry">{formatExpiry(m)}</span>
+          <span className="label">{daysText(m.membership)}</span>
+          {"Phone Number" in m && (
+            <span className="value">{m["Phone Number"] || "—"}</span>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function DataIssues({ apiFetch }) {
+  const [report, setReport] = useState(null);
+
+  useEffect(() => {
+    apiFetch("/admin/data-issues")
+      .then((res) => (res.ok ? res.json() : null))
+      .then(setReport)
+      .catch(() => setReport(null));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  if (!report || report.issues.length === 0) return null;
+  return (
+    <section className="report-section">
+      <div className="report-header">
+        <h3>Roster data issues ({report.issues.length})</h3>
+      </div>
+      <ul className="report-list">
+        {report.issues.map((issue, i) => (
+          <li key={i} className="report-row status-unknown">
+            <span className="report-id">row {issue.row}</span>
+            <span className="report-name">
+              {issue.memberId ? `#${issue.memberId} · ` : ""}
+              {issue.field}
+            </span>
+            <span className="label">{issue.problem}</span>
+            {issue.value ? (
+              <span className="value">“{issue.value}”</span>
+            ) : null}
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
+
+// 👇 admins can pull the roster from the sheet now instead of waiting for the cache
+function RosterSync({ apiFetch }) {
+  const [info, setInfo] = useState(null); // { syncedAt, stale, lastError }
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    apiFetch("/admin/cache")
+      .then((res) => (res.ok ? res.json() : null))
+      .then(setInfo)
+      .catch(() => setInfo(null));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const refresh = async () => {
+    setBusy(true);
+    try {
+      const res = await apiFetch("/admin/cache/refresh", { method: "POST" });
+      setInfo(await res.json());
+    } catch (err) {
+      setInfo((prev) => ({ ...prev, lastError: { message: err.message } }));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!info) return null;
+  return (
+    <section className="report-section">
+      <div className="report-header">
+        <h3>Roster sync</h3>
+        <span className="label">
+          {info.syncedAt
+            ? `Last synced ${format(
+                new Date(info.syncedAt),
+                "dd MMM yyyy, HH:mm:ss"
+              )}`
+            : "Not loaded yet"}
+        </span>
+        <button
+          type="button"
+          className="logout-button"
+          onClick={refresh}
+          disabled={busy}
+        >
+          {busy ? "Refreshing…" : "Refresh now"}
+        </button>
+      </div>
+      {info.lastError && (
+        <p className="error-text">
+          Sheet unreachable ({info.lastError.message}) — serving the last good
+          copy
+        </p>
+      )}
+    </section>
+  );
+}
+
+export default function Dashboard({ apiFetch, role }) {
+  const [summary, setSummary] = useState(null); // { expiringWithinDays, counts, groups }
+  const [withinDays, setWithinDays] = useState("");
+  const [expiring, setExpiring] = useState(null);
+  const [since, setSince] = useState("");
+  const [expired, setExpired] = useState(null);
+  const [error, setError] = useState("");
+
+  async function getJson(path) {
+    const res = await apiFetch(path);
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(json.message || "Failed to load report");
+    return json;
+  }
+
+  useEffect(() => {
+    getJson("/reports/status")
+      .then((json) => {
+        setSummary(json);
+        setWithinDays(String(json.expiringWithinDays));
+        setExpiring(json.groups.expiring);
+        setExpired(json.groups.expired);
+      })
+      .catch((err) => setError(err.message));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  // 👇 custom windows come from the dedicated report endpoints
+  useEffect(() => {
+    if (!summary || !withinDays) return;
+    if (Number(withinDays) === summary.expiringWithinDays) {
+      setExpiring(summary.groups.expiring);
+      return;
+    }
+    getJson(`/reports/expiring?withinDays=${encodeURIComponent(withinDays)}`)
+      .then((json) => setExpiring(json.members))
+      .catch((err) => setError(err.message));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [withinDays, summary]);
+
+  useEffect(() => {
+    if (!summary) return;
+    if (!since) {
+      setExpired(summary.groups.expired);
+      return;
+    }
+    getJson(`/reports/expired?since=${encodeURIComponent(since)}`)
+      .then((json) => setExpired(json.members))
+      .catch((err) => setError(err.message));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [since, summary]);
+
+  if (error) return <p className="error-text">{error}</p>;
+  if (!summary) return <p>Loading…</p>;
+
+  return (
+    <div className="dashboard fade-in">
+      <div className="status-tiles">
+        {Object.entries(summary.counts).map(([status, count]) => (
+          <div key={status} className={`status-tile ${STATUS_CLASS[status]}`}>
+            <div className="tile-count">{count}</div>
+            <div className="label">{STATUS_LABEL[status]}</div>
+          </div>
+        ))}
+      </div>
+
+      <section className="report-section">
+        <div className="report-header">
+          <h3>Expiring soon</h3>
+          <ExportButtons apiFetch={apiFetch} params={{ status: "expiring" }} />
+          <label className="label">
+            within{" "}
+            <input
+              type="number"
+              min="1"
+              max="365"
+              value={withinDays}
+              onChange={(e) => setWithinDays(e.target.value)}
+              className="days-input"
+            />{" "}
+            days
+          </label>
+        </div>
+        <MemberRows
+          members={expiring || []}
+          emptyText="Nobody expiring in this window"
+        />
+      </section>
+
+      <section className="report-section">
+        <div className="report-header">
+          <h3>Expired</h3>
+          <ExportButtons apiFetch={apiFetch} params={{ status: "expired" }} />
+          <label className="label">
+            since{" "}
+            <input
+              type="date"
+              value={since}
+              onChange={(e) => setSince(e.target.value)}
+              className="days-input"
+            />
+          </label>
+        </div>
+        <MemberRows members={expired || []} emptyText="No expired members" />
+      </section>
+
+      {role === "admin" && <RosterSync apiFetch={apiFetch} />}
+      {role === "admin" && <DataIssues apiFetch={apiFetch} />}
+
+      {summary.groups.unknown.length > 0 && (
+        <section className="report-section">
+          <div className="report-header">
+            <h3>Missing expiry date</h3>
+          </div>
+          <MemberRows members={summary.groups.unknown} emptyText="" />
+        </section>
+      )}
+    </div>
+  );
+}
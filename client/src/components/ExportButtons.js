@@ -0,0 +1,45 @@
+// client/src/components/ExportButtons.js
+import React, { useState } from "react";
+import { downloadResponse } from "../download";
+
+/* Downloads GET /members/export with the given filters (q, status) as CSV or XLSX */
+export default function ExportButtons({ apiFetch, params = {} }) {
+  const [busy, setBusy] = useState("");
+  const [error, setError] = useState("");
+
+  const download = async (format) => {
+    setBusy(format);
+    setError("");
+    try {
+      const query = new URLSearchParams({ ...params, format });
+      const res = await apiFetch(`/members/export?${query}`);
+      if (!res.ok) {
+        const json = await res.json().catch(() => ({}));
+        throw new Error(json.message || "Export failed");
+      }
+
+      await downloadResponse(res, `members.${format}`);
+    } catch (err) {
+      setError(err.message || "Export failed");
+    } finally {
+      setBusy("");
+    }
+  };
+
+  return (
+    <div className="export-buttons">
+      {["csv", "xlsx"].map((format) => (
+        <button
+          key={format}
+          type="button"
+          className="logout-button btn-small"
+          disabled={Boolean(busy)}
+          onClick={() => download(format)}
+        >
+          {busy === format ? "Exporting…" : `Export ${format.toUpperCase()}`}
+        </button>
+      ))}
+      {error && <span className="error-text">{error}</span>}
+    </div>
+  );
+}
@@ -0,0 +1,19 @@
+// client/src/components/Highlight.js
+import React from "react";
+
+// 👇 wraps the [start, end] ranges of text in <mark> (ranges come from the search response)
+export default function Highlight({ text, ranges }) {
+  const value = String(text ?? "");
+  if (!ranges || ranges.length === 0) return value;
+
+  const parts = [];
+  let pos = 0;
+  ranges.forEach(([start, end], i) => {
+    if (start < pos || end > value.length) return;
+    if (start > pos) parts.push(value.slice(pos, start));
+    parts.push(<mark key={i}>{value.slice(start, end)}</mark>);
+    pos = end;
+  });
+  parts.push(value.slice(pos));
+  return <>{parts}</>;
+}
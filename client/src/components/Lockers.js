@@ -0,0 +1,369 @@
+// client/src/components/Lockers.js
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+
+// 👇 tile colours reuse the membership status classes
+const LOCKER_STATUS = {
+  free: { className: "status-green", label: "Free" },
+  occupied: { className: "status-unknown", label: "Occupied" },
+  overdue: { className: "status-red", label: "Overdue" },
+  conflict: { className: "status-yellow", label: "Double booked" },
+};
+
+async function readJson(res, fallbackMessage) {
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(json.message || fallbackMessage);
+  return json;
+}
+
+function HolderLinks({ holders }) {
+  return holders.map((m) => (
+    <Link
+      key={m.ID}
+      to={`/members/${encodeURIComponent(m.ID)}`}
+      className="report-name"
+    >
+      {m.Name || `#${m.ID}`}
+      {m.membership?.expiry ? ` · expires ${m.membership.expiry}` : ""}
+    </Link>
+  ));
+}
+
+// 👇 what the desk can do with the selected locker
+function LockerPanel({
+  locker,
+  canManage,
+  busy,
+  onAssign,
+  onRelease,
+  onRemove,
+}) {
+  const [memberId, setMemberId] = useState("");
+  const status = LOCKER_STATUS[locker.status];
+
+  const assign = async (e) => {
+    e.preventDefault();
+    if (await onAssign(locker.label, memberId.trim())) setMemberId("");
+  };
+
+  return (
+    <div className={`report-row ${status.className}`}>
+      <span className="value">
+        {locker.label}
+        {locker.area ? ` · ${locker.area}` : ""}
+      </span>
+      <span className="label">{status.label}</span>
+      <HolderLinks holders={locker.holders} />
+      {locker.holders.length > 0 ? (
+        <button
+          type="button"
+          className="btn-primary btn-small"
+          onClick={() => onRelease(locker.label)}
+          disabled={busy}
+        >
+          Release
+        </button>
+      ) : (
+        <form className="audit-filters" onSubmit={assign}>
+          <input
+            type="text"
+            placeholder="Member ID"
+            aria-label={`Assign ${locker.label} to member ID`}
+            value={memberId}
+            onChange={(e) => setMemberId(e.target.value)}
+            required
+          />
+          <button
+            type="submit"
+            className="btn-primary btn-small"
+            disabled={busy}
+          >
+            Assign
+          </button>
+          {canManage && (
+            <button
+              type="button"
+              className="logout-button"
+              onClick={() => onRemove(locker.label)}
+              disabled={busy}
+            >
+              Remove locker
+            </button>
+          )}
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default function Lockers({ apiFetch, role }) {
+  const [grid, setGrid] = useState(null); // { overdueAction, graceDays, counts, lockers, unlisted }
+  const [selected, setSelected] = useState(null); // locker label
+  const [newLockers, setNewLockers] = useState({ labels: "", area: "" });
+  const [busy, setBusy] = useState(false);
+  const [notice, setNotice] = useState("");
+  const [error, setError] = useState("");
+  const canManage = ["admin", "manager"].includes(role);
+
+  const load = () =>
+    apiFetch("/lockers")
+      .then((res) => readJson(res, "Failed to load lockers"))
+      .then(setGrid);
+
+  useEffect(() => {
+    load().catch((err) => setError(err.message));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  // 👇 every change reloads the grid: assignments live in the roster, which others edit too
+  const act = async (path, method, body, fallbackMessage) => {
+    setBusy(true);
+    setError("");
+    setNotice("");
+    try {
+      const res = await apiFetch(path, {
+        method,
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      const json = await readJson(res, fallbackMessage);
+      await load();
+      return json;
+    } catch (err) {
+      setError(err.message);
+      await load().catch(() => {});
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const lockerPath = (label) => `/lockers/${encodeURIComponent(label)}`;
+
+  const handleAssign = async (label, memberId) => {
+    const json = await act(
+      `${lockerPath(label)}/assign`,
+      "POST",
+      { memberId },
+      "Could not assign locker"
+    );
+    if (json) {
+      setNotice(
+        `${label} assigned to ${json.member.Name || `#${json.member.ID}`}` +
+          (json.previous ? ` (${json.previous} is free again)` : "")
+      );
+    }
+    return Boolean(json);
+  };
+
+  const handleRelease = async (label) => {
+    const json = await act(
+      `${lockerPath(label)}/release`,
+      "POST",
+      null,
+      "Could not release locker"
+    );
+    if (json) setNotice(`${label} released`);
+  };
+
+  const handleRemove = async (label) => {
+    const json = await act(
+      lockerPath(label),
+      "DELETE",
+      null,
+      "Could not remove locker"
+    );
+    if (json) {
+      setSelected(null);
+      setNotice(`${label} removed from the locker list`);
+    }
+  };
+
+  const handleReleaseOverdue = async () => {
+    const json = await act(
+      "/lockers/release-overdue",
+      "POST",
+      {},
+      "Could not release overdue lockers"
+    );
+    if (json) {
+      const count = json.released.length;
+      setNotice(`${count} overdue locker${count === 1 ? "" : "s"} released`);
+    }
+  };
+
+  const addLockers = async (e) => {
+    e.preventDefault();
+    const json = await act(
+      "/lockers",
+      "POST",
+      newLockers,
+      "Could not add lockers"
+    );
+    if (json) {
+      setNewLockers({ labels: "", area: "" });
+      setNotice(
+        `Added ${json.added.length} locker${
+          json.added.length === 1 ? "" : "s"
+        }` +
+          (json.skipped.length
+            ? ` (${json.skipped.join(", ")} already listed)`
+            : "")
+      );
+    }
+  };
+
+  if (!grid) {
+    return (
+      <div className="dashboard fade-in">
+        {error ? <p className="error-text">{error}</p> : <p>Loading…</p>}
+      </div>
+    );
+  }
+
+  const current = grid.lockers.find((l) => l.label === selected) || null;
+  // 👇 the release covers overdue lockers missing from the list too
+  const overdue = [...grid.lockers, ...grid.unlisted].filter(
+    (l) => l.status === "overdue"
+  ).length;
+
+  return (
+    <div className="dashboard fade-in">
+      <section className="report-section">
+        <div className="report-header">
+          <h3>Lockers</h3>
+          <span className="label">
+            {grid.counts.free} free · {grid.counts.occupied} occupied ·{" "}
+            {grid.counts.overdue} overdue
+            {grid.counts.conflict
+              ? ` · ${grid.counts.conflict} double booked`
+              : ""}
+          </span>
+        </div>
+        <p className="label">
+          {grid.overdueAction === "release"
+            ? `Lockers are released automatically ${grid.graceDays} days after a membership expires.`
+            : `Lockers are flagged overdue ${grid.graceDays} days after a membership expires.`}
+        </p>
+        {canManage && overdue > 0 && (
+          <div className="renew-confirm">
+            <button
+              type="button"
+              className="btn-primary btn-small"
+              onClick={handleReleaseOverdue}
+              disabled={busy}
+            >
+              Release {overdue} overdue
+            </button>
+          </div>
+        )}
+
+        {grid.lockers.length === 0 ? (
+          <p className="not-found">
+            No lockers listed yet
+            {canManage ? " — add them below" : ""}
+          </p>
+        ) : (
+          <div className="locker-grid">
+            {grid.lockers.map((locker) => (
+              <button
+                key={locker.label}
+                type="button"
+                className={`locker-tile ${
+                  LOCKER_STATUS[locker.status].className
+                } ${locker.label === selected ? "selected" : ""}`}
+                aria-pressed={locker.label === selected}
+                onClick={() =>
+                  setSelected(locker.label === selected ? null : locker.label)
+                }
+              >
+                <span className="value">{locker.label}</span>
+                <span className="label">
+                  {locker.holders.length
+                    ? locker.holders.map((m) => m.Name || m.ID).join(", ")
+                    : LOCKER_STATUS[locker.status].label}
+                </span>
+              </button>
+            ))}
+          </div>
+        )}
+
+        {current && (
+          <LockerPanel
+            key={current.label}
+            locker={current}
+            canManage={canManage}
+            busy={busy}
+            onAssign={handleAssign}
+            onRelease={handleRelease}
+            onRemove={handleRemove}
+          />
+        )}
+        {notice && <p className="label">{notice}</p>}
+        {error && <p className="error-text">{error}</p>}
+      </section>
+
+      {grid.unlisted.length > 0 && (
+        <section className="report-section">
+          <div className="report-header">
+            <h3>Not in the locker list ({grid.unlisted.length})</h3>
+          </div>
+          <ul className="report-list">
+            {grid.unlisted.map((locker) => (
+              <li
+                key={locker.label}
+                className={`report-row ${
+                  LOCKER_STATUS[locker.status].className
+                }`}
+              >
+                <span className="value">{locker.label}</span>
+                <HolderLinks holders={locker.holders} />
+                <button
+                  type="button"
+                  className="logout-button"
+                  onClick={() => handleRelease(locker.label)}
+                  disabled={busy}
+                >
+                  Release
+                </button>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      {canManage && (
+        <section className="report-section">
+          <div className="report-header">
+            <h3>Add lockers</h3>
+          </div>
+          <form className="audit-filters" onSubmit={addLockers}>
+            <input
+              type="text"
+              placeholder="Labels, e.g. A1-A20, B1"
+              value={newLockers.labels}
+              onChange={(e) =>
+                setNewLockers({ ...newLockers, labels: e.target.value })
+              }
+              required
+            />
+            <input
+              type="text"
+              placeholder="Area (optional)"
+              value={newLockers.area}
+              onChange={(e) =>
+                setNewLockers({ ...newLockers, area: e.target.value })
+              }
+            />
+            <button
+              type="submit"
+              className="btn-primary btn-small"
+              disabled={busy}
+            >
+              Add lockers
+            </button>
+          </form>
+        </section>
+      )}
+    </div>
+  );
+}
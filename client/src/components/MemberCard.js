@@ -0,0 +1,465 @@
+// client/src/components/MemberCard.js
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { format, parseISO } from "date-fns";
+import { STATUS_CLASS, STATUS_LABEL } from "../status";
+import Highlight from "./Highlight";
+import PhotoCapture from "./PhotoCapture";
+import { formatMoney, planDuration } from "../money";
+
+// 👇 used when there is no plans catalogue: renews without recording a payment
+const RENEW_PLANS = [
+  { months: 1, label: "1 month" },
+  { months: 3, label: "3 months" },
+  { months: 6, label: "6 months" },
+  { months: 12, label: "12 months" },
+];
+
+/*
+ * Uploaded photo (fetched with the session, photo = its updatedAt), else the sheet's Image URL,
+ * else initials — also when either image fails to load.
+ */
+function Avatar({ member, photo, photoSize, loadPhoto, initials }) {
+  const [photoUrl, setPhotoUrl] = useState(null);
+  const [imageBroken, setImageBroken] = useState(false);
+
+  useEffect(() => {
+    setPhotoUrl(null);
+    if (!photo || !loadPhoto) return undefined;
+    let cancelled = false;
+    loadPhoto(member, photo, photoSize)
+      .then((url) => !cancelled && setPhotoUrl(url))
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [member.ID, photo]);
+
+  const image = member["Image"];
+  useEffect(() => setImageBroken(false), [image]);
+
+  if (photoUrl)
+    return (
+      <img
+        src={photoUrl}
+        alt="User"
+        className="avatar"
+        onError={() => setPhotoUrl(null)}
+      />
+    );
+  if (image && !imageBroken)
+    return (
+      <img
+        src={image}
+        alt="User"
+        className="avatar"
+        loading="lazy"
+        onError={() => setImageBroken(true)}
+      />
+    );
+  return <div className="avatar initials">{initials}</div>;
+}
+
+export default function MemberCard({
+  member,
+  highlights = {},
+  lastCheckIn,
+  onRenew,
+  onCheckIn,
+  onDownloadCard,
+  loadPlans,
+  canRenewWithoutPayment = true,
+  photo,
+  photoSize = "small",
+  loadPhoto,
+  onUploadPhoto,
+}) {
+  const [renewing, setRenewing] = useState(false); // 👈 confirmation step open
+  const [months, setMonths] = useState(RENEW_PLANS[0].months);
+  const [catalogue, setCatalogue] = useState(null); // { currency, methods, plans } once loaded
+  const [payment, setPayment] = useState({
+    planId: "",
+    amount: "",
+    method: "",
+  });
+  const [busy, setBusy] = useState(false);
+  const [renewError, setRenewError] = useState("");
+  const [renewedTo, setRenewedTo] = useState("");
+  const [checkInBusy, setCheckInBusy] = useState(false);
+  const [needsOverride, setNeedsOverride] = useState(false); // 👈 lapsed member, ask for a reason
+  const [overrideReason, setOverrideReason] = useState("");
+  const [checkInError, setCheckInError] = useState("");
+  const [cardBusy, setCardBusy] = useState(false);
+  const [cardError, setCardError] = useState("");
+  const [takingPhoto, setTakingPhoto] = useState(false);
+
+  // 👇 status, daysLeft and the parsed expiry come from the server
+  const { status = "unknown", daysLeft, expiry } = member.membership || {};
+  const expiryDate = expiry ? parseISO(expiry) : null;
+  // dates arrive normalized as yyyy-MM-dd (or null when missing/invalid)
+  const startDate = member["Membership Date"]
+    ? parseISO(member["Membership Date"])
+    : null;
+  const statusClass = STATUS_CLASS[status] || STATUS_CLASS.unknown;
+
+  const initials = member["Name"]
+    ? member["Name"]
+        .split(/\s+/)
+        .filter(Boolean)
+        .map((n) => n[0].toUpperCase())
+        .join("")
+    : "U";
+
+  const pickPlan = (plans, planId) => {
+    const plan = plans.find((p) => p.id === planId) || plans[0];
+    setPayment((prev) => ({
+      ...prev,
+      planId: plan ? plan.id : "",
+      amount: plan ? String(plan.price) : "",
+    }));
+  };
+
+  const openRenew = () => {
+    setRenewedTo("");
+    setRenewError("");
+    setRenewing(true);
+    if (!loadPlans || catalogue) return;
+    loadPlans()
+      .then((loaded) => {
+        setCatalogue(loaded);
+        setPayment({ planId: "", amount: "", method: loaded.methods[0] });
+        pickPlan(loaded.plans);
+      })
+      .catch(() => setCatalogue({ currency: "", methods: [], plans: [] }));
+  };
+
+  // 👇 with a plans catalogue the renewal is a payment; otherwise just a duration
+  const usePlans = Boolean(catalogue && catalogue.plans.length);
+  const plansLoading = Boolean(loadPlans) && !catalogue;
+  // 👇 a renewal without a payment is for admins and managers; the desk sells a plan
+  const cannotRenew = !usePlans && !plansLoading && !canRenewWithoutPayment;
+
+  const confirmRenew = async () => {
+    setBusy(true);
+    setRenewError("");
+    try {
+      const renewal = await onRenew(
+        member,
+        usePlans
+          ? {
+              planId: payment.planId,
+              amount: Number(payment.amount),
+              method: payment.method,
+            }
+          : { months }
+      );
+      setRenewedTo(renewal.newExpiry);
+      setRenewing(false);
+    } catch (err) {
+      setRenewError(err.message || "Renewal failed");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const checkIn = async () => {
+    setCheckInBusy(true);
+    setCheckInError("");
+    try {
+      await onCheckIn(member, needsOverride ? overrideReason.trim() : "");
+      setNeedsOverride(false);
+      setOverrideReason("");
+    } catch (err) {
+      if (err.requiresOverride) setNeedsOverride(true);
+      setCheckInError(err.message || "Check-in failed");
+    } finally {
+      setCheckInBusy(false);
+    }
+  };
+
+  const downloadCard = async () => {
+    setCardBusy(true);
+    setCardError("");
+    try {
+      await onDownloadCard(member);
+    } catch (err) {
+      setCardError(err.message || "Could not create card");
+    } finally {
+      setCardBusy(false);
+    }
+  };
+
+  const lastVisit = lastCheckIn ? new Date(lastCheckIn) : null;
+
+  return (
+    <div
+      className={`member-card ${statusClass} card-animate`}
+      tabIndex={0} // 👈 focusable for arrow-key navigation through results
+      aria-label={member["Name"]}
+    >
+      <div className="card-top">
+        <Avatar
+          member={member}
+          photo={photo}
+          photoSize={photoSize}
+          loadPhoto={loadPhoto}
+          initials={initials}
+        />
+        <div className="member-meta">
+          <h2 className="member-name">
+            <Link to={`/members/${encodeURIComponent(member["ID"])}`}>
+              <Highlight text={member["Name"]} ranges={highlights["Name"]} />
+            </Link>
+          </h2>
+          <div className="member-id">
+            #<Highlight text={member["ID"]} ranges={highlights["ID"]} />
+          </div>
+          <div className="badges">
+            <span
+              className={`badge ${status === "active" ? "badge-active" : ""}`}
+            >
+              {STATUS_LABEL[status] || STATUS_LABEL.unknown}
+            </span>
+            {member["Locker"] && (
+              <span className="badge">
+                Locker{" "}
+                <Highlight
+                  text={member["Locker"]}
+                  ranges={highlights["Locker"]}
+                />
+              </span>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <div className="card-body">
+        <div className="info-row">
+          <div className="label">Phone</div>
+          <div className="value">
+            {/* 👇 the server omits the field for roles that can't see phone numbers */}
+            {!("Phone Number" in member) ? (
+              "Hidden"
+            ) : member["Phone Number"] ? (
+              <Highlight
+                text={member["Phone Number"]}
+                ranges={highlights["Phone Number"]}
+              />
+            ) : (
+              "—"
+            )}
+          </div>
+        </div>
+        <div className="info-row">
+          <div className="label">Joined</div>
+          <div className="value">
+            {!startDate || isNaN(startDate)
+              ? "—"
+              : format(startDate, "dd MMM yyyy")}
+          </div>
+        </div>
+        <div className="info-row">
+          <div className="label">Expiry</div>
+          <div className="value">
+            {!expiryDate || isNaN(expiryDate)
+              ? "—"
+              : format(expiryDate, "dd MMM yyyy")}
+          </div>
+        </div>
+
+        {status === "inactive" ? (
+          <p className="expired">Member deactivated</p>
+        ) : status === "expired" ? (
+          <p className="expired">Membership Expired</p>
+        ) : status === "expiring" ? (
+          <p className="warning">Ends in {daysLeft} days — consider renewal</p>
+        ) : status === "active" ? (
+          <p className="healthy">Good for {daysLeft} days</p>
+        ) : (
+          <p className="warning">No valid expiry date on record</p>
+        )}
+      </div>
+
+      {/* 👇 check-in: lapsed members need an override reason */}
+      <div className="card-actions">
+        <div className="info-row checkin-row">
+          <div className="label">Last visit</div>
+          <div className="value">
+            {lastVisit ? format(lastVisit, "dd MMM yyyy, HH:mm") : "—"}
+          </div>
+        </div>
+        {needsOverride && (
+          <input
+            type="text"
+            placeholder="Override reason (required)"
+            value={overrideReason}
+            onChange={(e) => setOverrideReason(e.target.value)}
+            disabled={checkInBusy}
+          />
+        )}
+        <div className="renew-confirm">
+          <button
+            type="button"
+            className="btn-primary btn-small"
+            data-action="checkin"
+            onClick={checkIn}
+            disabled={checkInBusy || (needsOverride && !overrideReason.trim())}
+          >
+            {checkInBusy
+              ? "Checking in…"
+              : needsOverride
+              ? "Check in anyway"
+              : "Check in"}
+          </button>
+          {needsOverride && (
+            <button
+              type="button"
+              className="logout-button"
+              onClick={() => {
+                setNeedsOverride(false);
+                setOverrideReason("");
+                setCheckInError("");
+              }}
+              disabled={checkInBusy}
+            >
+              Cancel
+            </button>
+          )}
+        </div>
+        {checkInError && <p className="error-text">{checkInError}</p>}
+      </div>
+
+      {/* 👇 renew: pick a plan (and record the payment), then confirm */}
+      <div className="card-actions">
+        {!renewing ? (
+          <div className="renew-confirm">
+            <button type="button" className="logout-button" onClick={openRenew}>
+              Renew
+            </button>
+            {/* 👇 printable card with the member's QR code */}
+            {onDownloadCard && (
+              <button
+                type="button"
+                className="logout-button"
+                onClick={downloadCard}
+                disabled={cardBusy}
+              >
+                {cardBusy ? "Preparing card…" : "Print card"}
+              </button>
+            )}
+            {onUploadPhoto && (
+              <button
+                type="button"
+                className="logout-button"
+                onClick={() => setTakingPhoto(true)}
+              >
+                Photo
+              </button>
+            )}
+          </div>
+        ) : (
+          <div className="renew-confirm">
+            {plansLoading ? (
+              <span className="label">Loading plans…</span>
+            ) : usePlans ? (
+              <>
+                <select
+                  aria-label="Plan"
+                  value={payment.planId}
+                  onChange={(e) => pickPlan(catalogue.plans, e.target.value)}
+                  disabled={busy}
+                >
+                  {catalogue.plans.map((p) => (
+                    <option key={p.id} value={p.id}>
+                      {p.name} · {planDuration(p)} ·{" "}
+                      {formatMoney(p.price, catalogue.currency)}
+                    </option>
+                  ))}
+                </select>
+                {/* 👇 a discount is a renewal without full payment: admins and managers only */}
+                <input
+                  type="number"
+                  aria-label="Amount paid"
+                  min="0"
+                  step="0.01"
+                  readOnly={!canRenewWithoutPayment}
+                  value={payment.amount}
+                  onChange={(e) =>
+                    setPayment({ ...payment, amount: e.target.value })
+                  }
+                  className="days-input"
+                  disabled={busy}
+                />
+                <select
+                  aria-label="Payment method"
+                  value={payment.method}
+                  onChange={(e) =>
+                    setPayment({ ...payment, method: e.target.value })
+                  }
+                  disabled={busy}
+                >
+                  {catalogue.methods.map((m) => (
+                    <option key={m} value={m}>
+                      {m}
+                    </option>
+                  ))}
+                </select>
+              </>
+            ) : cannotRenew ? (
+              <span className="label">
+                No plans to sell yet — a manager can add them under Payments
+              </span>
+            ) : (
+              <select
+                value={months}
+                onChange={(e) => setMonths(Number(e.target.value))}
+                disabled={busy}
+              >
+                {RENEW_PLANS.map((p) => (
+                  <option key={p.months} value={p.months}>
+                    {p.label}
+                  </option>
+                ))}
+              </select>
+            )}
+            <button
+              type="button"
+              className="btn-primary btn-small"
+              onClick={confirmRenew}
+              disabled={
+                busy ||
+                plansLoading ||
+                cannotRenew ||
+                (usePlans && payment.amount === "")
+              }
+            >
+              {busy
+                ? "Renewing…"
+                : usePlans
+                ? "Record payment"
+                : "Confirm renewal"}
+            </button>
+            <button
+              type="button"
+              className="logout-button"
+              onClick={() => setRenewing(false)}
+              disabled={busy}
+            >
+              Cancel
+            </button>
+          </div>
+        )}
+        {renewedTo && <p className="healthy">Renewed until {renewedTo}</p>}
+        {renewError && <p className="error-text">{renewError}</p>}
+        {cardError && <p className="error-text">{cardError}</p>}
+      </div>
+      {takingPhoto && (
+        <PhotoCapture
+          onSave={(blob) => onUploadPhoto(member, blob)}
+          onClose={() => setTakingPhoto(false)}
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,56 @@
+import { render, screen } from "@testing-library/react";
+import { MemoryRouter } from "react-router-dom";
+import MemberCard from "./MemberCard";
+
+function showCard(membership, extra = {}) {
+  const member = {
+    ID: "7",
+    Name: "Dana Lee",
+    "Membership Expiry": membership.expiry,
+    membership,
+    ...extra,
+  };
+  render(
+    <MemoryRouter
+      future={{ v7_startTransition: true, v7_relativeSplatPath: true }}
+    >
+      <MemberCard member={member} onRenew={jest.fn()} onCheckIn={jest.fn()} />
+    </MemoryRouter>
+  );
+  return screen.getByLabelText("Dana Lee");
+}
+
+test.each([
+  ["active", 120, "status-green", "Active", "Good for 120 days"],
+  [
+    "expiring",
+    5,
+    "status-yellow",
+    "Expiring",
+    "Ends in 5 days — consider renewal",
+  ],
+  ["expired", -3, "status-red", "Expired", "Membership Expired"],
+])(
+  "%s membership is coloured %s",
+  (status, daysLeft, className, badge, note) => {
+    const card = showCard({ status, daysLeft, expiry: "2026-11-01" });
+    expect(card).toHaveClass("member-card", className);
+    expect(screen.getByText(badge)).toHaveClass("badge");
+    expect(screen.getByText(note)).toBeInTheDocument();
+    expect(screen.getByText("01 Nov 2026")).toBeInTheDocument();
+  }
+);
+
+test("a member without a usable expiry is shown as unknown", () => {
+  const card = showCard({ status: "unknown", daysLeft: null, expiry: null });
+  expect(card).toHaveClass("status-unknown");
+  expect(screen.getByText("Unknown")).toBeInTheDocument();
+  expect(
+    screen.getByText("No valid expiry date on record")
+  ).toBeInTheDocument();
+});
+
+test("phone numbers the server withheld are marked hidden", () => {
+  showCard({ status: "active", daysLeft: 30, expiry: "2026-11-18" });
+  expect(screen.getByText("Hidden")).toBeInTheDocument();
+});
@@ -0,0 +1,308 @@
+// client/src/components/MemberDetail.js
+import React, { useEffect, useRef, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { format } from "date-fns";
+import MemberCard from "./MemberCard";
+import MemberForm from "./MemberForm";
+import { formatMoney, planDuration } from "../money";
+
+function formatTime(iso) {
+  return format(new Date(iso), "dd MMM yyyy, HH:mm");
+}
+
+/* Every roster column, in sheet order (status comes from the server-computed membership) */
+function ColumnTable({ member }) {
+  const rows = Object.entries(member).filter(([key]) => key !== "membership");
+  return (
+    <dl className="detail-columns">
+      {rows.map(([key, value]) => (
+        <div key={key} className="info-row">
+          <dt className="label">{key}</dt>
+          <dd className="value">
+            {value === null || value === "" ? "—" : String(value)}
+          </dd>
+        </div>
+      ))}
+    </dl>
+  );
+}
+
+export default function MemberDetail({
+  loadMember,
+  onRenew,
+  onCheckIn,
+  onDownloadCard,
+  loadPlans,
+  canRenewWithoutPayment,
+  loadMemberFields,
+  onSaveMember,
+  onSetActive,
+  loadPhoto,
+  onUploadPhoto,
+}) {
+  const { id } = useParams();
+  const [detail, setDetail] = useState(null); // { member, version, photo, lastCheckIn, checkIns, renewals, payments, offline? }
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [editable, setEditable] = useState(null); // field keys while the edit form is open
+  const [editNotice, setEditNotice] = useState("");
+  const [editError, setEditError] = useState("");
+  const [activeBusy, setActiveBusy] = useState(false);
+  const cardRef = useRef(null);
+
+  const load = () =>
+    loadMember(id).then((result) => {
+      setDetail(result);
+      setError(result ? "" : `No member with ID ${id}`);
+    });
+
+  useEffect(() => {
+    setLoading(true);
+    setDetail(null);
+    setEditable(null);
+    setEditNotice("");
+    setEditError("");
+    load()
+      .catch((err) => setError(err.message || "Failed to load member"))
+      .finally(() => setLoading(false));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [id]);
+
+  // 👇 focus the card so Enter checks in straight after a scan
+  useEffect(() => {
+    if (detail) cardRef.current?.querySelector(".member-card")?.focus();
+  }, [detail]);
+
+  const handleCardKeyDown = (e) => {
+    if (e.key === "Enter" && e.target.classList.contains("member-card")) {
+      e.preventDefault();
+      e.target.querySelector('[data-action="checkin"]')?.click();
+    }
+  };
+
+  const checkIn = async (member, overrideReason) => {
+    const result = await onCheckIn(member, overrideReason);
+    setDetail((prev) => ({
+      ...prev,
+      lastCheckIn: result.at,
+      checkIns: result.queued ? prev.checkIns : [result, ...prev.checkIns],
+    }));
+    return result;
+  };
+
+  const renew = async (member, choice) => {
+    const renewal = await onRenew(member, choice);
+    load().catch(() => {});
+    return renewal;
+  };
+
+  const uploadPhoto = async (member, blob) => {
+    const photo = await onUploadPhoto(member, blob);
+    setDetail((prev) => ({ ...prev, photo }));
+    return photo;
+  };
+
+  // 👇 a write based on an outdated version comes back with the current member instead
+  const applyWrite = (promise) =>
+    promise
+      .then(({ member, version }) => {
+        setDetail((prev) => ({ ...prev, member, version }));
+        return true;
+      })
+      .catch((err) => {
+        if (!err.current) throw err;
+        setDetail((prev) => ({ ...prev, ...err.current }));
+        setEditNotice(err.message);
+        return false;
+      });
+
+  const openEdit = () => {
+    setEditNotice("");
+    setEditError("");
+    loadMemberFields()
+      .then(setEditable)
+      .catch((err) => setEditError(err.message));
+  };
+
+  const saveEdit = async (fields) => {
+    setEditNotice("");
+    const saved = await applyWrite(
+      onSaveMember(detail.member.ID, fields, detail.version)
+    );
+    if (saved) setEditable(null);
+  };
+
+  const setActive = async (active) => {
+    setActiveBusy(true);
+    setEditNotice("");
+    setEditError("");
+    try {
+      await applyWrite(onSetActive(detail.member, detail.version, active));
+    } catch (err) {
+      setEditError(err.message || "Could not update member");
+    } finally {
+      setActiveBusy(false);
+    }
+  };
+
+  if (loading) return <p>Loading…</p>;
+  if (!detail)
+    return (
+      <main className="lookup-area">
+        <p className="not-found fade-in">{error}</p>
+        <Link to="/search" className="logout-button">
+          Back to search
+        </Link>
+      </main>
+    );
+
+  const { member, lastCheckIn, checkIns, renewals, payments = [] } = detail;
+  const deactivated = member.membership?.status === "inactive";
+  return (
+    <main className="member-detail fade-in">
+      <div className="results-grid" ref={cardRef} onKeyDown={handleCardKeyDown}>
+        <MemberCard
+          member={member}
+          lastCheckIn={lastCheckIn}
+          onRenew={renew}
+          onCheckIn={checkIn}
+          onDownloadCard={detail.offline ? null : onDownloadCard}
+          loadPlans={detail.offline ? null : loadPlans}
+          canRenewWithoutPayment={canRenewWithoutPayment}
+          photo={detail.photo?.updatedAt}
+          photoSize="large"
+          loadPhoto={loadPhoto}
+          onUploadPhoto={detail.offline ? null : uploadPhoto}
+        />
+      </div>
+
+      <section className="report-section">
+        <div className="report-header">
+          <h3>All details</h3>
+          {!detail.offline && !editable && (
+            <div className="renew-confirm">
+              {loadMemberFields && (
+                <button
+                  type="button"
+                  className="logout-button"
+                  onClick={openEdit}
+                >
+                  Edit
+                </button>
+              )}
+              {/* 👇 soft delete: the row and its history stay in the roster */}
+              {onSetActive && (
+                <button
+                  type="button"
+                  className="logout-button"
+                  onClick={() => setActive(deactivated)}
+                  disabled={activeBusy}
+                >
+                  {deactivated ? "Reactivate" : "Deactivate"}
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+        {editNotice && <p className="warning">{editNotice}</p>}
+        {editError && <p className="error-text">{editError}</p>}
+        {editable ? (
+          <MemberForm
+            key={detail.version} // 👈 start again from the latest values after a conflict
+            allowed={editable}
+            member={member}
+            onSubmit={saveEdit}
+            onCancel={() => setEditable(null)}
+            submitLabel="Save changes"
+          />
+        ) : (
+          <ColumnTable member={member} />
+        )}
+      </section>
+
+      {detail.offline ? (
+        <p className="label">
+          Visit, renewal and payment history needs a connection.
+        </p>
+      ) : (
+        <>
+          <section className="report-section">
+            <div className="report-header">
+              <h3>Recent visits</h3>
+            </div>
+            {checkIns.length === 0 ? (
+              <p className="not-found">No visits recorded</p>
+            ) : (
+              <ul className="report-list">
+                {checkIns.map((c) => (
+                  <li
+                    key={c.id}
+                    className={`report-row ${
+                      c.flagged ? "status-expired" : ""
+                    }`}
+                  >
+                    <span className="report-expiry">{formatTime(c.at)}</span>
+                    <span className="label">by {c.staff}</span>
+                    {c.flagged && (
+                      <span className="value">
+                        override: {c.overrideReason}
+                      </span>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+
+          <section className="report-section">
+            <div className="report-header">
+              <h3>Renewals</h3>
+            </div>
+            {renewals.length === 0 ? (
+              <p className="not-found">No renewals recorded</p>
+            ) : (
+              <ul className="report-list">
+                {renewals.map((r) => (
+                  <li key={r.at} className="report-row">
+                    <span className="report-expiry">{formatTime(r.at)}</span>
+                    <span className="report-name">
+                      {r.previousExpiry || "—"} → {r.newExpiry}
+                    </span>
+                    <span className="label">by {r.staff}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+
+          <section className="report-section">
+            <div className="report-header">
+              <h3>Payments</h3>
+            </div>
+            {payments.length === 0 ? (
+              <p className="not-found">No payments recorded</p>
+            ) : (
+              <ul className="report-list">
+                {payments.map((p) => (
+                  <li key={p.id} className="report-row">
+                    <span className="report-expiry">{formatTime(p.at)}</span>
+                    <span className="report-name">
+                      {p.type === "refund"
+                        ? `Refund of ${p.planName}`
+                        : `${p.planName} · ${planDuration(p)}`}
+                    </span>
+                    <span className="value">
+                      {formatMoney(p.amount, p.currency)} · {p.method}
+                      {p.reference ? ` · ${p.reference}` : ""}
+                    </span>
+                    <span className="label">by {p.staff}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+        </>
+      )}
+    </main>
+  );
+}
@@ -0,0 +1,89 @@
+// client/src/components/MemberForm.js
+import React, { useState } from "react";
+
+// 👇 the roster fields shown on the member card, labelled the same way
+export const MEMBER_FIELDS = [
+  { key: "Name", label: "Name", type: "text" },
+  { key: "Phone Number", label: "Phone", type: "tel" },
+  { key: "Email", label: "Email", type: "email" },
+  { key: "Membership Date", label: "Joined", type: "date" },
+  { key: "Membership Expiry", label: "Expiry", type: "date" },
+  { key: "Locker", label: "Locker", type: "text" },
+];
+
+function initialValues(fields, member) {
+  return Object.fromEntries(
+    fields.map((f) => [f.key, member?.[f.key] == null ? "" : member[f.key]])
+  );
+}
+
+/*
+ * Add/edit form. allowed: field keys the server lets this role set (GET /members/fields).
+ * onSubmit gets every field when adding, only the changed ones when editing.
+ */
+export default function MemberForm({
+  allowed,
+  member,
+  onSubmit,
+  onCancel,
+  submitLabel,
+}) {
+  const fields = MEMBER_FIELDS.filter((f) => allowed.includes(f.key));
+  const [values, setValues] = useState(() => initialValues(fields, member));
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const submit = async (e) => {
+    e.preventDefault();
+    const original = initialValues(fields, member);
+    const changed = Object.fromEntries(
+      Object.entries(values).filter(
+        ([key, value]) => !member || value !== original[key]
+      )
+    );
+    if (member && Object.keys(changed).length === 0) return onCancel();
+
+    setBusy(true);
+    setError("");
+    try {
+      await onSubmit(changed);
+    } catch (err) {
+      setError(err.message || "Could not save member");
+      setBusy(false);
+    }
+  };
+
+  return (
+    <form className="member-form" onSubmit={submit}>
+      {fields.map((f) => (
+        <label key={f.key} className="info-row">
+          <span className="label">{f.label}</span>
+          <input
+            type={f.type}
+            aria-label={f.label}
+            value={values[f.key]}
+            onChange={(e) => setValues({ ...values, [f.key]: e.target.value })}
+            required={f.key === "Name"}
+            disabled={busy}
+          />
+        </label>
+      ))}
+      <div className="renew-confirm">
+        <button type="submit" className="btn-primary btn-small" disabled={busy}>
+          {busy ? "Saving…" : submitLabel}
+        </button>
+        {onCancel && (
+          <button
+            type="button"
+            className="logout-button"
+            onClick={onCancel}
+            disabled={busy}
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+      {error && <p className="error-text">{error}</p>}
+    </form>
+  );
+}
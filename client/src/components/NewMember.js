@@ -0,0 +1,49 @@
+// client/src/components/NewMember.js
+import React, { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import MemberForm from "./MemberForm";
+
+// 👇 new joiner: the server allocates the ID; the join date defaults to today
+export default function NewMember({ loadMemberFields, onSaveMember }) {
+  const navigate = useNavigate();
+  const [allowed, setAllowed] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    loadMemberFields()
+      .then(setAllowed)
+      .catch((err) => setError(err.message));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const save = async (fields) => {
+    const { member } = await onSaveMember(null, fields);
+    navigate(`/members/${encodeURIComponent(member.ID)}`);
+  };
+
+  return (
+    <main className="member-detail fade-in">
+      <section className="report-section">
+        <div className="report-header">
+          <h3>Add member</h3>
+        </div>
+        {error && <p className="error-text">{error}</p>}
+        {!allowed ? (
+          !error && <p>Loading…</p>
+        ) : (
+          <>
+            <MemberForm
+              allowed={allowed}
+              onSubmit={save}
+              onCancel={() => navigate(-1)}
+              submitLabel="Add member"
+            />
+            <p className="label">
+              New members show as due until their first plan is paid for.
+            </p>
+          </>
+        )}
+      </section>
+    </main>
+  );
+}
@@ -0,0 +1,434 @@
+// client/src/components/Payments.js
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { format, parseISO } from "date-fns";
+import { formatMoney, planDuration } from "../money";
+
+const LEDGER_PAGE_SIZE = 25;
+const EMPTY_PLAN = { name: "", length: "1", unit: "months", price: "" };
+
+async function readJson(res, fallbackMessage) {
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(json.message || fallbackMessage);
+  return json;
+}
+
+// 👇 admins and managers keep the catalogue the desk sells from; retired plans stay for history
+function PlanCatalogue({ apiFetch, onPlansChanged }) {
+  const [catalogue, setCatalogue] = useState(null); // { currency, plans }
+  const [form, setForm] = useState(EMPTY_PLAN);
+  const [prices, setPrices] = useState({}); // plan ID → edited price
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const load = () =>
+    apiFetch("/plans?all=1")
+      .then((res) => readJson(res, "Failed to load plans"))
+      .then(setCatalogue);
+
+  useEffect(() => {
+    load().catch((err) => setError(err.message));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const save = async (path, method, body) => {
+    setBusy(true);
+    setError("");
+    try {
+      const res = await apiFetch(path, { method, body: JSON.stringify(body) });
+      await readJson(res, "Failed to save plan");
+      onPlansChanged();
+      await load();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const addPlan = async (e) => {
+    e.preventDefault();
+    const saved = await save("/plans", "POST", {
+      name: form.name,
+      [form.unit]: Number(form.length),
+      price: form.price,
+    });
+    if (saved) setForm(EMPTY_PLAN);
+  };
+
+  const savePrice = async (plan) => {
+    const saved = await save(`/plans/${plan.id}`, "PUT", {
+      price: prices[plan.id],
+    });
+    if (saved) setPrices(({ [plan.id]: _saved, ...rest }) => rest);
+  };
+
+  if (!catalogue) return error ? <p className="error-text">{error}</p> : null;
+  return (
+    <section className="report-section">
+      <div className="report-header">
+        <h3>Plans</h3>
+      </div>
+      {catalogue.plans.length === 0 ? (
+        <p className="not-found">
+          No plans yet — renewals are recorded without a payment
+        </p>
+      ) : (
+        <ul className="report-list">
+          {catalogue.plans.map((plan) => (
+            <li
+              key={plan.id}
+              className={`report-row ${plan.active ? "" : "status-unknown"}`}
+            >
+              <span className="report-name">{plan.name}</span>
+              <span className="label">{planDuration(plan)}</span>
+              <input
+                type="number"
+                aria-label={`${plan.name} price`}
+                min="0"
+                step="0.01"
+                value={prices[plan.id] ?? String(plan.price)}
+                onChange={(e) =>
+                  setPrices({ ...prices, [plan.id]: e.target.value })
+                }
+                className="days-input"
+                disabled={busy}
+              />
+              {prices[plan.id] !== undefined && (
+                <button
+                  type="button"
+                  className="btn-primary btn-small"
+                  onClick={() => savePrice(plan)}
+                  disabled={busy || prices[plan.id] === ""}
+                >
+                  Save
+                </button>
+              )}
+              <button
+                type="button"
+                className="logout-button"
+                onClick={() =>
+                  save(`/plans/${plan.id}`, "PUT", { active: !plan.active })
+                }
+                disabled={busy}
+              >
+                {plan.active ? "Retire" : "Restore"}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form className="audit-filters" onSubmit={addPlan}>
+        <input
+          type="text"
+          placeholder="New plan name"
+          value={form.name}
+          onChange={(e) => setForm({ ...form, name: e.target.value })}
+          required
+        />
+        <input
+          type="number"
+          aria-label="Length"
+          min="1"
+          value={form.length}
+          onChange={(e) => setForm({ ...form, length: e.target.value })}
+          className="days-input"
+          required
+        />
+        <select
+          aria-label="Length unit"
+          value={form.unit}
+          onChange={(e) => setForm({ ...form, unit: e.target.value })}
+        >
+          <option value="months">months</option>
+          <option value="days">days</option>
+        </select>
+        <input
+          type="number"
+          placeholder={`Price (${catalogue.currency})`}
+          min="0"
+          step="0.01"
+          value={form.price}
+          onChange={(e) => setForm({ ...form, price: e.target.value })}
+          className="days-input"
+          required
+        />
+        <button type="submit" className="btn-primary btn-small" disabled={busy}>
+          Add plan
+        </button>
+      </form>
+      {error && <p className="error-text">{error}</p>}
+    </section>
+  );
+}
+
+// 👇 monthly totals from the ledger; bars are relative to the best month in the range
+function RevenueReport({ report }) {
+  const best = Math.max(...report.months.map((m) => m.amount), 0);
+  return (
+    <ul className="report-list">
+      {report.months.map((m) => (
+        <li key={m.month} className="report-row revenue-row">
+          <span className="report-expiry revenue-month">
+            {format(parseISO(`${m.month}-01`), "MMM yyyy")}
+          </span>
+          <span className="revenue-bar">
+            <span style={{ width: best ? `${(m.amount / best) * 100}%` : 0 }} />
+          </span>
+          <span className="value">
+            {formatMoney(m.amount, report.currency)}
+          </span>
+          <span className="label">
+            {m.count} payment{m.count === 1 ? "" : "s"}
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// 👇 the ledger is append-only: a mistake is corrected with a refund entry against the payment
+function LedgerRow({ payment: p, apiFetch, onRefunded }) {
+  const [refund, setRefund] = useState(null); // { amount, reference } while the form is open
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const isRefund = p.type === "refund";
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError("");
+    try {
+      const res = await apiFetch(`/payments/${p.id}/refunds`, {
+        method: "POST",
+        body: JSON.stringify({
+          amount: refund.amount || undefined,
+          reference: refund.reference,
+        }),
+      });
+      await readJson(res, "Could not record the refund");
+      setRefund(null);
+      onRefunded();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <li className={`report-row ${isRefund ? "status-unknown" : ""}`}>
+      <span className="report-expiry">
+        {format(new Date(p.at), "dd MMM yyyy, HH:mm")}
+      </span>
+      <Link
+        to={`/members/${encodeURIComponent(p.memberId)}`}
+        className="report-name"
+      >
+        {p.memberName || `#${p.memberId}`}
+      </Link>
+      <span className="label">
+        {isRefund ? `Refund · ${p.reference}` : p.planName}
+      </span>
+      <span className="value">
+        {formatMoney(p.amount, p.currency)} · {p.method}
+      </span>
+      <span className="label">by {p.staff}</span>
+      {!isRefund && !refund && (
+        <button
+          type="button"
+          className="logout-button"
+          onClick={() => setRefund({ amount: "", reference: "" })}
+        >
+          Refund
+        </button>
+      )}
+      {refund && (
+        <form className="audit-filters" onSubmit={submit}>
+          <input
+            type="number"
+            aria-label="Refund amount"
+            placeholder={`Amount (all ${p.amount})`}
+            min="0.01"
+            step="0.01"
+            value={refund.amount}
+            onChange={(e) => setRefund({ ...refund, amount: e.target.value })}
+            className="days-input"
+          />
+          <input
+            type="text"
+            aria-label="Refund reason"
+            placeholder="Reason or refund receipt"
+            value={refund.reference}
+            onChange={(e) =>
+              setRefund({ ...refund, reference: e.target.value })
+            }
+            required
+          />
+          <button
+            type="submit"
+            className="btn-primary btn-small"
+            disabled={busy}
+          >
+            Record refund
+          </button>
+          <button
+            type="button"
+            className="logout-button"
+            onClick={() => setRefund(null)}
+            disabled={busy}
+          >
+            Cancel
+          </button>
+        </form>
+      )}
+      {error && <p className="error-text">{error}</p>}
+    </li>
+  );
+}
+
+export default function Payments({ apiFetch, onPlansChanged }) {
+  const [range, setRange] = useState({ from: "", to: "" });
+  const [report, setReport] = useState(null); // { from, to, currency, total, months }
+  const [ledger, setLedger] = useState(null); // { total, totalAmount, page, limit, results }
+  const [page, setPage] = useState(1);
+  const [refreshes, setRefreshes] = useState(0); // bumped after a refund
+  const [error, setError] = useState("");
+
+  const setRangeField = (key, value) => {
+    setRange((prev) => ({ ...prev, [key]: value }));
+    setPage(1);
+  };
+
+  useEffect(() => {
+    const params = new URLSearchParams();
+    if (range.from) params.set("from", range.from);
+    if (range.to) params.set("to", range.to);
+
+    let cancelled = false;
+    setError("");
+    apiFetch(`/reports/revenue?${params}`)
+      .then((res) => readJson(res, "Failed to load revenue"))
+      .then((json) => !cancelled && setReport(json))
+      .catch((err) => !cancelled && setError(err.message));
+    return () => {
+      cancelled = true;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [range, refreshes]);
+
+  // 👇 the ledger covers the same dates as the report
+  useEffect(() => {
+    if (!report) return;
+    const params = new URLSearchParams({
+      from: report.from,
+      to: report.to,
+      page,
+      limit: LEDGER_PAGE_SIZE,
+    });
+
+    let cancelled = false;
+    apiFetch(`/payments?${params}`)
+      .then((res) => readJson(res, "Failed to load payments"))
+      .then((json) => !cancelled && setLedger(json))
+      .catch((err) => !cancelled && setError(err.message));
+    return () => {
+      cancelled = true;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [report, page]);
+
+  const pages = ledger
+    ? Math.max(1, Math.ceil(ledger.total / ledger.limit))
+    : 1;
+
+  return (
+    <div className="dashboard fade-in">
+      <section className="report-section">
+        <div className="report-header">
+          <h3>
+            Revenue
+            {report
+              ? ` · ${formatMoney(report.total.amount, report.currency)}`
+              : ""}
+          </h3>
+          <div className="audit-filters">
+            <label className="label">
+              from{" "}
+              <input
+                type="date"
+                value={range.from}
+                onChange={(e) => setRangeField("from", e.target.value)}
+                className="days-input"
+              />
+            </label>
+            <label className="label">
+              to{" "}
+              <input
+                type="date"
+                value={range.to}
+                onChange={(e) => setRangeField("to", e.target.value)}
+                className="days-input"
+              />
+            </label>
+          </div>
+        </div>
+        {error && <p className="error-text">{error}</p>}
+        {!report ? (
+          !error && <p>Loading…</p>
+        ) : (
+          <RevenueReport report={report} />
+        )}
+      </section>
+
+      <section className="report-section">
+        <div className="report-header">
+          <h3>Payments{ledger ? ` (${ledger.total})` : ""}</h3>
+        </div>
+        {ledger &&
+          (ledger.results.length === 0 ? (
+            <p className="not-found">No payments in this range</p>
+          ) : (
+            <ul className="report-list">
+              {ledger.results.map((p) => (
+                <LedgerRow
+                  key={p.id}
+                  payment={p}
+                  apiFetch={apiFetch}
+                  onRefunded={() => setRefreshes((n) => n + 1)}
+                />
+              ))}
+            </ul>
+          ))}
+        {pages > 1 && (
+          <div className="renew-confirm">
+            <button
+              type="button"
+              className="logout-button"
+              disabled={page <= 1}
+              onClick={() => setPage(page - 1)}
+            >
+              Newer
+            </button>
+            <span className="label">
+              Page {page} of {pages}
+            </span>
+            <button
+              type="button"
+              className="logout-button"
+              disabled={page >= pages}
+              onClick={() => setPage(page + 1)}
+            >
+              Older
+            </button>
+          </div>
+        )}
+      </section>
+
+      <PlanCatalogue apiFetch={apiFetch} onPlansChanged={onPlansChanged} />
+    </div>
+  );
+}
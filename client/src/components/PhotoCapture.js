@@ -0,0 +1,169 @@
+// client/src/components/PhotoCapture.js
+import React, { useEffect, useRef, useState } from "react";
+import { createPortal } from "react-dom";
+
+const CAPTURE_QUALITY = 0.9; // the server re-encodes the thumbnails anyway
+
+/*
+ * Camera overlay for member photos: take a picture with the front camera (or pick a file),
+ * check the preview, then onSave(blob) uploads it. Rendered into <body> so the card's
+ * hover transform doesn't trap the fixed overlay.
+ */
+export default function PhotoCapture({ onSave, onClose }) {
+  const videoRef = useRef(null);
+  const [cameraReady, setCameraReady] = useState(false);
+  const [cameraError, setCameraError] = useState("");
+  const [shot, setShot] = useState(null); // { blob, url } once taken or chosen
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let stream = null;
+    let stopped = false;
+
+    (async () => {
+      try {
+        if (!navigator.mediaDevices?.getUserMedia) {
+          throw new Error("Camera not available in this browser");
+        }
+        stream = await navigator.mediaDevices.getUserMedia({
+          video: { facingMode: "user" },
+          audio: false,
+        });
+        if (stopped) {
+          stream.getTracks().forEach((track) => track.stop());
+          return;
+        }
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+        setCameraReady(true);
+      } catch (err) {
+        setCameraError(
+          err.name === "NotAllowedError"
+            ? "Camera permission denied"
+            : err.message || "Could not start the camera"
+        );
+      }
+    })();
+
+    // 👇 always release the camera, even if it started after we closed
+    return () => {
+      stopped = true;
+      if (stream) stream.getTracks().forEach((track) => track.stop());
+    };
+  }, []);
+
+  // 👇 drop the preview URL when it's replaced or the overlay closes
+  useEffect(
+    () => () => {
+      if (shot) URL.revokeObjectURL(shot.url);
+    },
+    [shot]
+  );
+
+  const pickBlob = (blob) => {
+    setError("");
+    setShot({ blob, url: URL.createObjectURL(blob) });
+  };
+
+  const takePhoto = () => {
+    const video = videoRef.current;
+    const canvas = document.createElement("canvas");
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    canvas.getContext("2d").drawImage(video, 0, 0);
+    canvas.toBlob(
+      (blob) => (blob ? pickBlob(blob) : setError("Could not take photo")),
+      "image/jpeg",
+      CAPTURE_QUALITY
+    );
+  };
+
+  const save = async () => {
+    setBusy(true);
+    setError("");
+    try {
+      await onSave(shot.blob);
+      onClose();
+    } catch (err) {
+      setError(err.message || "Could not save photo");
+      setBusy(false);
+    }
+  };
+
+  return createPortal(
+    <div className="scanner-overlay" onClick={busy ? undefined : onClose}>
+      <div className="scanner glass-card" onClick={(e) => e.stopPropagation()}>
+        {/* 👇 the video stays mounted behind the preview so Retake is instant */}
+        <video
+          ref={videoRef}
+          muted
+          playsInline
+          className="scanner-video"
+          hidden={Boolean(shot || cameraError)}
+        />
+        {shot && (
+          <img src={shot.url} alt="New member" className="scanner-video" />
+        )}
+        {cameraError && !shot && (
+          <p className="label">{cameraError} — choose a file instead</p>
+        )}
+        <div className="renew-confirm">
+          {shot ? (
+            <>
+              <button
+                type="button"
+                className="btn-primary btn-small"
+                onClick={save}
+                disabled={busy}
+              >
+                {busy ? "Saving…" : "Use photo"}
+              </button>
+              <button
+                type="button"
+                className="logout-button"
+                onClick={() => setShot(null)}
+                disabled={busy}
+              >
+                Retake
+              </button>
+            </>
+          ) : (
+            <>
+              {cameraReady && (
+                <button
+                  type="button"
+                  className="btn-primary btn-small"
+                  onClick={takePhoto}
+                >
+                  Take photo
+                </button>
+              )}
+              <label className="logout-button">
+                Choose file
+                <input
+                  type="file"
+                  accept="image/*"
+                  hidden
+                  onChange={(e) =>
+                    e.target.files[0] && pickBlob(e.target.files[0])
+                  }
+                />
+              </label>
+            </>
+          )}
+          <button
+            type="button"
+            className="logout-button"
+            onClick={onClose}
+            disabled={busy}
+          >
+            Cancel
+          </button>
+        </div>
+        {error && <p className="error-text">{error}</p>}
+      </div>
+    </div>,
+    document.body
+  );
+}
@@ -0,0 +1,20 @@
+// client/src/download.js
+
+function fileNameFrom(res, fallback) {
+  const disposition = res.headers.get("Content-Disposition") || "";
+  const match = disposition.match(/filename="?([^"]+)"?/);
+  return match ? match[1] : fallback;
+}
+
+/* Saves a fetch Response body as a file, named by its Content-Disposition header */
+export async function downloadResponse(res, fallbackName) {
+  const blob = await res.blob();
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileNameFrom(res, fallbackName);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
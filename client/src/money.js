@@ -0,0 +1,19 @@
+// client/src/money.js
+// Prices and payments come from the server as plain numbers plus the gym's currency code.
+
+export function formatMoney(amount, currency) {
+  try {
+    return new Intl.NumberFormat(undefined, {
+      style: "currency",
+      currency,
+    }).format(amount);
+  } catch {
+    return `${Number(amount).toFixed(2)} ${currency || ""}`.trim();
+  }
+}
+
+/* "1 month", "3 months", "10 days" */
+export function planDuration({ months, days }) {
+  if (months) return `${months} month${months === 1 ? "" : "s"}`;
+  return `${days} day${days === 1 ? "" : "s"}`;
+}
@@ -0,0 +1,13 @@
+// client/src/offline/network.js
+
+/* fetch() only rejects when the request never reached the server (offline, DNS, CORS) */
+export function networkError(cause) {
+  const err = new Error("Network unavailable");
+  err.offline = true;
+  err.cause = cause;
+  return err;
+}
+
+export function isNetworkError(err) {
+  return Boolean(err && err.offline);
+}
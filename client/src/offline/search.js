@@ -0,0 +1,188 @@
+// client/src/offline/search.js
+// Same ranking as the server's /members/search (server/lib/search.js), for offline lookups.
+
+const RANK_EXACT_ID = 0;
+const RANK_EXACT_LOCKER = 1;
+const RANK_NAME_PREFIX = 2;
+const RANK_NAME_WORDS = 3;
+const RANK_PHONE_SUFFIX = 4;
+const RANK_PARTIAL = 5;
+const RANK_FUZZY_NAME = 6;
+
+const MIN_PHONE_DIGITS = 3;
+
+function allowedTypos(length) {
+  if (length <= 3) return 0;
+  if (length <= 5) return 1;
+  return 2;
+}
+
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], prevPrev[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, row[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+function wordsOf(text) {
+  const words = [];
+  const re = /\S+/g;
+  let m;
+  while ((m = re.exec(text.toLowerCase())))
+    words.push({ word: m[0], start: m.index });
+  return words;
+}
+
+function matchNameWords(words, tokens) {
+  let typos = 0;
+  const ranges = [];
+  for (const token of tokens) {
+    let best = null;
+    for (const { word, start } of words) {
+      if (word.startsWith(token)) {
+        best = { cost: 0, range: [start, start + token.length] };
+        break;
+      }
+      const max = allowedTypos(token.length);
+      if (!max) continue;
+      const whole = editDistance(token, word, max);
+      const prefix = editDistance(token, word.slice(0, token.length), max);
+      const cost = Math.min(whole, prefix);
+      if (cost <= max && (!best || cost < best.cost)) {
+        best = {
+          cost,
+          range: [
+            start,
+            start + (whole <= prefix ? word.length : token.length),
+          ],
+        };
+      }
+    }
+    if (!best) return null;
+    typos += best.cost;
+    ranges.push(best.range);
+  }
+  return { typos, ranges: ranges.sort((a, b) => a[0] - b[0]) };
+}
+
+function rankMember(member, q) {
+  const id = String(member.ID ?? "").trim();
+  if (id.toLowerCase() === q) {
+    return {
+      rank: RANK_EXACT_ID,
+      typos: 0,
+      highlights: { ID: [[0, id.length]] },
+    };
+  }
+
+  const locker = String(member.Locker ?? "").trim();
+  if (locker && locker.toLowerCase() === q) {
+    return {
+      rank: RANK_EXACT_LOCKER,
+      typos: 0,
+      highlights: { Locker: [[0, locker.length]] },
+    };
+  }
+
+  const name = String(member.Name || "");
+  const lowerName = name.toLowerCase();
+  if (lowerName && lowerName.startsWith(q)) {
+    return {
+      rank: RANK_NAME_PREFIX,
+      typos: 0,
+      highlights: { Name: [[0, q.length]] },
+    };
+  }
+
+  const tokens = q.split(/\s+/);
+  const words = wordsOf(name);
+  const nameMatch = words.length ? matchNameWords(words, tokens) : null;
+  if (nameMatch && nameMatch.typos === 0) {
+    return {
+      rank: RANK_NAME_WORDS,
+      typos: 0,
+      highlights: { Name: nameMatch.ranges },
+    };
+  }
+
+  const digits = q.replace(/[\s()+.-]/g, "");
+  const phone = String(member["Phone Number"] || "");
+  if (
+    /^\d+$/.test(digits) &&
+    digits.length >= MIN_PHONE_DIGITS &&
+    phone.endsWith(digits)
+  ) {
+    const highlights = {
+      "Phone Number": [[phone.length - digits.length, phone.length]],
+    };
+    return { rank: RANK_PHONE_SUFFIX, typos: 0, highlights };
+  }
+
+  if (id && id.toLowerCase().startsWith(q)) {
+    return {
+      rank: RANK_PARTIAL,
+      typos: 0,
+      highlights: { ID: [[0, q.length]] },
+    };
+  }
+  const at = lowerName.indexOf(q);
+  if (at !== -1) {
+    return {
+      rank: RANK_PARTIAL,
+      typos: 0,
+      highlights: { Name: [[at, at + q.length]] },
+    };
+  }
+
+  if (nameMatch) {
+    return {
+      rank: RANK_FUZZY_NAME,
+      typos: nameMatch.typos,
+      highlights: { Name: nameMatch.ranges },
+    };
+  }
+  return null;
+}
+
+/* Returns { results, highlights } like the server's search response (without paging) */
+export function searchSnapshot(members, query) {
+  const q = String(query || "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ");
+  if (!q) return { results: [], highlights: {} };
+
+  const matches = [];
+  members.forEach((member) => {
+    const match = rankMember(member, q);
+    if (match) matches.push({ member, ...match });
+  });
+  matches.sort(
+    (a, b) =>
+      a.rank - b.rank ||
+      a.typos - b.typos ||
+      String(a.member.Name || "").localeCompare(String(b.member.Name || ""))
+  );
+
+  return {
+    results: matches.map((m) => m.member),
+    highlights: Object.fromEntries(
+      matches.map((m) => [String(m.member.ID), m.highlights])
+    ),
+  };
+}
@@ -0,0 +1,143 @@
+// client/src/offline/store.js
+/*
+ * Encrypted IndexedDB storage for offline mode: the last roster snapshot and
+ * check-ins queued while offline.
+ * Values are sealed with AES-GCM under a non-extractable key kept in the same
+ * database — page scripts can use it, but it can't be exported, so the roster
+ * isn't readable from the browser's files on disk. Logging out drops only the
+ * snapshot (clearSnapshot()): queued check-ins haven't reached the server yet, so
+ * they stay, with the key, and sync after the next sign-in.
+ */
+const DB_NAME = "gym-offline";
+const DB_VERSION = 1;
+const STORE = "kv";
+
+let dbPromise = null;
+let keyPromise = null;
+
+export function isOfflineSupported() {
+  return (
+    typeof indexedDB !== "undefined" &&
+    typeof crypto !== "undefined" &&
+    Boolean(crypto.subtle)
+  );
+}
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return dbPromise;
+}
+
+async function request(mode, run) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = run(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+const idbGet = (key) => request("readonly", (s) => s.get(key));
+const idbPut = (key, value) => request("readwrite", (s) => s.put(value, key));
+const idbDelete = (key) => request("readwrite", (s) => s.delete(key));
+
+function getKey() {
+  if (!keyPromise) {
+    keyPromise = (async () => {
+      const existing = await idbGet("key");
+      if (existing) return existing;
+      const key = await crypto.subtle.generateKey(
+        { name: "AES-GCM", length: 256 },
+        false, // non-extractable
+        ["encrypt", "decrypt"]
+      );
+      await idbPut("key", key);
+      return key;
+    })().catch((err) => {
+      keyPromise = null;
+      throw err;
+    });
+  }
+  return keyPromise;
+}
+
+async function seal(value) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    await getKey(),
+    new TextEncoder().encode(JSON.stringify(value))
+  );
+  return { iv, data };
+}
+
+async function unseal(sealed) {
+  if (!sealed) return null;
+  const plain = await crypto.subtle.decrypt(
+    { name: "AES-GCM", iv: sealed.iv },
+    await getKey(),
+    sealed.data
+  );
+  return JSON.parse(new TextDecoder().decode(plain));
+}
+
+/* snapshot: { members, savedAt, user } */
+export async function saveSnapshot(snapshot) {
+  await idbPut("snapshot", await seal(snapshot));
+}
+
+export async function loadSnapshot() {
+  try {
+    return await unseal(await idbGet("snapshot"));
+  } catch (err) {
+    console.error("Offline snapshot unreadable:", err);
+    return null;
+  }
+}
+
+/* queue item: { memberId, memberName, overrideReason, checkedInAt } */
+export async function loadQueue() {
+  try {
+    return (await unseal(await idbGet("queue"))) || [];
+  } catch (err) {
+    console.error("Offline queue unreadable:", err);
+    return [];
+  }
+}
+
+export async function saveQueue(queue) {
+  await idbPut("queue", await seal(queue));
+}
+
+export async function enqueueCheckIn(item) {
+  const queue = await loadQueue();
+  queue.push(item);
+  await saveQueue(queue);
+  return queue.length;
+}
+
+export async function clearSnapshot() {
+  await idbDelete("snapshot");
+}
+
+/* rejected item: a queue item plus the server's message; kept until staff dismiss them */
+export async function loadRejected() {
+  try {
+    return (await unseal(await idbGet("rejected"))) || [];
+  } catch (err) {
+    console.error("Rejected check-ins unreadable:", err);
+    return [];
+  }
+}
+
+export async function saveRejected(items) {
+  await idbPut("rejected", await seal(items));
+}
@@ -0,0 +1,53 @@
+// client/src/scan/decoder.js
+import jsQR from "jsqr";
+
+const BARCODE_FORMATS = ["qr_code", "code_128", "code_39", "ean_13"];
+const MAX_FRAME_WIDTH = 640; // downscale frames for the JS decoder
+
+/* The member ID from scanned text (trims scanner noise such as stray control characters) */
+export function parseScan(text) {
+  return (
+    String(text || "")
+      // eslint-disable-next-line no-control-regex
+      .replace(/[\u0000-\u001f]/g, "")
+      .trim()
+  );
+}
+
+/*
+ * Returns decode(video) → text or null. Uses the browser's BarcodeDetector when it
+ * supports QR codes, otherwise jsQR on a canvas frame (QR only).
+ */
+export async function createDecoder() {
+  if ("BarcodeDetector" in window) {
+    try {
+      const supported = await window.BarcodeDetector.getSupportedFormats();
+      if (supported.includes("qr_code")) {
+        const detector = new window.BarcodeDetector({
+          formats: BARCODE_FORMATS.filter((f) => supported.includes(f)),
+        });
+        return async (video) => {
+          const codes = await detector.detect(video);
+          return codes.length ? codes[0].rawValue : null;
+        };
+      }
+    } catch {
+      // fall through to jsQR
+    }
+  }
+
+  const canvas = document.createElement("canvas");
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  return async (video) => {
+    if (!video.videoWidth) return null;
+    const scale = Math.min(1, MAX_FRAME_WIDTH / video.videoWidth);
+    canvas.width = Math.round(video.videoWidth * scale);
+    canvas.height = Math.round(video.videoHeight * scale);
+    ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+    const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const code = jsQR(data, canvas.width, canvas.height, {
+      inversionAttempts: "dontInvert",
+    });
+    return code ? code.data : null;
+  };
+}
@@ -0,0 +1,41 @@
+// client/src/scan/useWedgeScanner.js
+import { useEffect, useRef } from "react";
+
+// Keyboard-wedge scanners "type" the code far faster than a person, then press Enter
+const MAX_GAP_MS = 40;
+const MIN_LENGTH = 2;
+
+/*
+ * Calls onScan(text) when a burst of fast keystrokes ends in Enter, wherever focus is.
+ * The Enter is swallowed so it doesn't also submit or trigger whatever has focus.
+ */
+export default function useWedgeScanner(onScan, enabled = true) {
+  const onScanRef = useRef(onScan);
+  onScanRef.current = onScan;
+
+  useEffect(() => {
+    if (!enabled) return;
+    let buffer = "";
+    let last = 0;
+
+    const onKeyDown = (e) => {
+      const now = performance.now();
+      const fast = now - last <= MAX_GAP_MS;
+      if (e.key === "Enter") {
+        if (fast && buffer.length >= MIN_LENGTH) {
+          e.preventDefault();
+          e.stopPropagation();
+          onScanRef.current(buffer);
+        }
+        buffer = "";
+        return;
+      }
+      if (e.key.length !== 1 || e.ctrlKey || e.metaKey || e.altKey) return;
+      buffer = fast ? buffer + e.key : e.key;
+      last = now;
+    };
+
+    window.addEventListener("keydown", onKeyDown, true);
+    return () => window.removeEventListener("keydown", onKeyDown, true);
+  }, [enabled]);
+}
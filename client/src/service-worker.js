@@ -0,0 +1,35 @@
+/* eslint-disable no-restricted-globals */
+// client/src/service-worker.js
+// Built by react-scripts (Workbox InjectManifest). Keeps the app shell available offline;
+// member data is not cached here — App.js keeps an encrypted snapshot in IndexedDB instead.
+
+import { clientsClaim } from "workbox-core";
+import { ExpirationPlugin } from "workbox-expiration";
+import { precacheAndRoute, createHandlerBoundToURL } from "workbox-precaching";
+import { registerRoute } from "workbox-routing";
+import { CacheFirst } from "workbox-strategies";
+
+clientsClaim();
+self.skipWaiting();
+
+// JS/CSS bundles and index.html from the build
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Serve the app shell for page navigations (but not for API calls or files)
+const fileExtensionRegexp = /\/[^/?]+\.[^/]+$/;
+registerRoute(({ request, url }) => {
+  if (request.mode !== "navigate") return false;
+  if (url.pathname.startsWith("/_")) return false;
+  if (url.pathname.match(fileExtensionRegexp)) return false;
+  return true;
+}, createHandlerBoundToURL(process.env.PUBLIC_URL + "/index.html"));
+
+// Same-origin static images (logo, icons)
+registerRoute(
+  ({ url, request }) =>
+    url.origin === self.location.origin && request.destination === "image",
+  new CacheFirst({
+    cacheName: "images",
+    plugins: [new ExpirationPlugin({ maxEntries: 50 })],
+  })
+);
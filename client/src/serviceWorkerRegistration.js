@@ -0,0 +1,28 @@
+// client/src/serviceWorkerRegistration.js
+// Registers src/service-worker.js (built to /service-worker.js) in production builds only,
+// so development never serves stale bundles.
+
+export function register() {
+  if (
+    process.env.NODE_ENV !== "production" ||
+    !("serviceWorker" in navigator)
+  ) {
+    return;
+  }
+
+  window.addEventListener("load", () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch((err) =>
+        console.error("Service worker registration failed:", err)
+      );
+  });
+}
+
+export function unregister() {
+  if ("serviceWorker" in navigator) {
+    navigator.serviceWorker.ready
+      .then((registration) => registration.unregister())
+      .catch(() => {});
+  }
+}
@@ -0,0 +1,18 @@
+// client/src/status.js
+// Membership status is computed by the server (member.membership); these only map it to UI.
+
+export const STATUS_CLASS = {
+  active: "status-green",
+  expiring: "status-yellow",
+  expired: "status-red",
+  unknown: "status-unknown",
+  inactive: "status-unknown",
+};
+
+export const STATUS_LABEL = {
+  active: "Active",
+  expiring: "Expiring",
+  expired: "Expired",
+  unknown: "Unknown",
+  inactive: "Deactivated",
+};
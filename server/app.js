@@ -0,0 +1,62 @@
+// server/app.js
+// The Express app without a listener, so tests can import it (index.js starts the server).
+const express = require("express");
+const cors = require("cors");
+const cookieParser = require("cookie-parser");
+const rateLimit = require("express-rate-limit");
+const helmet = require("helmet");
+const config = require("./config");
+const { requestLogger, loginLogger } = require("./middleware/logger");
+const { csrfProtection } = require("./middleware/csrf");
+const authRoutes = require("./routes/auth");
+const adminRoutes = require("./routes/admin");
+const memberRoutes = require("./routes/members");
+const attendanceRoutes = require("./routes/attendance");
+const reportRoutes = require("./routes/reports");
+const planRoutes = require("./routes/plans");
+const photoRoutes = require("./routes/photos");
+const lockerRoutes = require("./routes/lockers");
+const healthRoutes = require("./routes/health");
+const app = express();
+
+app.use(helmet());
+app.use(express.json());
+app.use(cookieParser());
+app.use(requestLogger);
+app.use(loginLogger);
+
+// CORS: allow the client origins (CORS_ORIGINS) and credentials
+app.use(
+  cors({
+    origin: config.corsOrigins,
+    credentials: true,
+    // headers the client reads: export file names, log correlation ID, roster revalidation
+    exposedHeaders: ["Content-Disposition", "X-Request-Id", "ETag", "Last-Modified", "X-Roster-Synced-At"],
+  })
+);
+
+// Rate limiter: basic protection
+const limiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 60, // limit each IP to 60 requests per windowMs
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+app.use(limiter);
+
+// cookie sessions: unsafe requests must echo the CSRF token (see middleware/csrf.js)
+app.use("/api", csrfProtection);
+
+app.use("/api", authRoutes);
+app.use("/api", adminRoutes);
+app.use("/api", memberRoutes);
+app.use("/api", attendanceRoutes);
+app.use("/api", reportRoutes);
+app.use("/api", planRoutes);
+app.use("/api", photoRoutes);
+app.use("/api", lockerRoutes);
+app.use("/api", healthRoutes);
+
+app.get("/", (req, res) => res.send("Gym API running"));
+
+module.exports = app;
@@ -0,0 +1,22 @@
+// server/config.js
+// The server's settings, loaded once. Modules read from here instead of process.env.
+const fs = require("fs");
+const path = require("path");
+const dotenv = require("dotenv");
+const { loadConfig } = require("./lib/config");
+
+/*
+ * Values already in the environment win, then .env.<NODE_ENV>.local, .env.<NODE_ENV> and
+ * .env from the server directory (dotenv never overwrites a variable that is set).
+ */
+const nodeEnv = process.env.NODE_ENV || "development";
+[`.env.${nodeEnv}.local`, `.env.${nodeEnv}`, ".env"].forEach((name) => {
+  const file = path.join(__dirname, name);
+  if (fs.existsSync(file)) dotenv.config({ path: file });
+});
+
+// throws ConfigError (listing every problem) when a setting is invalid or unsafe for production
+const { config, warnings } = loadConfig(process.env);
+warnings.forEach((warning) => console.warn(`WARNING: ${warning}`));
+
+module.exports = config;
@@ -0,0 +1,80 @@
+// datasources/file.js
+const fs = require("fs/promises");
+const path = require("path");
+const { parseCsv, toCsv, planRowUpdate, applyRowUpdate, planRowAppend } = require("./rows");
+
+/* Local roster file: .csv, or .xlsx/.xls (first worksheet unless sheetName is given) */
+function createFileSource({ filePath, sheetName }) {
+  function fileType() {
+    if (!filePath) throw new Error("Missing MEMBERS_FILE config");
+    const ext = path.extname(filePath).toLowerCase();
+    if (ext === ".csv") return "csv";
+    if (ext === ".xlsx" || ext === ".xls") return "xlsx";
+    throw new Error(`Unsupported roster file type: ${ext || filePath}`);
+  }
+
+  async function loadWorkbook() {
+    const XLSX = require("xlsx");
+    const workbook = XLSX.read(await fs.readFile(filePath), { type: "buffer" });
+    const name = sheetName && workbook.SheetNames.includes(sheetName) ? sheetName : workbook.SheetNames[0];
+    return { XLSX, workbook, sheet: name ? workbook.Sheets[name] : null };
+  }
+
+  /* Write next to the target then rename, so readers never see a half-written roster */
+  async function replaceFile(data) {
+    const tmp = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, data);
+    await fs.rename(tmp, filePath);
+  }
+
+  async function readRows() {
+    if (fileType() === "csv") {
+      return parseCsv(await fs.readFile(filePath, "utf8"));
+    }
+
+    const { XLSX, sheet } = await loadWorkbook();
+    if (!sheet) return [];
+    // raw: false → cells come back as displayed text, like the Sheets API
+    return XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: "" });
+  }
+
+  function writeWorkbook(XLSX, workbook) {
+    const bookType = path.extname(filePath).toLowerCase() === ".xls" ? "biff8" : "xlsx";
+    return replaceFile(XLSX.write(workbook, { type: "buffer", bookType }));
+  }
+
+  /* changes: { header: value } for the row whose ID matches */
+  async function updateMember(id, changes) {
+    if (fileType() === "csv") {
+      const values = parseCsv(await fs.readFile(filePath, "utf8"));
+      applyRowUpdate(values, planRowUpdate(values, id, changes));
+      return replaceFile(toCsv(values));
+    }
+
+    const { XLSX, workbook, sheet } = await loadWorkbook();
+    const values = sheet ? XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: "" }) : [];
+    const plan = planRowUpdate(values, id, changes);
+    plan.cells.forEach(({ rowIndex, colIndex, value }) => {
+      XLSX.utils.sheet_add_aoa(sheet, [[value]], { origin: { r: rowIndex, c: colIndex } });
+    });
+    return writeWorkbook(XLSX, workbook);
+  }
+
+  /* record: { header: value } for a new row at the end of the roster */
+  async function appendMember(record) {
+    if (fileType() === "csv") {
+      const values = parseCsv(await fs.readFile(filePath, "utf8"));
+      values.push(planRowAppend(values, record));
+      return replaceFile(toCsv(values));
+    }
+
+    const { XLSX, workbook, sheet } = await loadWorkbook();
+    const values = sheet ? XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: "" }) : [];
+    XLSX.utils.sheet_add_aoa(sheet, [planRowAppend(values, record)], { origin: -1 });
+    return writeWorkbook(XLSX, workbook);
+  }
+
+  return { name: "file", readRows, updateMember, appendMember };
+}
+
+module.exports = { createFileSource };
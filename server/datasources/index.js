@@ -0,0 +1,230 @@
+// datasources/index.js
+const crypto = require("crypto");
+const config = require("../config");
+const { normalizeRoster } = require("../lib/schema");
+const { setRosterDateFormat } = require("../lib/dates");
+const { logError } = require("../lib/logger");
+const { createSheetsSource } = require("./sheets");
+const { createFileSource } = require("./file");
+const { createSqliteSource } = require("./sqlite");
+
+/*
+ * DATA_SOURCE picks where the member roster comes from:
+ *   sheets (default) → SHEET_ID, SHEET_NAME, GOOGLE_API_KEY
+ *                      (+ GOOGLE_SERVICE_ACCOUNT_EMAIL, GOOGLE_PRIVATE_KEY for write-back,
+ *                       SHEETS_API_URL to use something other than sheets.googleapis.com)
+ *   file             → MEMBERS_FILE (.csv/.xlsx), optional SHEET_NAME for the worksheet
+ *   sqlite           → SQLITE_PATH, optional SQLITE_TABLE (default "members")
+ * The config module checks the required settings at startup.
+ */
+function createDataSource(settings = config) {
+  const kind = settings.dataSource;
+  switch (kind) {
+    case "sheets":
+      return createSheetsSource({
+        sheetId: settings.sheetId,
+        sheetName: settings.sheetName,
+        apiKey: settings.googleApiKey,
+        serviceAccountEmail: settings.googleServiceAccountEmail,
+        privateKey: settings.googlePrivateKey,
+        apiUrl: settings.sheetsApiUrl,
+      });
+    case "file":
+      return createFileSource({
+        filePath: settings.membersFile,
+        sheetName: settings.sheetName,
+      });
+    case "sqlite":
+      return createSqliteSource({
+        dbPath: settings.sqlitePath,
+        table: settings.sqliteTable,
+      });
+    default:
+      throw new Error(`Unknown DATA_SOURCE: ${kind}`);
+  }
+}
+
+let dataSource = null;
+
+function getDataSource() {
+  if (!dataSource) dataSource = createDataSource();
+  return dataSource;
+}
+
+/* Swap the active source (e.g. a local file in tests); also drops the cache */
+function setDataSource(source) {
+  dataSource = source;
+  resetSheetCache();
+}
+
+/*
+ * Roster cache, stale-while-revalidate:
+ *   fresh (younger than SHEET_CACHE_TTL_MS) → served from memory
+ *   stale → served from memory while one background fetch refreshes it
+ *   fetch fails → the last good roster keeps being served (lastError says why) and the
+ *                 next attempt waits SHEET_CACHE_RETRY_MS so a dead source isn't hammered
+ * Only the very first load (or a fresh: true read) waits on the source.
+ * Rows are normalized to the member schema (lib/schema.js). Rows that fail validation are
+ * still returned; their problems are kept in cachedIssues for /api/admin/data-issues.
+ */
+const SHEET_CACHE_TTL_MS = config.sheetCacheTtlMs; // default 30s
+const SHEET_CACHE_RETRY_MS = config.sheetCacheRetryMs;
+
+let cachedSheet = null;
+let cachedIssues = [];
+let cachedColumns = []; // roster headers as schema keys
+let cacheExpires = 0;
+let mustRevalidate = false; // set after writes: next read waits for the source (falling back if it fails)
+let syncedAt = null; // last successful fetch
+let changedAt = null; // last time the fetched roster differed from the previous one
+let version = null; // hash of the normalized roster, used for ETags
+let lastError = null; // { message, at } from the latest failed fetch, cleared on success
+let inflight = null;
+let generation = 0; // bumped on invalidation so fetches started before a write are discarded
+
+async function readAndCache(startedGeneration) {
+  try {
+    const values = await getDataSource().readRows();
+    const { members, issues, columns, dateFormat } = normalizeRoster(values);
+    if (startedGeneration !== generation) return members; // superseded by a write
+    // dates the server writes match the roster's own (unless SHEET_DATE_FORMAT says otherwise)
+    if (dateFormat) setRosterDateFormat(dateFormat);
+
+    const nextVersion = crypto.createHash("sha1").update(JSON.stringify(members)).digest("hex").slice(0, 16);
+    const now = new Date();
+    if (nextVersion !== version) changedAt = now.toISOString();
+    cachedSheet = members;
+    cachedIssues = issues;
+    cachedColumns = columns;
+    version = nextVersion;
+    syncedAt = now.toISOString();
+    lastError = null;
+    mustRevalidate = false;
+    cacheExpires = now.getTime() + SHEET_CACHE_TTL_MS;
+    return members;
+  } catch (err) {
+    if (startedGeneration === generation) {
+      lastError = { message: err.message || String(err), at: new Date().toISOString() };
+      cacheExpires = Date.now() + SHEET_CACHE_RETRY_MS;
+    }
+    throw err;
+  }
+}
+
+/* One fetch at a time: concurrent callers share the in-flight load */
+function loadRoster() {
+  if (!inflight) {
+    const load = readAndCache(generation).finally(() => {
+      if (inflight === load) inflight = null;
+    });
+    inflight = load;
+  }
+  return inflight;
+}
+
+/* fresh: true always reads the source and fails if it can't (use before read-modify-write) */
+async function fetchSheetAsObjects({ fresh = false } = {}) {
+  if (!fresh && cachedSheet) {
+    if (cacheExpires > Date.now()) return cachedSheet;
+    if (!mustRevalidate) {
+      loadRoster().catch((err) => logError("Error refreshing roster in background", err));
+      return cachedSheet;
+    }
+  }
+
+  try {
+    return await loadRoster();
+  } catch (err) {
+    if (fresh || !cachedSheet) throw err;
+    logError("Error refreshing roster, serving last good copy", err);
+    return cachedSheet;
+  }
+}
+
+/* Fetch the roster now (admin "refresh"). Throws if the source fails; the last good copy stays cached */
+async function refreshSheetCache() {
+  invalidateSheetCache();
+  await fetchSheetAsObjects({ fresh: true });
+  return getCacheInfo();
+}
+
+/* Returns { syncedAt, changedAt, version, stale, lastError } */
+function getCacheInfo() {
+  return {
+    syncedAt,
+    changedAt,
+    version,
+    stale: Boolean(lastError) || (cachedSheet !== null && cacheExpires <= Date.now()),
+    lastError,
+  };
+}
+
+/* Validation problems from the latest roster load. Returns { checkedAt, totalMembers, issues } */
+async function fetchDataIssues() {
+  const members = await fetchSheetAsObjects();
+  return { checkedAt: syncedAt, totalMembers: members.length, issues: cachedIssues };
+}
+
+/* Columns of the latest roster load, as schema keys ("Expiry Date" → "Membership Expiry") */
+async function fetchRosterColumns() {
+  await fetchSheetAsObjects();
+  return cachedColumns;
+}
+
+/* Mark the cache out of date so the next read sees the source (after writes) */
+function invalidateSheetCache() {
+  generation++;
+  inflight = null;
+  cacheExpires = 0;
+  mustRevalidate = true;
+}
+
+function resetSheetCache() {
+  invalidateSheetCache();
+  cachedSheet = null;
+  cachedIssues = [];
+  cachedColumns = [];
+  setRosterDateFormat(null);
+  syncedAt = changedAt = version = lastError = null;
+}
+
+/* Write { header: value } changes to one member row, then drop the cache so readers see them */
+async function updateMember(id, changes) {
+  const source = getDataSource();
+  if (typeof source.updateMember !== "function") {
+    throw new Error(`Data source "${source.name}" is read-only`);
+  }
+  await source.updateMember(id, changes);
+  invalidateSheetCache();
+}
+
+/* Add a new member row ({ header: value }), then drop the cache so readers see it */
+async function appendMember(record) {
+  const source = getDataSource();
+  if (typeof source.appendMember !== "function") {
+    throw new Error(`Data source "${source.name}" can't add members`);
+  }
+  await source.appendMember(record);
+  invalidateSheetCache();
+}
+
+/* One member by ID; fresh: true bypasses the cache (use before read-modify-write) */
+async function findMemberById(id, { fresh = false } = {}) {
+  const objects = await fetchSheetAsObjects({ fresh });
+  return objects.find((m) => String(m.ID ?? "").trim() === String(id).trim()) || null;
+}
+
+module.exports = {
+  createDataSource,
+  getDataSource,
+  setDataSource,
+  fetchSheetAsObjects,
+  fetchDataIssues,
+  fetchRosterColumns,
+  invalidateSheetCache,
+  refreshSheetCache,
+  getCacheInfo,
+  updateMember,
+  appendMember,
+  findMemberById,
+};
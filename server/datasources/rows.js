@@ -0,0 +1,116 @@
+// datasources/rows.js
+const { httpError } = require("../lib/httpError");
+const { canonicalHeader } = require("../lib/schema");
+
+const ID_HEADER = "ID";
+
+/*
+ * Helpers shared by the data sources. Each one reads the roster as a 2D array of cell values
+ * (header row first); lib/schema.js turns that into normalized member objects.
+ */
+
+/* Minimal RFC 4180 CSV parser: quoted fields, escaped quotes, CRLF, BOM */
+function parseCsv(text) {
+  const input = String(text || "").replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (inQuotes) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // drop trailing blank lines; inner ones stay so row numbers match the file
+  while (rows.length && rows[rows.length - 1].every((cell) => cell === "")) rows.pop();
+  return rows;
+}
+
+function toCsv(values) {
+  const escape = (cell) => {
+    const str = cell === undefined || cell === null ? "" : String(cell);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+  return values.map((row) => row.map(escape).join(",")).join("\r\n") + "\r\n";
+}
+
+/* Column of a schema key, allowing for aliased roster headers ("Expiry Date" for "Membership Expiry") */
+function headerIndex(values, header) {
+  return (values[0] || []).findIndex((h) => canonicalHeader(h) === canonicalHeader(header));
+}
+
+/**
+ * Locate the member row and the cells to change, for adapters that write back.
+ * changes: { header: value }. Returns { rowIndex, cells: [{ rowIndex, colIndex, header, value }] }
+ * where rowIndex counts the header row as 0.
+ */
+function planRowUpdate(values, id, changes) {
+  const idCol = headerIndex(values, ID_HEADER);
+  if (idCol < 0) throw httpError(500, `Roster has no "${ID_HEADER}" column`);
+
+  const rowIndex = values.findIndex((row, i) => i > 0 && String(row[idCol] ?? "").trim() === String(id).trim());
+  if (rowIndex < 0) throw httpError(404, "Member not found");
+
+  const cells = Object.entries(changes).map(([header, value]) => {
+    const colIndex = headerIndex(values, header);
+    if (colIndex < 0) throw httpError(500, `Roster has no "${header}" column`);
+    return { rowIndex, colIndex, header, value };
+  });
+  return { rowIndex, cells };
+}
+
+/* Apply a planRowUpdate() result to the 2D array in place */
+function applyRowUpdate(values, { cells }) {
+  cells.forEach(({ rowIndex, colIndex, value }) => {
+    const row = values[rowIndex];
+    while (row.length <= colIndex) row.push("");
+    row[colIndex] = value;
+  });
+  return values;
+}
+
+/*
+ * New member row for adapters that append. record: { header: value }; columns it doesn't
+ * mention are left blank. Returns the row as an array in roster column order.
+ */
+function planRowAppend(values, record) {
+  const headers = values[0] || [];
+  if (headerIndex(values, ID_HEADER) < 0) throw httpError(500, `Roster has no "${ID_HEADER}" column`);
+
+  const row = headers.map(() => "");
+  Object.entries(record).forEach(([header, value]) => {
+    const colIndex = headerIndex(values, header);
+    if (colIndex < 0) throw httpError(500, `Roster has no "${header}" column`);
+    row[colIndex] = value;
+  });
+  return row;
+}
+
+module.exports = { ID_HEADER, parseCsv, toCsv, planRowUpdate, applyRowUpdate, planRowAppend };
@@ -0,0 +1,162 @@
+// datasources/sheets.js
+const jwt = require("jsonwebtoken");
+const { planRowUpdate, planRowAppend } = require("./rows");
+const { MEMBER_SCHEMA, canonicalHeader } = require("../lib/schema");
+const fetch = (...args) => import("node-fetch").then(({ default: fetch }) => fetch(...args));
+
+const SHEETS_SCOPE = "https://www.googleapis.com/auth/spreadsheets";
+const TOKEN_URL = "https://oauth2.googleapis.com/token";
+const SHEETS_API_URL = "https://sheets.googleapis.com";
+
+const DATE_KEYS = new Set(MEMBER_SCHEMA.filter((f) => f.type === "date").map((f) => f.key));
+
+/* Date columns are written by the server (formatSheetDate), never as typed, so Sheets may parse them */
+function isDateCell({ header, value }) {
+  return value !== "" && DATE_KEYS.has(canonicalHeader(header));
+}
+
+/* 0-based column index → A1 letters (0 → A, 26 → AA) */
+function columnLetter(index) {
+  let n = index + 1;
+  let letters = "";
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    letters = String.fromCharCode(65 + rem) + letters;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letters;
+}
+
+/*
+ * Google Sheets v4 values API.
+ * Reads use the API key. Writes need a service account with edit access to the sheet
+ * (serviceAccountEmail + privateKey); API keys are read-only.
+ * Writes are RAW, so Sheets stores exactly what staff typed: "0042" keeps its zeros, phone numbers
+ * their leading 0, and "=..." stays text instead of becoming a formula. Only date cells are then
+ * re-entered as USER_ENTERED so they stay real dates in the sheet.
+ * apiUrl and tokenUrl only change to point at a local stand-in (the server tests do this).
+ */
+function createSheetsSource({
+  sheetId,
+  sheetName,
+  apiKey,
+  serviceAccountEmail,
+  privateKey,
+  apiUrl = SHEETS_API_URL,
+  tokenUrl = TOKEN_URL,
+}) {
+  const quotedSheet = `'${String(sheetName).replace(/'/g, "''")}'`;
+  let accessToken = null;
+  let accessTokenExpires = 0;
+
+  async function readRows() {
+    if (!sheetId || !sheetName || !apiKey) {
+      throw new Error("Missing Sheets config");
+    }
+
+    const url = `${apiUrl}/v4/spreadsheets/${sheetId}/values/${encodeURIComponent(
+      sheetName
+    )}?key=${apiKey}`;
+    const res = await fetch(url);
+    if (!res.ok) {
+      const txt = await res.text().catch(() => "");
+      throw new Error(`Sheets fetch failed: ${res.status} ${res.statusText} ${txt}`);
+    }
+    const json = await res.json();
+    return Array.isArray(json.values) ? json.values : [];
+  }
+
+  /* OAuth access token for the service account (JWT bearer grant), cached until shortly before expiry */
+  async function getAccessToken() {
+    if (accessToken && accessTokenExpires > Date.now() + 60 * 1000) return accessToken;
+    if (!serviceAccountEmail || !privateKey) {
+      throw new Error("Writing to Google Sheets requires GOOGLE_SERVICE_ACCOUNT_EMAIL / GOOGLE_PRIVATE_KEY");
+    }
+
+    const assertion = jwt.sign({ scope: SHEETS_SCOPE }, privateKey, {
+      algorithm: "RS256",
+      issuer: serviceAccountEmail,
+      audience: TOKEN_URL,
+      expiresIn: "1h",
+    });
+    const res = await fetch(tokenUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({ grant_type: "urn:ietf:params:oauth:grant-type:jwt-bearer", assertion }).toString(),
+    });
+    if (!res.ok) {
+      const txt = await res.text().catch(() => "");
+      throw new Error(`Google token exchange failed: ${res.status} ${txt}`);
+    }
+    const json = await res.json();
+    accessToken = json.access_token;
+    accessTokenExpires = Date.now() + (json.expires_in || 3600) * 1000;
+    return accessToken;
+  }
+
+  /* cells: [{ rowIndex, colIndex, value }] from planRowUpdate (rowIndex 0 is the header row) */
+  async function writeCells(token, cells, valueInputOption) {
+    const url = `${apiUrl}/v4/spreadsheets/${sheetId}/values:batchUpdate`;
+    const res = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+      body: JSON.stringify({
+        valueInputOption,
+        data: cells.map(({ rowIndex, colIndex, value }) => ({
+          range: `${quotedSheet}!${columnLetter(colIndex)}${rowIndex + 1}`,
+          values: [[value]],
+        })),
+      }),
+    });
+    if (!res.ok) {
+      const txt = await res.text().catch(() => "");
+      throw new Error(`Sheets update failed: ${res.status} ${res.statusText} ${txt}`);
+    }
+  }
+
+  /* changes: { header: value } for the row whose ID matches */
+  async function updateMember(id, changes) {
+    const token = await getAccessToken();
+    const { cells } = planRowUpdate(await readRows(), id, changes);
+    const dates = cells.filter(isDateCell);
+    const text = cells.filter((cell) => !isDateCell(cell));
+    if (text.length) await writeCells(token, text, "RAW");
+    if (dates.length) await writeCells(token, dates, "USER_ENTERED");
+  }
+
+  /*
+   * record: { header: value } for a new row below the last one. The row goes in RAW; its date cells
+   * are then re-entered in the row Sheets reports back (A1 range like "'Members'!A42:H42").
+   */
+  async function appendMember(record) {
+    const token = await getAccessToken();
+    const values = await readRows();
+    const row = planRowAppend(values, record);
+
+    const range = encodeURIComponent(quotedSheet);
+    const url = `${apiUrl}/v4/spreadsheets/${sheetId}/values/${range}:append?valueInputOption=RAW&insertDataOption=INSERT_ROWS`;
+    const res = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+      body: JSON.stringify({ values: [row] }),
+    });
+    if (!res.ok) {
+      const txt = await res.text().catch(() => "");
+      throw new Error(`Sheets append failed: ${res.status} ${res.statusText} ${txt}`);
+    }
+
+    const json = await res.json().catch(() => ({}));
+    const match = String(json.updates?.updatedRange || "").match(/![A-Z]+(\d+)/);
+    if (!match) return; // the dates stay text, which still reads back fine
+    const headers = values[0] || [];
+    const rowIndex = Number(match[1]) - 1;
+    const dates = row
+      .map((value, colIndex) => ({ rowIndex, colIndex, header: headers[colIndex], value }))
+      .filter(isDateCell);
+    if (dates.length) await writeCells(token, dates, "USER_ENTERED");
+  }
+
+  return { name: "sheets", readRows, updateMember, appendMember };
+}
+
+module.exports = { createSheetsSource };
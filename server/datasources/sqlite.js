@@ -0,0 +1,79 @@
+// datasources/sqlite.js
+const { ID_HEADER } = require("./rows");
+const { httpError } = require("../lib/httpError");
+const { canonicalHeader } = require("../lib/schema");
+
+/*
+ * SQLite roster table. Column names are used as headers, so a table created with
+ * columns like "ID", "Name", "Membership Expiry" maps exactly like the sheet does.
+ * better-sqlite3 is an optional dependency and only loaded when this source is used.
+ */
+function createSqliteSource({ dbPath, table = "members" }) {
+  let db = null;
+
+  function open() {
+    if (db) return db;
+    if (!dbPath) throw new Error("Missing SQLITE_PATH config");
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(table)) throw new Error(`Invalid SQLite table name: ${table}`);
+
+    let Database;
+    try {
+      Database = require("better-sqlite3");
+    } catch (err) {
+      throw new Error("SQLite data source requires the better-sqlite3 package");
+    }
+    db = new Database(dbPath, { fileMustExist: true });
+    return db;
+  }
+
+  function quoteIdent(name) {
+    return `"${String(name).replace(/"/g, '""')}"`;
+  }
+
+  async function readRows() {
+    const stmt = open().prepare(`SELECT * FROM "${table}"`);
+    const headers = stmt.columns().map((c) => c.name);
+    const rows = stmt.raw(true).all();
+    return [headers, ...rows.map((row) => row.map((v) => (v === null ? "" : String(v))))];
+  }
+
+  /* { key: value } with schema keys → [[actual (possibly aliased) column name, value]] */
+  function columnEntries(conn, record) {
+    const columns = conn.prepare(`SELECT * FROM "${table}" LIMIT 0`).columns().map((c) => c.name);
+    const columnFor = (key) => columns.find((c) => canonicalHeader(c) === canonicalHeader(key));
+    const entries = Object.entries(record).map(([key, value]) => {
+      const column = columnFor(key);
+      if (!column) throw httpError(500, `Roster has no "${key}" column`);
+      return [column, value];
+    });
+    return { entries, idColumn: columnFor(ID_HEADER) };
+  }
+
+  /* changes: { column: value } for the row whose ID matches */
+  async function updateMember(id, changes) {
+    const conn = open();
+    const { entries, idColumn } = columnEntries(conn, changes);
+    if (!idColumn) throw httpError(500, `Roster has no "${ID_HEADER}" column`);
+
+    const assignments = entries.map(([column]) => `${quoteIdent(column)} = ?`).join(", ");
+    const info = conn
+      .prepare(`UPDATE "${table}" SET ${assignments} WHERE TRIM(CAST(${quoteIdent(idColumn)} AS TEXT)) = ?`)
+      .run(...entries.map(([, value]) => value), String(id).trim());
+    if (info.changes === 0) throw httpError(404, "Member not found");
+  }
+
+  /* record: { column: value } for a new row; other columns get their defaults */
+  async function appendMember(record) {
+    const conn = open();
+    const { entries, idColumn } = columnEntries(conn, record);
+    if (!idColumn) throw httpError(500, `Roster has no "${ID_HEADER}" column`);
+
+    const columns = entries.map(([column]) => quoteIdent(column)).join(", ");
+    const placeholders = entries.map(() => "?").join(", ");
+    conn.prepare(`INSERT INTO "${table}" (${columns}) VALUES (${placeholders})`).run(...entries.map(([, value]) => value));
+  }
+
+  return { name: "sqlite", readRows, updateMember, appendMember };
+}
+
+module.exports = { createSqliteSource };
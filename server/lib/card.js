@@ -0,0 +1,77 @@
+// lib/card.js
+const QRCode = require("qrcode");
+const sharp = require("sharp");
+const config = require("../config");
+
+const GYM_NAME = config.gymName;
+
+// ID-1 (credit card) proportions, 85.6 × 54 mm at 10 px/mm
+const CARD_WIDTH = 856;
+const CARD_HEIGHT = 540;
+const QR_SIZE = 300;
+const PNG_DENSITY = 300; // dpi, for print
+
+const CARD_FORMATS = {
+  svg: { contentType: "image/svg+xml; charset=utf-8", extension: "svg" },
+  png: { contentType: "image/png", extension: "png" },
+};
+
+function escapeXml(value) {
+  return String(value ?? "").replace(/[<>&"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+/* QR modules as one SVG path, scaled into a size × size square at (x, y) with a quiet zone */
+function qrPath(text, x, y, size) {
+  const { modules } = QRCode.create(String(text), { errorCorrectionLevel: "M" });
+  const quiet = 2;
+  const cell = size / (modules.size + quiet * 2);
+  let d = "";
+  for (let row = 0; row < modules.size; row++) {
+    for (let col = 0; col < modules.size; col++) {
+      if (!modules.get(row, col)) continue;
+      const px = x + (col + quiet) * cell;
+      const py = y + (row + quiet) * cell;
+      d += `M${px.toFixed(2)} ${py.toFixed(2)}h${cell.toFixed(2)}v${cell.toFixed(2)}h-${cell.toFixed(2)}z`;
+    }
+  }
+  return `<rect x="${x}" y="${y}" width="${size}" height="${size}" rx="12" fill="#fff"/><path d="${d}" fill="#000"/>`;
+}
+
+/*
+ * Printable member card. The QR code encodes just the member ID, which is what the
+ * lookup screen expects from a scanner.
+ */
+function cardSvg(member) {
+  const id = String(member.ID ?? "").trim();
+  const name = String(member.Name || "").trim() || "Member";
+  const qrX = CARD_WIDTH - QR_SIZE - 48;
+  // shrink long names to stay clear of the QR (bold glyphs average ~0.6em wide)
+  const nameSize = Math.min(44, Math.floor((qrX - 48 - 24) / (0.6 * name.length)));
+  const qrY = (CARD_HEIGHT - QR_SIZE) / 2;
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${CARD_WIDTH}" height="${CARD_HEIGHT}" viewBox="0 0 ${CARD_WIDTH} ${CARD_HEIGHT}">
+  <clipPath id="card"><rect width="${CARD_WIDTH}" height="${CARD_HEIGHT}" rx="32"/></clipPath>
+  <g clip-path="url(#card)">
+    <rect width="${CARD_WIDTH}" height="${CARD_HEIGHT}" fill="#0f0f10"/>
+    <rect width="${CARD_WIDTH}" height="14" fill="#ff3c3c"/>
+  </g>
+  <text x="48" y="96" font-family="Montserrat, Arial, sans-serif" font-size="34" font-weight="700" fill="#ff3c3c">${escapeXml(GYM_NAME)}</text>
+  <text x="48" y="250" font-family="Inter, Arial, sans-serif" font-size="${nameSize}" font-weight="700" fill="#fff">${escapeXml(name)}</text>
+  <text x="48" y="310" font-family="Inter, Arial, sans-serif" font-size="24" fill="#bdbdbd">MEMBER ID</text>
+  <text x="48" y="356" font-family="Inter, Arial, sans-serif" font-size="40" font-weight="600" fill="#fff">${escapeXml(id)}</text>
+  ${qrPath(id, qrX, qrY, QR_SIZE)}
+</svg>
+`;
+}
+
+/* Returns { body, contentType, fileName } for format "svg" or "png" */
+async function buildCard(member, format) {
+  const svg = cardSvg(member);
+  const { contentType, extension } = CARD_FORMATS[format];
+  const body = format === "png" ? await sharp(Buffer.from(svg), { density: PNG_DENSITY }).png().toBuffer() : svg;
+  const safeId = String(member.ID ?? "").replace(/[^\w.-]+/g, "_");
+  return { body, contentType, fileName: `member-card-${safeId}.${extension}` };
+}
+
+module.exports = { CARD_FORMATS, buildCard };
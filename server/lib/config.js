@@ -0,0 +1,254 @@
+// lib/config.js
+const path = require("path");
+
+const SERVER_DIR = path.join(__dirname, "..");
+const DEV_JWT_SECRET = "dev-secret";
+const MIN_JWT_SECRET_LENGTH = 32;
+
+/*
+ * Every setting the server reads, keyed by its environment variable. Types:
+ *   string  → trimmed, "" counts as unset
+ *   integer → whole number within [min, max]
+ *   number  → any number within [min, max]
+ *   enum    → one of values (case-insensitive, stored as listed)
+ *   boolean → true/false, yes/no, 1/0
+ *   list    → comma-separated, trimmed, empties dropped
+ *   path    → resolved against the server directory
+ *   url     → http(s) URL, trailing slash dropped
+ * secret: never echoed back in error messages.
+ */
+const CONFIG_SCHEMA = [
+  { env: "NODE_ENV", key: "nodeEnv", type: "enum", values: ["development", "test", "production"], default: "development" },
+  { env: "PORT", key: "port", type: "integer", min: 1, max: 65535, default: 5000 },
+
+  // CORS: CLIENT_ORIGIN is the older single-origin setting, merged into corsOrigins
+  { env: "CORS_ORIGINS", key: "corsOrigins", type: "list", default: ["http://localhost:3000"] },
+  { env: "CLIENT_ORIGIN", key: "clientOrigin", type: "string" },
+
+  // auth: "cookie" keeps tokens in HttpOnly cookies (+ CSRF token); "token" returns them in JSON
+  { env: "AUTH_MODE", key: "authMode", type: "enum", values: ["cookie", "token"], default: "cookie" },
+  { env: "COOKIE_SECURE", key: "cookieSecure", type: "boolean", default: true },
+  // "none" when the client and API are on different sites (e.g. *.vercel.app + another host)
+  { env: "COOKIE_SAMESITE", key: "cookieSameSite", type: "enum", values: ["strict", "lax", "none"], default: "strict" },
+  { env: "COOKIE_DOMAIN", key: "cookieDomain", type: "string" },
+  { env: "JWT_SECRET", key: "jwtSecret", type: "string", default: DEV_JWT_SECRET, secret: true },
+  { env: "JWT_ACCESS_EXPIRES", key: "jwtAccessExpires", type: "string", default: "15m" },
+  { env: "REFRESH_EXPIRES_DAYS", key: "refreshExpiresDays", type: "number", min: 0, default: 7 },
+  { env: "LOGIN_USER", key: "loginUser", type: "string" },
+  { env: "LOGIN_PASS", key: "loginPass", type: "string", secret: true },
+  { env: "LOGIN_MAX_FAILURES", key: "loginMaxFailures", type: "integer", min: 1, default: 5 },
+  { env: "LOGIN_MAX_IP_FAILURES", key: "loginMaxIpFailures", type: "integer", min: 1, default: 20 },
+  { env: "LOGIN_FAILURE_WINDOW_MINUTES", key: "loginFailureWindowMinutes", type: "number", min: 0, default: 15 },
+  { env: "LOGIN_LOCKOUT_BASE_SECONDS", key: "loginLockoutBaseSeconds", type: "number", min: 0, default: 30 },
+  { env: "LOGIN_LOCKOUT_MAX_MINUTES", key: "loginLockoutMaxMinutes", type: "number", min: 0, default: 60 },
+  { env: "PHONE_VISIBLE_ROLES", key: "phoneVisibleRoles", type: "list", default: ["admin", "manager"] },
+
+  // storage (the per-store files default to DATA_DIR/<name>)
+  { env: "DATA_DIR", key: "dataDir", type: "path", default: "data" },
+  { env: "USERS_FILE", key: "usersFile", type: "path" },
+  { env: "SESSIONS_FILE", key: "sessionsFile", type: "path" },
+  { env: "LOGIN_ATTEMPTS_FILE", key: "loginAttemptsFile", type: "path" },
+  { env: "ATTENDANCE_FILE", key: "attendanceFile", type: "path" },
+  { env: "RENEWALS_FILE", key: "renewalsFile", type: "path" },
+  { env: "AUDIT_FILE", key: "auditFile", type: "path" },
+  { env: "PLANS_FILE", key: "plansFile", type: "path" },
+  { env: "PAYMENTS_FILE", key: "paymentsFile", type: "path" },
+  { env: "LOCKERS_FILE", key: "lockersFile", type: "path" },
+  { env: "LOCKER_LOG_FILE", key: "lockerLogFile", type: "path" },
+  { env: "PHOTOS_DIR", key: "photosDir", type: "path" },
+  // largest photo upload accepted before resizing
+  { env: "PHOTO_MAX_UPLOAD_MB", key: "photoMaxUploadMb", type: "number", min: 0.1, max: 50, default: 10 },
+
+  // logging
+  { env: "LOG_LEVEL", key: "logLevel", type: "enum", values: ["error", "warn", "info", "http", "verbose", "debug", "silly"], default: "info" },
+  { env: "LOG_FILE", key: "logFile", type: "path", default: "logs/app.log" },
+  { env: "LOG_REDACT_FIELDS", key: "logRedactFields", type: "list", default: [] },
+
+  // member roster
+  { env: "DATA_SOURCE", key: "dataSource", type: "enum", values: ["sheets", "file", "sqlite"], default: "sheets" },
+  { env: "SHEET_ID", key: "sheetId", type: "string" },
+  { env: "SHEET_NAME", key: "sheetName", type: "string" },
+  { env: "GOOGLE_API_KEY", key: "googleApiKey", type: "string", secret: true },
+  { env: "GOOGLE_SERVICE_ACCOUNT_EMAIL", key: "googleServiceAccountEmail", type: "string" },
+  { env: "GOOGLE_PRIVATE_KEY", key: "googlePrivateKey", type: "string", secret: true },
+  { env: "SHEETS_API_URL", key: "sheetsApiUrl", type: "url", default: "https://sheets.googleapis.com" },
+  { env: "MEMBERS_FILE", key: "membersFile", type: "path" },
+  { env: "SQLITE_PATH", key: "sqlitePath", type: "path" },
+  { env: "SQLITE_TABLE", key: "sqliteTable", type: "string", default: "members" },
+  { env: "SHEET_CACHE_TTL_MS", key: "sheetCacheTtlMs", type: "integer", min: 0, default: 30 * 1000 },
+  { env: "SHEET_CACHE_RETRY_MS", key: "sheetCacheRetryMs", type: "integer", min: 0, default: 10 * 1000 },
+  // unset: written dates follow the roster's existing ones (lib/dates.js)
+  { env: "SHEET_DATE_FORMAT", key: "sheetDateFormat", type: "enum", values: ["yyyy-MM-dd", "dd/MM/yyyy"] },
+  { env: "EXPIRING_WITHIN_DAYS", key: "expiringWithinDays", type: "integer", min: 0, default: 5 },
+
+  // renewal reminders (lib/reminders.js); the per-store files default to DATA_DIR/<name>
+  { env: "REMINDER_TRANSPORT", key: "reminderTransport", type: "enum", values: ["outbox", "console", "smtp", "sms"], default: "outbox" },
+  { env: "REMINDER_INTERVAL_MINUTES", key: "reminderIntervalMinutes", type: "number", min: 0, default: 60 },
+  { env: "REMINDER_DAYS_BEFORE", key: "reminderDaysBefore", type: "integer", min: 0, max: 60, default: 5 },
+  { env: "REMINDER_DAYS_AFTER", key: "reminderDaysAfter", type: "integer", min: 0, max: 60, default: 7 },
+  { env: "REMINDER_TEMPLATES_DIR", key: "reminderTemplatesDir", type: "path", default: "templates/reminders" },
+  { env: "REMINDER_LOG_FILE", key: "reminderLogFile", type: "path" },
+  { env: "OUTBOX_FILE", key: "outboxFile", type: "path" },
+  { env: "SMTP_HOST", key: "smtpHost", type: "string" },
+  { env: "SMTP_PORT", key: "smtpPort", type: "integer", min: 1, max: 65535, default: 587 },
+  { env: "SMTP_SECURE", key: "smtpSecure", type: "boolean", default: false },
+  { env: "SMTP_USER", key: "smtpUser", type: "string" },
+  { env: "SMTP_PASS", key: "smtpPass", type: "string", secret: true },
+  { env: "SMTP_FROM", key: "smtpFrom", type: "string" },
+  { env: "SMS_GATEWAY_URL", key: "smsGatewayUrl", type: "url" },
+  { env: "SMS_API_KEY", key: "smsApiKey", type: "string", secret: true },
+  { env: "SMS_FROM", key: "smsFrom", type: "string" },
+
+  // lockers held by expired or deactivated members (lib/lockers.js): flag them, or release them on a schedule
+  { env: "LOCKER_OVERDUE_ACTION", key: "lockerOverdueAction", type: "enum", values: ["flag", "release"], default: "flag" },
+  { env: "LOCKER_GRACE_DAYS", key: "lockerGraceDays", type: "integer", min: 0, max: 365, default: 7 },
+  { env: "LOCKER_CHECK_INTERVAL_MINUTES", key: "lockerCheckIntervalMinutes", type: "number", min: 0, default: 60 },
+
+  { env: "GYM_NAME", key: "gymName", type: "string", default: "Gym Member Lookup" },
+  // ISO 4217 code that plan prices and payments are in
+  { env: "CURRENCY", key: "currency", type: "string", default: "USD" },
+];
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map((p) => `  - ${p}`).join("\n")}`);
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+/* Returns { value } or { problem } for one raw environment value */
+function parseValue(field, raw) {
+  const str = String(raw).trim();
+  const shown = field.secret ? "" : ` (got "${str}")`;
+  switch (field.type) {
+    case "integer":
+    case "number": {
+      const n = Number(str);
+      if (str === "" || !Number.isFinite(n) || (field.type === "integer" && !Number.isInteger(n))) {
+        return { problem: `${field.env} must be a${field.type === "integer" ? " whole" : ""} number${shown}` };
+      }
+      if (field.min !== undefined && n < field.min) return { problem: `${field.env} must be at least ${field.min}${shown}` };
+      if (field.max !== undefined && n > field.max) return { problem: `${field.env} must be at most ${field.max}${shown}` };
+      return { value: n };
+    }
+    case "enum": {
+      const match = field.values.find((v) => v.toLowerCase() === str.toLowerCase());
+      if (!match) return { problem: `${field.env} must be one of: ${field.values.join(", ")}${shown}` };
+      return { value: match };
+    }
+    case "boolean": {
+      const lower = str.toLowerCase();
+      if (["true", "yes", "1"].includes(lower)) return { value: true };
+      if (["false", "no", "0"].includes(lower)) return { value: false };
+      return { problem: `${field.env} must be true or false${shown}` };
+    }
+    case "list":
+      return {
+        value: str
+          .split(",")
+          .map((item) => item.trim())
+          .filter(Boolean),
+      };
+    case "path":
+      return { value: path.resolve(SERVER_DIR, str) };
+    case "url":
+      if (!/^https?:\/\/\S+$/i.test(str)) return { problem: `${field.env} must be an http(s) URL${shown}` };
+      return { value: str.replace(/\/+$/, "") };
+    default:
+      return { value: str };
+  }
+}
+
+/* Settings that are valid one by one but not together, or unsafe in production */
+function checkConfig(config, isSet) {
+  const errors = [];
+  const warnings = [];
+  const production = config.nodeEnv === "production";
+  const insecure = (message) => (production ? errors : warnings).push(message);
+
+  if (config.jwtSecret === DEV_JWT_SECRET) {
+    insecure("JWT_SECRET is not set; tokens are signed with the development default");
+  } else if (config.jwtSecret.length < MIN_JWT_SECRET_LENGTH) {
+    insecure(`JWT_SECRET should be at least ${MIN_JWT_SECRET_LENGTH} characters`);
+  }
+
+  if (config.corsOrigins.includes("*")) {
+    insecure("CORS_ORIGINS must list origins; \"*\" can't be combined with credentials");
+  }
+  if (production && !isSet("CORS_ORIGINS") && !isSet("CLIENT_ORIGIN")) {
+    errors.push("CORS_ORIGINS is not set; list the client's origin(s), e.g. https://desk.example.com");
+  }
+
+  if (config.authMode === "cookie") {
+    if (!config.cookieSecure) insecure("COOKIE_SECURE is off; session cookies would be sent over plain HTTP");
+    if (config.cookieSameSite === "none" && !config.cookieSecure) {
+      errors.push("COOKIE_SAMESITE=none needs COOKIE_SECURE (browsers drop the cookies otherwise)");
+    }
+  }
+
+  if (!/^[A-Z]{3}$/.test(config.currency)) {
+    errors.push(`CURRENCY must be a three-letter ISO 4217 code such as USD or EUR (got "${config.currency}")`);
+  }
+
+  if (config.loginPass && config.loginPass.length < 8) {
+    insecure("LOGIN_PASS is shorter than 8 characters");
+  }
+
+  const missing = (...envs) => envs.filter((env) => !isSet(env));
+  if (config.dataSource === "sheets") {
+    const absent = missing("SHEET_ID", "SHEET_NAME", "GOOGLE_API_KEY");
+    if (absent.length) errors.push(`DATA_SOURCE=sheets needs ${absent.join(", ")}`);
+    if (Boolean(config.googleServiceAccountEmail) !== Boolean(config.googlePrivateKey)) {
+      errors.push("GOOGLE_SERVICE_ACCOUNT_EMAIL and GOOGLE_PRIVATE_KEY must be set together");
+    }
+  } else if (config.dataSource === "file" && !isSet("MEMBERS_FILE")) {
+    errors.push("DATA_SOURCE=file needs MEMBERS_FILE");
+  } else if (config.dataSource === "sqlite" && !isSet("SQLITE_PATH")) {
+    errors.push("DATA_SOURCE=sqlite needs SQLITE_PATH");
+  }
+
+  if (config.reminderTransport === "smtp") {
+    const absent = missing("SMTP_HOST", "SMTP_FROM");
+    if (absent.length) errors.push(`REMINDER_TRANSPORT=smtp needs ${absent.join(", ")}`);
+    if (Boolean(config.smtpUser) !== Boolean(config.smtpPass)) errors.push("SMTP_USER and SMTP_PASS must be set together");
+  } else if (config.reminderTransport === "sms" && !isSet("SMS_GATEWAY_URL")) {
+    errors.push("REMINDER_TRANSPORT=sms needs SMS_GATEWAY_URL");
+  }
+
+  return { errors, warnings };
+}
+
+/*
+ * Builds the typed config object from env (process.env shape). Throws ConfigError listing
+ * every problem at once; returns { config, warnings } otherwise.
+ */
+function loadConfig(env) {
+  const problems = [];
+  const config = {};
+  const isSet = (name) => env[name] !== undefined && String(env[name]).trim() !== "";
+
+  CONFIG_SCHEMA.forEach((field) => {
+    if (!isSet(field.env)) {
+      config[field.key] = field.type === "path" && field.default ? path.resolve(SERVER_DIR, field.default) : field.default ?? null;
+      return;
+    }
+    const { value, problem } = parseValue(field, env[field.env]);
+    if (problem) problems.push(problem);
+    else config[field.key] = value;
+  });
+  if (problems.length) throw new ConfigError(problems);
+
+  // .env files usually hold the PEM key with escaped newlines
+  if (config.googlePrivateKey) config.googlePrivateKey = config.googlePrivateKey.replace(/\\n/g, "\n");
+  config.currency = config.currency.toUpperCase();
+  if (config.clientOrigin && !config.corsOrigins.includes(config.clientOrigin)) {
+    config.corsOrigins = [...config.corsOrigins, config.clientOrigin];
+  }
+
+  const { errors, warnings } = checkConfig(config, isSet);
+  if (errors.length) throw new ConfigError(errors);
+  return { config: Object.freeze(config), warnings };
+}
+
+module.exports = { CONFIG_SCHEMA, ConfigError, loadConfig };
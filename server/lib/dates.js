@@ -0,0 +1,101 @@
+// lib/dates.js
+const config = require("../config");
+
+/*
+ * Format used when writing dates back to the roster: "yyyy-MM-dd" or "dd/MM/yyyy". SHEET_DATE_FORMAT
+ * fixes it; otherwise written dates follow the roster's own date cells (detected on each load, see
+ * datasources/index.js), and yyyy-MM-dd until a roster with dates has been read.
+ */
+const SHEET_DATE_FORMAT = config.sheetDateFormat;
+const DEFAULT_DATE_FORMAT = "yyyy-MM-dd";
+let rosterDateFormat = null;
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+function makeDate(y, m, d) {
+  const date = new Date(y, m - 1, d);
+  // reject rollovers like 31/02
+  if (date.getFullYear() !== y || date.getMonth() !== m - 1 || date.getDate() !== d) return null;
+  return date;
+}
+
+/* Parse a roster cell (yyyy-MM-dd, dd/MM/yyyy, dd-MM-yyyy, dd.MM.yyyy or anything Date understands) to a local Date, or null */
+function parseSheetDate(value) {
+  if (value instanceof Date) return isNaN(value) ? null : value;
+  const str = String(value || "").trim();
+  if (!str) return null;
+
+  let m = str.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ].*)?$/);
+  if (m) return makeDate(Number(m[1]), Number(m[2]), Number(m[3]));
+
+  m = str.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (m) return makeDate(Number(m[3]), Number(m[2]), Number(m[1]));
+
+  const date = new Date(str);
+  return isNaN(date) ? null : date;
+}
+
+/* The format most of the cells are written in ("dd/MM/yyyy" also covers dd-MM-yyyy and dd.MM.yyyy), or null */
+function detectDateFormat(cells) {
+  let isoCount = 0;
+  let dayFirstCount = 0;
+  cells.forEach((cell) => {
+    const str = String(cell ?? "").trim();
+    if (/^\d{4}-\d{1,2}-\d{1,2}(?:[T ].*)?$/.test(str)) isoCount++;
+    else if (/^\d{1,2}[/.-]\d{1,2}[/.-]\d{4}$/.test(str)) dayFirstCount++;
+  });
+  if (!isoCount && !dayFirstCount) return null;
+  return dayFirstCount > isoCount ? "dd/MM/yyyy" : "yyyy-MM-dd";
+}
+
+/* Remember the format detected in the latest roster load (null to forget it) */
+function setRosterDateFormat(format) {
+  rosterDateFormat = format;
+}
+
+function sheetDateFormat() {
+  return SHEET_DATE_FORMAT || rosterDateFormat || DEFAULT_DATE_FORMAT;
+}
+
+function formatSheetDate(date) {
+  const y = date.getFullYear();
+  const m = pad(date.getMonth() + 1);
+  const d = pad(date.getDate());
+  return sheetDateFormat() === "dd/MM/yyyy" ? `${d}/${m}/${y}` : `${y}-${m}-${d}`;
+}
+
+/* Local calendar day as yyyy-MM-dd (for grouping and API params, independent of SHEET_DATE_FORMAT) */
+function toDateKey(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function addDays(date, days) {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+}
+
+/* Calendar months, clamped to the end of shorter months (31 Jan + 1 month → 28/29 Feb) */
+function addMonths(date, months) {
+  const next = new Date(date.getFullYear(), date.getMonth() + months, 1);
+  const lastDay = new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate();
+  next.setDate(Math.min(date.getDate(), lastDay));
+  return next;
+}
+
+module.exports = {
+  parseSheetDate,
+  detectDateFormat,
+  setRosterDateFormat,
+  formatSheetDate,
+  toDateKey,
+  startOfDay,
+  addDays,
+  addMonths,
+};
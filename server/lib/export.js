@@ -0,0 +1,67 @@
+// lib/export.js
+const XLSX = require("xlsx");
+const { toCsv } = require("../datasources/rows");
+const { toDateKey } = require("./dates");
+
+const FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  xlsx: {
+    contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extension: "xlsx",
+  },
+};
+
+/*
+ * Text starting with one of these is run as a formula when the file is opened in Excel or Sheets
+ * (=HYPERLINK(...), +cmd|...). A leading apostrophe makes the cell plain text.
+ */
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function escapeCell(value) {
+  return typeof value === "string" && FORMULA_PREFIX.test(value) ? `'${value}` : value;
+}
+
+/*
+ * Spreadsheet rows from presented members (see lib/present.js): every roster column
+ * that survived redaction, in first-seen order, plus Status / Days Left. Text that would
+ * start a formula is escaped; numbers are left alone.
+ */
+function toExportRows(members) {
+  const headers = [];
+  members.forEach((m) => {
+    Object.keys(m).forEach((key) => {
+      if (key !== "membership" && !headers.includes(key)) headers.push(key);
+    });
+  });
+
+  const rows = members.map((m) => [
+    ...headers.map((h) => (m[h] === undefined ? "" : m[h])),
+    m.membership?.status || "",
+    m.membership?.daysLeft ?? "",
+  ]);
+  return [[...headers, "Status", "Days Left"], ...rows].map((row) => row.map(escapeCell));
+}
+
+/* Returns { body, contentType, fileName } for format "csv" or "xlsx" */
+function buildExport(members, format, label = "members") {
+  const spec = FORMATS[format];
+  if (!spec) throw new Error(`Unsupported export format: ${format}`);
+
+  const rows = toExportRows(members);
+  const fileName = `${label}-${toDateKey(new Date())}.${spec.extension}`;
+
+  if (format === "csv") {
+    // BOM so Excel opens UTF-8 names correctly
+    return { body: "\uFEFF" + toCsv(rows), contentType: spec.contentType, fileName };
+  }
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), "Members");
+  return {
+    body: XLSX.write(workbook, { type: "buffer", bookType: "xlsx" }),
+    contentType: spec.contentType,
+    fileName,
+  };
+}
+
+module.exports = { FORMATS, toExportRows, buildExport };
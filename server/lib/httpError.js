@@ -0,0 +1,10 @@
+// lib/httpError.js
+
+/* Error carrying an HTTP status; routes answer with res.status(err.status || 500) */
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+module.exports = { httpError };
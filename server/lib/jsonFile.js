@@ -0,0 +1,50 @@
+// lib/jsonFile.js
+const fs = require("fs");
+const path = require("path");
+const config = require("../config");
+
+/* Directory for runtime state (users, sessions, logs of activity). Git-ignored. */
+const DATA_DIR = config.dataDir;
+
+function dataPath(fileName) {
+  return path.join(DATA_DIR, fileName);
+}
+
+function readJson(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return fallback;
+    throw new Error(`Could not read ${file}: ${err.message}`);
+  }
+}
+
+/* Write to a temp file then rename, so a crash never leaves half-written JSON */
+function writeJson(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+/* Append-only logs: one JSON record per line */
+function appendJsonl(file, record) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, JSON.stringify(record) + "\n");
+}
+
+function readJsonl(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw new Error(`Could not read ${file}: ${err.message}`);
+  }
+  return text
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line));
+}
+
+module.exports = { DATA_DIR, dataPath, readJson, writeJson, appendJsonl, readJsonl };
@@ -0,0 +1,179 @@
+// lib/lockers.js
+const config = require("../config");
+const { httpError } = require("./httpError");
+const { membershipStatus, statusSummary } = require("./status");
+const { withRosterLock } = require("./members");
+const { logger, logError } = require("./logger");
+const { fetchSheetAsObjects, updateMember } = require("../datasources");
+const lockers = require("../stores/lockers");
+
+/*
+ * Locker occupancy. The roster's "Locker" column says who holds a locker; the inventory
+ * (stores/lockers.js) says which lockers exist. Each locker is:
+ *   free      nobody holds it
+ *   occupied  one member holds it
+ *   overdue   its holder is deactivated, or expired LOCKER_GRACE_DAYS ago or more
+ *   conflict  more than one member holds it (free-text assignments typed into the sheet)
+ * Overdue lockers are only flagged unless LOCKER_OVERDUE_ACTION=release, which frees them on a schedule.
+ */
+const LOCKER_FIELD = "Locker";
+const GRACE_DAYS = config.lockerGraceDays;
+const OVERDUE_ACTION = config.lockerOverdueAction;
+const INTERVAL_MS = config.lockerCheckIntervalMinutes * 60 * 1000;
+
+const MAX_LABEL_LENGTH = 20;
+const MAX_LABELS = 500;
+const LABEL_PATTERN = /^[A-Z0-9][A-Z0-9 -]*$/;
+const RANGE_PATTERN = /^([A-Z]*)(\d+)\s*-\s*([A-Z]*)(\d+)$/;
+
+/* Labels compare case- and space-insensitively: " a1 " is locker A1 */
+function lockerKey(value) {
+  return String(value ?? "").trim().replace(/\s+/g, " ").toUpperCase();
+}
+
+function checkLabel(label) {
+  if (label.length > MAX_LABEL_LENGTH || !LABEL_PATTERN.test(label)) {
+    throw httpError(400, `"${label}" isn't a usable locker label (letters, digits, spaces and dashes)`);
+  }
+  return label;
+}
+
+/*
+ * Labels from a request: an array, or text like "A1-A20, B1". A range keeps the zero padding
+ * of its first number ("01-12"). Returns distinct upper-case labels in order; 400 if any is unusable.
+ */
+function parseLockerLabels(input) {
+  const tokens = (Array.isArray(input) ? input : String(input ?? "").split(/[,\n]/)).map(lockerKey).filter(Boolean);
+  if (!tokens.length) throw httpError(400, 'labels required (e.g. "A1-A20, B1")');
+
+  const labels = [];
+  tokens.forEach((token) => {
+    const range = token.match(RANGE_PATTERN);
+    if (!range) {
+      labels.push(checkLabel(token));
+      return;
+    }
+    const [, prefix, first, endPrefix, last] = range;
+    if (endPrefix && endPrefix !== prefix) throw httpError(400, `"${token}": both ends of a range need the same prefix`);
+    if (Number(last) < Number(first)) throw httpError(400, `"${token}": the range runs backwards`);
+    if (Number(last) - Number(first) >= MAX_LABELS) throw httpError(400, `At most ${MAX_LABELS} lockers at a time`);
+    const width = first.startsWith("0") ? first.length : 1;
+    for (let n = Number(first); n <= Number(last); n++) {
+      labels.push(checkLabel(`${prefix}${String(n).padStart(width, "0")}`));
+    }
+  });
+  if (labels.length > MAX_LABELS) throw httpError(400, `At most ${MAX_LABELS} lockers at a time`);
+  return [...new Set(labels)];
+}
+
+/* Deactivated, or expired GRACE_DAYS ago or more: the locker should be handed back */
+function isOverdue(member, now = new Date()) {
+  const { status, daysLeft } = membershipStatus(member, now);
+  return status === "inactive" || (status === "expired" && -daysLeft >= GRACE_DAYS);
+}
+
+function lockerStatus(holders, now) {
+  if (!holders.length) return "free";
+  if (holders.length > 1) return "conflict";
+  return isOverdue(holders[0], now) ? "overdue" : "occupied";
+}
+
+/*
+ * Inventory joined with the roster.
+ * Returns { lockers: [{ label, area, status, holders }], unlisted: [{ label, status, holders }], counts }
+ *   holders are roster members; unlisted are roster lockers missing from the inventory;
+ *   counts is { free, occupied, overdue, conflict } over the inventory
+ */
+function lockerOccupancy(inventory, members, now = new Date()) {
+  const held = new Map();
+  members.forEach((m) => {
+    const key = lockerKey(m[LOCKER_FIELD]);
+    if (key) held.set(key, [...(held.get(key) || []), m]);
+  });
+
+  const counts = { free: 0, occupied: 0, overdue: 0, conflict: 0 };
+  const rows = inventory.map(({ label, area }) => {
+    const holders = held.get(label) || [];
+    held.delete(label);
+    const status = lockerStatus(holders, now);
+    counts[status]++;
+    return { label, area, status, holders };
+  });
+  const unlisted = [...held.entries()]
+    .map(([label, holders]) => ({ label, status: lockerStatus(holders, now), holders }))
+    .sort((a, b) => a.label.localeCompare(b.label, undefined, { numeric: true }));
+  return { lockers: rows, unlisted, counts };
+}
+
+/*
+ * The Locker value to write when member `memberId` is given locker `value` (run under the roster lock
+ * against a fresh roster). Once there is an inventory the locker must be in it and its label is used;
+ * before that any text goes. 409 if another member already holds it.
+ */
+function resolveLocker(members, value, memberId) {
+  const key = lockerKey(value);
+  const inventory = lockers.listLockers();
+  if (inventory.length && !inventory.some((l) => l.label === key)) {
+    throw httpError(400, `Locker ${key} isn't in the locker list`);
+  }
+  const holder = members.find((m) => lockerKey(m[LOCKER_FIELD]) === key && String(m.ID) !== String(memberId));
+  if (holder) {
+    throw httpError(409, `Locker ${key} is already assigned to ${holder.Name || "another member"} (ID ${holder.ID})`);
+  }
+  return inventory.length ? key : String(value).trim();
+}
+
+/*
+ * Clear the Locker of every overdue member and log each release against `staff`.
+ * dryRun: list what would be released without writing anything.
+ * Returns { ranAt, dryRun, graceDays, released: [{ locker, memberId, memberName, status, expiry }] }
+ */
+async function releaseOverdueLockers({ dryRun = false, now = new Date(), staff = "system" } = {}) {
+  return withRosterLock(async () => {
+    const members = await fetchSheetAsObjects({ fresh: true });
+    const released = [];
+    for (const member of members) {
+      const locker = lockerKey(member[LOCKER_FIELD]);
+      if (!locker || !isOverdue(member, now)) continue;
+
+      const { status, expiry } = statusSummary(member, now);
+      const entry = { locker, memberId: String(member.ID), memberName: member.Name || "", status, expiry };
+      if (!dryRun) {
+        await updateMember(member.ID, { [LOCKER_FIELD]: "" });
+        const { memberId, memberName } = entry;
+        lockers.recordLockerEvent({ action: "release", locker, memberId, memberName, staff, reason: status });
+      }
+      released.push(entry);
+    }
+    return { ranAt: now.toISOString(), dryRun, graceDays: GRACE_DAYS, released };
+  });
+}
+
+/*
+ * With LOCKER_OVERDUE_ACTION=release: run now and every LOCKER_CHECK_INTERVAL_MINUTES (0 disables).
+ * Returns the timer, or null
+ */
+function startLockerSchedule() {
+  if (OVERDUE_ACTION !== "release" || !INTERVAL_MS) return null;
+  const tick = () =>
+    releaseOverdueLockers()
+      .then(({ released }) => {
+        if (released.length) logger.info("Released lockers held by lapsed members", { released: released.length });
+      })
+      .catch((err) => logError("Error releasing overdue lockers", err));
+  tick();
+  return setInterval(tick, INTERVAL_MS);
+}
+
+module.exports = {
+  LOCKER_FIELD,
+  GRACE_DAYS,
+  OVERDUE_ACTION,
+  lockerKey,
+  parseLockerLabels,
+  isOverdue,
+  lockerOccupancy,
+  resolveLocker,
+  releaseOverdueLockers,
+  startLockerSchedule,
+};
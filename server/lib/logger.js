@@ -0,0 +1,32 @@
+// lib/logger.js
+const winston = require("winston");
+const config = require("../config");
+
+/*
+ * The app's log: one JSON object per line, to the console and LOG_FILE. Server code logs through
+ * this rather than console.* so every line lands in the file, and carries the request ID
+ * (req.id, see middleware/logger.js) when there is a request behind it.
+ */
+const logger = winston.createLogger({
+  level: config.logLevel, // error | warn | info | debug
+  format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({
+      filename: config.logFile,
+      maxsize: 5 * 1024 * 1024, // 5 MB rotation
+      maxFiles: 5,              // keep last 5 files
+    }),
+  ],
+});
+
+/* logError("Error reading member", err, req) — req is optional (background jobs have none) */
+function logError(message, err, req) {
+  logger.error(message, {
+    requestId: req?.id,
+    user: req?.user?.username,
+    error: err?.message || String(err),
+  });
+}
+
+module.exports = { logger, logError };
@@ -0,0 +1,122 @@
+// lib/members.js
+const crypto = require("crypto");
+const { httpError } = require("./httpError");
+const { MEMBER_SCHEMA, normalizeValue } = require("./schema");
+const { parseSheetDate, formatSheetDate, toDateKey } = require("./dates");
+const { canViewPhone, CONTACT_FIELDS } = require("./roles");
+const { EXPIRY_FIELD } = require("./status");
+
+/*
+ * Roster columns staff can set from the app (the ones on the member card). ID is allocated by
+ * the server, Deactivated is only set through deactivate/reactivate.
+ */
+const EDITABLE_FIELDS = ["Name", "Phone Number", "Email", "Membership Date", "Membership Expiry", "Locker"];
+const JOIN_DATE_FIELD = "Membership Date";
+// setting the expiry directly (or POST /renew) skips the payments ledger; the desk records a payment instead
+const EXPIRY_EDIT_ROLES = ["admin", "manager"];
+const MAX_FIELD_LENGTH = 200;
+
+const FIELD_TYPES = new Map(MEMBER_SCHEMA.map((f) => [f.key, f]));
+
+/* Fields the role may set that the roster has a column for, in card order */
+function editableFields(role, columns) {
+  return EDITABLE_FIELDS.filter((key) => {
+    if (!columns.includes(key)) return false;
+    if (CONTACT_FIELDS.includes(key) && !canViewPhone(role)) return false;
+    return key !== EXPIRY_FIELD || EXPIRY_EDIT_ROLES.includes(role);
+  });
+}
+
+/* Short hash of the normalized row; edits must send back the version they were based on */
+function memberVersion(member) {
+  return crypto.createHash("sha1").update(JSON.stringify(member)).digest("hex").slice(0, 16);
+}
+
+/*
+ * Next free member ID: one more than the highest numeric ID, keeping zero padding
+ * ("0041" → "0042"). Non-numeric IDs are ignored.
+ */
+function nextMemberId(members) {
+  let highest = 0;
+  let width = 1;
+  members.forEach((m) => {
+    const id = String(m.ID ?? "").trim();
+    if (!/^\d+$/.test(id)) return;
+    if (Number(id) > highest) highest = Number(id);
+    if (id.startsWith("0")) width = Math.max(width, id.length);
+  });
+  return String(highest + 1).padStart(width, "0");
+}
+
+/*
+ * Validate member fields from a request body for the given role.
+ * Returns { header: value } normalized like the roster (dates as yyyy-MM-dd, phones as digits); write it
+ * through toRosterCells() once the roster has been read, so the dates match its format.
+ * creating: Name is required, the join date defaults to today and the expiry is today (due now)
+ * unless the role may set it. Only EXPIRY_EDIT_ROLES may enter a join date in the future.
+ */
+function parseMemberFields(fields, role, { creating = false } = {}) {
+  if (!fields || typeof fields !== "object" || Array.isArray(fields)) throw httpError(400, "fields must be an object");
+
+  const record = {};
+  Object.entries(fields).forEach(([key, raw]) => {
+    if (!EDITABLE_FIELDS.includes(key)) throw httpError(400, `"${key}" can't be set from the app`);
+    if (CONTACT_FIELDS.includes(key) && !canViewPhone(role)) {
+      throw httpError(403, "Your role can't edit contact details");
+    }
+    if (key === EXPIRY_FIELD && !EXPIRY_EDIT_ROLES.includes(role)) {
+      throw httpError(403, "Only admins and managers can set the expiry directly; renew the membership instead");
+    }
+    if (raw !== null && typeof raw !== "string" && typeof raw !== "number") throw httpError(400, `${key} must be text`);
+    if (String(raw ?? "").length > MAX_FIELD_LENGTH) throw httpError(400, `${key} is too long`);
+
+    const field = FIELD_TYPES.get(key);
+    const { value, problem } = normalizeValue(field.type, raw);
+    if (problem) throw httpError(400, `${key}: ${problem}`);
+    if (field.required && (value === "" || value === null)) throw httpError(400, `${key} is required`);
+    if (key === JOIN_DATE_FIELD && value > toDateKey(new Date()) && !EXPIRY_EDIT_ROLES.includes(role)) {
+      throw httpError(403, "Only admins and managers can enter a join date in the future");
+    }
+    record[key] = value ?? "";
+  });
+
+  if (creating) {
+    if (!record.Name) throw httpError(400, "Name is required");
+    if (!record[JOIN_DATE_FIELD]) record[JOIN_DATE_FIELD] = toDateKey(new Date());
+    // never the join date: that would let a backdated or future join date stand in for a payment
+    if (!record[EXPIRY_FIELD]) record[EXPIRY_FIELD] = toDateKey(new Date());
+  }
+  return record;
+}
+
+/* parseMemberFields() output as cells to write: dates in the roster's format (formatSheetDate) */
+function toRosterCells(record) {
+  const cells = { ...record };
+  Object.entries(record).forEach(([key, value]) => {
+    if (value && FIELD_TYPES.get(key)?.type === "date") cells[key] = formatSheetDate(parseSheetDate(value));
+  });
+  return cells;
+}
+
+/*
+ * Roster writes that read, check and write run one at a time, so two requests can't both
+ * pass the version check (or allocate the same ID) before either has written.
+ */
+let writeQueue = Promise.resolve();
+
+function withRosterLock(fn) {
+  const run = writeQueue.then(fn, fn);
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+module.exports = {
+  EDITABLE_FIELDS,
+  EXPIRY_EDIT_ROLES,
+  editableFields,
+  memberVersion,
+  nextMemberId,
+  parseMemberFields,
+  toRosterCells,
+  withRosterLock,
+};
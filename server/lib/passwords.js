@@ -0,0 +1,31 @@
+// lib/passwords.js
+const crypto = require("crypto");
+
+// scrypt cost parameters; stored with each hash so they can be raised later
+const N = 16384;
+const R = 8;
+const P = 1;
+const KEY_LEN = 64;
+
+/* Returns "scrypt$N$r$p$salt$hash" (salt and hash hex-encoded) */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, KEY_LEN, { N, r: R, p: P });
+  return ["scrypt", N, R, P, salt.toString("hex"), hash.toString("hex")].join("$");
+}
+
+function verifyPassword(password, stored) {
+  const parts = String(stored || "").split("$");
+  if (parts.length !== 6 || parts[0] !== "scrypt") return false;
+
+  const [, n, r, p, saltHex, hashHex] = parts;
+  const expected = Buffer.from(hashHex, "hex");
+  const actual = crypto.scryptSync(String(password), Buffer.from(saltHex, "hex"), expected.length, {
+    N: Number(n),
+    r: Number(r),
+    p: Number(p),
+  });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+module.exports = { hashPassword, verifyPassword };
@@ -0,0 +1,78 @@
+// lib/payments.js
+const { httpError } = require("./httpError");
+const { toDateKey, addMonths } = require("./dates");
+
+const PAYMENT_METHODS = ["cash", "card", "transfer", "other"];
+const MAX_AMOUNT = 1000000;
+
+/* Validate a price/amount: 0 to MAX_AMOUNT with at most two decimals. Returns the number */
+function parseAmount(value, name = "amount") {
+  const n = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+  if (typeof n !== "number" || !Number.isFinite(n) || n < 0 || n > MAX_AMOUNT) {
+    throw httpError(400, `${name} must be a number from 0 to ${MAX_AMOUNT}`);
+  }
+  if (Math.abs(n * 100 - Math.round(n * 100)) > 1e-6) {
+    throw httpError(400, `${name} can have at most two decimals`);
+  }
+  return Math.round(n * 100) / 100;
+}
+
+/* Sums are kept in cents so 0.1 + 0.2 style drift never shows up in totals */
+function toCents(amount) {
+  return Math.round(amount * 100);
+}
+
+/* "yyyy-MM" of a Date (local time) */
+function monthKey(date) {
+  return toDateKey(date).slice(0, 7);
+}
+
+/**
+ * Monthly totals for payments with from <= at < to (Dates), one entry per calendar month
+ * in the range (months without payments included, amount 0). Refunds lower the amounts but
+ * aren't counted as payments.
+ * Returns { total: { amount, count }, months: [{ month: "yyyy-MM", amount, count, byPlan: [{ planId, planName, amount, count }] }] }
+ */
+function monthlyRevenue(payments, from, to) {
+  const months = new Map();
+  for (let d = new Date(from.getFullYear(), from.getMonth(), 1); d < to; d = addMonths(d, 1)) {
+    months.set(monthKey(d), { month: monthKey(d), cents: 0, count: 0, plans: new Map() });
+  }
+
+  let totalCents = 0;
+  let totalCount = 0;
+  payments.forEach((p) => {
+    const at = new Date(p.at);
+    if (at < from || at >= to) return;
+    const bucket = months.get(monthKey(at));
+    const cents = toCents(p.amount);
+    const count = p.type === "refund" ? 0 : 1;
+    bucket.cents += cents;
+    bucket.count += count;
+    const plan = bucket.plans.get(p.planId) || { planId: p.planId, planName: p.planName, cents: 0, count: 0 };
+    plan.cents += cents;
+    plan.count += count;
+    bucket.plans.set(p.planId, plan);
+    totalCents += cents;
+    totalCount += count;
+  });
+
+  return {
+    total: { amount: totalCents / 100, count: totalCount },
+    months: [...months.values()].map(({ month, cents, count, plans }) => ({
+      month,
+      amount: cents / 100,
+      count,
+      byPlan: [...plans.values()]
+        .sort((a, b) => b.cents - a.cents)
+        .map(({ planId, planName, cents: planCents, count: planCount }) => ({
+          planId,
+          planName,
+          amount: planCents / 100,
+          count: planCount,
+        })),
+    })),
+  };
+}
+
+module.exports = { PAYMENT_METHODS, parseAmount, toCents, monthlyRevenue };
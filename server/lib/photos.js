@@ -0,0 +1,36 @@
+// lib/photos.js
+const sharp = require("sharp");
+const { httpError } = require("./httpError");
+
+/*
+ * Thumbnail sizes (square, px). small is what cards and search results show; large is for
+ * the member page. Uploads are cropped to the square around the most interesting region.
+ */
+const PHOTO_SIZES = { small: 128, large: 512 };
+const ACCEPTED_FORMATS = ["jpeg", "png", "webp", "heif", "gif"];
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000; // refuse decompression bombs before decoding
+
+/* Returns { small, large } JPEG buffers; 400 if the upload isn't a usable image */
+async function makeThumbnails(buffer) {
+  let meta;
+  try {
+    meta = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch (err) {
+    throw httpError(400, "Upload a JPEG, PNG or WebP image");
+  }
+  if (!ACCEPTED_FORMATS.includes(meta.format)) throw httpError(400, "Upload a JPEG, PNG or WebP image");
+
+  const entries = await Promise.all(
+    Object.entries(PHOTO_SIZES).map(async ([size, px]) => {
+      const image = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+        .rotate() // phone cameras store orientation in EXIF
+        .resize(px, px, { fit: "cover", position: sharp.strategy.attention })
+        .jpeg({ quality: 82, mozjpeg: true })
+        .toBuffer();
+      return [size, image];
+    })
+  );
+  return Object.fromEntries(entries);
+}
+
+module.exports = { PHOTO_SIZES, makeThumbnails };
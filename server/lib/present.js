@@ -0,0 +1,13 @@
+// lib/present.js
+const { redactMember } = require("./roles");
+const { statusSummary } = require("./status");
+
+/*
+ * Member as sent to the client: fields the role may not see are removed and the computed
+ * status is added under `membership` ({ status, daysLeft, expiry }).
+ */
+function presentMember(member, role, now = new Date()) {
+  return { ...redactMember(member, role), membership: statusSummary(member, now) };
+}
+
+module.exports = { presentMember };
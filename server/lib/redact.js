@@ -0,0 +1,52 @@
+// lib/redact.js
+
+const REDACTED = "[REDACTED]";
+
+// Secrets (credentials, tokens) and member PII that must never reach the logs
+const DEFAULT_REDACT_FIELDS = [
+  "password",
+  "newPassword",
+  "refreshToken",
+  "refresh_token",
+  "accessToken",
+  "access_token",
+  "token",
+  "authorization",
+  "x-csrf-token",
+  "cookie",
+  "set-cookie",
+  "Phone Number",
+  "phone",
+  "Email",
+  "Name",
+  "overrideReason",
+  "q",
+];
+
+/* Field names compare case/punctuation-insensitively ("Phone Number" matches "phone_number") */
+function normalizeField(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, "");
+}
+
+/* Defaults plus extra field names (LOG_REDACT_FIELDS) */
+function redactFieldSet(extra = []) {
+  return new Set([...DEFAULT_REDACT_FIELDS, ...extra].map(normalizeField));
+}
+
+/**
+ * Deep copy of value with every listed field replaced by "[REDACTED]".
+ * fields: Set of normalized field names (see redactFieldSet).
+ */
+function redact(value, fields, depth = 0) {
+  if (value === null || typeof value !== "object") return value;
+  if (depth > 8) return "[Truncated]";
+  if (Array.isArray(value)) return value.map((v) => redact(v, fields, depth + 1));
+
+  const out = {};
+  Object.keys(value).forEach((key) => {
+    out[key] = fields.has(normalizeField(key)) ? REDACTED : redact(value[key], fields, depth + 1);
+  });
+  return out;
+}
+
+module.exports = { redact, redactFieldSet, DEFAULT_REDACT_FIELDS, REDACTED };
@@ -0,0 +1,205 @@
+// lib/reminders.js
+const fs = require("fs");
+const path = require("path");
+const config = require("../config");
+const { httpError } = require("./httpError");
+const { membershipStatus } = require("./status");
+const { formatSheetDate, toDateKey } = require("./dates");
+const { logger, logError } = require("./logger");
+const { fetchSheetAsObjects } = require("../datasources");
+const { getTransport } = require("../notifications");
+const { recordReminder, sentWindows, reminderWindow } = require("../stores/reminders");
+
+/*
+ * Renewal reminders. A member is due one "expiring" reminder when 0 < daysLeft <= REMINDER_DAYS_BEFORE
+ * and one "expired" reminder when it lapsed at most REMINDER_DAYS_AFTER days ago. A window is
+ * (member, kind, expiry): once a reminder for it is sent it is never repeated, and renewing
+ * (a new expiry) opens new windows. Failed sends are retried on the next run.
+ */
+const DAYS_BEFORE = config.reminderDaysBefore;
+const DAYS_AFTER = config.reminderDaysAfter;
+const TEMPLATES_DIR = config.reminderTemplatesDir;
+const INTERVAL_MS = config.reminderIntervalMinutes * 60 * 1000;
+
+const REMINDER_KINDS = ["expiring", "expired"];
+const CONTACT_FIELDS = { email: "Email", sms: "Phone Number" };
+
+/*
+ * Editable templates, one file per kind and channel in REMINDER_TEMPLATES_DIR ("expiring.email.txt").
+ * Email templates start with a "Subject: ..." line. {{placeholders}}:
+ *   name, firstName, memberId, expiry (in the roster's date format), daysLeft, daysAgo, gymName
+ */
+const TEMPLATE_NAMES = REMINDER_KINDS.flatMap((kind) => Object.keys(CONTACT_FIELDS).map((channel) => `${kind}.${channel}`));
+const PLACEHOLDERS = ["name", "firstName", "memberId", "expiry", "daysLeft", "daysAgo", "gymName"];
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+function templatePath(name) {
+  return path.join(TEMPLATES_DIR, `${name}.txt`);
+}
+
+function readTemplate(name) {
+  try {
+    return fs.readFileSync(templatePath(name), "utf8");
+  } catch (err) {
+    throw new Error(`Could not read reminder template ${name}: ${err.message}`);
+  }
+}
+
+/* Returns [{ name, text }] for every template */
+function listTemplates() {
+  return TEMPLATE_NAMES.map((name) => ({ name, text: readTemplate(name) }));
+}
+
+/* { subject, body } — subject is null for SMS templates */
+function parseTemplate(name, text) {
+  if (!name.endsWith(".email")) return { subject: null, body: text.trim() };
+  const match = text.match(/^Subject:[ \t]*(.*)\r?\n/i);
+  if (!match) return { subject: null, body: text.trim() };
+  return { subject: match[1].trim(), body: text.slice(match[0].length).trim() };
+}
+
+/* Validate and store a template; applies from the next run */
+function saveTemplate(name, text) {
+  if (!TEMPLATE_NAMES.includes(name)) throw httpError(404, "Template not found");
+  if (typeof text !== "string" || !text.trim()) throw httpError(400, "Template text required");
+
+  const unknown = [...text.matchAll(PLACEHOLDER_PATTERN)].map((m) => m[1]).filter((p) => !PLACEHOLDERS.includes(p));
+  if (unknown.length) {
+    throw httpError(400, `Unknown placeholder(s): ${[...new Set(unknown)].join(", ")} (use ${PLACEHOLDERS.join(", ")})`);
+  }
+  const { subject, body } = parseTemplate(name, text);
+  if (name.endsWith(".email") && !subject) throw httpError(400, 'Email templates must start with a "Subject: ..." line');
+  if (!body) throw httpError(400, "Template body is empty");
+
+  fs.mkdirSync(TEMPLATES_DIR, { recursive: true });
+  fs.writeFileSync(templatePath(name), text.endsWith("\n") ? text : `${text}\n`);
+  return { name, text: readTemplate(name) };
+}
+
+function fillPlaceholders(text, values) {
+  return text.replace(PLACEHOLDER_PATTERN, (whole, key) => (key in values ? String(values[key]) : ""));
+}
+
+/* "expiring", "expired" or null (not due) */
+function reminderKind(member, now = new Date()) {
+  const { status, daysLeft } = membershipStatus(member, now);
+  if (status === "unknown" || status === "inactive") return null;
+  if (daysLeft > 0 && daysLeft <= DAYS_BEFORE) return "expiring";
+  if (daysLeft <= 0 && -daysLeft <= DAYS_AFTER) return "expired";
+  return null;
+}
+
+/* First channel the transport can deliver that the member has contact details for */
+function pickChannel(member, channels) {
+  return channels.find((channel) => member[CONTACT_FIELDS[channel]]) || null;
+}
+
+/* Returns { subject, text } for one member, kind and channel */
+function renderReminder(templates, kind, channel, member, now = new Date()) {
+  const { daysLeft, expiry } = membershipStatus(member, now);
+  const name = String(member.Name || "").trim();
+  const values = {
+    name,
+    firstName: name.split(" ")[0] || name,
+    memberId: member.ID,
+    expiry: formatSheetDate(expiry),
+    daysLeft: Math.max(daysLeft, 0),
+    daysAgo: Math.max(-daysLeft, 0),
+    gymName: config.gymName,
+  };
+  const { subject, body } = parseTemplate(`${kind}.${channel}`, templates[`${kind}.${channel}`]);
+  return { subject: subject ? fillPlaceholders(subject, values) : null, text: fillPlaceholders(body, values) };
+}
+
+let running = false;
+
+/**
+ * Find due members and send their reminders through the configured transport.
+ * dryRun: render what would be sent without sending or logging anything.
+ * Returns { ranAt, dryRun, transport, sent, failed, alreadySent, noContact,
+ *           results: [{ memberId, memberName, kind, expiry, channel, status, subject?, text?, error? }] }
+ *   status = sent | failed | no-contact | preview (dry run)
+ */
+async function runReminders({ dryRun = false, now = new Date() } = {}) {
+  if (running && !dryRun) throw httpError(409, "A reminder run is already in progress");
+  if (!dryRun) running = true;
+  try {
+    const members = await fetchSheetAsObjects();
+    const transport = getTransport();
+    const templates = Object.fromEntries(listTemplates().map(({ name, text }) => [name, text]));
+    const done = sentWindows();
+    const summary = {
+      ranAt: now.toISOString(),
+      dryRun,
+      transport: transport.name,
+      sent: 0,
+      failed: 0,
+      alreadySent: 0,
+      noContact: 0,
+      results: [],
+    };
+
+    for (const member of members) {
+      const kind = reminderKind(member, now);
+      if (!kind) continue;
+      const expiry = toDateKey(membershipStatus(member, now).expiry);
+      const window = { memberId: member.ID, memberName: member.Name, kind, expiry };
+      if (done.has(reminderWindow(window))) {
+        summary.alreadySent++;
+        continue;
+      }
+
+      const channel = pickChannel(member, transport.channels);
+      if (!channel) {
+        summary.noContact++;
+        summary.results.push({ ...window, channel: null, status: "no-contact" });
+        continue;
+      }
+
+      const { subject, text } = renderReminder(templates, kind, channel, member, now);
+      if (dryRun) {
+        summary.results.push({ ...window, channel, status: "preview", subject, text });
+        continue;
+      }
+
+      try {
+        const { id } = await transport.send({ channel, to: member[CONTACT_FIELDS[channel]], subject, text });
+        recordReminder({ ...window, channel, transport: transport.name, status: "sent", messageId: id || null });
+        summary.sent++;
+        summary.results.push({ ...window, channel, status: "sent" });
+      } catch (err) {
+        logError(`Error sending ${kind} reminder to member ${member.ID}`, err);
+        recordReminder({ ...window, channel, transport: transport.name, status: "failed", error: err.message });
+        summary.failed++;
+        summary.results.push({ ...window, channel, status: "failed", error: err.message });
+      }
+    }
+    return summary;
+  } finally {
+    if (!dryRun) running = false;
+  }
+}
+
+/* Run now and every REMINDER_INTERVAL_MINUTES (0 disables). Returns the timer, or null */
+function startReminderSchedule() {
+  if (!INTERVAL_MS) return null;
+  const tick = () =>
+    runReminders()
+      .then(({ sent, failed }) => {
+        if (sent || failed) logger.info("Renewal reminders run", { sent, failed });
+      })
+      .catch((err) => logError("Error running renewal reminders", err));
+  tick();
+  return setInterval(tick, INTERVAL_MS);
+}
+
+module.exports = {
+  REMINDER_KINDS,
+  TEMPLATE_NAMES,
+  PLACEHOLDERS,
+  listTemplates,
+  saveTemplate,
+  reminderKind,
+  runReminders,
+  startReminderSchedule,
+};
@@ -0,0 +1,39 @@
+// lib/renewal.js
+const { httpError } = require("./httpError");
+const { parseSheetDate, startOfDay, addDays, addMonths } = require("./dates");
+
+const MAX_MONTHS = 24;
+const MAX_DAYS = 730;
+
+/* Validate { months } or { days } from a renew request body */
+function parsePlanDuration(body = {}) {
+  const months = body.months !== undefined ? Number(body.months) : undefined;
+  const days = body.days !== undefined ? Number(body.days) : undefined;
+
+  if (months !== undefined && days !== undefined) throw httpError(400, "Send either months or days, not both");
+  if (months !== undefined) {
+    if (!Number.isInteger(months) || months < 1 || months > MAX_MONTHS) {
+      throw httpError(400, `months must be a whole number from 1 to ${MAX_MONTHS}`);
+    }
+    return { months };
+  }
+  if (days !== undefined) {
+    if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+      throw httpError(400, `days must be a whole number from 1 to ${MAX_DAYS}`);
+    }
+    return { days };
+  }
+  throw httpError(400, "Plan duration (months or days) required");
+}
+
+/*
+ * New expiry after renewing. Extends from the current expiry while it's still in the future
+ * (early renewals don't lose days); otherwise starts from today.
+ */
+function computeRenewedExpiry(currentExpiry, { months, days }, today = new Date()) {
+  const current = parseSheetDate(currentExpiry);
+  const base = current && current > startOfDay(today) ? current : startOfDay(today);
+  return months ? addMonths(base, months) : addDays(base, days);
+}
+
+module.exports = { parsePlanDuration, computeRenewedExpiry };
@@ -0,0 +1,27 @@
+// lib/roles.js
+const config = require("../config");
+
+const ROLES = ["admin", "manager", "desk"];
+
+// Roles allowed to see members' phone numbers and email addresses (PHONE_VISIBLE_ROLES)
+const PHONE_VISIBLE_ROLES = config.phoneVisibleRoles;
+
+const CONTACT_FIELDS = ["Phone Number", "Email"];
+
+function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+function canViewPhone(role) {
+  return PHONE_VISIBLE_ROLES.includes(role);
+}
+
+/* Strip fields the given role may not see. Returns the same object when nothing is hidden. */
+function redactMember(member, role) {
+  if (canViewPhone(role) || !CONTACT_FIELDS.some((field) => field in member)) return member;
+  const rest = { ...member };
+  CONTACT_FIELDS.forEach((field) => delete rest[field]);
+  return rest;
+}
+
+module.exports = { ROLES, CONTACT_FIELDS, isValidRole, canViewPhone, redactMember };
@@ -0,0 +1,160 @@
+// lib/schema.js
+const { parseSheetDate, detectDateFormat, toDateKey } = require("./dates");
+
+/*
+ * Declared member schema. Roster headers are matched case/punctuation-insensitively
+ * against the key and its aliases, and every row is normalized to these keys:
+ *   id/string/name → trimmed string ("" when empty)
+ *   phone          → digits with optional leading "+", or null when missing/invalid
+ *   email          → lower-cased address, or null when missing/invalid
+ *   date           → "yyyy-MM-dd", or null when missing/invalid
+ *   url            → http(s) URL, or null when missing/invalid
+ * Columns not in the schema are passed through untouched.
+ */
+const MEMBER_SCHEMA = [
+  { key: "ID", type: "id", required: true, aliases: ["member id", "member no", "membership id", "membership no"] },
+  { key: "Name", type: "name", required: true, aliases: ["full name", "member name", "member"] },
+  { key: "Phone Number", type: "phone", aliases: ["phone", "phone no", "mobile", "mobile number", "contact", "contact number"] },
+  { key: "Email", type: "email", aliases: ["email address", "e mail", "mail"] },
+  { key: "Membership Date", type: "date", aliases: ["join date", "joined", "joining date", "start date", "membership start"] },
+  { key: "Membership Expiry", type: "date", required: true, aliases: ["expiry", "expiry date", "end date", "membership end", "valid till"] },
+  { key: "Locker", type: "string", aliases: ["locker no", "locker number"] },
+  { key: "Image", type: "url", aliases: ["photo", "picture", "image url", "photo url"] },
+  { key: "Deactivated", type: "date", aliases: ["deactivated on", "deactivation date", "inactive since", "left on"] },
+];
+
+function normalizeHeader(header) {
+  return String(header || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+const HEADER_LOOKUP = new Map();
+MEMBER_SCHEMA.forEach((field) => {
+  [field.key, ...field.aliases].forEach((name) => HEADER_LOOKUP.set(normalizeHeader(name), field.key));
+});
+
+/* Schema key for a roster header ("Expiry Date" → "Membership Expiry"); unknown headers come back trimmed */
+function canonicalHeader(header) {
+  return HEADER_LOOKUP.get(normalizeHeader(header)) || String(header || "").trim();
+}
+
+/* Returns { value, problem } — problem is set when the cell is present but unusable */
+function normalizeValue(type, raw) {
+  const str = String(raw ?? "").trim();
+  switch (type) {
+    case "name":
+      return { value: str.replace(/\s+/g, " ") };
+    case "phone": {
+      if (!str) return { value: null };
+      const digits = str.replace(/[\s().-]/g, "");
+      if (!/^\+?\d{7,15}$/.test(digits)) return { value: null, problem: "not a phone number" };
+      return { value: digits };
+    }
+    case "email": {
+      if (!str) return { value: null };
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(str)) return { value: null, problem: "not an email address" };
+      return { value: str.toLowerCase() };
+    }
+    case "date": {
+      if (!str) return { value: null };
+      const date = parseSheetDate(str);
+      if (!date) return { value: null, problem: "unrecognised date (expected dd/MM/yyyy or yyyy-MM-dd)" };
+      return { value: toDateKey(date) };
+    }
+    case "url": {
+      if (!str) return { value: null };
+      if (!/^https?:\/\/\S+$/i.test(str)) return { value: null, problem: "not an http(s) URL" };
+      return { value: str };
+    }
+    default:
+      return { value: str };
+  }
+}
+
+/**
+ * Validate and normalize the raw 2D roster (header row first).
+ * Returns { members, issues, columns, dateFormat } where columns are the roster's headers as schema keys,
+ * dateFormat is the format most of its date cells use (or null; lib/dates.js) and each issue is
+ *   { row, memberId, field, value, problem }  (row = 1-based roster row; 1 is the header row)
+ * Fully blank rows are skipped without an issue.
+ */
+function normalizeRoster(values) {
+  const issues = [];
+  if (!Array.isArray(values) || values.length < 1) return { members: [], issues, columns: [], dateFormat: null };
+
+  const [headersRow, ...rows] = values;
+  const columns = headersRow.map((h) => canonicalHeader(h));
+
+  const seen = new Set();
+  columns.forEach((key, i) => {
+    if (!key) return;
+    if (seen.has(key)) {
+      issues.push({ row: 1, memberId: null, field: key, value: headersRow[i], problem: "duplicate column (ignored)" });
+      columns[i] = "";
+    }
+    seen.add(key);
+  });
+  MEMBER_SCHEMA.filter((f) => f.required && !seen.has(f.key)).forEach((f) => {
+    issues.push({ row: 1, memberId: null, field: f.key, value: null, problem: "required column missing" });
+  });
+
+  const fields = new Map(MEMBER_SCHEMA.map((f) => [f.key, f]));
+  const idCount = new Map();
+  const members = [];
+  const dateCells = [];
+
+  rows.forEach((row, i) => {
+    if (!Array.isArray(row) || row.every((cell) => String(cell ?? "").trim() === "")) return;
+    const rowNumber = i + 2;
+
+    const member = {};
+    MEMBER_SCHEMA.forEach((f) => {
+      if (seen.has(f.key)) member[f.key] = f.type === "id" || f.type === "name" || f.type === "string" ? "" : null;
+    });
+
+    const rowIssues = [];
+    columns.forEach((key, col) => {
+      if (!key) return;
+      const raw = row[col];
+      const field = fields.get(key);
+      if (!field) {
+        member[key] = raw !== undefined && raw !== null ? raw : "";
+        return;
+      }
+      const { value, problem } = normalizeValue(field.type, raw);
+      member[key] = value;
+      if (field.type === "date" && value) dateCells.push(raw);
+      if (problem) rowIssues.push({ field: key, value: raw, problem });
+    });
+
+    MEMBER_SCHEMA.forEach((f) => {
+      if (f.required && seen.has(f.key) && (member[f.key] === "" || member[f.key] === null)) {
+        if (!rowIssues.some((issue) => issue.field === f.key)) {
+          rowIssues.push({ field: f.key, value: row[columns.indexOf(f.key)] ?? "", problem: "required value missing" });
+        }
+      }
+    });
+
+    if (member.ID) idCount.set(member.ID, (idCount.get(member.ID) || 0) + 1);
+    rowIssues.forEach((issue) => issues.push({ row: rowNumber, memberId: member.ID || null, ...issue }));
+    members.push({ member, rowNumber });
+  });
+
+  members.forEach(({ member, rowNumber }) => {
+    if (member.ID && idCount.get(member.ID) > 1) {
+      issues.push({ row: rowNumber, memberId: member.ID, field: "ID", value: member.ID, problem: "duplicate ID" });
+    }
+  });
+
+  issues.sort((a, b) => a.row - b.row);
+  return {
+    members: members.map((m) => m.member),
+    issues,
+    columns: columns.filter(Boolean),
+    dateFormat: detectDateFormat(dateCells),
+  };
+}
+
+module.exports = { MEMBER_SCHEMA, canonicalHeader, normalizeValue, normalizeRoster };
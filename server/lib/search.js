@@ -0,0 +1,198 @@
+// lib/search.js
+const { canViewPhone } = require("./roles");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+// Lower rank = better match
+const RANK_EXACT_ID = 0;
+const RANK_EXACT_LOCKER = 1;
+const RANK_NAME_PREFIX = 2;
+const RANK_NAME_WORDS = 3; // every query word starts a word of the name, any order
+const RANK_PHONE_SUFFIX = 4;
+const RANK_PARTIAL = 5; // ID prefix or name substring
+const RANK_FUZZY_NAME = 6; // name words within a small edit distance (typos)
+
+const MIN_PHONE_DIGITS = 3;
+
+/* Typos tolerated per word: none for short words, then 1, then 2 */
+function allowedTypos(length) {
+  if (length <= 3) return 0;
+  if (length <= 5) return 1;
+  return 2;
+}
+
+/* Optimal string alignment distance (Levenshtein + adjacent swaps), giving up above max */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], prevPrev[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, row[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/* Words of text with their offsets: [{ word, start }] (lowercased) */
+function wordsOf(text) {
+  const words = [];
+  const re = /\S+/g;
+  let m;
+  while ((m = re.exec(text.toLowerCase()))) words.push({ word: m[0], start: m.index });
+  return words;
+}
+
+/*
+ * Match every query token against a distinct-or-shared name word: exact prefix costs 0,
+ * otherwise the typo distance to the whole word or to a same-length prefix of it.
+ * Returns { typos, ranges } or null when some token matches nothing.
+ */
+function matchNameWords(words, tokens) {
+  let typos = 0;
+  const ranges = [];
+  for (const token of tokens) {
+    let best = null;
+    for (const { word, start } of words) {
+      if (word.startsWith(token)) {
+        best = { cost: 0, range: [start, start + token.length] };
+        break;
+      }
+      const max = allowedTypos(token.length);
+      if (!max) continue;
+      const whole = editDistance(token, word, max);
+      const prefix = editDistance(token, word.slice(0, token.length), max);
+      const cost = Math.min(whole, prefix);
+      if (cost <= max && (!best || cost < best.cost)) {
+        best = { cost, range: [start, start + (whole <= prefix ? word.length : token.length)] };
+      }
+    }
+    if (!best) return null;
+    typos += best.cost;
+    ranges.push(best.range);
+  }
+  return { typos, ranges: ranges.sort((a, b) => a[0] - b[0]) };
+}
+
+/*
+ * How well one member matches. q is the lowercased query; phone numbers are only matched when
+ * phoneVisible (a hidden number's digits would show through the match and its highlight).
+ * Returns { rank, typos, highlights } or null; highlights maps field → [[start, end]] character
+ * ranges of the matched text in that field's value, for the client to mark up.
+ */
+function rankMember(member, q, phoneVisible) {
+  const id = String(member.ID ?? "").trim();
+  if (id.toLowerCase() === q) return { rank: RANK_EXACT_ID, typos: 0, highlights: { ID: [[0, id.length]] } };
+
+  const locker = String(member.Locker ?? "").trim();
+  if (locker && locker.toLowerCase() === q) {
+    return { rank: RANK_EXACT_LOCKER, typos: 0, highlights: { Locker: [[0, locker.length]] } };
+  }
+
+  const name = String(member.Name || "");
+  const lowerName = name.toLowerCase();
+  if (lowerName && lowerName.startsWith(q)) {
+    return { rank: RANK_NAME_PREFIX, typos: 0, highlights: { Name: [[0, q.length]] } };
+  }
+
+  const tokens = q.split(/\s+/);
+  const words = wordsOf(name);
+  const nameMatch = words.length ? matchNameWords(words, tokens) : null;
+  if (nameMatch && nameMatch.typos === 0) {
+    return { rank: RANK_NAME_WORDS, typos: 0, highlights: { Name: nameMatch.ranges } };
+  }
+
+  const digits = q.replace(/[\s()+.-]/g, "");
+  const phone = String(member["Phone Number"] || "");
+  if (phoneVisible && /^\d+$/.test(digits) && digits.length >= MIN_PHONE_DIGITS && phone.endsWith(digits)) {
+    const highlights = { "Phone Number": [[phone.length - digits.length, phone.length]] };
+    return { rank: RANK_PHONE_SUFFIX, typos: 0, highlights };
+  }
+
+  if (id && id.toLowerCase().startsWith(q)) {
+    return { rank: RANK_PARTIAL, typos: 0, highlights: { ID: [[0, q.length]] } };
+  }
+  const at = lowerName.indexOf(q);
+  if (at !== -1) return { rank: RANK_PARTIAL, typos: 0, highlights: { Name: [[at, at + q.length]] } };
+
+  if (nameMatch) return { rank: RANK_FUZZY_NAME, typos: nameMatch.typos, highlights: { Name: nameMatch.ranges } };
+  return null;
+}
+
+function normalizeQuery(query) {
+  return String(query || "").trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+/* [{ member, rank, typos, highlights }] best first (ties sorted by name) */
+function rankMembers(members, query, role) {
+  const q = normalizeQuery(query);
+  if (!q) return [];
+
+  const phoneVisible = canViewPhone(role);
+  const matches = [];
+  members.forEach((member) => {
+    const match = rankMember(member, q, phoneVisible);
+    if (match) matches.push({ member, ...match });
+  });
+
+  matches.sort(
+    (a, b) =>
+      a.rank - b.rank ||
+      a.typos - b.typos ||
+      String(a.member.Name || "").localeCompare(String(b.member.Name || ""))
+  );
+  return matches;
+}
+
+/* Parse a positive integer query param, falling back to def and capping at max */
+function toPositiveInt(value, def, max = Infinity) {
+  const n = parseInt(value, 10);
+  if (!Number.isFinite(n) || n < 1) return def;
+  return Math.min(n, max);
+}
+
+/**
+ * All members matching by ID, locker, name (typo-tolerant) or phone number suffix, best first.
+ * Ranking: exact ID, exact locker, name prefix, name words, phone suffix,
+ * ID prefix / name substring, then fuzzy name (fewest typos first). Phone numbers only match
+ * for roles that may see them.
+ */
+function matchMembers(members, query, { role } = {}) {
+  return rankMembers(members, query, role).map((m) => m.member);
+}
+
+/**
+ * One page of matchMembers().
+ * Returns { query, total, page, limit, results, highlights } where highlights maps
+ * member ID → { field: [[start, end]] } for the page's results
+ */
+function searchMembers(members, query, { page, limit, role } = {}) {
+  const q = normalizeQuery(query);
+  const pageNum = toPositiveInt(page, 1);
+  const pageSize = toPositiveInt(limit, DEFAULT_LIMIT, MAX_LIMIT);
+
+  const matches = rankMembers(members, q, role);
+  const start = (pageNum - 1) * pageSize;
+  const pageMatches = matches.slice(start, start + pageSize);
+  return {
+    query: q,
+    total: matches.length,
+    page: pageNum,
+    limit: pageSize,
+    results: pageMatches.map((m) => m.member),
+    highlights: Object.fromEntries(pageMatches.map((m) => [String(m.member.ID), m.highlights])),
+  };
+}
+
+module.exports = { matchMembers, searchMembers, toPositiveInt, DEFAULT_LIMIT, MAX_LIMIT };
@@ -0,0 +1,42 @@
+// lib/status.js
+const config = require("../config");
+const { parseSheetDate, toDateKey } = require("./dates");
+
+const EXPIRY_FIELD = "Membership Expiry";
+const DEACTIVATED_FIELD = "Deactivated";
+// "expiring" (yellow) band; the client reads status from the API so this is the only place it lives
+const EXPIRING_WITHIN_DAYS = config.expiringWithinDays;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/* Whole days from now until expiry, truncated toward zero (same as date-fns differenceInDays) */
+function daysUntil(expiry, now = new Date()) {
+  return Math.trunc((expiry.getTime() - now.getTime()) / DAY_MS);
+}
+
+/**
+ * Membership status:
+ *   daysLeft <= 0 → "expired", daysLeft <= EXPIRING_WITHIN_DAYS → "expiring", otherwise "active".
+ * Missing or unparseable expiry → "unknown".
+ * A member with a "Deactivated" date is "inactive" whatever the expiry (daysLeft is still reported).
+ * Returns { status, daysLeft, expiry }
+ */
+function membershipStatus(member, now = new Date()) {
+  const expiry = parseSheetDate(member[EXPIRY_FIELD]);
+  const daysLeft = expiry ? daysUntil(expiry, now) : null;
+  if (member[DEACTIVATED_FIELD]) return { status: "inactive", daysLeft, expiry };
+  if (!expiry) return { status: "unknown", daysLeft: null, expiry: null };
+
+  let status = "active";
+  if (daysLeft <= EXPIRING_WITHIN_DAYS) status = "expiring";
+  if (daysLeft <= 0) status = "expired";
+  return { status, daysLeft, expiry };
+}
+
+/* JSON-friendly status attached to members in API responses (expiry as yyyy-MM-dd) */
+function statusSummary(member, now = new Date()) {
+  const { status, daysLeft, expiry } = membershipStatus(member, now);
+  return { status, daysLeft, expiry: expiry ? toDateKey(expiry) : null };
+}
+
+module.exports = { EXPIRY_FIELD, DEACTIVATED_FIELD, EXPIRING_WITHIN_DAYS, membershipStatus, statusSummary, daysUntil };
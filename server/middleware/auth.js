@@ -0,0 +1,89 @@
+// middleware/auth.js
+const jwt = require("jsonwebtoken");
+const config = require("../config");
+
+const JWT_SECRET = config.jwtSecret;
+const ACCESS_EXPIRES = config.jwtAccessExpires; // short
+
+// AUTH_MODE=cookie: tokens live in HttpOnly cookies that page scripts can't read
+const ACCESS_COOKIE = "access_token";
+const REFRESH_COOKIE = "refresh_token";
+const REFRESH_COOKIE_PATH = "/api"; // only refresh/logout need it, but keep it off other sites' paths
+
+/* Shared attributes for every auth cookie (COOKIE_SECURE, COOKIE_SAMESITE, COOKIE_DOMAIN) */
+function cookieOptions(extra = {}) {
+  return {
+    secure: config.cookieSecure,
+    sameSite: config.cookieSameSite,
+    ...(config.cookieDomain ? { domain: config.cookieDomain } : {}),
+    path: "/",
+    ...extra,
+  };
+}
+
+function setSessionCookies(res, { accessToken, refreshToken }) {
+  res.cookie(ACCESS_COOKIE, accessToken, cookieOptions({ httpOnly: true, maxAge: accessTokenExpiresIn(accessToken) * 1000 }));
+  res.cookie(
+    REFRESH_COOKIE,
+    refreshToken,
+    cookieOptions({ httpOnly: true, path: REFRESH_COOKIE_PATH, maxAge: config.refreshExpiresDays * 24 * 60 * 60 * 1000 })
+  );
+}
+
+function clearSessionCookies(res) {
+  res.clearCookie(ACCESS_COOKIE, cookieOptions({ httpOnly: true }));
+  res.clearCookie(REFRESH_COOKIE, cookieOptions({ httpOnly: true, path: REFRESH_COOKIE_PATH }));
+}
+
+/* payload: { username, role } */
+function signAccessToken(payload) {
+  return jwt.sign(payload, JWT_SECRET, { expiresIn: ACCESS_EXPIRES });
+}
+
+/* Seconds until the given access token expires */
+function accessTokenExpiresIn(accessToken) {
+  const decoded = jwt.decode(accessToken);
+  return decoded?.exp ? decoded.exp - Math.floor(Date.now() / 1000) : 60 * 15;
+}
+
+/*
+ * Auth middleware — verifies the access token and sets req.user = { username, role }.
+ * Takes a Bearer header first, then the access cookie.
+ */
+function authMiddleware(req, res, next) {
+  const authHeader = req.headers["authorization"];
+  const token = authHeader ? authHeader.split(" ")[1] : req.cookies?.[ACCESS_COOKIE]; // "Bearer <token>"
+
+  if (!token) return res.status(401).json({ message: "Missing access token" });
+
+  jwt.verify(token, JWT_SECRET, (err, decoded) => {
+    if (err) return res.status(401).json({ message: "Invalid or expired access token" });
+    req.user = decoded;
+    next();
+  });
+}
+
+/**
+ * Role gate, used after authMiddleware:
+ *   app.get("/api/admin/users", authMiddleware, requireRole("admin"), handler)
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({ message: "Insufficient permissions" });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  ACCESS_COOKIE,
+  REFRESH_COOKIE,
+  cookieOptions,
+  setSessionCookies,
+  clearSessionCookies,
+  signAccessToken,
+  accessTokenExpiresIn,
+  authMiddleware,
+  requireRole,
+};
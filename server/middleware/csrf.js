@@ -0,0 +1,54 @@
+// middleware/csrf.js
+const crypto = require("crypto");
+const { ACCESS_COOKIE, REFRESH_COOKIE, cookieOptions } = require("./auth");
+
+/*
+ * Double-submit CSRF protection for cookie sessions. The token sits in a cookie and is
+ * also handed to the client in JSON (login, refresh, GET /api/csrf), because a client on
+ * another site can't read the API's cookies. State-changing requests must echo it in
+ * X-CSRF-Token; a forged cross-site request carries the cookie but can't know the value.
+ */
+const CSRF_COOKIE = "csrf_token";
+const CSRF_HEADER = "X-CSRF-Token";
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+/* New token (login, so a pre-login value can't be planted) */
+function issueCsrfToken(res) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  res.cookie(CSRF_COOKIE, token, cookieOptions({ httpOnly: true }));
+  return token;
+}
+
+/* The current token, or a new one when the browser has none */
+function currentCsrfToken(req, res) {
+  return req.cookies?.[CSRF_COOKIE] || issueCsrfToken(res);
+}
+
+function clearCsrfCookie(res) {
+  res.clearCookie(CSRF_COOKIE, cookieOptions({ httpOnly: true }));
+}
+
+function sameToken(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/*
+ * Checks every unsafe request that would be authenticated by cookies. Requests with an
+ * Authorization header (AUTH_MODE=token, scripts) aren't forgeable and pass through.
+ * 403 { message, code: "csrf" } on a missing or mismatched token.
+ */
+function csrfProtection(req, res, next) {
+  if (SAFE_METHODS.includes(req.method) || req.headers["authorization"]) return next();
+  const cookies = req.cookies || {};
+  if (!cookies[ACCESS_COOKIE] && !cookies[REFRESH_COOKIE]) return next();
+
+  const sent = req.get(CSRF_HEADER);
+  if (!sent || !cookies[CSRF_COOKIE] || !sameToken(sent, cookies[CSRF_COOKIE])) {
+    return res.status(403).json({ message: "Missing or invalid CSRF token", code: "csrf" });
+  }
+  next();
+}
+
+module.exports = { CSRF_HEADER, issueCsrfToken, currentCsrfToken, clearCsrfCookie, csrfProtection };
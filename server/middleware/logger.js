@@ -1,38 +1,53 @@
 // middleware/logger.js
+const crypto = require("crypto");
 const useragent = require("useragent");
-const winston = require("winston");
-const path = require("path");
+const config = require("../config");
+const { redact, redactFieldSet } = require("../lib/redact");
+const { logger } = require("../lib/logger");
 
-// ✅ Create logger with file + console output
-const logger = winston.createLogger({
-  level: "info",
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.printf(({ timestamp, level, message }) => {
-      return `[${timestamp}] ${level.toUpperCase()}: ${message}`;
-    })
-  ),
-  transports: [
-    new winston.transports.Console(),
-    new winston.transports.File({
-      filename: path.join(__dirname, "../logs/app.log"),
-      maxsize: 5 * 1024 * 1024, // 5 MB rotation
-      maxFiles: 5,              // keep last 5 files
-    }),
-  ],
-});
+const REDACT_FIELDS = redactFieldSet(config.logRedactFields);
+const REQUEST_ID_HEADER = "X-Request-Id";
 
-function requestLogger(req, res, next) {
+/* Trust a caller-supplied request ID (e.g. from a proxy) only if it looks like one */
+function requestIdFor(req) {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  return incoming && /^[\w.-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+}
+
+function deviceInfo(req) {
   const agent = useragent.parse(req.headers["user-agent"]);
-  const logMessage = `
-📥 Request: ${req.method} ${req.originalUrl}
-➡️ Device: ${agent.device.toString()}
-➡️ OS: ${agent.os.toString()}
-➡️ Browser: ${agent.toAgent()}
-➡️ Headers: ${JSON.stringify(req.headers)}
-➡️ Body: ${JSON.stringify(req.body)}
-  `;
-  logger.info(logMessage.trim());
+  return { device: agent.device.toString(), os: agent.os.toString(), browser: agent.toAgent() };
+}
+
+/*
+ * Tags every request with a correlation ID (req.id, echoed in X-Request-Id) and logs one
+ * line when the response finishes: method, path, status, latency and the redacted
+ * query/body. 5xx log as error, 4xx as warn, the rest as info.
+ */
+function requestLogger(req, res, next) {
+  const started = process.hrtime.bigint();
+  const requestPath = req.path; // routers rewrite req.url, so capture it up front
+  req.id = requestIdFor(req);
+  res.set(REQUEST_ID_HEADER, req.id);
+
+  res.on("finish", () => {
+    const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+    const level = res.statusCode >= 500 ? "error" : res.statusCode >= 400 ? "warn" : "info";
+    logger.log(level, "request", {
+      requestId: req.id,
+      method: req.method,
+      path: requestPath,
+      query: redact(req.query, REDACT_FIELDS),
+      status: res.statusCode,
+      durationMs: Math.round(durationMs * 10) / 10,
+      user: req.user?.username,
+      ip: req.ip,
+      ...deviceInfo(req),
+      headers: redact(req.headers, REDACT_FIELDS),
+      body: req.body && Object.keys(req.body).length ? redact(req.body, REDACT_FIELDS) : undefined,
+    });
+  });
+
   next();
 }
 
@@ -41,29 +56,23 @@ function loginLogger(req, res, next) {
 
   res.send = function (body) {
     if (req.originalUrl.includes("/login")) {
-      const agent = useragent.parse(req.headers["user-agent"]);
-
-      let logMessage = `
-🔐 Login Attempt:
-➡️ Username: ${req.body?.username}
-➡️ Device: ${agent.device.toString()}
-➡️ OS: ${agent.os.toString()}
-➡️ Browser: ${agent.toAgent()}
-➡️ Status Code: ${res.statusCode}
-`;
+      const entry = {
+        requestId: req.id,
+        username: req.body?.username,
+        status: res.statusCode,
+        ...deviceInfo(req),
+      };
 
       try {
         const parsedBody = JSON.parse(body);
         if (res.statusCode >= 400) {
-          logMessage += `❌ Login Failed: ${parsedBody.message || body}`;
+          logger.warn("login failed", { ...entry, reason: parsedBody.message });
         } else {
-          logMessage += "✅ Login Success";
+          logger.info("login succeeded", entry);
         }
       } catch (err) {
-        logMessage += `⚠️ Could not parse login response: ${body}`;
+        logger.warn("login response not parseable", entry);
       }
-
-      logger.info(logMessage.trim());
     }
 
     return originalSend.apply(this, arguments);
@@ -72,4 +81,4 @@ function loginLogger(req, res, next) {
   next();
 }
 
-module.exports = { requestLogger, loginLogger, logger };
+module.exports = { requestLogger, loginLogger };
@@ -0,0 +1,55 @@
+// notifications/index.js
+const config = require("../config");
+const { createOutboxTransport, createConsoleTransport } = require("./outbox");
+const { createSmtpTransport } = require("./smtp");
+const { createSmsTransport } = require("./sms");
+
+/*
+ * REMINDER_TRANSPORT picks how reminders leave the server:
+ *   outbox (default) → appended to OUTBOX_FILE (DATA_DIR/outbox.jsonl); nothing is sent
+ *   console          → printed to stdout; nothing is sent
+ *   smtp             → email via SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS, from SMTP_FROM
+ *   sms              → POSTed to SMS_GATEWAY_URL (Bearer SMS_API_KEY), from SMS_FROM
+ * Every transport has { name, channels, send(message) } where channels lists what it can deliver
+ * ("email", "sms") and send({ channel, to, subject, text }) resolves to { id }.
+ */
+function createTransport(settings = config) {
+  const kind = settings.reminderTransport;
+  switch (kind) {
+    case "outbox":
+      return createOutboxTransport({ filePath: settings.outboxFile });
+    case "console":
+      return createConsoleTransport();
+    case "smtp":
+      return createSmtpTransport({
+        host: settings.smtpHost,
+        port: settings.smtpPort,
+        secure: settings.smtpSecure,
+        user: settings.smtpUser,
+        pass: settings.smtpPass,
+        from: settings.smtpFrom,
+      });
+    case "sms":
+      return createSmsTransport({
+        url: settings.smsGatewayUrl,
+        apiKey: settings.smsApiKey,
+        from: settings.smsFrom,
+      });
+    default:
+      throw new Error(`Unknown REMINDER_TRANSPORT: ${kind}`);
+  }
+}
+
+let transport = null;
+
+function getTransport() {
+  if (!transport) transport = createTransport();
+  return transport;
+}
+
+/* Swap the active transport (e.g. a recording stand-in in tests) */
+function setTransport(next) {
+  transport = next;
+}
+
+module.exports = { createTransport, getTransport, setTransport };
@@ -0,0 +1,33 @@
+// notifications/outbox.js
+const crypto = require("crypto");
+const { dataPath, appendJsonl } = require("../lib/jsonFile");
+
+/* Local testing: messages are written to a JSONL file (one { id, at, channel, to, subject, text } per line) */
+function createOutboxTransport({ filePath } = {}) {
+  const file = filePath || dataPath("outbox.jsonl");
+  return {
+    name: "outbox",
+    channels: ["email", "sms"],
+    file,
+    async send({ channel, to, subject, text }) {
+      const id = crypto.randomUUID();
+      appendJsonl(file, { id, at: new Date().toISOString(), channel, to, subject: subject || null, text });
+      return { id };
+    },
+  };
+}
+
+/* Local testing: messages are printed instead of sent */
+function createConsoleTransport() {
+  return {
+    name: "console",
+    channels: ["email", "sms"],
+    async send({ channel, to, subject, text }) {
+      const id = crypto.randomUUID();
+      console.log(`[reminder ${channel} → ${to}]${subject ? ` ${subject}` : ""}\n${text}\n`);
+      return { id };
+    },
+  };
+}
+
+module.exports = { createOutboxTransport, createConsoleTransport };
@@ -0,0 +1,33 @@
+// notifications/sms.js
+const fetch = (...args) => import("node-fetch").then(({ default: fetch }) => fetch(...args));
+
+/*
+ * Generic HTTP SMS gateway: POST url with JSON { to, from, message } and Bearer apiKey.
+ * Any 2xx counts as accepted; the gateway's { id } (or messageId) is kept for the send log.
+ */
+function createSmsTransport({ url, apiKey, from }) {
+  if (!url) throw new Error("SMS transport requires SMS_GATEWAY_URL");
+
+  return {
+    name: "sms",
+    channels: ["sms"],
+    async send({ to, text }) {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        },
+        body: JSON.stringify({ to, from: from || undefined, message: text }),
+      });
+      if (!res.ok) {
+        const txt = await res.text();
+        throw new Error(`SMS gateway failed: ${res.status} ${res.statusText} ${txt}`.trim());
+      }
+      const body = await res.json().catch(() => ({}));
+      return { id: body.id || body.messageId || null };
+    },
+  };
+}
+
+module.exports = { createSmsTransport };
@@ -0,0 +1,23 @@
+// notifications/smtp.js
+const nodemailer = require("nodemailer");
+
+function createSmtpTransport({ host, port, secure, user, pass, from }) {
+  if (!host || !from) throw new Error("SMTP transport requires SMTP_HOST and SMTP_FROM");
+  const mailer = nodemailer.createTransport({
+    host,
+    port,
+    secure, // true for implicit TLS (465); otherwise STARTTLS is used when the server offers it
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: "smtp",
+    channels: ["email"],
+    async send({ to, subject, text }) {
+      const info = await mailer.sendMail({ from, to, subject, text });
+      return { id: info.messageId };
+    },
+  };
+}
+
+module.exports = { createSmtpTransport };
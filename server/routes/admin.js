@@ -0,0 +1,241 @@
+// routes/admin.js
+const express = require("express");
+const { authMiddleware, requireRole } = require("../middleware/auth");
+const users = require("../stores/users");
+const sessions = require("../stores/sessions");
+const loginAttempts = require("../stores/loginAttempts");
+const audit = require("../stores/audit");
+const reminderLog = require("../stores/reminders");
+const { runReminders, listTemplates, saveTemplate, PLACEHOLDERS } = require("../lib/reminders");
+const { fetchDataIssues, getCacheInfo, refreshSheetCache } = require("../datasources");
+const { parseSheetDate, startOfDay, addDays } = require("../lib/dates");
+const { toPositiveInt } = require("../lib/search");
+const { logError } = require("../lib/logger");
+
+const router = express.Router();
+
+// everything under /api/admin is admin-only
+router.use("/admin", authMiddleware, requireRole("admin"));
+
+/* -- USERS -- */
+
+router.get("/admin/users", (req, res) => {
+  return res.json(users.listUsers());
+});
+
+/**
+ * POST /api/admin/users
+ * Body: { username, password, role }
+ */
+router.post("/admin/users", (req, res) => {
+  try {
+    const user = users.createUser(req.body || {});
+    return res.status(201).json(user);
+  } catch (err) {
+    return res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+router.delete("/admin/users/:username", (req, res) => {
+  const user = users.findUser(req.params.username);
+  if (!user) return res.status(404).json({ message: "User not found" });
+  if (user.username === req.user.username) {
+    return res.status(400).json({ message: "You cannot delete your own account" });
+  }
+  users.deleteUser(user.username);
+  sessions.revokeUserSessions(user.username, "user-deleted");
+  return res.json({ ok: true });
+});
+
+/* -- LOCKOUTS -- */
+
+/* GET /api/admin/lockouts — usernames and IPs currently locked out after failed logins */
+router.get("/admin/lockouts", (req, res) => {
+  return res.json(loginAttempts.listLockouts());
+});
+
+/**
+ * POST /api/admin/unlock
+ * Body: { username } and/or { ip }
+ * Clears the failed-login history so the next attempt is allowed immediately
+ */
+router.post("/admin/unlock", (req, res) => {
+  const { username, ip } = req.body || {};
+  if (!username && !ip) return res.status(400).json({ message: "username or ip required" });
+  const cleared = loginAttempts.unlock({ username, ip });
+  return res.json({ ok: true, cleared });
+});
+
+/* -- SESSIONS -- */
+
+/* GET /api/admin/sessions — every active session */
+router.get("/admin/sessions", (req, res) => {
+  return res.json(sessions.listSessions());
+});
+
+/* GET /api/admin/users/:username/sessions — one user's active sessions */
+router.get("/admin/users/:username/sessions", (req, res) => {
+  const user = users.findUser(req.params.username);
+  if (!user) return res.status(404).json({ message: "User not found" });
+  return res.json(sessions.listSessions(user.username));
+});
+
+/* DELETE /api/admin/users/:username/sessions — sign a user out everywhere */
+router.delete("/admin/users/:username/sessions", (req, res) => {
+  const user = users.findUser(req.params.username);
+  if (!user) return res.status(404).json({ message: "User not found" });
+  const revoked = sessions.revokeUserSessions(user.username);
+  return res.json({ ok: true, revoked });
+});
+
+/* DELETE /api/admin/users/:username/sessions/:id — revoke a single session */
+router.delete("/admin/users/:username/sessions/:id", (req, res) => {
+  const user = users.findUser(req.params.username);
+  if (!user) return res.status(404).json({ message: "User not found" });
+  if (!sessions.revokeSession(req.params.id, { username: user.username })) {
+    return res.status(404).json({ message: "Session not found" });
+  }
+  return res.json({ ok: true });
+});
+
+/* -- AUDIT -- */
+
+const AUDIT_PAGE_SIZE = 50;
+
+/**
+ * GET /api/admin/audit?user=&memberId=&action=&from=yyyy-MM-dd&to=yyyy-MM-dd&page=&limit=
+ * Who accessed which member records; dates inclusive, newest first.
+ * Returns { total, page, limit, results: [{ at, action, staff, role, memberIds, phoneVisible, details, requestId, ip }] }
+ */
+router.get("/admin/audit", (req, res) => {
+  const { user, memberId, action } = req.query;
+  const from = req.query.from ? parseSheetDate(req.query.from) : null;
+  const to = req.query.to ? parseSheetDate(req.query.to) : null;
+  if ((req.query.from && !from) || (req.query.to && !to)) {
+    return res.status(400).json({ message: "from/to must be dates (yyyy-MM-dd)" });
+  }
+  if (action && !audit.AUDIT_ACTIONS.includes(action)) {
+    return res.status(400).json({ message: `action must be one of: ${audit.AUDIT_ACTIONS.join(", ")}` });
+  }
+
+  try {
+    const entries = audit.listAudit({
+      staff: user ? String(user).trim().toLowerCase() : undefined,
+      memberId: memberId ? String(memberId).trim() : undefined,
+      action,
+      from: from ? startOfDay(from) : undefined,
+      to: to ? addDays(startOfDay(to), 1) : undefined,
+    });
+    const page = toPositiveInt(req.query.page, 1);
+    const limit = toPositiveInt(req.query.limit, AUDIT_PAGE_SIZE, 200);
+    const start = (page - 1) * limit;
+    return res.json({ total: entries.length, page, limit, results: entries.slice(start, start + limit) });
+  } catch (err) {
+    logError("Error reading audit log", err, req);
+    return res.status(500).json({ message: "Failed to read audit log", error: err.message });
+  }
+});
+
+/* -- ROSTER CACHE -- */
+
+/* GET /api/admin/cache — { syncedAt, changedAt, version, stale, lastError } */
+router.get("/admin/cache", (req, res) => {
+  return res.json(getCacheInfo());
+});
+
+/**
+ * POST /api/admin/cache/refresh
+ * Re-reads the roster from the data source now instead of waiting for the cache to age out.
+ * Returns the cache info; 502 (with the last good roster still served) when the source fails.
+ */
+router.post("/admin/cache/refresh", async (req, res) => {
+  try {
+    return res.json(await refreshSheetCache());
+  } catch (err) {
+    logError("Error refreshing roster", err, req);
+    return res.status(502).json({ message: "Failed to refresh roster", error: err.message, ...getCacheInfo() });
+  }
+});
+
+/* -- RENEWAL REMINDERS -- */
+
+const REMINDER_PAGE_SIZE = 50;
+
+/**
+ * GET /api/admin/reminders?memberId=&status=sent|failed&page=&limit=
+ * The reminder send log, newest first.
+ * Returns { total, page, limit, results: [{ at, memberId, memberName, kind, expiry, channel, transport, status, messageId, error }] }
+ */
+router.get("/admin/reminders", (req, res) => {
+  const { memberId, status } = req.query;
+  if (status && !["sent", "failed"].includes(status)) {
+    return res.status(400).json({ message: "status must be one of: sent, failed" });
+  }
+
+  try {
+    const entries = reminderLog.listReminders({ memberId: memberId ? String(memberId).trim() : undefined, status });
+    const page = toPositiveInt(req.query.page, 1);
+    const limit = toPositiveInt(req.query.limit, REMINDER_PAGE_SIZE, 200);
+    const start = (page - 1) * limit;
+    return res.json({ total: entries.length, page, limit, results: entries.slice(start, start + limit) });
+  } catch (err) {
+    logError("Error reading reminder log", err, req);
+    return res.status(500).json({ message: "Failed to read reminder log", error: err.message });
+  }
+});
+
+/**
+ * POST /api/admin/reminders/run
+ * Body: { dryRun } — dryRun renders the due reminders without sending them.
+ * Sends now instead of waiting for the schedule (REMINDER_INTERVAL_MINUTES); 409 while a run is in progress.
+ * Returns { ranAt, dryRun, transport, sent, failed, alreadySent, noContact, results }
+ */
+router.post("/admin/reminders/run", async (req, res) => {
+  try {
+    return res.json(await runReminders({ dryRun: Boolean((req.body || {}).dryRun) }));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    logError("Error running renewal reminders", err, req);
+    return res.status(500).json({ message: "Failed to run renewal reminders", error: err.message });
+  }
+});
+
+/* GET /api/admin/reminders/templates — { placeholders, templates: [{ name, text }] } */
+router.get("/admin/reminders/templates", (req, res) => {
+  try {
+    return res.json({ placeholders: PLACEHOLDERS, templates: listTemplates() });
+  } catch (err) {
+    logError("Error reading reminder templates", err, req);
+    return res.status(500).json({ message: "Failed to read reminder templates", error: err.message });
+  }
+});
+
+/**
+ * PUT /api/admin/reminders/templates/:name   (name = expiring.email | expiring.sms | expired.email | expired.sms)
+ * Body: { text } — email templates start with "Subject: ..."; placeholders are {{name}} etc.
+ */
+router.put("/admin/reminders/templates/:name", (req, res) => {
+  try {
+    return res.json(saveTemplate(req.params.name, (req.body || {}).text));
+  } catch (err) {
+    return res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+/* -- DATA QUALITY -- */
+
+/**
+ * GET /api/admin/data-issues
+ * Roster rows/cells that failed schema validation on the latest load.
+ * Returns { checkedAt, totalMembers, issues: [{ row, memberId, field, value, problem }] }
+ */
+router.get("/admin/data-issues", async (req, res) => {
+  try {
+    return res.json(await fetchDataIssues());
+  } catch (err) {
+    logError("Error reading sheet", err, req);
+    return res.status(500).json({ message: "Failed to fetch sheet data", error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,54 @@
+// routes/attendance.js
+const express = require("express");
+const { authMiddleware, requireRole } = require("../middleware/auth");
+const { parseSheetDate, toDateKey, startOfDay, addDays } = require("../lib/dates");
+const attendance = require("../stores/attendance");
+
+const router = express.Router();
+
+const MAX_RANGE_DAYS = 366;
+
+/**
+ * GET /api/attendance?from=yyyy-MM-dd&to=yyyy-MM-dd&memberId=
+ * Both dates inclusive, default today, at most 366 days. Managers and admins only.
+ * Returns { from, to, total, uniqueMembers, days: [{ date, checkIns, uniqueMembers, flagged }], records }
+ */
+router.get("/attendance", authMiddleware, requireRole("admin", "manager"), (req, res) => {
+  const today = startOfDay(new Date());
+  const from = req.query.from ? parseSheetDate(req.query.from) : today;
+  const to = req.query.to ? parseSheetDate(req.query.to) : from;
+  if (!from || !to) return res.status(400).json({ message: "from/to must be dates (yyyy-MM-dd)" });
+  if (to < from) return res.status(400).json({ message: "to must not be before from" });
+  if (addDays(from, MAX_RANGE_DAYS) <= to) {
+    return res.status(400).json({ message: `Date range is limited to ${MAX_RANGE_DAYS} days` });
+  }
+
+  const records = attendance.listCheckIns({
+    from: startOfDay(from),
+    to: addDays(startOfDay(to), 1),
+    memberId: req.query.memberId,
+  });
+
+  const byDay = new Map();
+  for (let d = startOfDay(from); d <= to; d = addDays(d, 1)) {
+    byDay.set(toDateKey(d), { date: toDateKey(d), checkIns: 0, members: new Set(), flagged: 0 });
+  }
+  records.forEach((r) => {
+    const day = byDay.get(toDateKey(new Date(r.at)));
+    if (!day) return;
+    day.checkIns++;
+    day.members.add(String(r.memberId));
+    if (r.flagged) day.flagged++;
+  });
+
+  return res.json({
+    from: toDateKey(from),
+    to: toDateKey(to),
+    total: records.length,
+    uniqueMembers: new Set(records.map((r) => String(r.memberId))).size,
+    days: [...byDay.values()].map(({ members, ...day }) => ({ ...day, uniqueMembers: members.size })),
+    records,
+  });
+});
+
+module.exports = router;
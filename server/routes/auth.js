@@ -0,0 +1,158 @@
+// routes/auth.js
+const express = require("express");
+const config = require("../config");
+const {
+  REFRESH_COOKIE,
+  setSessionCookies,
+  clearSessionCookies,
+  signAccessToken,
+  accessTokenExpiresIn,
+  authMiddleware,
+} = require("../middleware/auth");
+const { issueCsrfToken, currentCsrfToken, clearCsrfCookie } = require("../middleware/csrf");
+const { logger } = require("../lib/logger");
+const users = require("../stores/users");
+const sessions = require("../stores/sessions");
+const loginAttempts = require("../stores/loginAttempts");
+
+const router = express.Router();
+
+function clientMeta(req) {
+  return { userAgent: req.headers["user-agent"], ip: req.ip };
+}
+
+const cookieMode = config.authMode === "cookie";
+
+/*
+ * Responds with { user, role, expiresIn } plus, by AUTH_MODE:
+ *   cookie → sets the access/refresh cookies and adds csrfToken (a fresh one on login)
+ *   token  → adds accessToken and refreshToken
+ */
+function sendSession(req, res, user, refreshToken, { newCsrf = false } = {}) {
+  const accessToken = signAccessToken({ username: user.username, role: user.role });
+  const body = { user: user.username, role: user.role, expiresIn: accessTokenExpiresIn(accessToken) };
+  if (cookieMode) {
+    setSessionCookies(res, { accessToken, refreshToken });
+    body.csrfToken = newCsrf ? issueCsrfToken(res) : currentCsrfToken(req, res);
+  } else {
+    Object.assign(body, { accessToken, refreshToken });
+  }
+  return res.json(body);
+}
+
+/* Refresh token from the JSON body (token mode, scripts) or the HttpOnly cookie */
+function refreshTokenFrom(req) {
+  return (req.body && req.body.refreshToken) || req.cookies?.[REFRESH_COOKIE] || null;
+}
+
+function endCookieSession(res) {
+  if (!cookieMode) return;
+  clearSessionCookies(res);
+  clearCsrfCookie(res);
+}
+
+function lockedOut(res, retryAfter) {
+  const minutes = Math.ceil(retryAfter / 60);
+  const wait = retryAfter < 60 ? `${retryAfter} seconds` : `${minutes} minute${minutes === 1 ? "" : "s"}`;
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({
+    message: `Too many failed attempts. Try again in ${wait}.`,
+    retryAfter,
+  });
+}
+
+/**
+ * POST /api/login
+ * Body: { username, password }
+ * Returns: { user, role, expiresIn } where expiresIn is seconds until access token expiry, plus
+ *   AUTH_MODE=cookie → csrfToken (tokens are set as HttpOnly cookies)
+ *   AUTH_MODE=token  → accessToken, refreshToken
+ * 429 { message, retryAfter } (seconds) while the username or client IP is locked out
+ */
+router.post("/login", (req, res) => {
+  const { username, password } = req.body || {};
+  if (!username || !password) return res.status(400).json({ message: "username/password required" });
+
+  // don't even check the password while locked, or the lockout doesn't slow guessing down
+  const lockout = loginAttempts.checkLockout(username, req.ip);
+  if (lockout.locked) return lockedOut(res, lockout.retryAfter);
+
+  const user = users.verifyCredentials(username, password);
+  if (user) {
+    loginAttempts.recordSuccess(user.username);
+    const { refreshToken } = sessions.createSession({ username: user.username, ...clientMeta(req) });
+    return sendSession(req, res, user, refreshToken, { newCsrf: true });
+  }
+
+  const failure = loginAttempts.recordFailure(username, req.ip);
+  if (failure.locked) return lockedOut(res, failure.retryAfter);
+  return res.status(401).json({ message: "Invalid credentials" });
+});
+
+const REFRESH_ERRORS = {
+  invalid: "Invalid refresh token",
+  expired: "Refresh token expired",
+  revoked: "Session has been revoked",
+  reused: "Refresh token reuse detected — session revoked",
+};
+
+/**
+ * POST /api/refresh
+ * Body: { refreshToken } (token mode) — cookie mode reads the refresh cookie instead
+ * Rotates the refresh token: the one sent is spent and a new one is issued.
+ * Returns the same shape as /api/login
+ */
+router.post("/refresh", (req, res) => {
+  const refreshToken = refreshTokenFrom(req);
+  if (!refreshToken) return res.status(401).json({ message: "Missing refresh token" });
+
+  const result = sessions.rotateSession(refreshToken, clientMeta(req));
+  if (result.status !== "ok") {
+    if (result.status === "reused") {
+      const { username: user, id: sessionId } = result.session;
+      logger.warn("Refresh token reuse, session revoked", { requestId: req.id, user, sessionId });
+    }
+    endCookieSession(res);
+    return res.status(401).json({ message: REFRESH_ERRORS[result.status] });
+  }
+
+  // re-read the user so role changes apply and deleted accounts can't refresh
+  const user = users.findUser(result.session.username);
+  if (!user) {
+    sessions.revokeSession(result.session.id, { reason: "user-deleted" });
+    endCookieSession(res);
+    return res.status(401).json({ message: "User no longer exists" });
+  }
+
+  return sendSession(req, res, user, result.refreshToken);
+});
+
+/**
+ * POST /api/logout
+ * Body: { refreshToken } (token mode) — cookie mode reads the refresh cookie and clears the cookies
+ * Revokes the session the refresh token belongs to
+ */
+router.post("/logout", (req, res) => {
+  const refreshToken = refreshTokenFrom(req);
+  if (refreshToken) sessions.revokeByToken(refreshToken);
+  endCookieSession(res);
+  return res.json({ ok: true });
+});
+
+/**
+ * GET /api/csrf
+ * Returns { csrfToken } for cookie sessions, e.g. after a page reload lost the in-memory copy.
+ * CORS keeps other sites from reading it.
+ */
+router.get("/csrf", (req, res) => {
+  if (!cookieMode) return res.status(404).json({ message: "CSRF tokens are only used with AUTH_MODE=cookie" });
+  res.set("Cache-Control", "no-store");
+  return res.json({ csrfToken: currentCsrfToken(req, res) });
+});
+
+/* Current session user */
+router.get("/me", authMiddleware, (req, res) => {
+  return res.json({ user: req.user.username, role: req.user.role });
+});
+
+module.exports = router;
@@ -0,0 +1,47 @@
+// routes/health.js
+const express = require("express");
+const config = require("../config");
+const { fetchSheetAsObjects, getCacheInfo } = require("../datasources");
+
+const router = express.Router();
+const startedAt = Date.now();
+
+/**
+ * GET /api/health
+ * No auth, for uptime checks. Loads the roster through the cache (so it doesn't cost a
+ * source read per check) and returns
+ * { status, environment, uptimeSeconds, dataSource: { kind, reachable, lastErrorAt },
+ *   cache: { syncedAt, ageSeconds, stale } }
+ *   status "ok"; "degraded" (200) while a stale roster is served because the source failed;
+ *   "down" (503) when no roster can be loaded at all.
+ * Error messages are left out: they can contain source URLs and keys.
+ */
+router.get("/health", async (req, res) => {
+  let loaded = true;
+  try {
+    await fetchSheetAsObjects();
+  } catch {
+    loaded = false;
+  }
+  const { syncedAt, stale, lastError } = getCacheInfo();
+  const status = !loaded ? "down" : lastError ? "degraded" : "ok";
+
+  res.set("Cache-Control", "no-store");
+  return res.status(loaded ? 200 : 503).json({
+    status,
+    environment: config.nodeEnv,
+    uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+    dataSource: {
+      kind: config.dataSource,
+      reachable: loaded && !lastError,
+      lastErrorAt: lastError ? lastError.at : null,
+    },
+    cache: {
+      syncedAt,
+      ageSeconds: syncedAt ? Math.round((Date.now() - Date.parse(syncedAt)) / 1000) : null,
+      stale,
+    },
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,199 @@
+// routes/lockers.js
+const express = require("express");
+const { authMiddleware, requireRole } = require("../middleware/auth");
+const { httpError } = require("../lib/httpError");
+const { statusSummary } = require("../lib/status");
+const { presentMember } = require("../lib/present");
+const { withRosterLock } = require("../lib/members");
+const { logError } = require("../lib/logger");
+const {
+  LOCKER_FIELD,
+  GRACE_DAYS,
+  OVERDUE_ACTION,
+  lockerKey,
+  parseLockerLabels,
+  isOverdue,
+  lockerOccupancy,
+  resolveLocker,
+  releaseOverdueLockers,
+} = require("../lib/lockers");
+const { fetchSheetAsObjects, findMemberById, updateMember } = require("../datasources");
+const lockers = require("../stores/lockers");
+const { recordAudit } = require("../stores/audit");
+
+const router = express.Router();
+
+const LOG_LIMIT = 100;
+
+/* Holders as the grid shows them (no contact details) */
+function presentOccupancy(occupancy, now) {
+  const withHolders = (row) => ({
+    ...row,
+    holders: row.holders.map((m) => ({ ID: m.ID, Name: m.Name || "", membership: statusSummary(m, now) })),
+  });
+  return { ...occupancy, lockers: occupancy.lockers.map(withHolders), unlisted: occupancy.unlisted.map(withHolders) };
+}
+
+function sendError(res, err, fallbackMessage) {
+  if (!err.status) logError(fallbackMessage, err, res.req);
+  return res.status(err.status || 500).json({ message: err.status ? err.message : fallbackMessage });
+}
+
+/**
+ * GET /api/lockers
+ * The locker grid: every locker in the inventory and who holds it (the roster's Locker column).
+ * Returns { overdueAction, graceDays, counts, lockers: [{ label, area, status, holders }], unlisted } where
+ * status is free | occupied | overdue | conflict (lib/lockers.js), holders are { ID, Name, membership }
+ * and unlisted are lockers members hold that aren't in the inventory
+ */
+router.get("/lockers", authMiddleware, async (req, res) => {
+  try {
+    const now = new Date();
+    const result = presentOccupancy(lockerOccupancy(lockers.listLockers(), await fetchSheetAsObjects(), now), now);
+    const memberIds = [...result.lockers, ...result.unlisted].flatMap((row) => row.holders.map((m) => m.ID));
+    recordAudit(req, "view", { memberIds, details: { scope: "lockers" } });
+    return res.json({ overdueAction: OVERDUE_ACTION, graceDays: GRACE_DAYS, ...result });
+  } catch (err) {
+    return sendError(res, err, "Failed to load lockers");
+  }
+});
+
+/**
+ * GET /api/lockers/log?locker=&memberId=
+ * Assignments and releases, newest first (latest LOG_LIMIT).
+ * Returns { results: [{ at, action, locker, memberId, memberName, staff, reason? }] }
+ */
+router.get("/lockers/log", authMiddleware, requireRole("admin", "manager"), (req, res) => {
+  const locker = req.query.locker ? lockerKey(req.query.locker) : undefined;
+  const memberId = req.query.memberId ? String(req.query.memberId) : undefined;
+  return res.json({ results: lockers.listLockerEvents({ locker, memberId }).slice(0, LOG_LIMIT) });
+});
+
+/**
+ * POST /api/lockers
+ * Body: { labels: "A1-A20, B1" | ["A1", ...], area? }
+ * Adds lockers to the inventory; labels already listed are skipped.
+ * Returns 201 { added: [{ label, area, createdAt }], skipped: [label] }
+ */
+router.post("/lockers", authMiddleware, requireRole("admin", "manager"), (req, res) => {
+  try {
+    const body = req.body || {};
+    return res.status(201).json(lockers.addLockers(parseLockerLabels(body.labels), body.area));
+  } catch (err) {
+    return sendError(res, err, "Failed to add lockers");
+  }
+});
+
+/**
+ * POST /api/lockers/release-overdue
+ * Body: { dryRun } — dryRun lists the lockers without releasing them.
+ * Frees every locker held by a deactivated member or one expired LOCKER_GRACE_DAYS ago or more
+ * (what the schedule does with LOCKER_OVERDUE_ACTION=release).
+ * Returns { ranAt, dryRun, graceDays, released: [{ locker, memberId, memberName, status, expiry }] }
+ */
+router.post("/lockers/release-overdue", authMiddleware, requireRole("admin", "manager"), async (req, res) => {
+  try {
+    const dryRun = Boolean((req.body || {}).dryRun);
+    const result = await releaseOverdueLockers({ dryRun, staff: req.user.username });
+    if (!dryRun && result.released.length) {
+      const memberIds = result.released.map((r) => r.memberId);
+      const details = { fields: [LOCKER_FIELD], lockerAction: "release-overdue" };
+      recordAudit(req, "edit", { memberIds, details });
+    }
+    return res.json(result);
+  } catch (err) {
+    return sendError(res, err, "Failed to release overdue lockers");
+  }
+});
+
+/**
+ * DELETE /api/lockers/:label
+ * Takes a free locker out of the inventory; 409 while someone holds it.
+ */
+router.delete("/lockers/:label", authMiddleware, requireRole("admin", "manager"), async (req, res) => {
+  const label = lockerKey(req.params.label);
+  try {
+    await withRosterLock(async () => {
+      const holder = (await fetchSheetAsObjects({ fresh: true })).find((m) => lockerKey(m[LOCKER_FIELD]) === label);
+      if (holder) {
+        throw httpError(409, `Locker ${label} is assigned to ${holder.Name || `member ${holder.ID}`}; release it first`);
+      }
+      if (!lockers.removeLocker(label)) throw httpError(404, "Locker not found");
+    });
+    return res.json({ removed: label });
+  } catch (err) {
+    return sendError(res, err, "Failed to remove locker");
+  }
+});
+
+/**
+ * POST /api/lockers/:label/assign
+ * Body: { memberId }
+ * Writes the locker to the member's Locker column; a locker they had before is freed.
+ * 409 if someone else holds it, or the member is deactivated or overdue (renew first).
+ * Returns { locker, previous, member } — previous is the locker the member gave up, or null
+ */
+router.post("/lockers/:label/assign", authMiddleware, async (req, res) => {
+  const label = lockerKey(req.params.label);
+  const memberId = String(req.body?.memberId ?? "").trim();
+  if (!memberId) return res.status(400).json({ message: "memberId required" });
+
+  try {
+    if (!lockers.findLocker(label)) throw httpError(404, "Locker not found");
+    const result = await withRosterLock(async () => {
+      const member = await findMemberById(memberId, { fresh: true });
+      if (!member) throw httpError(404, "Member not found");
+      if (isOverdue(member)) throw httpError(409, "This membership has lapsed; renew it before assigning a locker");
+      const previous = lockerKey(member[LOCKER_FIELD]) || null;
+      if (previous === label) throw httpError(409, `Locker ${label} is already assigned to this member`);
+
+      // findMemberById just read the roster, so the cached copy is current while we hold the lock
+      await updateMember(member.ID, { [LOCKER_FIELD]: resolveLocker(await fetchSheetAsObjects(), label, member.ID) });
+      const updated = (await findMemberById(member.ID)) || { ...member, [LOCKER_FIELD]: label };
+      return { member: updated, previous };
+    });
+
+    const { ID, Name } = result.member;
+    const event = { memberId: String(ID), memberName: Name || "", staff: req.user.username };
+    if (result.previous) lockers.recordLockerEvent({ action: "release", locker: result.previous, ...event, reason: "moved" });
+    lockers.recordLockerEvent({ action: "assign", locker: label, ...event });
+    const details = { fields: [LOCKER_FIELD], lockerAction: "assign", locker: label, previous: result.previous };
+    recordAudit(req, "edit", { memberIds: [ID], details });
+    return res.json({ locker: label, previous: result.previous, member: presentMember(result.member, req.user.role) });
+  } catch (err) {
+    return sendError(res, err, "Failed to assign locker");
+  }
+});
+
+/**
+ * POST /api/lockers/:label/release
+ * Clears the locker from whoever holds it (every holder of a conflicting locker). Works for lockers
+ * that aren't in the inventory too. 409 if nobody holds it.
+ * Returns { locker, released: [memberId] }
+ */
+router.post("/lockers/:label/release", authMiddleware, async (req, res) => {
+  const label = lockerKey(req.params.label);
+  try {
+    const holders = await withRosterLock(async () => {
+      const held = (await fetchSheetAsObjects({ fresh: true })).filter((m) => lockerKey(m[LOCKER_FIELD]) === label);
+      if (!held.length) throw httpError(409, `Locker ${label} is already free`);
+      for (const member of held) {
+        await updateMember(member.ID, { [LOCKER_FIELD]: "" });
+      }
+      return held;
+    });
+
+    holders.forEach((m) => {
+      const event = { memberId: String(m.ID), memberName: m.Name || "", staff: req.user.username };
+      lockers.recordLockerEvent({ action: "release", locker: label, ...event });
+    });
+    const released = holders.map((m) => String(m.ID));
+    const details = { fields: [LOCKER_FIELD], lockerAction: "release", locker: label };
+    recordAudit(req, "edit", { memberIds: released, details });
+    return res.json({ locker: label, released });
+  } catch (err) {
+    return sendError(res, err, "Failed to release locker");
+  }
+});
+
+module.exports = router;
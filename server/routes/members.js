@@ -0,0 +1,505 @@
+// routes/members.js
+const express = require("express");
+const config = require("../config");
+const { authMiddleware, requireRole } = require("../middleware/auth");
+const { searchMembers, matchMembers } = require("../lib/search");
+const { FORMATS, buildExport } = require("../lib/export");
+const { CARD_FORMATS, buildCard } = require("../lib/card");
+const { presentMember } = require("../lib/present");
+const { formatSheetDate, toDateKey } = require("../lib/dates");
+const { parsePlanDuration, computeRenewedExpiry } = require("../lib/renewal");
+const { PAYMENT_METHODS, parseAmount } = require("../lib/payments");
+const { httpError } = require("../lib/httpError");
+const { EXPIRY_FIELD, DEACTIVATED_FIELD, EXPIRING_WITHIN_DAYS, membershipStatus } = require("../lib/status");
+const {
+  EXPIRY_EDIT_ROLES,
+  editableFields,
+  memberVersion,
+  nextMemberId,
+  parseMemberFields,
+  toRosterCells,
+  withRosterLock,
+} = require("../lib/members");
+const { LOCKER_FIELD, resolveLocker } = require("../lib/lockers");
+const { logError } = require("../lib/logger");
+const { ID_HEADER } = require("../datasources/rows");
+const {
+  fetchSheetAsObjects,
+  fetchRosterColumns,
+  findMemberById,
+  updateMember,
+  appendMember,
+  getCacheInfo,
+} = require("../datasources");
+const renewals = require("../stores/renewals");
+const plans = require("../stores/plans");
+const payments = require("../stores/payments");
+const attendance = require("../stores/attendance");
+const photos = require("../stores/photos");
+const { recordAudit } = require("../stores/audit");
+
+const router = express.Router();
+
+/**
+ * GET /api/members/search?q=&page=&limit=
+ * Matches by ID, locker, name (typo-tolerant) or phone suffix (roles that see phones) on the server so the client never needs
+ * the full roster (see lib/search.js for the ranking).
+ * Returns { query, total, page, limit, results, highlights, lastCheckIns, photos, syncedAt, stale } where
+ * highlights maps member ID → { field: [[start, end]] } matched text, lastCheckIns maps member ID → ISO time,
+ * photos maps member ID → updatedAt of its uploaded photo (GET /api/members/:id/photo)
+ * and syncedAt is when the roster was last read from the source (stale: refresh failing)
+ */
+router.get("/members/search", authMiddleware, async (req, res) => {
+  try {
+    const objects = await fetchSheetAsObjects();
+    const { q, page, limit } = req.query;
+    const result = searchMembers(objects, q, { page, limit, role: req.user.role });
+    result.lastCheckIns = attendance.lastCheckIns(result.results.map((m) => m.ID));
+    result.photos = photos.photoVersions(result.results.map((m) => m.ID));
+    result.results = result.results.map((m) => presentMember(m, req.user.role));
+    const { syncedAt, stale } = getCacheInfo();
+    Object.assign(result, { syncedAt, stale });
+    recordAudit(req, "search", {
+      memberIds: result.results.map((m) => m.ID),
+      details: { query: result.query, page: result.page, total: result.total },
+    });
+    return res.json(result);
+  } catch (err) {
+    logError("Error searching members", err, req);
+    return res.status(500).json({ message: "Failed to search members", error: err.message });
+  }
+});
+
+const EXPORT_STATUSES = ["active", "expiring", "expired", "unknown", "inactive"];
+
+/**
+ * GET /api/members/export?format=csv|xlsx&q=&status=
+ * Downloads members as a spreadsheet. q filters and ranks like /members/search (omit for everyone);
+ * status keeps one membership status. Columns hidden from the caller's role are left out.
+ */
+router.get("/members/export", authMiddleware, async (req, res) => {
+  const format = String(req.query.format || "csv").toLowerCase();
+  const status = req.query.status ? String(req.query.status).toLowerCase() : "";
+  const q = String(req.query.q || "").trim();
+  if (!FORMATS[format]) return res.status(400).json({ message: "format must be csv or xlsx" });
+  if (status && !EXPORT_STATUSES.includes(status)) {
+    return res.status(400).json({ message: `status must be one of: ${EXPORT_STATUSES.join(", ")}` });
+  }
+
+  try {
+    const objects = await fetchSheetAsObjects();
+    const now = new Date();
+    const members = (q ? matchMembers(objects, q, { role: req.user.role }) : objects)
+      .map((m) => presentMember(m, req.user.role, now))
+      .filter((m) => !status || m.membership.status === status);
+
+    const { body, contentType, fileName } = buildExport(members, format, `members-${status || "all"}`);
+    recordAudit(req, "export", {
+      memberIds: members.map((m) => m.ID),
+      details: { format, query: q, status, total: members.length },
+    });
+    res.setHeader("Content-Type", contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    return res.send(body);
+  } catch (err) {
+    logError("Error exporting members", err, req);
+    return res.status(500).json({ message: "Failed to export members", error: err.message });
+  }
+});
+
+/**
+ * GET /api/members/fields
+ * Fields the caller may set on POST/PATCH /api/members (role rules applied, only columns the roster has).
+ * Returns { fields }
+ */
+router.get("/members/fields", authMiddleware, async (req, res) => {
+  try {
+    return res.json({ fields: editableFields(req.user.role, await fetchRosterColumns()) });
+  } catch (err) {
+    logError("Error reading roster columns", err, req);
+    return res.status(500).json({ message: "Failed to read roster columns", error: err.message });
+  }
+});
+
+const DETAIL_HISTORY = 10;
+const MAX_REFERENCE_LENGTH = 100;
+
+/**
+ * GET /api/members/:id
+ * One member with every roster column (role-redacted) plus recent activity.
+ * Returns { member, version, photo, lastCheckIn, checkIns, renewals, payments } (latest DETAIL_HISTORY of each,
+ * newest first); version is sent back with edits (PATCH/DELETE), photo is { updatedAt } or null
+ */
+router.get("/members/:id", authMiddleware, async (req, res) => {
+  try {
+    const member = await findMemberById(req.params.id);
+    if (!member) return res.status(404).json({ message: "Member not found" });
+
+    const checkIns = attendance
+      .listCheckIns({ memberId: member.ID })
+      .sort((a, b) => b.at.localeCompare(a.at)) // offline check-ins can be logged out of order
+      .slice(0, DETAIL_HISTORY);
+    recordAudit(req, "view", { memberIds: [member.ID], details: { scope: "member" } });
+    return res.json({
+      member: presentMember(member, req.user.role),
+      version: memberVersion(member),
+      photo: photos.photoInfo(member.ID),
+      lastCheckIn: checkIns.length ? checkIns[0].at : null,
+      checkIns,
+      renewals: renewals.listRenewals({ memberId: member.ID }).slice(0, DETAIL_HISTORY),
+      payments: payments.listPayments({ memberId: member.ID }).slice(0, DETAIL_HISTORY),
+    });
+  } catch (err) {
+    logError("Error reading member", err, req);
+    return res.status(500).json({ message: "Failed to fetch member", error: err.message });
+  }
+});
+
+/**
+ * GET /api/members/:id/card?format=svg|png
+ * Printable membership card with a QR code of the member ID (scanned at the desk).
+ */
+router.get("/members/:id/card", authMiddleware, async (req, res) => {
+  const format = String(req.query.format || "svg").toLowerCase();
+  if (!CARD_FORMATS[format]) return res.status(400).json({ message: "format must be svg or png" });
+
+  try {
+    const member = await findMemberById(req.params.id);
+    if (!member) return res.status(404).json({ message: "Member not found" });
+
+    const { body, contentType, fileName } = await buildCard(member, format);
+    recordAudit(req, "view", { memberIds: [member.ID], details: { scope: "card", format } });
+    res.setHeader("Content-Type", contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    return res.send(body);
+  } catch (err) {
+    logError("Error building member card", err, req);
+    return res.status(500).json({ message: "Failed to build member card", error: err.message });
+  }
+});
+
+/*
+ * Extends "Membership Expiry" by duration ({ months } or { days }), writes it to the data source and
+ * logs the renewal (plus `extra`, e.g. the plan) against the staff user. Returns { member, renewal }
+ */
+async function extendMembership(req, member, duration, extra = {}) {
+  const previousExpiry = member[EXPIRY_FIELD] || "";
+  const newExpiry = formatSheetDate(computeRenewedExpiry(previousExpiry, duration));
+  await updateMember(member.ID, { [EXPIRY_FIELD]: newExpiry });
+
+  const renewal = renewals.recordRenewal({
+    memberId: String(member.ID),
+    memberName: member.Name || "",
+    previousExpiry,
+    newExpiry,
+    ...duration,
+    ...extra,
+    staff: req.user.username,
+  });
+  recordAudit(req, "renew", { memberIds: [member.ID], details: { previousExpiry, newExpiry, ...extra } });
+
+  const updated = (await findMemberById(member.ID)) || { ...member, [EXPIRY_FIELD]: newExpiry };
+  return { member: presentMember(updated, req.user.role), renewal };
+}
+
+/**
+ * POST /api/members/:id/renew
+ * Body: { months } or { days }
+ * Extends "Membership Expiry" without taking a payment (comps, corrections). Admin/manager only, like
+ * setting the expiry directly; the desk renews through POST /api/members/:id/payments so the ledger sees it.
+ * Returns { member, renewal }
+ */
+router.post("/members/:id/renew", authMiddleware, requireRole("admin", "manager"), async (req, res) => {
+  try {
+    const duration = parsePlanDuration(req.body);
+    const result = await withRosterLock(async () => {
+      const member = await findMemberById(req.params.id, { fresh: true });
+      if (!member) throw httpError(404, "Member not found");
+      return extendMembership(req, member, duration);
+    });
+    return res.json(result);
+  } catch (err) {
+    if (!err.status) logError("Error renewing member", err, req);
+    return res.status(err.status || 500).json({ message: err.status ? err.message : "Failed to renew membership" });
+  }
+});
+
+/**
+ * POST /api/members/:id/payments
+ * Body: { planId, amount?, method?, reference? }
+ * Records a payment for a catalogue plan in the ledger and extends the expiry by the plan's duration.
+ * amount defaults to the plan price; any other amount (a discount) is for admins and managers, who can renew
+ * without a payment anyway. method is cash (default), card, transfer or other.
+ * Returns { member, renewal, payment }
+ */
+router.post("/members/:id/payments", authMiddleware, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const plan = body.planId ? plans.findPlan(body.planId) : null;
+    if (!plan || !plan.active) return res.status(400).json({ message: "planId must be an active plan" });
+    const amount = body.amount === undefined || body.amount === "" ? plan.price : parseAmount(body.amount);
+    if (amount !== plan.price && !EXPIRY_EDIT_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ message: "Only admins and managers can take a different amount than the plan price" });
+    }
+    const method = String(body.method || "cash").trim().toLowerCase();
+    if (!PAYMENT_METHODS.includes(method)) {
+      return res.status(400).json({ message: `method must be one of: ${PAYMENT_METHODS.join(", ")}` });
+    }
+    const reference = String(body.reference || "").trim().slice(0, MAX_REFERENCE_LENGTH);
+
+    const duration = plan.months ? { months: plan.months } : { days: plan.days };
+    // the ledger entry is written under the same lock, straight after the roster, so one never lands without the other
+    const result = await withRosterLock(async () => {
+      const member = await findMemberById(req.params.id, { fresh: true });
+      if (!member) throw httpError(404, "Member not found");
+      const extra = { planId: plan.id, planName: plan.name, amount };
+      const renewed = await extendMembership(req, member, duration, extra);
+      const payment = payments.recordPayment({
+        memberId: String(member.ID),
+        memberName: member.Name || "",
+        planId: plan.id,
+        planName: plan.name,
+        months: plan.months,
+        days: plan.days,
+        amount,
+        currency: config.currency,
+        method,
+        reference,
+        previousExpiry: renewed.renewal.previousExpiry,
+        newExpiry: renewed.renewal.newExpiry,
+        staff: req.user.username,
+      });
+      return { ...renewed, payment };
+    });
+    return res.status(201).json(result);
+  } catch (err) {
+    if (!err.status) logError("Error recording payment", err, req);
+    return res.status(err.status || 500).json({ message: err.status ? err.message : "Failed to record payment" });
+  }
+});
+
+/*
+ * Read-check-write for one roster row under the roster lock. The client sends back the `version` it
+ * was shown (GET /api/members/:id); if the row has changed since, nothing is written and the caller
+ * gets 409 with the current member and version so the form can be refreshed.
+ * changesFor(member) returns (or resolves to) { header: value } to write. Returns { member, version }
+ */
+async function changeMember(req, changesFor) {
+  const version = String(req.body?.version || "");
+  if (!version) throw httpError(400, "version required (from GET /api/members/:id)");
+
+  return withRosterLock(async () => {
+    const member = await findMemberById(req.params.id, { fresh: true });
+    if (!member) throw httpError(404, "Member not found");
+    if (memberVersion(member) !== version) {
+      const err = httpError(409, "Someone else changed this member; check the latest details and try again");
+      err.current = { member: presentMember(member, req.user.role), version: memberVersion(member) };
+      throw err;
+    }
+
+    await updateMember(member.ID, await changesFor(member));
+    const updated = (await findMemberById(member.ID)) || member;
+    return { member: presentMember(updated, req.user.role), version: memberVersion(updated) };
+  });
+}
+
+/* err.current (a version conflict) is passed on so the client can show what changed */
+function sendWriteError(res, err, fallbackMessage) {
+  if (!err.status) logError(fallbackMessage, err, res.req);
+  return res.status(err.status || 500).json({ message: err.status ? err.message : fallbackMessage, ...err.current });
+}
+
+/**
+ * POST /api/members
+ * Body: { fields: { Name, "Phone Number"?, Email?, "Membership Date"?, "Membership Expiry"?, Locker? } }
+ * Adds a member with the next free ID (see lib/members.js). The join date and the expiry default to
+ * today, so a new joiner is due until their first plan is paid for.
+ * Contact fields need a phone-visible role; the expiry needs admin or manager.
+ * A Locker must be free (409) and, once lockers are listed (GET /api/lockers), in the inventory.
+ * Returns 201 { member, version }
+ */
+router.post("/members", authMiddleware, async (req, res) => {
+  try {
+    const record = parseMemberFields(req.body?.fields, req.user.role, { creating: true });
+    const created = await withRosterLock(async () => {
+      const members = await fetchSheetAsObjects({ fresh: true });
+      const id = nextMemberId(members);
+      if (record[LOCKER_FIELD]) record[LOCKER_FIELD] = resolveLocker(members, record[LOCKER_FIELD], id);
+      await appendMember(toRosterCells({ [ID_HEADER]: id, ...record }));
+      return (await findMemberById(id)) || { [ID_HEADER]: id, ...record };
+    });
+
+    recordAudit(req, "add", { memberIds: [created.ID], details: { fields: Object.keys(record) } });
+    return res.status(201).json({ member: presentMember(created, req.user.role), version: memberVersion(created) });
+  } catch (err) {
+    return sendWriteError(res, err, "Failed to add member");
+  }
+});
+
+/**
+ * PATCH /api/members/:id
+ * Body: { version, fields: { ...only the fields to change } }
+ * Same fields, role and locker rules as POST /api/members; 409 if the member changed since `version`.
+ * Returns { member, version }
+ */
+router.patch("/members/:id", authMiddleware, async (req, res) => {
+  try {
+    const changes = parseMemberFields(req.body?.fields, req.user.role);
+    if (!Object.keys(changes).length) return res.status(400).json({ message: "No fields to change" });
+
+    const result = await changeMember(req, async (member) => {
+      if (!changes[LOCKER_FIELD]) return toRosterCells(changes);
+      // findMemberById just read the roster, so the cached copy is current while we hold the lock
+      const locker = resolveLocker(await fetchSheetAsObjects(), changes[LOCKER_FIELD], member.ID);
+      return toRosterCells({ ...changes, [LOCKER_FIELD]: locker });
+    });
+    recordAudit(req, "edit", { memberIds: [req.params.id], details: { fields: Object.keys(changes) } });
+    return res.json(result);
+  } catch (err) {
+    return sendWriteError(res, err, "Failed to update member");
+  }
+});
+
+/**
+ * DELETE /api/members/:id
+ * Body: { version }
+ * Soft delete: stamps today's date in the roster's "Deactivated" column. The row (and its history)
+ * stays; the member's status becomes "inactive", so check-ins need an override and reminders stop.
+ * 409 if the roster has no Deactivated column yet. Returns { member, version }
+ */
+router.delete("/members/:id", authMiddleware, requireRole("admin", "manager"), async (req, res) => {
+  try {
+    const result = await changeMember(req, (member) => {
+      // rosters from before deactivation have no column to write to (normalized members only carry columns that exist)
+      if (!(DEACTIVATED_FIELD in member)) {
+        throw httpError(409, `The roster has no "${DEACTIVATED_FIELD}" column; add one to deactivate members`);
+      }
+      if (member[DEACTIVATED_FIELD]) throw httpError(409, "Member is already deactivated");
+      return { [DEACTIVATED_FIELD]: formatSheetDate(new Date()) };
+    });
+    recordAudit(req, "deactivate", { memberIds: [req.params.id] });
+    return res.json(result);
+  } catch (err) {
+    return sendWriteError(res, err, "Failed to deactivate member");
+  }
+});
+
+/**
+ * POST /api/members/:id/reactivate
+ * Body: { version }
+ * Clears the "Deactivated" date. Returns { member, version }
+ */
+router.post("/members/:id/reactivate", authMiddleware, requireRole("admin", "manager"), async (req, res) => {
+  try {
+    const result = await changeMember(req, (member) => {
+      if (!member[DEACTIVATED_FIELD]) throw httpError(409, "Member is not deactivated");
+      return { [DEACTIVATED_FIELD]: "" };
+    });
+    recordAudit(req, "reactivate", { memberIds: [req.params.id] });
+    return res.json(result);
+  } catch (err) {
+    return sendWriteError(res, err, "Failed to reactivate member");
+  }
+});
+
+const MAX_CHECKIN_BACKDATE_MS = 7 * 24 * 60 * 60 * 1000;
+
+/* Optional checkedInAt from offline sync: ISO time within the last 7 days. Returns Date, null, or false if invalid. */
+function parseCheckedInAt(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const at = new Date(value);
+  const now = Date.now();
+  if (isNaN(at) || at.getTime() > now + 5 * 60 * 1000 || at.getTime() < now - MAX_CHECKIN_BACKDATE_MS) return false;
+  return at;
+}
+
+const BLOCKED_MESSAGES = {
+  expired: "Membership expired",
+  unknown: "Membership expiry unknown",
+  inactive: "Member is deactivated",
+};
+
+/**
+ * POST /api/members/:id/checkin
+ * Body: { overrideReason?, checkedInAt? }
+ * Expired, deactivated (or unknown-expiry) members are refused with 409 { requiresOverride: true }
+ * unless an overrideReason is given; the check-in is then recorded as flagged.
+ * checkedInAt (ISO, last 7 days) is sent when the client syncs check-ins queued offline;
+ * the membership is judged as of that time.
+ * Returns { checkIn }
+ */
+router.post("/members/:id/checkin", authMiddleware, async (req, res) => {
+  try {
+    const at = parseCheckedInAt(req.body?.checkedInAt);
+    if (at === false) return res.status(400).json({ message: "checkedInAt must be an ISO time within the last 7 days" });
+
+    const member = await findMemberById(req.params.id);
+    if (!member) return res.status(404).json({ message: "Member not found" });
+
+    const { status, daysLeft } = membershipStatus(member, at || new Date());
+    const overrideReason = String(req.body?.overrideReason || "").trim();
+    const blocked = status === "expired" || status === "unknown" || status === "inactive";
+
+    if (blocked && !overrideReason) {
+      return res.status(409).json({
+        message: BLOCKED_MESSAGES[status],
+        status,
+        daysLeft,
+        requiresOverride: true,
+      });
+    }
+
+    const checkIn = attendance.recordCheckIn({
+      memberId: String(member.ID),
+      memberName: member.Name || "",
+      staff: req.user.username,
+      status,
+      daysLeft,
+      flagged: blocked,
+      overrideReason: blocked ? overrideReason : "",
+      at,
+    });
+    recordAudit(req, "checkin", {
+      memberIds: [member.ID],
+      details: { flagged: checkIn.flagged, checkedInAt: checkIn.at },
+    });
+    return res.status(201).json({ checkIn });
+  } catch (err) {
+    logError("Error checking in member", err, req);
+    return res.status(500).json({ message: "Failed to check in member", error: err.message });
+  }
+});
+
+/**
+ * GET /api/data
+ * The whole roster (role-redacted), used for the client's offline snapshot.
+ * Carries ETag/Last-Modified; send If-None-Match to get a 304 when nothing changed. The ETag also
+ * changes each day, since the membership statuses in the body are worked out from today's date.
+ */
+router.get("/data", authMiddleware, async (req, res) => {
+  try {
+    const objects = await fetchSheetAsObjects();
+    const { version, changedAt, syncedAt } = getCacheInfo();
+    // redaction differs by role, and membership status by day (and the expiring window)
+    const etag = `"${version}-${req.user.role}-${toDateKey(new Date())}-${EXPIRING_WITHIN_DAYS}"`;
+    res.set({
+      ETag: etag,
+      "Last-Modified": new Date(changedAt).toUTCString(),
+      "Cache-Control": "private, no-cache",
+      "X-Roster-Synced-At": syncedAt,
+    });
+    // not req.fresh: fetch() adds "Cache-Control: no-cache" to any request with If-None-Match,
+    // and fresh treats that as "don't revalidate"
+    const sent = String(req.get("If-None-Match") || "").split(/\s*,\s*/);
+    if (sent.includes(etag) || sent.includes("*")) return res.status(304).end();
+
+    // one entry per snapshot rather than every member ID: clients refresh it all day
+    recordAudit(req, "view", { details: { scope: "roster", count: objects.length } });
+    return res.json(objects.map((m) => presentMember(m, req.user.role)));
+  } catch (err) {
+    logError("Error reading sheet", err, req);
+    return res.status(500).json({ message: "Failed to fetch sheet data", error: err.message });
+  }
+});
+
+module.exports = router;
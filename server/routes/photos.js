@@ -0,0 +1,85 @@
+// routes/photos.js
+const express = require("express");
+const multer = require("multer");
+const config = require("../config");
+const { authMiddleware } = require("../middleware/auth");
+const { findMemberById } = require("../datasources");
+const { PHOTO_SIZES, makeThumbnails } = require("../lib/photos");
+const { logError } = require("../lib/logger");
+const photos = require("../stores/photos");
+const { recordAudit } = require("../stores/audit");
+
+const router = express.Router();
+
+const PHOTO_CACHE_SECONDS = 24 * 60 * 60; // the client adds ?v=<updatedAt>, so a new photo is a new URL
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: Math.round(config.photoMaxUploadMb * 1024 * 1024), files: 1 },
+}).single("photo");
+
+/* multipart "photo" field into req.file; 413 when it's over PHOTO_MAX_UPLOAD_MB */
+function receivePhoto(req, res, next) {
+  upload(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({ message: `Photos must be under ${config.photoMaxUploadMb} MB` });
+    }
+    return res.status(400).json({ message: err.message });
+  });
+}
+
+/**
+ * POST /api/members/:id/photo
+ * multipart/form-data with one "photo" file (webcam capture or upload; JPEG, PNG, WebP, HEIC or GIF).
+ * Resized into square thumbnails (lib/photos.js) that replace any earlier photo.
+ * Returns 201 { photo: { updatedAt } }
+ */
+router.post("/members/:id/photo", authMiddleware, receivePhoto, async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ message: "photo file required" });
+    const member = await findMemberById(req.params.id);
+    if (!member) return res.status(404).json({ message: "Member not found" });
+
+    const photo = photos.savePhoto(member.ID, await makeThumbnails(req.file.buffer));
+    recordAudit(req, "edit", { memberIds: [member.ID], details: { fields: ["Photo"] } });
+    return res.status(201).json({ photo });
+  } catch (err) {
+    if (!err.status) logError("Error saving member photo", err, req);
+    return res.status(err.status || 500).json({ message: err.status ? err.message : "Failed to save photo" });
+  }
+});
+
+/**
+ * GET /api/members/:id/photo?size=small|large
+ * The stored thumbnail (JPEG). Private caching with an ETag; If-None-Match gets a 304.
+ */
+router.get("/members/:id/photo", authMiddleware, (req, res) => {
+  const size = String(req.query.size || "small").toLowerCase();
+  if (!PHOTO_SIZES[size]) {
+    return res.status(400).json({ message: `size must be one of: ${Object.keys(PHOTO_SIZES).join(", ")}` });
+  }
+
+  try {
+    const photo = photos.readPhoto(req.params.id, size);
+    if (!photo) return res.status(404).json({ message: "No photo for this member" });
+
+    const etag = `"${size}-${Date.parse(photo.updatedAt).toString(36)}"`;
+    res.set({
+      ETag: etag,
+      "Last-Modified": new Date(photo.updatedAt).toUTCString(),
+      "Cache-Control": `private, max-age=${PHOTO_CACHE_SECONDS}`,
+    });
+    // compared by hand for the same reason as GET /api/data (fetch adds no-cache with If-None-Match)
+    const sent = String(req.get("If-None-Match") || "").split(/\s*,\s*/);
+    if (sent.includes(etag)) return res.status(304).end();
+
+    res.type("image/jpeg");
+    return res.send(photo.body);
+  } catch (err) {
+    logError("Error reading member photo", err, req);
+    return res.status(500).json({ message: "Failed to read photo", error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,111 @@
+// routes/plans.js
+const express = require("express");
+const config = require("../config");
+const { authMiddleware, requireRole } = require("../middleware/auth");
+const plans = require("../stores/plans");
+const payments = require("../stores/payments");
+const { PAYMENT_METHODS, toCents } = require("../lib/payments");
+const { parseSheetDate, startOfDay, addDays } = require("../lib/dates");
+const { toPositiveInt } = require("../lib/search");
+const { logError } = require("../lib/logger");
+const { recordAudit } = require("../stores/audit");
+
+const router = express.Router();
+
+/* -- PLANS CATALOGUE -- */
+
+/**
+ * GET /api/plans?all=1
+ * The plans members can buy, shortest first; all=1 (admin/manager) includes retired plans.
+ * Returns { currency, methods, plans: [{ id, name, months, days, price, active, createdAt, updatedAt }] }
+ */
+router.get("/plans", authMiddleware, (req, res) => {
+  const includeRetired = req.query.all === "1" && ["admin", "manager"].includes(req.user.role);
+  return res.json({ currency: config.currency, methods: PAYMENT_METHODS, plans: plans.listPlans({ includeRetired }) });
+});
+
+/**
+ * POST /api/plans
+ * Body: { name, months | days, price }
+ */
+router.post("/plans", authMiddleware, requireRole("admin", "manager"), (req, res) => {
+  try {
+    return res.status(201).json(plans.createPlan(req.body || {}));
+  } catch (err) {
+    return res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+/**
+ * PUT /api/plans/:id
+ * Body: any of { name, months | days, price, active } — active: false retires the plan
+ */
+router.put("/plans/:id", authMiddleware, requireRole("admin", "manager"), (req, res) => {
+  try {
+    return res.json(plans.updatePlan(req.params.id, req.body || {}));
+  } catch (err) {
+    return res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+/* -- PAYMENTS LEDGER -- */
+
+const LEDGER_PAGE_SIZE = 50;
+const MAX_REFERENCE_LENGTH = 100;
+
+/**
+ * GET /api/payments?memberId=&from=yyyy-MM-dd&to=yyyy-MM-dd&page=&limit=
+ * Ledger entries, dates inclusive, newest first. Payments are recorded with POST /api/members/:id/payments,
+ * refunds (negative amounts, so totals are net) with POST /api/payments/:id/refunds.
+ * Returns { currency, total, totalAmount, page, limit, results: [payment] }
+ */
+router.get("/payments", authMiddleware, requireRole("admin", "manager"), (req, res) => {
+  const from = req.query.from ? parseSheetDate(req.query.from) : null;
+  const to = req.query.to ? parseSheetDate(req.query.to) : null;
+  if ((req.query.from && !from) || (req.query.to && !to)) {
+    return res.status(400).json({ message: "from/to must be dates (yyyy-MM-dd)" });
+  }
+
+  try {
+    const entries = payments.listPayments({
+      memberId: req.query.memberId ? String(req.query.memberId).trim() : undefined,
+      from: from ? startOfDay(from) : undefined,
+      to: to ? addDays(startOfDay(to), 1) : undefined,
+    });
+    const page = toPositiveInt(req.query.page, 1);
+    const limit = toPositiveInt(req.query.limit, LEDGER_PAGE_SIZE, 200);
+    const start = (page - 1) * limit;
+    const results = entries.slice(start, start + limit);
+    const totalCents = entries.reduce((sum, p) => sum + toCents(p.amount), 0);
+
+    recordAudit(req, "report", { memberIds: results.map((p) => p.memberId), details: { report: "payments" } });
+    return res.json({ currency: config.currency, total: entries.length, totalAmount: totalCents / 100, page, limit, results });
+  } catch (err) {
+    logError("Error reading payments", err, req);
+    return res.status(500).json({ message: "Failed to read payments", error: err.message });
+  }
+});
+
+/**
+ * POST /api/payments/:id/refunds
+ * Body: { amount?, reference }
+ * Corrects a payment with a refund entry (a negative amount against it). amount defaults to what is
+ * left to refund; reference (why) is required. The member's expiry isn't touched — edit it if the
+ * membership is cancelled too.
+ * Returns 201 { refund }
+ */
+router.post("/payments/:id/refunds", authMiddleware, requireRole("admin", "manager"), (req, res) => {
+  try {
+    const body = req.body || {};
+    const reference = String(body.reference ?? "").slice(0, MAX_REFERENCE_LENGTH);
+    const refund = payments.recordRefund(req.params.id, { amount: body.amount, reference, staff: req.user.username });
+    const { id, refundOf, amount } = refund;
+    recordAudit(req, "refund", { memberIds: [refund.memberId], details: { paymentId: refundOf, refundId: id, amount } });
+    return res.status(201).json({ refund });
+  } catch (err) {
+    if (!err.status) logError("Error recording refund", err, req);
+    return res.status(err.status || 500).json({ message: err.status ? err.message : "Failed to record refund" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,132 @@
+// routes/reports.js
+const express = require("express");
+const config = require("../config");
+const { authMiddleware, requireRole } = require("../middleware/auth");
+const { fetchSheetAsObjects } = require("../datasources");
+const { presentMember } = require("../lib/present");
+const { EXPIRING_WITHIN_DAYS } = require("../lib/status");
+const { parseSheetDate, toDateKey, startOfDay, addDays, addMonths } = require("../lib/dates");
+const { monthlyRevenue } = require("../lib/payments");
+const { toPositiveInt } = require("../lib/search");
+const { logError } = require("../lib/logger");
+const { recordAudit } = require("../stores/audit");
+const payments = require("../stores/payments");
+
+const router = express.Router();
+
+const STATUSES = ["active", "expiring", "expired", "unknown", "inactive"];
+
+/* Load the roster once per request with status attached, so every member is judged against the same "now" */
+async function loadPresented(role) {
+  const now = new Date();
+  const objects = await fetchSheetAsObjects();
+  return objects.map((m) => presentMember(m, role, now));
+}
+
+function sendError(res, err) {
+  logError("Error building report", err, res.req);
+  return res.status(500).json({ message: "Failed to build report", error: err.message });
+}
+
+/**
+ * GET /api/reports/status
+ * Dashboard data: counts for every status and the members in each non-active group
+ * (soonest to expire first; most recently expired first).
+ * Returns { expiringWithinDays, counts, groups: { expiring, expired, unknown } }
+ */
+router.get("/reports/status", authMiddleware, async (req, res) => {
+  try {
+    const members = await loadPresented(req.user.role);
+    const counts = Object.fromEntries(STATUSES.map((s) => [s, 0]));
+    const groups = { expiring: [], expired: [], unknown: [] };
+
+    members.forEach((m) => {
+      counts[m.membership.status]++;
+      if (groups[m.membership.status]) groups[m.membership.status].push(m);
+    });
+    groups.expiring.sort((a, b) => a.membership.daysLeft - b.membership.daysLeft);
+    groups.expired.sort((a, b) => b.membership.daysLeft - a.membership.daysLeft);
+    recordAudit(req, "report", {
+      memberIds: Object.values(groups).flat().map((m) => m.ID),
+      details: { report: "status" },
+    });
+
+    return res.json({ expiringWithinDays: EXPIRING_WITHIN_DAYS, counts, groups });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+/**
+ * GET /api/reports/expiring?withinDays=N
+ * Members still active who expire within N days (default EXPIRING_WITHIN_DAYS), soonest first.
+ * Returns { withinDays, total, members }
+ */
+router.get("/reports/expiring", authMiddleware, async (req, res) => {
+  try {
+    const withinDays = toPositiveInt(req.query.withinDays, EXPIRING_WITHIN_DAYS, 365);
+    const members = (await loadPresented(req.user.role))
+      .filter((m) => m.membership.status !== "inactive")
+      .filter((m) => m.membership.daysLeft !== null && m.membership.daysLeft > 0 && m.membership.daysLeft <= withinDays)
+      .sort((a, b) => a.membership.daysLeft - b.membership.daysLeft);
+
+    recordAudit(req, "report", { memberIds: members.map((m) => m.ID), details: { report: "expiring", withinDays } });
+    return res.json({ withinDays, total: members.length, members });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+/**
+ * GET /api/reports/expired?since=yyyy-MM-dd
+ * Expired members, optionally only those whose expiry falls on or after `since`; most recent first.
+ * Returns { since, total, members }
+ */
+router.get("/reports/expired", authMiddleware, async (req, res) => {
+  try {
+    const since = req.query.since ? parseSheetDate(req.query.since) : null;
+    if (req.query.since && !since) return res.status(400).json({ message: "since must be a date (yyyy-MM-dd)" });
+    const sinceKey = since ? toDateKey(since) : null;
+
+    const members = (await loadPresented(req.user.role))
+      .filter((m) => m.membership.status === "expired" && (!sinceKey || m.membership.expiry >= sinceKey))
+      .sort((a, b) => b.membership.daysLeft - a.membership.daysLeft);
+
+    recordAudit(req, "report", { memberIds: members.map((m) => m.ID), details: { report: "expired", since: sinceKey } });
+    return res.json({ since: sinceKey, total: members.length, members });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+const REVENUE_DEFAULT_MONTHS = 12;
+const REVENUE_MAX_MONTHS = 60;
+
+/**
+ * GET /api/reports/revenue?from=yyyy-MM-dd&to=yyyy-MM-dd
+ * Payments ledger totals per calendar month, dates inclusive (default: the last 12 months to today).
+ * Returns { from, to, currency, total: { amount, count },
+ *           months: [{ month: "yyyy-MM", amount, count, byPlan: [{ planId, planName, amount, count }] }] }
+ */
+router.get("/reports/revenue", authMiddleware, requireRole("admin", "manager"), (req, res) => {
+  const today = startOfDay(new Date());
+  const to = req.query.to ? parseSheetDate(req.query.to) : today;
+  const defaultFrom = addMonths(new Date(today.getFullYear(), today.getMonth(), 1), 1 - REVENUE_DEFAULT_MONTHS);
+  const from = req.query.from ? parseSheetDate(req.query.from) : defaultFrom;
+  if (!from || !to) return res.status(400).json({ message: "from/to must be dates (yyyy-MM-dd)" });
+  if (from > to) return res.status(400).json({ message: "from must not be after to" });
+  if (addMonths(startOfDay(from), REVENUE_MAX_MONTHS) <= to) {
+    return res.status(400).json({ message: `The range can cover at most ${REVENUE_MAX_MONTHS} months` });
+  }
+
+  try {
+    const start = startOfDay(from);
+    const end = addDays(startOfDay(to), 1);
+    const ledger = payments.listPayments({ from: start, to: end });
+    return res.json({ from: toDateKey(start), to: toDateKey(to), currency: config.currency, ...monthlyRevenue(ledger, start, end) });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,43 @@
+// scripts/create-user.js
+// Usage: npm run create-user -- <username> <admin|manager|desk>
+// Prompts for the password (or reads it from NEW_USER_PASSWORD).
+const readline = require("readline");
+
+// loading the store loads config.js, which rejects an invalid .env before anything is written
+let createUser;
+try {
+  ({ createUser } = require("../stores/users"));
+} catch (err) {
+  if (err.name !== "ConfigError") throw err;
+  console.error(err.message);
+  process.exit(1);
+}
+
+function prompt(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise((resolve) =>
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer);
+    })
+  );
+}
+
+async function main() {
+  const [username, role] = process.argv.slice(2);
+  if (!username || !role) {
+    console.error("Usage: npm run create-user -- <username> <admin|manager|desk>");
+    process.exit(1);
+  }
+
+  const password = process.env.NEW_USER_PASSWORD || (await prompt("Password: "));
+  try {
+    const user = createUser({ username, password, role });
+    console.log(`Created ${user.role} user "${user.username}"`);
+  } catch (err) {
+    console.error(`Could not create user: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,32 @@
+// scripts/send-reminders.js
+// Usage: npm run send-reminders [-- --dry-run]
+// One reminder run, for cron instead of the in-process schedule (set REMINDER_INTERVAL_MINUTES=0).
+let runReminders;
+try {
+  ({ runReminders } = require("../lib/reminders"));
+} catch (err) {
+  if (err.name !== "ConfigError") throw err;
+  console.error(err.message);
+  process.exit(1);
+}
+
+async function main() {
+  const dryRun = process.argv.includes("--dry-run");
+  try {
+    const summary = await runReminders({ dryRun });
+    summary.results.forEach((r) => {
+      console.log(`${r.status.padEnd(10)} ${r.kind.padEnd(8)} ${r.memberId} ${r.memberName}${r.error ? ` (${r.error})` : ""}`);
+      if (r.text) console.log(`${r.subject ? `  Subject: ${r.subject}\n` : ""}  ${r.text.replace(/\n/g, "\n  ")}\n`);
+    });
+    console.log(
+      `${summary.transport}: ${summary.sent} sent, ${summary.failed} failed, ` +
+        `${summary.alreadySent} already reminded, ${summary.noContact} without contact details`
+    );
+    if (summary.failed) process.exitCode = 1;
+  } catch (err) {
+    console.error(`Could not run reminders: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+main();
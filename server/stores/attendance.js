@@ -0,0 +1,45 @@
+// stores/attendance.js
+const crypto = require("crypto");
+const config = require("../config");
+const { dataPath, appendJsonl, readJsonl } = require("../lib/jsonFile");
+
+/*
+ * Append-only check-in log.
+ * Record: { id, memberId, memberName, at, staff, status, daysLeft, flagged, overrideReason, syncedAt? }
+ * flagged = admitted despite an expired/unknown membership; overrideReason says why.
+ * syncedAt is set for check-ins queued offline by the client: `at` is when it happened at the desk.
+ */
+const ATTENDANCE_FILE = config.attendanceFile || dataPath("attendance.jsonl");
+
+/* at: Date of the visit (defaults to now) */
+function recordCheckIn({ at, ...checkIn }) {
+  const now = new Date();
+  const record = { id: crypto.randomUUID(), ...checkIn, at: (at || now).toISOString() };
+  if (at) record.syncedAt = now.toISOString();
+  appendJsonl(ATTENDANCE_FILE, record);
+  return record;
+}
+
+/* Check-ins with from <= at < to (Dates, both optional), optionally for one member; oldest first */
+function listCheckIns({ from, to, memberId } = {}) {
+  return readJsonl(ATTENDANCE_FILE).filter((r) => {
+    const at = Date.parse(r.at);
+    if (from && at < from.getTime()) return false;
+    if (to && at >= to.getTime()) return false;
+    if (memberId !== undefined && String(r.memberId) !== String(memberId)) return false;
+    return true;
+  });
+}
+
+/* { [memberId]: ISO time of latest check-in } for the given IDs */
+function lastCheckIns(memberIds) {
+  const wanted = new Set(memberIds.map(String));
+  const last = {};
+  readJsonl(ATTENDANCE_FILE).forEach((r) => {
+    const id = String(r.memberId);
+    if (wanted.has(id) && (!last[id] || r.at > last[id])) last[id] = r.at;
+  });
+  return last;
+}
+
+module.exports = { recordCheckIn, listCheckIns, lastCheckIns };
@@ -0,0 +1,63 @@
+// stores/audit.js
+const config = require("../config");
+const { dataPath, appendJsonl, readJsonl } = require("../lib/jsonFile");
+const { canViewPhone } = require("../lib/roles");
+
+/*
+ * Append-only audit trail of staff access to member records. There is deliberately
+ * no update or delete: entries are only ever appended.
+ * Record: { at, action, staff, role, memberIds, phoneVisible, details, requestId, ip }
+ *   action       = search | view | export | report | renew | refund | checkin | add | edit | deactivate | reactivate
+ *   memberIds    = every member whose record was returned or changed (none for a roster
+ *                  download, which only records { scope: "roster", count })
+ *   phoneVisible = whether the staff role could see phone numbers at the time
+ */
+const AUDIT_FILE = config.auditFile || dataPath("audit.jsonl");
+
+const AUDIT_ACTIONS = [
+  "search",
+  "view",
+  "export",
+  "report",
+  "renew",
+  "refund",
+  "checkin",
+  "add",
+  "edit",
+  "deactivate",
+  "reactivate",
+];
+
+/* Records who (req.user) did what to which members */
+function recordAudit(req, action, { memberIds = [], details = {} } = {}) {
+  const record = {
+    at: new Date().toISOString(),
+    action,
+    staff: req.user.username,
+    role: req.user.role,
+    memberIds: memberIds.map(String),
+    phoneVisible: canViewPhone(req.user.role),
+    details,
+    requestId: req.id,
+    ip: req.ip,
+  };
+  appendJsonl(AUDIT_FILE, record);
+  return record;
+}
+
+/* Entries with from <= at < to (Dates, both optional), filtered by staff/member/action; newest first */
+function listAudit({ staff, memberId, action, from, to } = {}) {
+  return readJsonl(AUDIT_FILE)
+    .filter((r) => {
+      const at = Date.parse(r.at);
+      if (from && at < from.getTime()) return false;
+      if (to && at >= to.getTime()) return false;
+      if (staff && r.staff !== staff) return false;
+      if (action && r.action !== action) return false;
+      if (memberId !== undefined && !r.memberIds.includes(String(memberId))) return false;
+      return true;
+    })
+    .reverse();
+}
+
+module.exports = { recordAudit, listAudit, AUDIT_ACTIONS };
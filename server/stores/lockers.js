@@ -0,0 +1,74 @@
+// stores/lockers.js
+const config = require("../config");
+const { dataPath, readJson, writeJson, appendJsonl, readJsonl } = require("../lib/jsonFile");
+const { httpError } = require("../lib/httpError");
+
+/*
+ * Locker inventory and assignment log. Who holds a locker lives in the roster's "Locker" column
+ * (so the sheet and member cards stay right); this is the list of lockers that exist.
+ * Locker: { label, area, createdAt }  label is upper case (see lockerKey in lib/lockers.js)
+ * Log record: { at, action, locker, memberId, memberName, staff, reason? }
+ *   action = assign | release; staff is "system" for releases by the overdue schedule
+ */
+const LOCKERS_FILE = config.lockersFile || dataPath("lockers.json");
+const LOCKER_LOG_FILE = config.lockerLogFile || dataPath("locker-log.jsonl");
+
+const MAX_AREA_LENGTH = 30;
+
+/* In label order, numbers compared as numbers (A2 before A10) */
+function listLockers() {
+  return readJson(LOCKERS_FILE, []).sort((a, b) =>
+    a.label.localeCompare(b.label, undefined, { numeric: true })
+  );
+}
+
+function findLocker(label) {
+  return readJson(LOCKERS_FILE, []).find((l) => l.label === label) || null;
+}
+
+/* labels: already checked by parseLockerLabels. Returns { added: [locker], skipped: [label] } (already listed) */
+function addLockers(labels, area = "") {
+  const trimmedArea = String(area ?? "").trim().replace(/\s+/g, " ");
+  if (trimmedArea.length > MAX_AREA_LENGTH) throw httpError(400, `area must be at most ${MAX_AREA_LENGTH} characters`);
+
+  const lockers = readJson(LOCKERS_FILE, []);
+  const existing = new Set(lockers.map((l) => l.label));
+  const createdAt = new Date().toISOString();
+  const added = [];
+  const skipped = [];
+  labels.forEach((label) => {
+    if (existing.has(label)) {
+      skipped.push(label);
+      return;
+    }
+    existing.add(label);
+    added.push({ label, area: trimmedArea, createdAt });
+  });
+  if (added.length) writeJson(LOCKERS_FILE, [...lockers, ...added]);
+  return { added, skipped };
+}
+
+/* Returns false if there was no such locker */
+function removeLocker(label) {
+  const lockers = readJson(LOCKERS_FILE, []);
+  const remaining = lockers.filter((l) => l.label !== label);
+  if (remaining.length === lockers.length) return false;
+  writeJson(LOCKERS_FILE, remaining);
+  return true;
+}
+
+function recordLockerEvent(event) {
+  const record = { at: new Date().toISOString(), ...event };
+  appendJsonl(LOCKER_LOG_FILE, record);
+  return record;
+}
+
+/* Newest first, optionally for one locker or member */
+function listLockerEvents({ locker, memberId } = {}) {
+  return readJsonl(LOCKER_LOG_FILE)
+    .filter((r) => locker === undefined || r.locker === locker)
+    .filter((r) => memberId === undefined || String(r.memberId) === String(memberId))
+    .reverse();
+}
+
+module.exports = { listLockers, findLocker, addLockers, removeLocker, recordLockerEvent, listLockerEvents };
@@ -0,0 +1,119 @@
+// stores/loginAttempts.js
+const config = require("../config");
+const { dataPath, readJson, writeJson } = require("../lib/jsonFile");
+
+/*
+ * Failed-login tracking per username and per client IP, persisted so a restart
+ * doesn't hand an attacker a fresh set of guesses.
+ * Reaching maxFailures within the window locks the key for LOCKOUT_BASE_SECONDS,
+ * doubling with every further failure (capped at LOCKOUT_MAX_MINUTES).
+ * IPs get a larger allowance since a front desk may share one address.
+ *
+ * Record: { key, failures, firstFailureAt, lastFailureAt, lockedUntil }
+ *   key = "user:<username>" | "ip:<address>"
+ */
+const ATTEMPTS_FILE = config.loginAttemptsFile || dataPath("login-attempts.json");
+const MAX_USER_FAILURES = config.loginMaxFailures;
+const MAX_IP_FAILURES = config.loginMaxIpFailures;
+const WINDOW_MS = config.loginFailureWindowMinutes * 60 * 1000; // failures older than this are forgotten
+const LOCKOUT_BASE_SECONDS = config.loginLockoutBaseSeconds;
+const LOCKOUT_MAX_MS = config.loginLockoutMaxMinutes * 60 * 1000;
+
+function userKey(username) {
+  return `user:${String(username || "").trim().toLowerCase()}`;
+}
+
+function ipKey(ip) {
+  return `ip:${ip || "unknown"}`;
+}
+
+function loadAttempts() {
+  return readJson(ATTEMPTS_FILE, []);
+}
+
+/* Keep records that are still locked or still inside the failure window */
+function saveAttempts(records, now = Date.now()) {
+  writeJson(
+    ATTEMPTS_FILE,
+    records.filter((r) => r.lockedUntil > now || r.lastFailureAt > now - WINDOW_MS)
+  );
+}
+
+function lockDuration(failures, maxFailures) {
+  const extra = failures - maxFailures;
+  if (extra < 0) return 0;
+  return Math.min(LOCKOUT_BASE_SECONDS * 1000 * 2 ** extra, LOCKOUT_MAX_MS);
+}
+
+/* Seconds until every key for this login is unlocked (0 when not locked) */
+function secondsLocked(records, keys, now) {
+  const until = Math.max(0, ...records.filter((r) => keys.includes(r.key)).map((r) => r.lockedUntil || 0));
+  return until > now ? Math.ceil((until - now) / 1000) : 0;
+}
+
+/* Returns { locked, retryAfter } for a login attempt from this username + IP */
+function checkLockout(username, ip, now = Date.now()) {
+  const retryAfter = secondsLocked(loadAttempts(), [userKey(username), ipKey(ip)], now);
+  return { locked: retryAfter > 0, retryAfter };
+}
+
+/* Count a failed login against both keys. Returns { locked, retryAfter } after this failure */
+function recordFailure(username, ip, now = Date.now()) {
+  const records = loadAttempts();
+  const limits = [
+    [userKey(username), MAX_USER_FAILURES],
+    [ipKey(ip), MAX_IP_FAILURES],
+  ];
+
+  limits.forEach(([key, maxFailures]) => {
+    let record = records.find((r) => r.key === key);
+    if (record && record.lastFailureAt <= now - WINDOW_MS && !(record.lockedUntil > now)) {
+      records.splice(records.indexOf(record), 1);
+      record = null;
+    }
+    if (!record) {
+      record = { key, failures: 0, firstFailureAt: now, lastFailureAt: now, lockedUntil: 0 };
+      records.push(record);
+    }
+    record.failures++;
+    record.lastFailureAt = now;
+    const duration = lockDuration(record.failures, maxFailures);
+    if (duration) record.lockedUntil = now + duration;
+  });
+
+  saveAttempts(records, now);
+  const retryAfter = secondsLocked(records, limits.map(([key]) => key), now);
+  return { locked: retryAfter > 0, retryAfter };
+}
+
+/* Successful login clears the username's history; the IP's failures still have to age out */
+function recordSuccess(username) {
+  return unlock({ username });
+}
+
+/* Admin unlock. Returns the number of records cleared */
+function unlock({ username, ip }) {
+  const keys = [username && userKey(username), ip && ipKey(ip)].filter(Boolean);
+  const records = loadAttempts();
+  const remaining = records.filter((r) => !keys.includes(r.key));
+  if (remaining.length !== records.length) saveAttempts(remaining);
+  return records.length - remaining.length;
+}
+
+/* Currently locked keys, for the admin view */
+function listLockouts(now = Date.now()) {
+  return loadAttempts()
+    .filter((r) => r.lockedUntil > now)
+    .map((r) => {
+      const [type, ...rest] = r.key.split(":");
+      return {
+        type: type === "ip" ? "ip" : "user",
+        value: rest.join(":"),
+        failures: r.failures,
+        lastFailureAt: new Date(r.lastFailureAt).toISOString(),
+        lockedUntil: new Date(r.lockedUntil).toISOString(),
+      };
+    });
+}
+
+module.exports = { checkLockout, recordFailure, recordSuccess, unlock, listLockouts };
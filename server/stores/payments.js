@@ -0,0 +1,82 @@
+// stores/payments.js
+const crypto = require("crypto");
+const config = require("../config");
+const { dataPath, appendJsonl, readJsonl } = require("../lib/jsonFile");
+const { httpError } = require("../lib/httpError");
+const { parseAmount, toCents } = require("../lib/payments");
+
+/*
+ * Append-only payments ledger. Mistakes are corrected with a new entry, never by editing.
+ * Record: { id, at, type, memberId, memberName, planId, planName, months, days, amount, currency,
+ *           method, reference, previousExpiry, newExpiry, staff }
+ *   type = payment | refund (entries from before refunds have no type and are payments)
+ *   plan details are copied in, so later catalogue changes don't rewrite history
+ *   a refund has a negative amount and refundOf: the payment's id (and no expiry fields)
+ */
+const PAYMENTS_FILE = config.paymentsFile || dataPath("payments.jsonl");
+
+function recordPayment(payment) {
+  const record = { id: crypto.randomUUID(), at: new Date().toISOString(), type: "payment", ...payment };
+  appendJsonl(PAYMENTS_FILE, record);
+  return record;
+}
+
+function isRefund(entry) {
+  return entry.type === "refund";
+}
+
+/*
+ * Correct a payment with a refund entry against it. amount (positive) defaults to what hasn't been
+ * refunded yet and can't exceed it; reference says why. Returns the refund record.
+ */
+function recordRefund(paymentId, { amount, reference, staff }) {
+  const entries = readJsonl(PAYMENTS_FILE);
+  const payment = entries.find((p) => p.id === String(paymentId) && !isRefund(p));
+  if (!payment) throw httpError(404, "Payment not found");
+
+  const refundedCents = entries
+    .filter((p) => isRefund(p) && p.refundOf === payment.id)
+    .reduce((sum, p) => sum - toCents(p.amount), 0);
+  const leftCents = toCents(payment.amount) - refundedCents;
+  if (leftCents <= 0) throw httpError(409, "This payment has already been refunded in full");
+
+  const cents = amount === undefined || amount === "" ? leftCents : toCents(parseAmount(amount));
+  if (cents <= 0) throw httpError(400, "amount must be more than 0");
+  if (cents > leftCents) throw httpError(400, `At most ${leftCents / 100} of this payment is left to refund`);
+  const trimmed = String(reference ?? "").trim();
+  if (!trimmed) throw httpError(400, "reference required (why the payment is being corrected)");
+
+  const { memberId, memberName, planId, planName, currency, method } = payment;
+  const record = {
+    id: crypto.randomUUID(),
+    at: new Date().toISOString(),
+    type: "refund",
+    refundOf: payment.id,
+    memberId,
+    memberName,
+    planId,
+    planName,
+    amount: -cents / 100,
+    currency,
+    method,
+    reference: trimmed,
+    staff,
+  };
+  appendJsonl(PAYMENTS_FILE, record);
+  return record;
+}
+
+/* Entries with from <= at < to (Dates, both optional), optionally for one member; newest first */
+function listPayments({ memberId, from, to } = {}) {
+  return readJsonl(PAYMENTS_FILE)
+    .filter((p) => {
+      const at = Date.parse(p.at);
+      if (from && at < from.getTime()) return false;
+      if (to && at >= to.getTime()) return false;
+      if (memberId !== undefined && String(p.memberId) !== String(memberId)) return false;
+      return true;
+    })
+    .reverse();
+}
+
+module.exports = { isRefund, recordPayment, recordRefund, listPayments };
@@ -0,0 +1,67 @@
+// stores/photos.js
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const config = require("../config");
+const { dataPath } = require("../lib/jsonFile");
+const { PHOTO_SIZES } = require("../lib/photos");
+
+/*
+ * Member photo thumbnails (lib/photos.js), one JPEG per size:
+ *   PHOTOS_DIR/<hash of member ID>-<size>.jpg
+ * Hashing keeps any member ID a safe file name. The small file's mtime is the photo's updatedAt.
+ */
+const PHOTOS_DIR = config.photosDir || dataPath("photos");
+
+function photoPath(memberId, size) {
+  const hash = crypto.createHash("sha1").update(String(memberId).trim()).digest("hex").slice(0, 20);
+  return path.join(PHOTOS_DIR, `${hash}-${size}.jpg`);
+}
+
+/* Returns { updatedAt } or null when the member has no photo */
+function photoInfo(memberId) {
+  try {
+    const { mtime } = fs.statSync(photoPath(memberId, "small"));
+    return { updatedAt: mtime.toISOString() };
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+/* member ID → updatedAt for the given IDs that have a photo */
+function photoVersions(memberIds) {
+  const versions = {};
+  memberIds.forEach((id) => {
+    const info = photoInfo(id);
+    if (info) versions[id] = info.updatedAt;
+  });
+  return versions;
+}
+
+/* thumbnails: { size: Buffer }. Each file is written then renamed so readers never see half a photo */
+function savePhoto(memberId, thumbnails) {
+  fs.mkdirSync(PHOTOS_DIR, { recursive: true });
+  // small last: its mtime is the version, so it must not change before the large one is in place
+  const sizes = Object.keys(PHOTO_SIZES).filter((size) => size !== "small");
+  [...sizes, "small"].forEach((size) => {
+    const file = photoPath(memberId, size);
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, thumbnails[size]);
+    fs.renameSync(tmp, file);
+  });
+  return photoInfo(memberId);
+}
+
+/* Returns { body, updatedAt } or null */
+function readPhoto(memberId, size) {
+  const file = photoPath(memberId, size);
+  try {
+    return { body: fs.readFileSync(file), updatedAt: fs.statSync(file).mtime.toISOString() };
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+module.exports = { photoInfo, photoVersions, savePhoto, readPhoto };
@@ -0,0 +1,88 @@
+// stores/plans.js
+const crypto = require("crypto");
+const config = require("../config");
+const { dataPath, readJson, writeJson } = require("../lib/jsonFile");
+const { httpError } = require("../lib/httpError");
+const { parsePlanDuration } = require("../lib/renewal");
+const { parseAmount } = require("../lib/payments");
+
+/*
+ * Plans catalogue: what a member can buy.
+ * Record: { id, name, months, days, price, active, createdAt, updatedAt }
+ *   months or days is set (the other is null); price is in CURRENCY.
+ * Plans are never deleted because payments refer to them; retire one with active: false.
+ */
+const PLANS_FILE = config.plansFile || dataPath("plans.json");
+
+const MAX_NAME_LENGTH = 60;
+
+function loadPlans() {
+  return readJson(PLANS_FILE, []);
+}
+
+function parseName(name) {
+  const trimmed = String(name ?? "").trim().replace(/\s+/g, " ");
+  if (!trimmed || trimmed.length > MAX_NAME_LENGTH) throw httpError(400, `name must be 1-${MAX_NAME_LENGTH} characters`);
+  return trimmed;
+}
+
+/* Rough length for sorting the catalogue (a month counts as 30 days) */
+function durationInDays(plan) {
+  return plan.months ? plan.months * 30 : plan.days;
+}
+
+/* Active plans only unless includeRetired; shortest first */
+function listPlans({ includeRetired = false } = {}) {
+  return loadPlans()
+    .filter((p) => includeRetired || p.active)
+    .sort((a, b) => durationInDays(a) - durationInDays(b) || a.price - b.price);
+}
+
+function findPlan(id) {
+  return loadPlans().find((p) => p.id === String(id)) || null;
+}
+
+/* Body: { name, months | days, price } */
+function createPlan(body = {}) {
+  const name = parseName(body.name);
+  const { months = null, days = null } = parsePlanDuration(body);
+  const price = parseAmount(body.price, "price");
+
+  const plans = loadPlans();
+  if (plans.some((p) => p.active && p.name.toLowerCase() === name.toLowerCase())) {
+    throw httpError(409, "A plan with that name already exists");
+  }
+  const now = new Date().toISOString();
+  const plan = { id: crypto.randomUUID(), name, months, days, price, active: true, createdAt: now, updatedAt: now };
+  plans.push(plan);
+  writeJson(PLANS_FILE, plans);
+  return plan;
+}
+
+/* Body: any of { name, months | days, price, active }; past payments keep the details they were made with */
+function updatePlan(id, body = {}) {
+  const plans = loadPlans();
+  const plan = plans.find((p) => p.id === String(id));
+  if (!plan) throw httpError(404, "Plan not found");
+
+  const next = { ...plan };
+  if (body.name !== undefined) next.name = parseName(body.name);
+  if (body.months !== undefined || body.days !== undefined) {
+    const { months = null, days = null } = parsePlanDuration(body);
+    Object.assign(next, { months, days });
+  }
+  if (body.price !== undefined) next.price = parseAmount(body.price, "price");
+  if (body.active !== undefined) {
+    if (typeof body.active !== "boolean") throw httpError(400, "active must be true or false");
+    next.active = body.active;
+  }
+  if (next.active && plans.some((p) => p.id !== plan.id && p.active && p.name.toLowerCase() === next.name.toLowerCase())) {
+    throw httpError(409, "A plan with that name already exists");
+  }
+
+  next.updatedAt = new Date().toISOString();
+  writeJson(PLANS_FILE, plans.map((p) => (p.id === plan.id ? next : p)));
+  return next;
+}
+
+module.exports = { listPlans, findPlan, createPlan, updatePlan };
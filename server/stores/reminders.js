@@ -0,0 +1,42 @@
+// stores/reminders.js
+const config = require("../config");
+const { dataPath, appendJsonl, readJsonl } = require("../lib/jsonFile");
+
+/*
+ * Append-only send log for renewal reminders.
+ * Record: { at, memberId, memberName, kind, expiry, channel, transport, status, messageId, error }
+ *   kind   = expiring | expired
+ *   expiry = the yyyy-MM-dd expiry the reminder was about; with kind it defines the reminder window
+ *   status = sent | failed
+ * Contact details are not logged; memberId identifies the recipient.
+ */
+const REMINDER_LOG_FILE = config.reminderLogFile || dataPath("reminders.jsonl");
+
+function recordReminder(entry) {
+  const record = { at: new Date().toISOString(), ...entry };
+  appendJsonl(REMINDER_LOG_FILE, record);
+  return record;
+}
+
+/* Newest first, optionally for one member and/or status */
+function listReminders({ memberId, status } = {}) {
+  return readJsonl(REMINDER_LOG_FILE)
+    .filter((r) => memberId === undefined || String(r.memberId) === String(memberId))
+    .filter((r) => status === undefined || r.status === status)
+    .reverse();
+}
+
+/* Keys ("memberId|kind|expiry") of every window that already has a sent reminder */
+function sentWindows() {
+  return new Set(
+    readJsonl(REMINDER_LOG_FILE)
+      .filter((r) => r.status === "sent")
+      .map((r) => reminderWindow(r))
+  );
+}
+
+function reminderWindow({ memberId, kind, expiry }) {
+  return `${memberId}|${kind}|${expiry}`;
+}
+
+module.exports = { recordReminder, listReminders, sentWindows, reminderWindow };
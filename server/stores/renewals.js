@@ -0,0 +1,24 @@
+// stores/renewals.js
+const config = require("../config");
+const { dataPath, appendJsonl, readJsonl } = require("../lib/jsonFile");
+
+/*
+ * Append-only renewal log.
+ * Record: { memberId, memberName, previousExpiry, newExpiry, months, days, staff, at }
+ */
+const RENEWALS_FILE = config.renewalsFile || dataPath("renewals.jsonl");
+
+function recordRenewal(renewal) {
+  const record = { ...renewal, at: new Date().toISOString() };
+  appendJsonl(RENEWALS_FILE, record);
+  return record;
+}
+
+/* Newest first, optionally for one member */
+function listRenewals({ memberId } = {}) {
+  return readJsonl(RENEWALS_FILE)
+    .filter((r) => memberId === undefined || String(r.memberId) === String(memberId))
+    .reverse();
+}
+
+module.exports = { recordRenewal, listRenewals };
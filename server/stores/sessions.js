@@ -0,0 +1,170 @@
+// stores/sessions.js
+const crypto = require("crypto");
+const config = require("../config");
+const { dataPath, readJson, writeJson } = require("../lib/jsonFile");
+
+/*
+ * Refresh-token sessions, persisted so restarts don't log everyone out.
+ * Each login starts a token family; every /api/refresh rotates the token within it.
+ * Only SHA-256 hashes of tokens are stored. Presenting a token that was already
+ * rotated out means it leaked (or was replayed), so the whole family is revoked.
+ *
+ * Record: { id, username, createdAt, lastUsedAt, expiresAt, tokenHash, previousHashes,
+ *           revokedAt, revokedReason, userAgent, ip }
+ */
+const SESSIONS_FILE = config.sessionsFile || dataPath("sessions.json");
+const REFRESH_EXPIRES_DAYS = config.refreshExpiresDays; // refresh token lifetime
+const REFRESH_TTL_MS = REFRESH_EXPIRES_DAYS * 24 * 60 * 60 * 1000;
+const MAX_PREVIOUS_HASHES = 50; // rotated-out hashes kept per family for reuse detection
+
+function generateRefreshToken() {
+  return crypto.randomBytes(40).toString("hex");
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function isActive(session, now = Date.now()) {
+  return !session.revokedAt && session.expiresAt > now;
+}
+
+/* Revoked/expired families are kept for a day so late reuse is still recognised, then dropped */
+function prune(sessions, now = Date.now()) {
+  const keepUntil = now - 24 * 60 * 60 * 1000;
+  return sessions.filter((s) => (s.revokedAt ? Date.parse(s.revokedAt) : s.expiresAt) > keepUntil);
+}
+
+function loadSessions() {
+  return readJson(SESSIONS_FILE, []);
+}
+
+function saveSessions(sessions) {
+  writeJson(SESSIONS_FILE, prune(sessions));
+}
+
+function toPublic(s) {
+  return {
+    id: s.id,
+    username: s.username,
+    createdAt: s.createdAt,
+    lastUsedAt: s.lastUsedAt,
+    expiresAt: new Date(s.expiresAt).toISOString(),
+    userAgent: s.userAgent,
+    ip: s.ip,
+  };
+}
+
+function revoke(session, reason) {
+  session.revokedAt = new Date().toISOString();
+  session.revokedReason = reason;
+}
+
+/* Start a new token family. Returns { refreshToken, session } */
+function createSession({ username, userAgent, ip }) {
+  const refreshToken = generateRefreshToken();
+  const now = new Date();
+  const session = {
+    id: crypto.randomUUID(),
+    username,
+    createdAt: now.toISOString(),
+    lastUsedAt: now.toISOString(),
+    expiresAt: now.getTime() + REFRESH_TTL_MS,
+    tokenHash: hashToken(refreshToken),
+    previousHashes: [],
+    revokedAt: null,
+    revokedReason: null,
+    userAgent: userAgent || "",
+    ip: ip || "",
+  };
+
+  const sessions = loadSessions();
+  sessions.push(session);
+  saveSessions(sessions);
+  return { refreshToken, session: toPublic(session) };
+}
+
+/**
+ * Exchange a refresh token for a new one in the same family.
+ * Returns { status: "ok", refreshToken, session } or { status: "invalid" | "expired" | "revoked" | "reused" }
+ */
+function rotateSession(refreshToken, { userAgent, ip } = {}) {
+  const hash = hashToken(refreshToken);
+  const sessions = loadSessions();
+
+  const session = sessions.find((s) => s.tokenHash === hash);
+  if (!session) {
+    const family = sessions.find((s) => s.previousHashes.includes(hash));
+    if (!family) return { status: "invalid" };
+    if (!family.revokedAt) {
+      revoke(family, "reuse");
+      saveSessions(sessions);
+    }
+    return { status: "reused", session: toPublic(family) };
+  }
+
+  if (session.revokedAt) return { status: "revoked" };
+  if (session.expiresAt <= Date.now()) return { status: "expired" };
+
+  const nextToken = generateRefreshToken();
+  session.previousHashes = [session.tokenHash, ...session.previousHashes].slice(0, MAX_PREVIOUS_HASHES);
+  session.tokenHash = hashToken(nextToken);
+  session.lastUsedAt = new Date().toISOString();
+  session.expiresAt = Date.now() + REFRESH_TTL_MS;
+  if (userAgent) session.userAgent = userAgent;
+  if (ip) session.ip = ip;
+  saveSessions(sessions);
+
+  return { status: "ok", refreshToken: nextToken, session: toPublic(session) };
+}
+
+/* Logout: revoke the family the token belongs to (current or rotated-out) */
+function revokeByToken(refreshToken, reason = "logout") {
+  const hash = hashToken(refreshToken);
+  const sessions = loadSessions();
+  const session = sessions.find((s) => s.tokenHash === hash || s.previousHashes.includes(hash));
+  if (!session || session.revokedAt) return false;
+  revoke(session, reason);
+  saveSessions(sessions);
+  return true;
+}
+
+/* Active sessions, optionally for one user */
+function listSessions(username) {
+  const now = Date.now();
+  return loadSessions()
+    .filter((s) => isActive(s, now) && (!username || s.username === username))
+    .map(toPublic);
+}
+
+function revokeSession(id, { username, reason = "admin" } = {}) {
+  const sessions = loadSessions();
+  const session = sessions.find((s) => s.id === id && (!username || s.username === username));
+  if (!session || !isActive(session)) return false;
+  revoke(session, reason);
+  saveSessions(sessions);
+  return true;
+}
+
+/* Returns the number of sessions revoked */
+function revokeUserSessions(username, reason = "admin") {
+  const sessions = loadSessions();
+  let count = 0;
+  sessions.forEach((s) => {
+    if (s.username === username && isActive(s)) {
+      revoke(s, reason);
+      count++;
+    }
+  });
+  if (count) saveSessions(sessions);
+  return count;
+}
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeByToken,
+  listSessions,
+  revokeSession,
+  revokeUserSessions,
+};
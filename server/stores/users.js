@@ -0,0 +1,88 @@
+// stores/users.js
+const config = require("../config");
+const { dataPath, readJson, writeJson } = require("../lib/jsonFile");
+const { hashPassword, verifyPassword } = require("../lib/passwords");
+const { isValidRole, ROLES } = require("../lib/roles");
+const { httpError } = require("../lib/httpError");
+
+// File of { username, passwordHash, role, createdAt } records
+const USERS_FILE = config.usersFile || dataPath("users.json");
+
+// Compared against when the username doesn't exist, so unknown users take as long as wrong passwords
+const DUMMY_HASH = hashPassword("not-a-real-password");
+
+function normalizeUsername(username) {
+  return String(username || "").trim().toLowerCase();
+}
+
+function loadUsers() {
+  return readJson(USERS_FILE, []);
+}
+
+function toPublic({ username, role, createdAt }) {
+  return { username, role, createdAt };
+}
+
+function findUser(username) {
+  const name = normalizeUsername(username);
+  return loadUsers().find((u) => u.username === name) || null;
+}
+
+function listUsers() {
+  return loadUsers().map(toPublic);
+}
+
+function createUser({ username, password, role }) {
+  const name = normalizeUsername(username);
+  if (!/^[a-z0-9._-]{3,32}$/.test(name)) {
+    throw httpError(400, "username must be 3-32 chars of a-z, 0-9, . _ -");
+  }
+  if (!password || String(password).length < 8) {
+    throw httpError(400, "password must be at least 8 characters");
+  }
+  if (!isValidRole(role)) {
+    throw httpError(400, `role must be one of: ${ROLES.join(", ")}`);
+  }
+
+  return insertUser({ username: name, password, role });
+}
+
+function insertUser({ username, password, role }) {
+  const users = loadUsers();
+  if (users.some((u) => u.username === username)) throw httpError(409, "User already exists");
+
+  const user = { username, passwordHash: hashPassword(password), role, createdAt: new Date().toISOString() };
+  users.push(user);
+  writeJson(USERS_FILE, users);
+  return toPublic(user);
+}
+
+function deleteUser(username) {
+  const name = normalizeUsername(username);
+  const users = loadUsers();
+  const next = users.filter((u) => u.username !== name);
+  if (next.length === users.length) return false;
+  writeJson(USERS_FILE, next);
+  return true;
+}
+
+/* Returns the public user record when username/password match, otherwise null */
+function verifyCredentials(username, password) {
+  const user = findUser(username);
+  const ok = verifyPassword(password, user ? user.passwordHash : DUMMY_HASH);
+  return ok && user ? toPublic(user) : null;
+}
+
+/*
+ * First run: if the store is empty and the legacy LOGIN_USER / LOGIN_PASS pair is set,
+ * create it as an admin so existing deployments keep working.
+ */
+function seedFromEnv() {
+  if (loadUsers().length > 0) return null;
+  const { loginUser, loginPass } = config;
+  if (!loginUser || !loginPass) return null;
+  // skips createUser's policy checks: the legacy credentials predate them
+  return insertUser({ username: normalizeUsername(loginUser), password: loginPass, role: "admin" });
+}
+
+module.exports = { findUser, listUsers, createUser, deleteUser, verifyCredentials, seedFromEnv };
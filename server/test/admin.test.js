@@ -0,0 +1,101 @@
+// test/admin.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, request } = require("./helpers");
+
+let ctx;
+let admin;
+let desk;
+
+before(async () => {
+  ctx = await startApp({ AUTH_MODE: "token" });
+  ctx.sheets.rows = [
+    ["ID", "Name", "Phone Number", "Membership Date", "Membership Expiry", "Locker"],
+    ["1", "Alice Smith", "98765", "01/01/2025", "01/01/2099", "A1"],
+    ["2", "Bob Jones", "9123456780", "31/02/2020", "01/01/2021", ""],
+    ["2", "Bobby Jones", "9123456781", "01/01/2020", "01/01/2022", ""],
+    ["3", "", "9000000033", "01/01/2025", "soon", ""],
+  ];
+  ({ admin, desk } = ctx.tokens);
+});
+
+after(() => ctx.close());
+
+const get = (route, token = admin) => request(ctx.baseUrl, "GET", route, { token });
+
+test("/api/admin/data-issues lists the cells that failed the schema", async () => {
+  const res = await get("/admin/data-issues");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.totalMembers, 4); // rows with problems are still served
+  assert.ok(res.body.checkedAt);
+  assert.deepEqual(
+    res.body.issues.map((i) => [i.row, i.memberId, i.field, i.problem]),
+    [
+      [2, "1", "Phone Number", "not a phone number"],
+      [3, "2", "Membership Date", "unrecognised date (expected dd/MM/yyyy or yyyy-MM-dd)"],
+      [3, "2", "ID", "duplicate ID"],
+      [4, "2", "ID", "duplicate ID"],
+      [5, "3", "Membership Expiry", "unrecognised date (expected dd/MM/yyyy or yyyy-MM-dd)"],
+      [5, "3", "Name", "required value missing"],
+    ]
+  );
+  assert.equal((await get("/admin/data-issues", desk)).status, 403);
+});
+
+test("/api/admin/audit records who saw which members and filters the log", async () => {
+  await get("/members/search?q=alice", desk);
+  await get("/members/2", desk);
+  await get("/members/search?q=bob");
+
+  const searches = await get("/admin/audit?action=search&user=DESK");
+  assert.equal(searches.status, 200);
+  assert.equal(searches.body.total, 1);
+  const [entry] = searches.body.results;
+  assert.deepEqual(
+    [entry.staff, entry.role, entry.memberIds, entry.phoneVisible, entry.details.query],
+    ["desk", "desk", ["1"], false, "alice"]
+  );
+  assert.ok(entry.requestId);
+
+  const bob = await get("/admin/audit?memberId=2");
+  assert.deepEqual(
+    bob.body.results.map((e) => [e.action, e.staff]),
+    [
+      ["search", "admin"],
+      ["view", "desk"],
+    ]
+  );
+  const paged = await get("/admin/audit?limit=1&page=2");
+  assert.deepEqual([paged.body.total, paged.body.results.length, paged.body.results[0].action], [3, 1, "view"]);
+  const future = await get("/admin/audit?from=2999-01-01");
+  assert.equal(future.body.total, 0);
+
+  assert.equal((await get("/admin/audit?action=delete")).status, 400);
+  assert.equal((await get("/admin/audit?from=yesterday")).status, 400);
+  assert.equal((await get("/admin/audit", desk)).status, 403);
+});
+
+test("POST /api/admin/cache/refresh re-reads the roster now", async () => {
+  const search = async (q) => (await get(`/members/search?q=${q}`)).body.total;
+  const before = (await get("/admin/cache")).body;
+  ctx.sheets.rows.push(["4", "Dina Park", "9000000044", "01/01/2025", "01/01/2099", ""]);
+  assert.equal(await search("dina"), 0); // still the cached roster
+
+  const forbidden = await request(ctx.baseUrl, "POST", "/admin/cache/refresh", { token: desk });
+  assert.equal(forbidden.status, 403);
+  const refreshed = await request(ctx.baseUrl, "POST", "/admin/cache/refresh", { token: admin });
+  assert.equal(refreshed.status, 200);
+  assert.notEqual(refreshed.body.version, before.version);
+  assert.equal(refreshed.body.stale, false);
+  assert.equal(await search("dina"), 1);
+
+  ctx.sheets.failWith = 503;
+  try {
+    const failed = await request(ctx.baseUrl, "POST", "/admin/cache/refresh", { token: admin });
+    assert.equal(failed.status, 502);
+    assert.equal(failed.body.stale, true);
+    assert.equal(await search("dina"), 1); // the last good roster is still served
+  } finally {
+    ctx.sheets.failWith = null;
+  }
+});
@@ -0,0 +1,68 @@
+// test/attendance.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, request } = require("./helpers");
+
+let ctx;
+let admin;
+let desk;
+
+before(async () => {
+  ctx = await startApp({ AUTH_MODE: "token" });
+  ({ admin, desk } = ctx.tokens);
+});
+
+after(() => ctx.close());
+
+const checkIn = (id, body = {}) => request(ctx.baseUrl, "POST", `/members/${id}/checkin`, { token: desk, body });
+
+test("active members check in; lapsed ones need an override reason", async () => {
+  const alice = await checkIn("1");
+  assert.equal(alice.status, 201);
+  assert.deepEqual(
+    [alice.body.checkIn.memberName, alice.body.checkIn.status, alice.body.checkIn.flagged, alice.body.checkIn.staff],
+    ["Alice Smith", "active", false, "desk"]
+  );
+
+  const refused = await checkIn("2");
+  assert.equal(refused.status, 409);
+  assert.deepEqual(
+    [refused.body.message, refused.body.status, refused.body.requiresOverride],
+    ["Membership expired", "expired", true]
+  );
+
+  const overridden = await checkIn("2", { overrideReason: " paying on the way out " });
+  assert.equal(overridden.status, 201);
+  const { flagged, overrideReason } = overridden.body.checkIn;
+  assert.deepEqual([flagged, overrideReason], [true, "paying on the way out"]);
+
+  assert.equal((await checkIn("99")).status, 404);
+});
+
+test("check-ins synced from offline keep their time, within the last week", async () => {
+  const at = new Date(Date.now() - 60 * 1000).toISOString();
+  const synced = await checkIn("1", { checkedInAt: at });
+  assert.equal(synced.status, 201);
+  assert.equal(synced.body.checkIn.at, at);
+
+  const eightDaysAgo = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000).toISOString();
+  for (const checkedInAt of [eightDaysAgo, "yesterday-ish"]) {
+    assert.equal((await checkIn("1", { checkedInAt })).status, 400, checkedInAt);
+  }
+});
+
+test("/api/attendance totals today's check-ins for managers and admins", async () => {
+  const res = await request(ctx.baseUrl, "GET", "/attendance", { token: admin });
+  assert.equal(res.status, 200);
+  assert.deepEqual([res.body.total, res.body.uniqueMembers], [3, 2]);
+  assert.deepEqual(
+    res.body.days.map(({ checkIns, uniqueMembers, flagged }) => [checkIns, uniqueMembers, flagged]),
+    [[3, 2, 1]]
+  );
+  const alice = await request(ctx.baseUrl, "GET", "/attendance?memberId=1", { token: admin });
+  assert.equal(alice.body.total, 2);
+
+  assert.equal((await request(ctx.baseUrl, "GET", "/attendance", { token: desk })).status, 403);
+  const backwards = await request(ctx.baseUrl, "GET", "/attendance?from=2024-02-02&to=2024-02-01", { token: admin });
+  assert.equal(backwards.status, 400);
+});
@@ -0,0 +1,134 @@
+// test/auth.test.js
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+const { USERS, startApp, request, login } = require("./helpers");
+
+let ctx;
+before(async () => {
+  ctx = await startApp({ AUTH_MODE: "token" }); // cookie mode: see cookieSession.test.js
+});
+after(() => ctx.close());
+
+const post = (route, body) => request(ctx.baseUrl, "POST", route, { body });
+
+test("login returns tokens and the user's role", async () => {
+  const res = await post("/login", { username: "Admin", password: USERS.admin.password });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.user, "admin");
+  assert.equal(res.body.role, "admin");
+  assert.ok(res.body.accessToken);
+  assert.ok(res.body.refreshToken);
+  assert.ok(res.body.expiresIn > 0);
+
+  const me = await request(ctx.baseUrl, "GET", "/me", { token: res.body.accessToken });
+  assert.equal(me.status, 200);
+  assert.deepEqual(me.body, { user: "admin", role: "admin" });
+});
+
+test("login rejects missing fields and wrong passwords", async () => {
+  assert.equal((await post("/login", { username: "desk" })).status, 400);
+
+  const wrong = await post("/login", { username: "desk", password: "nope-nope" });
+  assert.equal(wrong.status, 401);
+  assert.equal(wrong.body.message, "Invalid credentials");
+
+  const unknown = await post("/login", { username: "ghost", password: "whatever1" });
+  assert.equal(unknown.status, 401);
+});
+
+test("refresh rotates the refresh token and rejects reuse", async () => {
+  const { refreshToken } = await login(ctx.baseUrl, "desk");
+
+  const first = await post("/refresh", { refreshToken });
+  assert.equal(first.status, 200);
+  assert.equal(first.body.role, "desk");
+  assert.ok(first.body.accessToken);
+  assert.notEqual(first.body.refreshToken, refreshToken);
+
+  // replaying the spent token revokes the whole session, including the new token
+  const replay = await post("/refresh", { refreshToken });
+  assert.equal(replay.status, 401);
+  assert.match(replay.body.message, /reuse/);
+
+  const after = await post("/refresh", { refreshToken: first.body.refreshToken });
+  assert.equal(after.status, 401);
+});
+
+test("refresh needs a known token", async () => {
+  assert.equal((await post("/refresh", {})).status, 401);
+  const res = await post("/refresh", { refreshToken: "not-a-token" });
+  assert.equal(res.status, 401);
+  assert.equal(res.body.message, "Invalid refresh token");
+});
+
+test("logout revokes the session", async () => {
+  const { refreshToken } = await login(ctx.baseUrl, "desk");
+  const res = await post("/logout", { refreshToken });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body, { ok: true });
+
+  const refresh = await post("/refresh", { refreshToken });
+  assert.equal(refresh.status, 401);
+  assert.equal(refresh.body.message, "Session has been revoked");
+});
+
+test("authMiddleware rejects missing, malformed, forged and expired access tokens", async () => {
+  const missing = await request(ctx.baseUrl, "GET", "/me");
+  assert.equal(missing.status, 401);
+  assert.equal(missing.body.message, "Missing access token");
+
+  const malformed = await request(ctx.baseUrl, "GET", "/me", { headers: { Authorization: "Bearer" } });
+  assert.equal(malformed.status, 401);
+  assert.equal(malformed.body.message, "Missing access token");
+
+  const forged = jwt.sign({ username: "admin", role: "admin" }, "some-other-secret");
+  const badSig = await request(ctx.baseUrl, "GET", "/me", { token: forged });
+  assert.equal(badSig.status, 401);
+  assert.equal(badSig.body.message, "Invalid or expired access token");
+
+  const expired = jwt.sign({ username: "admin", role: "admin" }, process.env.JWT_SECRET, { expiresIn: -10 });
+  const old = await request(ctx.baseUrl, "GET", "/me", { token: expired });
+  assert.equal(old.status, 401);
+  assert.equal(old.body.message, "Invalid or expired access token");
+});
+
+test("repeated failures lock the username with a doubling backoff until an admin unlocks it", async () => {
+  const { accessToken: admin } = await login(ctx.baseUrl, "admin");
+  const created = await request(ctx.baseUrl, "POST", "/admin/users", {
+    token: admin,
+    body: { username: "kim", password: "kim-pass-123", role: "desk" },
+  });
+  assert.equal(created.status, 201);
+
+  mock.timers.enable({ apis: ["Date"], now: Date.now() });
+  try {
+    for (let i = 0; i < 4; i++) {
+      assert.equal((await post("/login", { username: "kim", password: "wrong-pass" })).status, 401);
+    }
+    const locked = await post("/login", { username: "kim", password: "wrong-pass" });
+    assert.equal(locked.status, 429);
+    assert.equal(locked.body.retryAfter, 30);
+    assert.equal(locked.headers.get("retry-after"), "30");
+    // the right password doesn't help while locked
+    assert.equal((await post("/login", { username: "kim", password: "kim-pass-123" })).status, 429);
+
+    const lockouts = await request(ctx.baseUrl, "GET", "/admin/lockouts", { token: admin });
+    assert.deepEqual(
+      lockouts.body.map((l) => [l.type, l.value, l.failures]),
+      [["user", "kim", 5]]
+    );
+
+    mock.timers.tick(31 * 1000);
+    const again = await post("/login", { username: "kim", password: "wrong-pass" });
+    assert.equal(again.status, 429);
+    assert.equal(again.body.retryAfter, 60);
+  } finally {
+    mock.timers.reset();
+  }
+
+  assert.equal((await request(ctx.baseUrl, "POST", "/admin/unlock", { token: admin, body: {} })).status, 400);
+  const unlocked = await request(ctx.baseUrl, "POST", "/admin/unlock", { token: admin, body: { username: "KIM" } });
+  assert.deepEqual(unlocked.body, { ok: true, cleared: 1 });
+  assert.equal((await post("/login", { username: "kim", password: "kim-pass-123" })).status, 200);
+});
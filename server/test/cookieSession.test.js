@@ -0,0 +1,108 @@
+// test/cookieSession.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { USERS, startApp, createCookieJar, request } = require("./helpers");
+
+let ctx;
+before(async () => {
+  ctx = await startApp({ AUTH_MODE: "cookie", COOKIE_SAMESITE: "strict" });
+});
+after(() => ctx.close());
+
+/* Signs in through a fresh jar; returns { jar, csrfToken, body } */
+async function cookieLogin(who = "desk") {
+  const jar = createCookieJar();
+  const { username, password } = USERS[who];
+  const res = await request(ctx.baseUrl, "POST", "/login", { body: { username, password }, jar });
+  assert.equal(res.status, 200);
+  return { jar, csrfToken: res.body.csrfToken, body: res.body };
+}
+
+test("login sets HttpOnly, Secure, SameSite cookies and keeps tokens out of the body", async () => {
+  const { jar, csrfToken, body } = await cookieLogin();
+  assert.deepEqual(Object.keys(body).sort(), ["csrfToken", "expiresIn", "role", "user"]);
+  assert.ok(csrfToken);
+
+  for (const name of ["access_token", "refresh_token", "csrf_token"]) {
+    const { attributes } = jar.cookies.get(name);
+    assert.ok(attributes.includes("httponly"), `${name} HttpOnly`);
+    assert.ok(attributes.includes("secure"), `${name} Secure`);
+    assert.ok(attributes.includes("samesite=strict"), `${name} SameSite`);
+  }
+  assert.ok(jar.cookies.get("refresh_token").attributes.includes("path=/api"));
+  assert.equal(jar.cookies.get("csrf_token").value, csrfToken);
+});
+
+test("the access cookie authenticates requests", async () => {
+  const { jar } = await cookieLogin();
+  const me = await request(ctx.baseUrl, "GET", "/me", { jar });
+  assert.equal(me.status, 200);
+  assert.deepEqual(me.body, { user: "desk", role: "desk" });
+
+  assert.equal((await request(ctx.baseUrl, "GET", "/me")).status, 401);
+});
+
+test("state-changing requests need the CSRF token in X-CSRF-Token", async () => {
+  const { jar, csrfToken } = await cookieLogin();
+
+  const missing = await request(ctx.baseUrl, "POST", "/refresh", { jar });
+  assert.equal(missing.status, 403);
+  assert.equal(missing.body.code, "csrf");
+
+  const wrong = await request(ctx.baseUrl, "POST", "/refresh", { jar, headers: { "X-CSRF-Token": "guess" } });
+  assert.equal(wrong.status, 403);
+
+  const ok = await request(ctx.baseUrl, "POST", "/refresh", { jar, headers: { "X-CSRF-Token": csrfToken } });
+  assert.equal(ok.status, 200);
+  assert.equal(ok.body.csrfToken, csrfToken);
+});
+
+test("refresh rotates the refresh cookie and rejects the spent one", async () => {
+  const { jar, csrfToken } = await cookieLogin();
+  const spent = jar.cookies.get("refresh_token").value;
+
+  const res = await request(ctx.baseUrl, "POST", "/refresh", { jar, headers: { "X-CSRF-Token": csrfToken } });
+  assert.equal(res.status, 200);
+  assert.notEqual(jar.cookies.get("refresh_token").value, spent);
+  assert.equal(res.body.accessToken, undefined);
+
+  const replayJar = createCookieJar();
+  replayJar.cookies.set("refresh_token", { value: spent, attributes: [] });
+  replayJar.cookies.set("csrf_token", { value: csrfToken, attributes: [] });
+  const replay = await request(ctx.baseUrl, "POST", "/refresh", {
+    jar: replayJar,
+    headers: { "X-CSRF-Token": csrfToken },
+  });
+  assert.equal(replay.status, 401);
+  assert.equal(replayJar.cookies.size, 0); // cleared on failure
+});
+
+test("GET /api/csrf returns the current token after a reload", async () => {
+  const { jar, csrfToken } = await cookieLogin();
+  const res = await request(ctx.baseUrl, "GET", "/csrf", { jar });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.csrfToken, csrfToken);
+});
+
+test("logout revokes the session and clears the cookies", async () => {
+  const { jar, csrfToken } = await cookieLogin();
+  const refresh = jar.cookies.get("refresh_token").value;
+
+  const res = await request(ctx.baseUrl, "POST", "/logout", { jar, headers: { "X-CSRF-Token": csrfToken } });
+  assert.equal(res.status, 200);
+  assert.equal(jar.cookies.size, 0);
+
+  const again = await request(ctx.baseUrl, "POST", "/refresh", { body: { refreshToken: refresh } });
+  assert.equal(again.status, 401);
+  assert.equal(again.body.message, "Session has been revoked");
+});
+
+test("Bearer requests skip the CSRF check", async () => {
+  const { jar } = await cookieLogin("admin");
+  const accessToken = jar.cookies.get("access_token").value;
+  const res = await request(ctx.baseUrl, "POST", "/admin/unlock", {
+    token: accessToken,
+    body: { username: "desk" },
+  });
+  assert.equal(res.status, 200);
+});
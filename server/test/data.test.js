@@ -0,0 +1,141 @@
+// test/data.test.js
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, request, login } = require("./helpers");
+
+let ctx;
+let datasources;
+before(async () => {
+  ctx = await startApp({ AUTH_MODE: "token" });
+  datasources = require("../datasources"); // after startApp has set the environment
+});
+after(() => ctx.close());
+
+test("/api/data needs an access token", async () => {
+  const res = await request(ctx.baseUrl, "GET", "/data");
+  assert.equal(res.status, 401);
+  assert.equal(res.body.message, "Missing access token");
+
+  const bad = await request(ctx.baseUrl, "GET", "/data", { token: "garbage" });
+  assert.equal(bad.status, 401);
+});
+
+test("/api/data returns the roster with membership status", async () => {
+  const { accessToken } = await login(ctx.baseUrl, "admin");
+  const res = await request(ctx.baseUrl, "GET", "/data", { token: accessToken });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.length, 2);
+
+  const [alice, bob] = res.body;
+  assert.equal(alice.Name, "Alice Smith");
+  assert.equal(alice["Membership Expiry"], "2099-01-01");
+  assert.equal(alice["Phone Number"], "9876543210");
+  assert.equal(alice.membership.status, "active");
+  assert.equal(bob.membership.status, "expired");
+  assert.ok(res.headers.get("etag"));
+
+  const audit = await request(ctx.baseUrl, "GET", "/admin/audit?action=view", { token: accessToken });
+  const [entry] = audit.body.results;
+  assert.deepEqual(entry.memberIds, []);
+  assert.deepEqual(entry.details, { scope: "roster", count: 2 });
+});
+
+test("/api/data hides phone numbers from desk staff", async () => {
+  const { accessToken } = await login(ctx.baseUrl, "desk");
+  const res = await request(ctx.baseUrl, "GET", "/data", { token: accessToken });
+  assert.equal(res.status, 200);
+  res.body.forEach((member) => assert.ok(!("Phone Number" in member)));
+});
+
+test("/api/data answers 304 when the roster hasn't changed", async () => {
+  const { accessToken } = await login(ctx.baseUrl, "admin");
+  const first = await request(ctx.baseUrl, "GET", "/data", { token: accessToken });
+  const etag = first.headers.get("etag");
+
+  const again = await request(ctx.baseUrl, "GET", "/data", {
+    token: accessToken,
+    headers: { "If-None-Match": etag },
+  });
+  assert.equal(again.status, 304);
+});
+
+test("/api/data answers 200 again once the day changes the statuses", async () => {
+  const { accessToken } = await login(ctx.baseUrl, "admin");
+  const first = await request(ctx.baseUrl, "GET", "/data", { token: accessToken });
+  assert.equal(first.body[0].membership.status, "active");
+
+  // the roster is unchanged, but Alice's 2099-01-01 expiry is now in the past
+  mock.timers.enable({ apis: ["Date"], now: new Date(2099, 0, 3) });
+  try {
+    const { accessToken: later } = await login(ctx.baseUrl, "admin");
+    const res = await request(ctx.baseUrl, "GET", "/data", {
+      token: later,
+      headers: { "If-None-Match": first.headers.get("etag") },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body[0].membership.status, "expired");
+  } finally {
+    mock.timers.reset();
+  }
+});
+
+test("/api/data serves the last good roster when Sheets fails", async () => {
+  const { accessToken } = await login(ctx.baseUrl, "admin");
+  await request(ctx.baseUrl, "GET", "/data", { token: accessToken });
+  datasources.invalidateSheetCache();
+  ctx.sheets.failWith = 503;
+  try {
+    const res = await request(ctx.baseUrl, "GET", "/data", { token: accessToken });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.length, 2);
+    assert.equal(datasources.getCacheInfo().stale, true);
+  } finally {
+    ctx.sheets.failWith = null;
+  }
+});
+
+test("/api/data is a 500 when Sheets fails and nothing is cached", async () => {
+  datasources.setDataSource(datasources.createDataSource()); // drops the cache
+  ctx.sheets.failWith = 503;
+  try {
+    const { accessToken } = await login(ctx.baseUrl, "admin");
+    const res = await request(ctx.baseUrl, "GET", "/data", { token: accessToken });
+    assert.equal(res.status, 500);
+    assert.equal(res.body.message, "Failed to fetch sheet data");
+    assert.match(res.body.error, /503/);
+  } finally {
+    ctx.sheets.failWith = null;
+  }
+});
+
+test("/api/health reports the data source and cache age without auth", async () => {
+  const res = await request(ctx.baseUrl, "GET", "/health");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.status, "ok");
+  assert.deepEqual(res.body.dataSource, { kind: "sheets", reachable: true, lastErrorAt: null });
+  assert.ok(res.body.cache.syncedAt);
+  assert.equal(typeof res.body.cache.ageSeconds, "number");
+});
+
+test("/api/health is degraded while a stale roster is served, and down without one", async () => {
+  await request(ctx.baseUrl, "GET", "/health");
+  datasources.invalidateSheetCache();
+  ctx.sheets.failWith = 503;
+  try {
+    const degraded = await request(ctx.baseUrl, "GET", "/health");
+    assert.equal(degraded.status, 200);
+    assert.equal(degraded.body.status, "degraded");
+    assert.equal(degraded.body.dataSource.reachable, false);
+    assert.ok(degraded.body.dataSource.lastErrorAt);
+    assert.equal(degraded.body.cache.stale, true);
+    assert.ok(!JSON.stringify(degraded.body).includes("test-key"));
+
+    datasources.setDataSource(datasources.createDataSource()); // drops the cache
+    const down = await request(ctx.baseUrl, "GET", "/health");
+    assert.equal(down.status, 503);
+    assert.equal(down.body.status, "down");
+    assert.equal(down.body.cache.syncedAt, null);
+  } finally {
+    ctx.sheets.failWith = null;
+  }
+});
@@ -0,0 +1,96 @@
+// test/export.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const XLSX = require("xlsx");
+const { startApp, request } = require("./helpers");
+
+let ctx;
+let toExportRows;
+let buildExport;
+
+// lib/export reads the config through lib/dates, so load it once startApp has set the environment
+before(async () => {
+  ctx = await startApp({ AUTH_MODE: "token" });
+  ({ toExportRows, buildExport } = require("../lib/export"));
+});
+
+after(() => ctx.close());
+
+const MEMBERS = [
+  {
+    ID: "0007",
+    Name: '=HYPERLINK("http://evil.example","Click")',
+    "Phone Number": "+353 87 123 4567",
+    Notes: "@SUM(A1:A9)",
+    Locker: "-2+3",
+    Email: "\tcmd",
+    City: "\rx",
+    membership: { status: "expired", daysLeft: -3 },
+  },
+  { ID: "0008", Name: "Eve = Ray", membership: { status: "active", daysLeft: 12 } },
+];
+
+test("text that would run as a formula is exported as plain text", () => {
+  const [headers, first, second] = toExportRows(MEMBERS);
+  assert.deepEqual(headers, ["ID", "Name", "Phone Number", "Notes", "Locker", "Email", "City", "Status", "Days Left"]);
+  assert.deepEqual(first, [
+    "0007",
+    `'=HYPERLINK("http://evil.example","Click")`,
+    "'+353 87 123 4567",
+    "'@SUM(A1:A9)",
+    "'-2+3",
+    "'\tcmd",
+    "'\rx",
+    "expired",
+    -3,
+  ]);
+  assert.deepEqual(second, ["0008", "Eve = Ray", "", "", "", "", "", "active", 12]);
+});
+
+test("both formats carry the escaped cells", () => {
+  const csv = buildExport(MEMBERS, "csv");
+  assert.match(csv.body, /'=HYPERLINK\(""http:\/\/evil\.example"",""Click""\)/);
+
+  const xlsx = buildExport(MEMBERS, "xlsx");
+  const sheet = XLSX.read(xlsx.body).Sheets.Members;
+  assert.equal(sheet.B2.v, `'=HYPERLINK("http://evil.example","Click")`);
+  assert.equal(sheet.B2.f, undefined);
+  assert.equal(sheet.I2.v, -3);
+});
+
+test("GET /members/export downloads the roster the caller's role may see", async () => {
+  const { admin, desk } = ctx.tokens;
+
+  const res = await fetch(`${ctx.baseUrl}/members/export?format=csv&status=expired`, {
+    headers: { Authorization: `Bearer ${admin}` },
+  });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-type"), /^text\/csv/);
+  assert.match(res.headers.get("content-disposition"), /filename="members-expired-\d{4}-\d{2}-\d{2}\.csv"/);
+  const lines = (await res.text()).replace(/^\uFEFF/, "").trim().split(/\r?\n/);
+  assert.equal(lines.length, 2);
+  assert.match(lines[0], /^ID,Name,Phone Number,.*,Status,Days Left$/);
+  assert.match(lines[1], /^2,Bob Jones,9123456780,.*,expired,-\d+$/);
+
+  const deskRes = await fetch(`${ctx.baseUrl}/members/export?format=xlsx&q=alice`, {
+    headers: { Authorization: `Bearer ${desk}` },
+  });
+  const [headers, alice, ...rest] = XLSX.utils.sheet_to_json(XLSX.read(await deskRes.arrayBuffer()).Sheets.Members, {
+    header: 1,
+  });
+  assert.equal(headers.includes("Phone Number"), false);
+  assert.deepEqual([alice[0], alice[1], rest.length], ["1", "Alice Smith", 0]);
+
+  const bad = await request(ctx.baseUrl, "GET", "/members/export?format=pdf", { token: admin });
+  assert.equal(bad.status, 400);
+  assert.equal((await request(ctx.baseUrl, "GET", "/members/export?status=gone", { token: admin })).status, 400);
+
+  const audit = await request(ctx.baseUrl, "GET", "/admin/audit?action=export", { token: admin });
+  assert.deepEqual(
+    audit.body.results.map((e) => [e.staff, e.memberIds, e.details.format]),
+    [
+      ["desk", ["1"], "xlsx"],
+      ["admin", ["2"], "csv"],
+    ]
+  );
+});
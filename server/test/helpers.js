@@ -0,0 +1,178 @@
+// test/helpers.js
+// Boots the API against a throwaway data directory and a local stand-in for the Sheets values API.
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+const SHEET_ID = "test-sheet";
+const SHEET_NAME = "Members";
+const API_KEY = "test-key";
+
+const HEADERS = ["ID", "Name", "Phone Number", "Membership Date", "Membership Expiry", "Locker"];
+const ROWS = [
+  HEADERS,
+  ["1", "Alice Smith", "9876543210", "01/01/2025", "01/01/2099", "A1"],
+  ["2", "Bob Jones", "9123456780", "01/01/2020", "01/01/2021", ""],
+];
+
+const USERS = {
+  admin: { username: "admin", password: "admin-pass-1", role: "admin" },
+  desk: { username: "desk", password: "desk-pass-1", role: "desk" },
+};
+
+/*
+ * Serves GET /v4/spreadsheets/:id/values/:range?key= like Google does, plus the writes a service
+ * account makes: POST /token, values:batchUpdate and values/:range:append (appended rows are read back).
+ * sheets.requests counts reads; sheets.writes keeps each write as { path, query, body };
+ * sheets.settings is what createSheetsSource needs to use it. Set sheets.failWith = 503 to make reads fail.
+ */
+function startSheetsStandIn(rows = ROWS) {
+  const sheets = { requests: 0, failWith: null, rows, writes: [] };
+  const valuesPath = `/v4/spreadsheets/${SHEET_ID}/values`;
+
+  function handleWrite(url, body, res) {
+    if (url.pathname === "/token") {
+      return res.end(JSON.stringify({ access_token: "stand-in-token", expires_in: 3600 }));
+    }
+    sheets.writes.push({ path: url.pathname, query: Object.fromEntries(url.searchParams), body });
+    if (url.pathname === `${valuesPath}:batchUpdate`) return res.end(JSON.stringify({}));
+    if (url.pathname.startsWith(`${valuesPath}/`) && url.pathname.endsWith(":append")) {
+      sheets.rows.push(...body.values);
+      const n = sheets.rows.length;
+      return res.end(JSON.stringify({ updates: { updatedRange: `'${SHEET_NAME}'!A${n}:F${n}` } }));
+    }
+    res.statusCode = 404;
+    return res.end(JSON.stringify({ error: { code: 404, message: "Requested entity was not found." } }));
+  }
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    res.setHeader("Content-Type", "application/json");
+    if (req.method === "POST") {
+      let text = "";
+      req.on("data", (chunk) => (text += chunk));
+      req.on("end", () => handleWrite(url, url.pathname === "/token" ? text : JSON.parse(text || "{}"), res));
+      return undefined;
+    }
+
+    const expected = `${valuesPath}/${encodeURIComponent(SHEET_NAME)}`;
+    sheets.requests++;
+    if (sheets.failWith) {
+      res.statusCode = sheets.failWith;
+      return res.end(JSON.stringify({ error: { code: sheets.failWith, message: "stand-in failure" } }));
+    }
+    if (url.pathname !== expected || url.searchParams.get("key") !== API_KEY) {
+      res.statusCode = 404;
+      return res.end(JSON.stringify({ error: { code: 404, message: "Requested entity was not found." } }));
+    }
+    return res.end(JSON.stringify({ range: `${SHEET_NAME}!A1:F${sheets.rows.length}`, values: sheets.rows }));
+  });
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      sheets.url = `http://127.0.0.1:${server.address().port}`;
+      sheets.settings = { sheetId: SHEET_ID, sheetName: SHEET_NAME, apiKey: API_KEY, apiUrl: sheets.url };
+      sheets.close = () => new Promise((done) => server.close(done));
+      resolve(sheets);
+    });
+  });
+}
+
+/*
+ * Returns { baseUrl, sheets, filePath, tokens, close }. The app reads its config when first required, so
+ * env is set before requiring it; node --test runs each test file in its own process.
+ * roster: CSV text to serve from a local file instead of the read-only Sheets stand-in (for tests that
+ * write members back); filePath is that file. tokens: { admin, desk } access tokens (AUTH_MODE=token).
+ */
+async function startApp({ roster, ...env } = {}) {
+  const sheets = await startSheetsStandIn();
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "gym-test-"));
+  const filePath = roster === undefined ? null : path.join(dataDir, "members.csv");
+  if (filePath) fs.writeFileSync(filePath, roster);
+  Object.assign(process.env, {
+    DATA_DIR: dataDir,
+    LOG_FILE: path.join(dataDir, "app.log"),
+    LOG_LEVEL: "error",
+    JWT_SECRET: "test-secret-at-least-32-characters-long",
+    DATA_SOURCE: "sheets",
+    SHEETS_API_URL: sheets.url,
+    SHEET_ID,
+    SHEET_NAME,
+    GOOGLE_API_KEY: API_KEY,
+    ...(filePath ? { DATA_SOURCE: "file", MEMBERS_FILE: filePath } : {}),
+    ...env,
+  });
+
+  const app = require("../app");
+  const users = require("../stores/users");
+  Object.values(USERS).forEach((user) => users.createUser(user));
+
+  const server = await new Promise((resolve) => {
+    const listener = app.listen(0, "127.0.0.1", () => resolve(listener));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+  const tokens = {
+    admin: (await login(baseUrl, "admin")).accessToken,
+    desk: (await login(baseUrl, "desk")).accessToken,
+  };
+
+  async function close() {
+    await new Promise((done) => server.close(done));
+    await sheets.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+  return { baseUrl, sheets, filePath, tokens, close };
+}
+
+/*
+ * Browser-ish cookie store for cookie-mode tests: keeps name → { value, attributes }
+ * from Set-Cookie (ignoring paths) and sends the values back.
+ */
+function createCookieJar() {
+  const cookies = new Map();
+  return {
+    cookies,
+    header: () => [...cookies].map(([name, { value }]) => `${name}=${value}`).join("; "),
+    store(res) {
+      res.headers.getSetCookie().forEach((line) => {
+        const [pair, ...attrs] = line.split(/;\s*/);
+        const [name, value] = [pair.slice(0, pair.indexOf("=")), pair.slice(pair.indexOf("=") + 1)];
+        const attributes = attrs.map((a) => a.toLowerCase());
+        if (!value || attributes.some((a) => a.startsWith("expires=thu, 01 jan 1970"))) cookies.delete(name);
+        else cookies.set(name, { value, attributes });
+      });
+    },
+  };
+}
+
+/* fetch wrapper: JSON body in, { status, headers, body } out; jar sends and keeps cookies */
+async function request(baseUrl, method, route, { body, token, headers = {}, jar } = {}) {
+  const res = await fetch(`${baseUrl}${route}`, {
+    method,
+    headers: {
+      ...(body ? { "Content-Type": "application/json" } : {}),
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...(jar && jar.cookies.size ? { Cookie: jar.header() } : {}),
+      ...headers,
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  if (jar) jar.store(res);
+  const text = await res.text();
+  let json = null;
+  try {
+    json = text ? JSON.parse(text) : null;
+  } catch {
+    json = text;
+  }
+  return { status: res.status, headers: res.headers, body: json };
+}
+
+async function login(baseUrl, who = "admin") {
+  const { username, password } = USERS[who];
+  const res = await request(baseUrl, "POST", "/login", { body: { username, password } });
+  if (res.status !== 200) throw new Error(`login as ${who} failed: ${res.status}`);
+  return res.body;
+}
+
+module.exports = { USERS, startApp, createCookieJar, request, login };
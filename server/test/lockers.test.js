@@ -0,0 +1,124 @@
+// test/lockers.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const { startApp, request } = require("./helpers");
+
+let ctx;
+let admin;
+let desk;
+
+before(async () => {
+  // assignments are written to the roster's Locker column, so serve it from a local CSV
+  ctx = await startApp({
+    AUTH_MODE: "token",
+    LOCKER_GRACE_DAYS: "7",
+    roster:
+      "ID,Name,Membership Expiry,Locker,Deactivated\n" +
+      "0001,Alice Smith,01/01/2099,A1,\n" +
+      "0002,Bob Jones,01/01/2021,A2,\n" +
+      "0003,Cara Diaz,01/01/2099,c9 ,\n" +
+      "0004,Dan Wu,01/01/2099,,\n" +
+      "0005,Eve Ray,01/01/2099,,01/06/2024\n",
+  });
+  ({ admin, desk } = ctx.tokens);
+});
+
+after(() => ctx.close());
+
+function rosterLocker(id) {
+  const row = fs.readFileSync(ctx.filePath, "utf8").split(/\r?\n/).find((line) => line.startsWith(`${id},`));
+  return row.split(",")[3];
+}
+
+test("the locker grid joins the inventory with the roster", async () => {
+  const added = await request(ctx.baseUrl, "POST", "/lockers", { token: admin, body: { labels: "A1-A4", area: "Main" } });
+  assert.equal(added.status, 201);
+  assert.deepEqual(added.body.added.map((l) => l.label), ["A1", "A2", "A3", "A4"]);
+  const again = await request(ctx.baseUrl, "POST", "/lockers", { token: admin, body: { labels: ["a4", " A5 "] } });
+  assert.deepEqual(again.body.added.map((l) => l.label), ["A5"]);
+  assert.deepEqual(again.body.skipped, ["A4"]);
+
+  for (const [token, labels, status] of [
+    [desk, "B1", 403],
+    [admin, "A9-A1", 400],
+    [admin, "A1-B3", 400],
+    [admin, "", 400],
+    [admin, "A/1", 400],
+  ]) {
+    const res = await request(ctx.baseUrl, "POST", "/lockers", { token, body: { labels } });
+    assert.equal(res.status, status, JSON.stringify(labels));
+  }
+
+  const grid = await request(ctx.baseUrl, "GET", "/lockers", { token: desk });
+  assert.equal(grid.status, 200);
+  assert.deepEqual(grid.body.counts, { free: 3, occupied: 1, overdue: 1, conflict: 0 });
+  const byLabel = Object.fromEntries(grid.body.lockers.map((l) => [l.label, l]));
+  assert.equal(byLabel.A1.status, "occupied");
+  assert.equal(byLabel.A1.area, "Main");
+  assert.deepEqual(byLabel.A2.holders.map((m) => [m.ID, m.membership.status]), [["0002", "expired"]]);
+  assert.equal(byLabel.A2.status, "overdue");
+  assert.deepEqual(grid.body.unlisted.map((l) => [l.label, l.holders[0].ID]), [["C9", "0003"]]);
+  assert.equal(grid.body.overdueAction, "flag");
+});
+
+test("lockers are assigned and released without double bookings", async () => {
+  const assign = (label, memberId) =>
+    request(ctx.baseUrl, "POST", `/lockers/${label}/assign`, { token: desk, body: { memberId } });
+
+  const taken = await assign("A1", "0004");
+  assert.equal(taken.status, 409);
+  assert.match(taken.body.message, /Alice Smith/);
+
+  const first = await assign("a3", "0004");
+  assert.equal(first.status, 200);
+  assert.deepEqual([first.body.locker, first.body.previous, first.body.member.Locker], ["A3", null, "A3"]);
+  const moved = await assign("A4", "0004");
+  assert.equal(moved.body.previous, "A3");
+  assert.equal(rosterLocker("0004"), "A4");
+
+  assert.equal((await assign("A3", "0002")).status, 409); // expired long ago
+  assert.equal((await assign("A3", "0005")).status, 409); // deactivated
+  assert.equal((await assign("Z1", "0001")).status, 404);
+  assert.equal((await assign("A3", "0099")).status, 404);
+
+  // member edits go through the same check
+  const { body: alice } = await request(ctx.baseUrl, "GET", "/members/0001", { token: admin });
+  const edit = (Locker) =>
+    request(ctx.baseUrl, "PATCH", "/members/0001", { token: admin, body: { version: alice.version, fields: { Locker } } });
+  assert.equal((await edit("a4")).status, 409);
+  assert.equal((await edit("Q1")).status, 400);
+  const body = { fields: { Name: "Fay", Locker: "A4" } };
+  assert.equal((await request(ctx.baseUrl, "POST", "/members", { token: admin, body })).status, 409);
+
+  const released = await request(ctx.baseUrl, "POST", "/lockers/A4/release", { token: desk });
+  assert.deepEqual(released.body, { locker: "A4", released: ["0004"] });
+  assert.equal(rosterLocker("0004"), "");
+  assert.equal((await request(ctx.baseUrl, "POST", "/lockers/A4/release", { token: desk })).status, 409);
+
+  assert.equal((await request(ctx.baseUrl, "DELETE", "/lockers/A1", { token: admin })).status, 409);
+  assert.equal((await request(ctx.baseUrl, "DELETE", "/lockers/A5", { token: admin })).status, 200);
+  assert.equal((await request(ctx.baseUrl, "DELETE", "/lockers/A5", { token: admin })).status, 404);
+
+  const log = await request(ctx.baseUrl, "GET", "/lockers/log?memberId=0004", { token: admin });
+  assert.deepEqual(
+    log.body.results.map((r) => [r.action, r.locker]),
+    [["release", "A4"], ["assign", "A4"], ["release", "A3"], ["assign", "A3"]]
+  );
+});
+
+test("lockers held by lapsed members are released on request", async () => {
+  assert.equal((await request(ctx.baseUrl, "POST", "/lockers/release-overdue", { token: desk })).status, 403);
+
+  const preview = await request(ctx.baseUrl, "POST", "/lockers/release-overdue", { token: admin, body: { dryRun: true } });
+  assert.equal(preview.status, 200);
+  assert.deepEqual(preview.body.released.map((r) => [r.locker, r.memberId, r.status]), [["A2", "0002", "expired"]]);
+  assert.equal(rosterLocker("0002"), "A2");
+
+  const run = await request(ctx.baseUrl, "POST", "/lockers/release-overdue", { token: admin, body: {} });
+  assert.equal(run.body.released.length, 1);
+  assert.equal(rosterLocker("0002"), "");
+
+  const grid = await request(ctx.baseUrl, "GET", "/lockers", { token: desk });
+  assert.deepEqual(grid.body.counts, { free: 3, occupied: 1, overdue: 0, conflict: 0 });
+});
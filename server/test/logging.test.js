@@ -0,0 +1,75 @@
+// test/logging.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const { startApp, request } = require("./helpers");
+
+let ctx;
+
+before(async () => {
+  // 4xx requests are logged at warn
+  ctx = await startApp({ AUTH_MODE: "token", LOG_LEVEL: "warn" });
+});
+
+after(() => ctx.close());
+
+/* Log lines (parsed) once the file transport has written at least `count` of them */
+async function readLog(count) {
+  for (let i = 0; i < 50; i++) {
+    const text = fs.existsSync(process.env.LOG_FILE) ? fs.readFileSync(process.env.LOG_FILE, "utf8") : "";
+    const lines = text.split("\n").filter(Boolean);
+    if (lines.length >= count) return { text, entries: lines.map((line) => JSON.parse(line)) };
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  assert.fail(`expected ${count} log lines`);
+}
+
+test("passwords, tokens and search terms are redacted from the request log", async () => {
+  const accessToken = ctx.tokens.desk;
+  await request(ctx.baseUrl, "POST", "/login", { body: { username: "desk", password: "guess-pass-9" } });
+  const headers = { "X-CSRF-Token": "csrf-secret-1" };
+  await request(ctx.baseUrl, "GET", "/admin/users", { token: accessToken, headers });
+  await request(ctx.baseUrl, "GET", "/members/search?q=alice+smith", { headers: { Cookie: "gym_refresh=abc123" } });
+
+  const { text, entries } = await readLog(4);
+  const requests = entries.filter((e) => e.message === "request");
+  assert.deepEqual(
+    requests.map((e) => [e.method, e.path, e.status]),
+    [
+      ["POST", "/api/login", 401],
+      ["GET", "/api/admin/users", 403],
+      ["GET", "/api/members/search", 401],
+    ]
+  );
+  const [failedLogin, forbidden, search] = requests;
+  assert.deepEqual(failedLogin.body, { username: "desk", password: "[REDACTED]" });
+  assert.equal(forbidden.headers.authorization, "[REDACTED]");
+  assert.equal(forbidden.headers["x-csrf-token"], "[REDACTED]");
+  assert.equal(forbidden.user, "desk");
+  assert.deepEqual(search.query, { q: "[REDACTED]" });
+  assert.equal(search.headers.cookie, "[REDACTED]");
+  assert.ok(requests.every((e) => e.requestId));
+
+  const loginFailed = entries.find((e) => e.message === "login failed");
+  assert.equal(loginFailed.reason, "Invalid credentials");
+  for (const secret of ["guess-pass-9", accessToken, "csrf-secret-1", "alice", "abc123"]) {
+    assert.equal(text.includes(secret), false, `log contains ${secret}`);
+  }
+});
+
+test("server errors are logged with the request they belong to", async () => {
+  ctx.sheets.failWith = 503;
+  try {
+    const res = await request(ctx.baseUrl, "GET", "/members/search?q=bob", { token: ctx.tokens.admin });
+    assert.equal(res.status, 500);
+
+    const requestId = res.headers.get("x-request-id");
+    const { entries } = await readLog(6);
+    const error = entries.find((e) => e.message === "Error searching members");
+    assert.deepEqual([error.level, error.requestId, error.user], ["error", requestId, "admin"]);
+    assert.match(error.error, /503/);
+    assert.equal(entries.find((e) => e.message === "request" && e.status === 500).requestId, requestId);
+  } finally {
+    ctx.sheets.failWith = null;
+  }
+});
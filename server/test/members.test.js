@@ -0,0 +1,231 @@
+// test/members.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const { startApp, request } = require("./helpers");
+
+let ctx;
+let admin;
+let desk;
+
+/* yyyy-MM-dd of a local Date */
+function dateKey(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+before(async () => {
+  // edits write back to the roster, so serve it from a local CSV
+  ctx = await startApp({
+    AUTH_MODE: "token",
+    roster:
+      "ID,Name,Phone Number,Email,Membership Date,Membership Expiry,Locker,Deactivated\n" +
+      "0007,Alice Smith,9876543210,alice@example.com,01/01/2025,01/01/2099,A1,\n" +
+      "0012,Bob Jones,,,01/01/2020,01/01/2021,,\n",
+  });
+  ({ admin, desk } = ctx.tokens);
+});
+
+after(() => ctx.close());
+
+test("adding a member allocates the next ID and validates the fields", async () => {
+  const res = await request(ctx.baseUrl, "POST", "/members", {
+    token: desk,
+    body: { fields: { Name: "  Cara   Diaz ", Locker: "B4" } },
+  });
+  assert.equal(res.status, 201);
+  assert.equal(res.body.member.ID, "0013");
+  assert.equal(res.body.member.Name, "Cara Diaz");
+  // joined today; due until a plan is paid for
+  assert.equal(res.body.member["Membership Date"], dateKey(new Date()));
+  assert.equal(res.body.member["Membership Expiry"], dateKey(new Date()));
+  assert.equal(res.body.member.membership.status, "expired");
+  assert.ok(res.body.version);
+  // written in the roster's own dd/MM/yyyy, not the yyyy-MM-dd default
+  assert.match(fs.readFileSync(ctx.filePath, "utf8"), /^0013,Cara Diaz,,,(\d\d\/\d\d\/\d{4}),\1,B4,\r?$/m);
+
+  const cases = [
+    [desk, { Name: "Dan", "Membership Expiry": "2099-01-01" }, 403, /renew the membership/],
+    [desk, { Name: "Dan", "Phone Number": "9000000000" }, 403, /contact details/],
+    [admin, { Locker: "C1" }, 400, /Name is required/],
+    [admin, { Name: "Dan", Email: "dan@" }, 400, /Email: not an email address/],
+    [admin, { Name: "Dan", ID: "1" }, 400, /"ID" can't be set/],
+  ];
+  for (const [token, fields, status, message] of cases) {
+    const bad = await request(ctx.baseUrl, "POST", "/members", { token, body: { fields } });
+    assert.equal(bad.status, status);
+    assert.match(bad.body.message, message);
+  }
+
+  const full = await request(ctx.baseUrl, "POST", "/members", {
+    token: admin,
+    body: {
+      fields: {
+        Name: "Dan Evans",
+        "Phone Number": "+44 (20) 7946-0958",
+        Email: "Dan@Example.com",
+        "Membership Date": "2025-03-01",
+        "Membership Expiry": "01/04/2025",
+      },
+    },
+  });
+  assert.equal(full.status, 201);
+  assert.equal(full.body.member.ID, "0014");
+  assert.equal(full.body.member["Phone Number"], "+442079460958");
+  assert.equal(full.body.member.Email, "dan@example.com");
+  assert.equal(full.body.member["Membership Expiry"], "2025-04-01");
+
+  // two desks adding at once still get different IDs
+  const [first, second] = await Promise.all(
+    ["Eve Fox", "Gus Hill"].map((Name) => request(ctx.baseUrl, "POST", "/members", { token: desk, body: { fields: { Name } } }))
+  );
+  assert.deepEqual([first.body.member.ID, second.body.member.ID].sort(), ["0015", "0016"]);
+});
+
+test("desk staff can't make a new member active through the join date", async () => {
+  const future = await request(ctx.baseUrl, "POST", "/members", {
+    token: desk,
+    body: { fields: { Name: "Hal Ito", "Membership Date": "01/01/2099" } },
+  });
+  assert.equal(future.status, 403);
+  assert.match(future.body.message, /join date in the future/);
+
+  const backdated = await request(ctx.baseUrl, "POST", "/members", {
+    token: desk,
+    body: { fields: { Name: "Hal Ito", "Membership Date": "01/01/2024" } },
+  });
+  assert.equal(backdated.status, 201);
+  assert.equal(backdated.body.member["Membership Date"], "2024-01-01");
+  assert.equal(backdated.body.member["Membership Expiry"], dateKey(new Date()));
+  assert.equal(backdated.body.member.membership.status, "expired");
+});
+
+test("/api/members/fields lists what the role may set", async () => {
+  const adminFields = await request(ctx.baseUrl, "GET", "/members/fields", { token: admin });
+  assert.deepEqual(adminFields.body.fields, ["Name", "Phone Number", "Email", "Membership Date", "Membership Expiry", "Locker"]);
+  const deskFields = await request(ctx.baseUrl, "GET", "/members/fields", { token: desk });
+  assert.deepEqual(deskFields.body.fields, ["Name", "Membership Date", "Locker"]);
+});
+
+test("edits need the version they were based on", async () => {
+  const detail = await request(ctx.baseUrl, "GET", "/members/0012", { token: admin });
+  const { version } = detail.body;
+  assert.ok(version);
+
+  const noVersion = await request(ctx.baseUrl, "PATCH", "/members/0012", { token: admin, body: { fields: { Locker: "B9" } } });
+  assert.equal(noVersion.status, 400);
+
+  const res = await request(ctx.baseUrl, "PATCH", "/members/0012", {
+    token: admin,
+    body: { version, fields: { Locker: "B9", "Phone Number": "91234 56780" } },
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.member.Locker, "B9");
+  assert.equal(res.body.member["Phone Number"], "9123456780");
+  assert.notEqual(res.body.version, version);
+
+  // a second desk still holding the old version is refused and shown the current row
+  const stale = await request(ctx.baseUrl, "PATCH", "/members/0012", {
+    token: admin,
+    body: { version, fields: { Locker: "C3" } },
+  });
+  assert.equal(stale.status, 409);
+  assert.equal(stale.body.member.Locker, "B9");
+  assert.equal(stale.body.version, res.body.version);
+
+  // same version sent twice at once: exactly one wins
+  const racing = await Promise.all(
+    ["D1", "D2"].map((Locker) =>
+      request(ctx.baseUrl, "PATCH", "/members/0012", { token: admin, body: { version: res.body.version, fields: { Locker } } })
+    )
+  );
+  assert.deepEqual(racing.map((r) => r.status).sort(), [200, 409]);
+
+  const blank = await request(ctx.baseUrl, "PATCH", "/members/0012", {
+    token: admin,
+    body: { version: racing.find((r) => r.status === 200).body.version, fields: { Name: " " } },
+  });
+  assert.equal(blank.status, 400);
+  const missing = await request(ctx.baseUrl, "PATCH", "/members/99", { token: admin, body: { version, fields: { Locker: "A" } } });
+  assert.equal(missing.status, 404);
+});
+
+test("deactivating keeps the row but makes the member inactive", async () => {
+  let { version } = (await request(ctx.baseUrl, "GET", "/members/0007", { token: admin })).body;
+
+  const forbidden = await request(ctx.baseUrl, "DELETE", "/members/0007", { token: desk, body: { version } });
+  assert.equal(forbidden.status, 403);
+
+  const res = await request(ctx.baseUrl, "DELETE", "/members/0007", { token: admin, body: { version } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.member.Deactivated, dateKey(new Date()));
+  assert.equal(res.body.member.membership.status, "inactive");
+  ({ version } = res.body);
+
+  const checkIn = await request(ctx.baseUrl, "POST", "/members/0007/checkin", { token: desk, body: {} });
+  assert.equal(checkIn.status, 409);
+  assert.equal(checkIn.body.message, "Member is deactivated");
+  const search = await request(ctx.baseUrl, "GET", "/members/search?q=alice", { token: desk });
+  assert.equal(search.body.results[0].membership.status, "inactive");
+  const again = await request(ctx.baseUrl, "DELETE", "/members/0007", { token: admin, body: { version } });
+  assert.equal(again.status, 409);
+
+  const restored = await request(ctx.baseUrl, "POST", "/members/0007/reactivate", { token: admin, body: { version } });
+  assert.equal(restored.status, 200);
+  assert.equal(restored.body.member.Deactivated, null);
+  assert.equal(restored.body.member.membership.status, "active");
+
+  const audit = await request(ctx.baseUrl, "GET", "/admin/audit?memberId=0007", { token: admin });
+  assert.deepEqual(
+    audit.body.results.filter((e) => ["deactivate", "reactivate"].includes(e.action)).map((e) => e.action),
+    ["reactivate", "deactivate"]
+  );
+});
+
+test("deactivating asks for a Deactivated column when the roster has none", async () => {
+  const original = fs.readFileSync(ctx.filePath, "utf8");
+  // the Deactivated column is the last one
+  fs.writeFileSync(ctx.filePath, original.replace(/,[^,\r\n]*(?=\r?$)/gm, ""));
+  require("../datasources").invalidateSheetCache();
+  try {
+    const { version } = (await request(ctx.baseUrl, "GET", "/members/0012", { token: admin })).body;
+    const res = await request(ctx.baseUrl, "DELETE", "/members/0012", { token: admin, body: { version } });
+    assert.equal(res.status, 409);
+    assert.match(res.body.message, /no "Deactivated" column/);
+    assert.equal(fs.readFileSync(ctx.filePath, "utf8").split(/\r?\n/)[0].split(",").pop(), "Locker");
+  } finally {
+    fs.writeFileSync(ctx.filePath, original);
+    require("../datasources").invalidateSheetCache();
+  }
+});
+
+test("renewing extends a lapsed membership from today and a current one from its expiry", async () => {
+  const renew = (id, body) => request(ctx.baseUrl, "POST", `/members/${id}/renew`, { token: admin, body });
+
+  const lapsed = await renew("0012", { days: 30 });
+  assert.equal(lapsed.status, 200);
+  const expected = new Date();
+  expected.setDate(expected.getDate() + 30);
+  assert.equal(lapsed.body.member["Membership Expiry"], dateKey(expected));
+  assert.equal(lapsed.body.member.membership.status, "active");
+  assert.deepEqual(
+    [lapsed.body.renewal.previousExpiry, lapsed.body.renewal.days, lapsed.body.renewal.staff],
+    ["2021-01-01", 30, "admin"]
+  );
+
+  const early = await renew("0007", { months: 2 });
+  assert.equal(early.body.member["Membership Expiry"], "2099-03-01");
+
+  for (const body of [{}, { months: 0 }, { days: 1.5 }, { months: 1, days: 1 }, { months: 25 }]) {
+    assert.equal((await renew("0012", body)).status, 400, JSON.stringify(body));
+  }
+  assert.equal((await renew("99", { days: 1 })).status, 404);
+
+  const detail = await request(ctx.baseUrl, "GET", "/members/0012", { token: desk });
+  assert.deepEqual(
+    detail.body.renewals.map((r) => r.newExpiry),
+    [lapsed.body.renewal.newExpiry]
+  );
+  const audit = await request(ctx.baseUrl, "GET", "/admin/audit?action=renew&memberId=0012", { token: admin });
+  assert.equal(audit.body.total, 1);
+});
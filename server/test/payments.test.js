@@ -0,0 +1,209 @@
+// test/payments.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, request } = require("./helpers");
+
+let ctx;
+let admin;
+let desk;
+let monthly;
+
+/* yyyy-MM-dd of a local Date */
+function dateKey(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+before(async () => {
+  // renewals write back to the roster, so serve it from a local CSV
+  ctx = await startApp({
+    AUTH_MODE: "token",
+    CURRENCY: "EUR",
+    roster: "ID,Name,Membership Expiry\n1,Alice Smith,2099-01-01\n2,Bob Jones,2021-01-01\n",
+  });
+  ({ admin, desk } = ctx.tokens);
+});
+
+after(() => ctx.close());
+
+test("admins manage the plans catalogue; desk staff can only read it", async () => {
+  const forbidden = await request(ctx.baseUrl, "POST", "/plans", {
+    token: desk,
+    body: { name: "Monthly", months: 1, price: 40 },
+  });
+  assert.equal(forbidden.status, 403);
+
+  const noDuration = await request(ctx.baseUrl, "POST", "/plans", { token: admin, body: { name: "Monthly", price: 40 } });
+  assert.equal(noDuration.status, 400);
+  const badPrice = await request(ctx.baseUrl, "POST", "/plans", {
+    token: admin,
+    body: { name: "Monthly", months: 1, price: 39.999 },
+  });
+  assert.equal(badPrice.status, 400);
+  assert.match(badPrice.body.message, /two decimals/);
+
+  const year = await request(ctx.baseUrl, "POST", "/plans", { token: admin, body: { name: "Annual", months: 12, price: 400 } });
+  assert.equal(year.status, 201);
+  const month = await request(ctx.baseUrl, "POST", "/plans", { token: admin, body: { name: "Monthly", months: 1, price: "39.50" } });
+  assert.equal(month.status, 201);
+  assert.equal(month.body.price, 39.5);
+  monthly = month.body;
+  const pass = await request(ctx.baseUrl, "POST", "/plans", { token: admin, body: { name: "Day pass", days: 1, price: 8 } });
+  const duplicate = await request(ctx.baseUrl, "POST", "/plans", { token: admin, body: { name: "monthly", months: 1, price: 1 } });
+  assert.equal(duplicate.status, 409);
+
+  const retired = await request(ctx.baseUrl, "PUT", `/plans/${pass.body.id}`, { token: admin, body: { active: false } });
+  assert.equal(retired.body.active, false);
+
+  const list = await request(ctx.baseUrl, "GET", "/plans", { token: desk });
+  assert.equal(list.body.currency, "EUR");
+  assert.deepEqual(
+    list.body.plans.map((p) => p.name),
+    ["Monthly", "Annual"]
+  );
+  const all = await request(ctx.baseUrl, "GET", "/plans?all=1", { token: admin });
+  assert.equal(all.body.plans.length, 3);
+});
+
+test("recording a payment extends the expiry and lands in the ledger", async () => {
+  const res = await request(ctx.baseUrl, "POST", "/members/2/payments", {
+    token: desk,
+    body: { planId: monthly.id, method: "card", reference: "receipt 17" },
+  });
+  assert.equal(res.status, 201);
+  // lapsed: the month starts today
+  const today = new Date();
+  const expected = new Date(today.getFullYear(), today.getMonth() + 1, 1);
+  expected.setDate(Math.min(today.getDate(), new Date(expected.getFullYear(), expected.getMonth() + 1, 0).getDate()));
+  assert.equal(res.body.payment.newExpiry, dateKey(expected));
+  assert.equal(res.body.member["Membership Expiry"], dateKey(expected));
+  assert.equal(res.body.member.membership.status, "active");
+  assert.deepEqual(
+    [res.body.payment.amount, res.body.payment.currency, res.body.payment.method, res.body.payment.staff],
+    [39.5, "EUR", "card", "desk"]
+  );
+  assert.equal(res.body.renewal.planName, "Monthly");
+
+  // early renewal with a discount: extends from the current expiry
+  const discounted = await request(ctx.baseUrl, "POST", "/members/1/payments", {
+    token: admin,
+    body: { planId: monthly.id, amount: 30 },
+  });
+  assert.equal(discounted.body.payment.newExpiry, "2099-02-01");
+  assert.equal(discounted.body.payment.amount, 30);
+  assert.equal(discounted.body.payment.method, "cash");
+
+  const detail = await request(ctx.baseUrl, "GET", "/members/2", { token: desk });
+  assert.equal(detail.body.payments.length, 1);
+  assert.equal(detail.body.payments[0].reference, "receipt 17");
+
+  const ledger = await request(ctx.baseUrl, "GET", "/payments", { token: admin });
+  assert.equal(ledger.body.total, 2);
+  assert.equal(ledger.body.totalAmount, 69.5);
+  assert.deepEqual(
+    ledger.body.results.map((p) => p.memberId),
+    ["1", "2"]
+  );
+  const deskLedger = await request(ctx.baseUrl, "GET", "/payments", { token: desk });
+  assert.equal(deskLedger.status, 403);
+});
+
+test("payments need an active plan and a known method", async () => {
+  const all = await request(ctx.baseUrl, "GET", "/plans?all=1", { token: admin });
+  const retired = all.body.plans.find((p) => !p.active);
+
+  const cases = [
+    [{}, /planId must be an active plan/],
+    [{ planId: retired.id }, /planId must be an active plan/],
+    [{ planId: monthly.id, method: "cheque" }, /method must be one of/],
+    [{ planId: monthly.id, amount: -5 }, /amount must be a number/],
+  ];
+  for (const [body, message] of cases) {
+    const res = await request(ctx.baseUrl, "POST", "/members/2/payments", { token: desk, body });
+    assert.equal(res.status, 400);
+    assert.match(res.body.message, message);
+  }
+  const missing = await request(ctx.baseUrl, "POST", "/members/99/payments", { token: desk, body: { planId: monthly.id } });
+  assert.equal(missing.status, 404);
+
+  // a free or discounted month is a renewal without (full) payment: not for the desk
+  for (const amount of [0, 30]) {
+    const res = await request(ctx.baseUrl, "POST", "/members/2/payments", { token: desk, body: { planId: monthly.id, amount } });
+    assert.equal(res.status, 403, String(amount));
+  }
+});
+
+test("/api/reports/revenue totals the ledger per month", async () => {
+  const res = await request(ctx.baseUrl, "GET", "/reports/revenue", { token: admin });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.currency, "EUR");
+  assert.equal(res.body.months.length, 12);
+  assert.deepEqual(res.body.total, { amount: 69.5, count: 2 });
+
+  const current = res.body.months[11];
+  assert.equal(current.month, dateKey(new Date()).slice(0, 7));
+  assert.deepEqual(current.byPlan, [{ planId: monthly.id, planName: "Monthly", amount: 69.5, count: 2 }]);
+  assert.ok(res.body.months.slice(0, 11).every((m) => m.amount === 0 && m.count === 0));
+
+  const past = await request(ctx.baseUrl, "GET", "/reports/revenue?from=2020-01-15&to=2020-03-01", { token: admin });
+  assert.deepEqual(
+    past.body.months.map((m) => [m.month, m.amount]),
+    [
+      ["2020-01", 0],
+      ["2020-02", 0],
+      ["2020-03", 0],
+    ]
+  );
+
+  const backwards = await request(ctx.baseUrl, "GET", "/reports/revenue?from=2024-02-01&to=2024-01-01", { token: admin });
+  assert.equal(backwards.status, 400);
+  const deskRes = await request(ctx.baseUrl, "GET", "/reports/revenue", { token: desk });
+  assert.equal(deskRes.status, 403);
+});
+
+test("renewing without a payment is for admins and managers only", async () => {
+  const deskRenew = await request(ctx.baseUrl, "POST", "/members/2/renew", { token: desk, body: { months: 12 } });
+  assert.equal(deskRenew.status, 403);
+
+  const before = await request(ctx.baseUrl, "GET", "/payments", { token: admin });
+  const comp = await request(ctx.baseUrl, "POST", "/members/2/renew", { token: admin, body: { days: 7 } });
+  assert.equal(comp.status, 200);
+  assert.equal(comp.body.renewal.days, 7);
+  const after = await request(ctx.baseUrl, "GET", "/payments", { token: admin });
+  assert.equal(after.body.total, before.body.total);
+});
+
+test("payments are corrected with refund entries, not edits", async () => {
+  const { body: ledger } = await request(ctx.baseUrl, "GET", "/payments?memberId=1", { token: admin });
+  const payment = ledger.results[0];
+  const refund = (token, body) => request(ctx.baseUrl, "POST", `/payments/${payment.id}/refunds`, { token, body });
+
+  assert.equal((await refund(desk, { amount: 5, reference: "overcharged" })).status, 403);
+  const noReason = await refund(admin, { amount: 5, reference: " " });
+  assert.equal(noReason.status, 400);
+  assert.match(noReason.body.message, /reference required/);
+  assert.equal((await refund(admin, { amount: 31, reference: "overcharged" })).status, 400);
+  assert.equal((await request(ctx.baseUrl, "POST", "/payments/nope/refunds", { token: admin, body: {} })).status, 404);
+
+  const partial = await refund(admin, { amount: "5.50", reference: "overcharged" });
+  assert.equal(partial.status, 201);
+  assert.deepEqual(
+    [partial.body.refund.type, partial.body.refund.refundOf, partial.body.refund.amount, partial.body.refund.staff],
+    ["refund", payment.id, -5.5, "admin"]
+  );
+  // the rest of the payment by default
+  const rest = await refund(admin, { reference: "card charged twice" });
+  assert.equal(rest.body.refund.amount, -24.5);
+  assert.equal((await refund(admin, { reference: "again" })).status, 409);
+
+  const after = await request(ctx.baseUrl, "GET", "/payments", { token: admin });
+  assert.equal(after.body.totalAmount, 39.5);
+  const revenue = await request(ctx.baseUrl, "GET", "/reports/revenue", { token: admin });
+  assert.deepEqual(revenue.body.total, { amount: 39.5, count: 2 });
+  // a refund is a ledger entry only; the membership stays as it was
+  const alice = await request(ctx.baseUrl, "GET", "/members/1", { token: admin });
+  assert.equal(alice.body.member["Membership Expiry"], "2099-02-01");
+
+  const audit = await request(ctx.baseUrl, "GET", "/admin/audit?action=refund", { token: admin });
+  assert.deepEqual(audit.body.results.map((e) => e.details.amount), [-24.5, -5.5]);
+});
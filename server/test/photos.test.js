@@ -0,0 +1,83 @@
+// test/photos.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const sharp = require("sharp");
+const { startApp, request } = require("./helpers");
+
+let ctx;
+let desk;
+
+before(async () => {
+  ctx = await startApp({ AUTH_MODE: "token", PHOTO_MAX_UPLOAD_MB: "1" });
+  ({ desk } = ctx.tokens);
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+/* multipart upload the way the client sends it; returns { status, body } */
+async function uploadPhoto(memberId, data, type = "image/png") {
+  const form = new FormData();
+  form.append("photo", new Blob([data], { type }), "photo");
+  const res = await fetch(`${ctx.baseUrl}/members/${memberId}/photo`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${desk}` },
+    body: form,
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+function getPhoto(memberId, query = "", headers = {}) {
+  return fetch(`${ctx.baseUrl}/members/${memberId}/photo${query}`, {
+    headers: { Authorization: `Bearer ${desk}`, ...headers },
+  });
+}
+
+test("an uploaded photo is stored as square thumbnails", async () => {
+  const png = await sharp({ create: { width: 1200, height: 800, channels: 3, background: "#c33" } })
+    .png()
+    .toBuffer();
+  const res = await uploadPhoto(1, png);
+  assert.equal(res.status, 201);
+  assert.ok(Date.parse(res.body.photo.updatedAt));
+
+  const small = await getPhoto(1);
+  assert.equal(small.status, 200);
+  assert.equal(small.headers.get("content-type"), "image/jpeg");
+  assert.match(small.headers.get("cache-control"), /^private, max-age=\d+$/);
+  const meta = await sharp(Buffer.from(await small.arrayBuffer())).metadata();
+  assert.deepEqual([meta.format, meta.width, meta.height], ["jpeg", 128, 128]);
+
+  const large = await getPhoto(1, "?size=large");
+  const largeMeta = await sharp(Buffer.from(await large.arrayBuffer())).metadata();
+  assert.equal(largeMeta.width, 512);
+
+  const revalidated = await getPhoto(1, "", { "If-None-Match": small.headers.get("etag") });
+  assert.equal(revalidated.status, 304);
+
+  const search = await request(ctx.baseUrl, "GET", "/members/search?q=alice", { token: desk });
+  assert.deepEqual(search.body.photos, { 1: res.body.photo.updatedAt });
+  const detail = await request(ctx.baseUrl, "GET", "/members/1", { token: desk });
+  assert.deepEqual(detail.body.photo, res.body.photo);
+  const bob = await request(ctx.baseUrl, "GET", "/members/2", { token: desk });
+  assert.equal(bob.body.photo, null);
+});
+
+test("photo uploads are checked before anything is stored", async () => {
+  const notImage = await uploadPhoto(2, Buffer.from("not an image"), "image/jpeg");
+  assert.equal(notImage.status, 400);
+  assert.match(notImage.body.message, /JPEG, PNG or WebP/);
+
+  const tooBig = await uploadPhoto(2, Buffer.alloc(1.5 * 1024 * 1024));
+  assert.equal(tooBig.status, 413);
+
+  const png = await sharp({ create: { width: 10, height: 10, channels: 3, background: "#000" } }).png().toBuffer();
+  const unknown = await uploadPhoto(99, png);
+  assert.equal(unknown.status, 404);
+
+  assert.equal((await getPhoto(2)).status, 404);
+  assert.equal((await getPhoto(1, "?size=huge")).status, 400);
+  const anonymous = await fetch(`${ctx.baseUrl}/members/1/photo`);
+  assert.equal(anonymous.status, 401);
+});
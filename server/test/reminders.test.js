@@ -0,0 +1,192 @@
+// test/reminders.test.js
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startApp, request, login } = require("./helpers");
+
+const HEADERS = ["ID", "Name", "Phone Number", "Email", "Membership Expiry"];
+
+let ctx;
+let token;
+let datasources;
+let notifications;
+let templatesDir;
+let outboxFile;
+
+/* yyyy-MM-dd, days from today; daysLeft counts whole days, so dateIn(3) is 2 days left */
+function dateIn(days) {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function outbox() {
+  if (!fs.existsSync(outboxFile)) return [];
+  return fs
+    .readFileSync(outboxFile, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+}
+
+before(async () => {
+  // a scratch copy so template edits don't touch the real ones
+  templatesDir = fs.mkdtempSync(path.join(os.tmpdir(), "gym-templates-"));
+  fs.cpSync(path.join(__dirname, "../templates/reminders"), templatesDir, { recursive: true });
+  outboxFile = path.join(templatesDir, "outbox.jsonl");
+  ctx = await startApp({ AUTH_MODE: "token", REMINDER_TEMPLATES_DIR: templatesDir, OUTBOX_FILE: outboxFile, GYM_NAME: "Iron Den" });
+  datasources = require("../datasources");
+  notifications = require("../notifications");
+  token = ctx.tokens.admin;
+});
+
+after(async () => {
+  await ctx.close();
+  fs.rmSync(templatesDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  ctx.sheets.rows = [
+    HEADERS,
+    ["1", "Alice Smith", "9876543210", "alice@example.com", dateIn(3)],
+    ["2", "Bob Jones", "9123456780", "", dateIn(-2)],
+    ["3", "Cara Diaz", "", "", dateIn(2)],
+    ["4", "Dan Brown", "9000000004", "", dateIn(40)],
+    ["5", "Eve Long", "9000000005", "", dateIn(-30)],
+  ];
+  datasources.invalidateSheetCache();
+  notifications.setTransport(null);
+});
+
+test("reminders are admin-only", async () => {
+  const { accessToken } = await login(ctx.baseUrl, "desk");
+  const res = await request(ctx.baseUrl, "POST", "/admin/reminders/run", { token: accessToken, body: { dryRun: true } });
+  assert.equal(res.status, 403);
+});
+
+test("a dry run previews the due reminders without sending them", async () => {
+  const res = await request(ctx.baseUrl, "POST", "/admin/reminders/run", { token, body: { dryRun: true } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.transport, "outbox");
+  assert.deepEqual(
+    res.body.results.map((r) => [r.memberId, r.kind, r.channel, r.status]),
+    [
+      ["1", "expiring", "email", "preview"],
+      ["2", "expired", "sms", "preview"],
+      ["3", "expiring", null, "no-contact"],
+    ]
+  );
+  const [alice, bob] = res.body.results;
+  assert.match(alice.subject, /^Your Iron Den membership expires on /);
+  assert.match(alice.text, /^Hi Alice,/);
+  assert.match(alice.text, /2 day\(s\) from now/);
+  assert.match(bob.text, /expired on/);
+  assert.deepEqual(outbox(), []);
+
+  const log = await request(ctx.baseUrl, "GET", "/admin/reminders", { token });
+  assert.equal(log.body.total, 0);
+});
+
+test("each member is reminded once per window", async () => {
+  const first = await request(ctx.baseUrl, "POST", "/admin/reminders/run", { token, body: {} });
+  assert.equal(first.status, 200);
+  assert.equal(first.body.sent, 2);
+  assert.equal(first.body.noContact, 1);
+  assert.deepEqual(
+    outbox().map((m) => [m.channel, m.to]),
+    [
+      ["email", "alice@example.com"],
+      ["sms", "9123456780"],
+    ]
+  );
+
+  const second = await request(ctx.baseUrl, "POST", "/admin/reminders/run", { token, body: {} });
+  assert.equal(second.body.sent, 0);
+  assert.equal(second.body.alreadySent, 2);
+  assert.equal(outbox().length, 2);
+
+  // renewing moves the expiry, which opens a new window
+  ctx.sheets.rows[2][4] = dateIn(4);
+  datasources.invalidateSheetCache();
+  const renewed = await request(ctx.baseUrl, "POST", "/admin/reminders/run", { token, body: {} });
+  assert.deepEqual(
+    renewed.body.results.filter((r) => r.status === "sent").map((r) => [r.memberId, r.kind]),
+    [["2", "expiring"]]
+  );
+
+  const log = await request(ctx.baseUrl, "GET", "/admin/reminders?memberId=2", { token });
+  assert.deepEqual(
+    log.body.results.map((r) => [r.kind, r.status]),
+    [
+      ["expiring", "sent"],
+      ["expired", "sent"],
+    ]
+  );
+  assert.ok(!("to" in log.body.results[0]));
+});
+
+test("failed sends are logged and retried on the next run", async () => {
+  let failing = true;
+  const delivered = [];
+  notifications.setTransport({
+    name: "stand-in",
+    channels: ["sms"],
+    async send(message) {
+      if (failing) throw new Error("gateway down");
+      delivered.push(message);
+      return { id: `msg-${delivered.length}` };
+    },
+  });
+  ctx.sheets.rows = [HEADERS, ["7", "Gus Hill", "9000000007", "", dateIn(2)]];
+  datasources.invalidateSheetCache();
+
+  const failed = await request(ctx.baseUrl, "POST", "/admin/reminders/run", { token, body: {} });
+  assert.equal(failed.body.failed, 1);
+  assert.equal(failed.body.results[0].error, "gateway down");
+
+  failing = false;
+  const retried = await request(ctx.baseUrl, "POST", "/admin/reminders/run", { token, body: {} });
+  assert.equal(retried.body.sent, 1);
+  assert.equal(delivered[0].to, "9000000007");
+
+  const log = await request(ctx.baseUrl, "GET", "/admin/reminders?memberId=7", { token });
+  assert.deepEqual(
+    log.body.results.map((r) => [r.status, r.messageId || r.error]),
+    [
+      ["sent", "msg-1"],
+      ["failed", "gateway down"],
+    ]
+  );
+});
+
+test("templates can be edited and are checked first", async () => {
+  const list = await request(ctx.baseUrl, "GET", "/admin/reminders/templates", { token });
+  assert.deepEqual(
+    list.body.templates.map((t) => t.name),
+    ["expiring.email", "expiring.sms", "expired.email", "expired.sms"]
+  );
+
+  const route = "/admin/reminders/templates/expiring.email";
+  const unknown = await request(ctx.baseUrl, "PUT", route, { token, body: { text: "Subject: Hi\n\n{{nickname}}" } });
+  assert.equal(unknown.status, 400);
+  assert.match(unknown.body.message, /Unknown placeholder\(s\): nickname/);
+  const noSubject = await request(ctx.baseUrl, "PUT", route, { token, body: { text: "Hi {{firstName}}" } });
+  assert.equal(noSubject.status, 400);
+  const missing = await request(ctx.baseUrl, "PUT", "/admin/reminders/templates/welcome.email", { token, body: { text: "Hi" } });
+  assert.equal(missing.status, 404);
+
+  const saved = await request(ctx.baseUrl, "PUT", route, {
+    token,
+    body: { text: "Subject: {{daysLeft}} days left at {{gymName}}\n\nSee you, {{name}}!" },
+  });
+  assert.equal(saved.status, 200);
+
+  ctx.sheets.rows = [HEADERS, ["8", "Hana Ito", "", "hana@example.com", dateIn(3)]];
+  datasources.invalidateSheetCache();
+  const preview = await request(ctx.baseUrl, "POST", "/admin/reminders/run", { token, body: { dryRun: true } });
+  assert.equal(preview.body.results[0].subject, "2 days left at Iron Den");
+  assert.equal(preview.body.results[0].text, "See you, Hana Ito!");
+});
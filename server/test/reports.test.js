@@ -0,0 +1,57 @@
+// test/reports.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, request } = require("./helpers");
+
+let ctx;
+let desk;
+
+/* yyyy-MM-dd, days from today */
+function dateIn(days) {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+before(async () => {
+  ctx = await startApp({ AUTH_MODE: "token", EXPIRING_WITHIN_DAYS: "7" });
+  ctx.sheets.rows = [
+    ["ID", "Name", "Phone Number", "Membership Date", "Membership Expiry", "Locker"],
+    ["1", "Alice Smith", "9876543210", "01/01/2025", "01/01/2099", "A1"],
+    ["2", "Bob Jones", "9123456780", "01/01/2020", "01/01/2021", ""],
+    ["3", "Cara Diaz", "9000000033", "01/01/2025", dateIn(3), ""],
+    ["4", "Dan Wu", "9000000044", "01/01/2025", dateIn(-5), ""],
+    ["5", "Eve Ray", "9000000055", "01/01/2025", "", ""],
+  ];
+  ({ desk } = ctx.tokens);
+});
+
+after(() => ctx.close());
+
+const report = (route) => request(ctx.baseUrl, "GET", route, { token: desk });
+const ids = (members) => members.map((m) => m.ID);
+
+test("/api/reports/status counts every status and lists the members needing attention", async () => {
+  const res = await report("/reports/status");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.expiringWithinDays, 7);
+  assert.deepEqual(res.body.counts, { active: 1, expiring: 1, expired: 2, unknown: 1, inactive: 0 });
+  assert.deepEqual(ids(res.body.groups.expiring), ["3"]);
+  assert.deepEqual(ids(res.body.groups.expired), ["4", "2"]); // most recently expired first
+  assert.deepEqual(ids(res.body.groups.unknown), ["5"]);
+  assert.equal(res.body.groups.expiring[0]["Phone Number"], undefined); // desk view
+});
+
+test("/api/reports/expiring and /expired filter by date", async () => {
+  assert.deepEqual(ids((await report("/reports/expiring")).body.members), ["3"]);
+  const soon = await report("/reports/expiring?withinDays=1");
+  assert.deepEqual([soon.body.withinDays, soon.body.total], [1, 0]);
+
+  const expired = await report("/reports/expired");
+  assert.deepEqual(ids(expired.body.members), ["4", "2"]);
+  const recent = await report(`/reports/expired?since=${dateIn(-30)}`);
+  assert.deepEqual([recent.body.since, ids(recent.body.members)], [dateIn(-30), ["4"]]);
+  assert.equal((await report("/reports/expired?since=last-week")).status, 400);
+  assert.equal((await request(ctx.baseUrl, "GET", "/reports/status")).status, 401);
+});
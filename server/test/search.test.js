@@ -0,0 +1,75 @@
+// test/search.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, request } = require("./helpers");
+
+let ctx;
+let admin;
+let desk;
+
+before(async () => {
+  ctx = await startApp({ AUTH_MODE: "token" });
+  ctx.sheets.rows = [
+    ["ID", "Name", "Phone Number", "Membership Date", "Membership Expiry", "Locker"],
+    ["1", "Alice Smith", "9876543210", "01/01/2025", "01/01/2099", "A1"],
+    ["2", "Bob Jones", "9123456780", "01/01/2020", "01/01/2021", ""],
+    ["3", "Alicia Keys", "9000000011", "01/01/2025", "01/01/2099", "B7"],
+    ["17", "Jonas Smithers", "9000000022", "01/01/2025", "01/01/2099", "1"],
+  ];
+  ({ admin, desk } = ctx.tokens);
+});
+
+after(() => ctx.close());
+
+const search = (query, token = admin) => request(ctx.baseUrl, "GET", `/members/search?${query}`, { token });
+const ids = (res) => res.body.results.map((m) => m.ID);
+
+test("search ranks exact IDs and lockers ahead of names, then phone suffixes", async () => {
+  assert.deepEqual(ids(await search("q=1")), ["1", "17"]); // ID 1, then locker "1"
+  assert.deepEqual(ids(await search("q=b7")), ["3"]);
+  assert.deepEqual(ids(await search("q=ali")), ["1", "3"]);
+  assert.deepEqual(ids(await search("q=smith")), ["1", "17"]);
+  assert.deepEqual(ids(await search("q=0011")), ["3"]);
+
+  const typo = await search("q=alcie");
+  assert.deepEqual(ids(typo), ["1"]);
+  assert.deepEqual(typo.body.highlights["1"], { Name: [[0, 5]] });
+
+  const none = await search("q=zzz");
+  assert.deepEqual([none.status, none.body.total, none.body.results], [200, 0, []]);
+});
+
+test("search pages its results and attaches status and check-ins", async () => {
+  const first = await search("q=smith&limit=1");
+  assert.deepEqual([first.body.total, first.body.page, first.body.limit], [2, 1, 1]);
+  const second = await search("q=smith&limit=1&page=2");
+  assert.equal(second.body.results.length, 1);
+  assert.notEqual(ids(second)[0], ids(first)[0]);
+
+  await request(ctx.baseUrl, "POST", "/members/1/checkin", { token: desk, body: {} });
+  const res = await search("q=alice");
+  assert.equal(res.body.results[0].membership.status, "active");
+  assert.ok(res.body.lastCheckIns["1"]);
+  assert.ok(res.body.syncedAt);
+  assert.equal(res.body.stale, false);
+});
+
+test("search hides phone numbers from desk staff", async () => {
+  const res = await search("q=bob", desk);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.results[0].Name, "Bob Jones");
+  assert.equal(res.body.results[0]["Phone Number"], undefined);
+  assert.equal((await search("q=bob")).body.results[0]["Phone Number"], "9123456780");
+  assert.equal((await request(ctx.baseUrl, "GET", "/members/search?q=bob")).status, 401);
+});
+
+test("desk staff can't search by phone number", async () => {
+  const res = await search("q=3210", desk);
+  assert.equal(res.status, 200);
+  assert.deepEqual([res.body.total, res.body.highlights], [0, {}]);
+  assert.deepEqual(ids(await search("q=3210")), ["1"]);
+
+  const exported = await request(ctx.baseUrl, "GET", "/members/export?q=3210", { token: desk });
+  assert.equal(exported.status, 200);
+  assert.equal(exported.body.replace(/^\uFEFF/, "").trim().split(/\r?\n/).length, 1); // header row only
+});
@@ -0,0 +1,78 @@
+// test/sheets.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { startApp, request } = require("./helpers");
+
+let ctx;
+let admin;
+
+before(async () => {
+  ctx = await startApp({ AUTH_MODE: "token" });
+  ctx.sheets.rows = [
+    ["ID", "Name", "Phone Number", "Membership Date", "Membership Expiry", "Locker"],
+    ["0041", "Alice Smith", "0712345678", "01/01/2025", "01/01/2099", "A1"],
+  ];
+  const { privateKey } = crypto.generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+    privateKeyEncoding: { type: "pkcs8", format: "pem" },
+    publicKeyEncoding: { type: "spki", format: "pem" },
+  });
+  const datasources = require("../datasources");
+  const { createSheetsSource } = require("../datasources/sheets");
+  datasources.setDataSource(
+    createSheetsSource({
+      ...ctx.sheets.settings,
+      serviceAccountEmail: "writer@example.iam.gserviceaccount.com",
+      privateKey,
+      tokenUrl: `${ctx.sheets.url}/token`,
+    })
+  );
+  ({ admin } = ctx.tokens);
+});
+
+after(() => ctx.close());
+
+test("new rows are appended RAW, with only the dates re-entered as dates", async () => {
+  const res = await request(ctx.baseUrl, "POST", "/members", {
+    token: admin,
+    body: { fields: { Name: '=HYPERLINK("http://evil.example","x")', "Phone Number": "0798 765 432", Locker: "+B2" } },
+  });
+  assert.equal(res.status, 201);
+  assert.equal(res.body.member.ID, "0042");
+
+  const [append, dates] = ctx.sheets.writes;
+  assert.match(append.path, /:append$/);
+  assert.equal(append.query.valueInputOption, "RAW");
+  const [row] = append.body.values;
+  assert.deepEqual(
+    [row[0], row[1], row[2], row[5]],
+    ["0042", '=HYPERLINK("http://evil.example","x")', "0798765432", "+B2"]
+  );
+
+  assert.match(dates.path, /values:batchUpdate$/);
+  assert.equal(dates.body.valueInputOption, "USER_ENTERED");
+  assert.deepEqual(
+    dates.body.data.map((d) => d.range),
+    ["'Members'!D3", "'Members'!E3"]
+  );
+  assert.deepEqual(dates.body.data.map((d) => d.values[0][0]), [row[3], row[4]]);
+});
+
+test("edits write typed text RAW and dates USER_ENTERED", async () => {
+  ctx.sheets.writes.length = 0;
+  const { body: alice } = await request(ctx.baseUrl, "GET", "/members/0041", { token: admin });
+  const res = await request(ctx.baseUrl, "PATCH", "/members/0041", {
+    token: admin,
+    body: { version: alice.version, fields: { Name: "@SUM(A1)", "Membership Expiry": "2100-02-01" } },
+  });
+  assert.equal(res.status, 200);
+
+  assert.deepEqual(
+    ctx.sheets.writes.map((w) => [w.body.valueInputOption, w.body.data.map((d) => [d.range, d.values[0][0]])]),
+    [
+      ["RAW", [["'Members'!B2", "@SUM(A1)"]]],
+      ["USER_ENTERED", [["'Members'!E2", "01/02/2100"]]], // in the sheet's own dd/MM/yyyy
+    ]
+  );
+});